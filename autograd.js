@@ -0,0 +1,463 @@
+/**
+ * Autograd
+ * Tape-based reverse-mode automatic differentiation over GV matrices.
+ * Operations run on Variables inside Tape.record() are recorded on the tape;
+ * Tape.backward() then walks the tape in reverse and writes the gradient of
+ * every variable that requires one to its `grad` property.
+ *
+ * The differentiable operations mirror the GV functions of the same name, so a
+ * forward pass written with GV can be ported by swapping the import. Values are
+ * GV Matrices or plain numbers. Binary elementwise operations broadcast numbers,
+ * [1, n] rows and [m, 1] columns against [m, n] matrices.
+ *
+ * @module autograd
+ */
+
+import GV from './gv.js';
+
+const { Matrix } = GV;
+
+/**
+ * The tape currently recording, if any
+ * @private
+ */
+let activeTape = null;
+
+/**
+ * A value in the computation graph
+ *
+ * @class Variable
+ */
+export class Variable {
+	/**
+	 * @param {Matrix|Array<Array<number>>|number} value - Matrix, nested array or number
+	 * @param {boolean} [requiresGrad=false] - Whether backward() should compute a gradient for this variable
+	 */
+	constructor(value, requiresGrad = false) {
+		if(Array.isArray(value)) {
+			value = new Matrix(value);
+		}
+		if(typeof value !== 'number' && (!value || value.type !== 'Matrix')) {
+			throw new Error(`Variables hold a GV Matrix or a number, got ${value && value.type ? value.type : typeof value}`);
+		}
+		this.value = value;
+		this.requiresGrad = requiresGrad;
+		this.grad = null;
+	}
+
+	get shape() {
+		return typeof this.value === 'number' ? [] : this.value.shape;
+	}
+}
+
+/**
+ * Records operations and computes gradients in reverse order
+ *
+ * @class Tape
+ */
+export class Tape {
+	constructor() {
+		this.nodes = [];
+	}
+
+	/**
+	 * Runs fn while recording the operations it performs on this tape
+	 * @param {Function} fn - Forward computation
+	 * @returns {*} The return value of fn
+	 */
+	record(fn) {
+		const previous = activeTape;
+		activeTape = this;
+		try {
+			return fn();
+		} finally {
+			activeTape = previous;
+		}
+	}
+
+	/**
+	 * Backpropagates from root through the recorded operations
+	 * @param {Variable} root - Output to differentiate, usually a scalar loss
+	 * @param {Matrix|number} [seed] - Gradient of the final objective w.r.t. root (defaults to ones)
+	 */
+	backward(root, seed = null) {
+		if(seed === null) {
+			seed = typeof root.value === 'number' ? 1 : GV.mapMat(root.value, () => 1);
+		}
+		const grads = new Map([[root, seed]]);
+
+		for(let i = this.nodes.length - 1; i >= 0; i--) {
+			const { output, inputs, backward } = this.nodes[i];
+			const grad = grads.get(output);
+			if(grad === undefined) continue;
+
+			const inputGrads = backward(grad);
+			inputs.forEach((input, k) => {
+				if(!input.requiresGrad || inputGrads[k] === null || inputGrads[k] === undefined) return;
+				const existing = grads.get(input);
+				grads.set(input, existing === undefined ? inputGrads[k] : elementwise(existing, inputGrads[k], (a, b) => a + b));
+			});
+		}
+
+		for(const [variable, grad] of grads) {
+			if(variable.requiresGrad) {
+				variable.grad = grad;
+			}
+		}
+	}
+
+	/**
+	 * Clears the recorded operations
+	 */
+	reset() {
+		this.nodes = [];
+	}
+}
+
+/**
+ * Wraps constants so operations accept Matrices, arrays and numbers as well as Variables
+ * @private
+ */
+const toVariable = (value) => value instanceof Variable ? value : new Variable(value);
+
+/**
+ * Creates the output variable of an operation and records it when a tape is active
+ * @private
+ * @param {Matrix|number} value - Result of the operation
+ * @param {Array<Variable>} inputs - Operands
+ * @param {Function} backward - (grad) => gradient for each operand
+ * @returns {Variable} The output
+ */
+const record = (value, inputs, backward) => {
+	const output = new Variable(value);
+	if(activeTape && inputs.some(input => input.requiresGrad)) {
+		output.requiresGrad = true;
+		activeTape.nodes.push({ output, inputs, backward });
+	}
+	return output;
+};
+
+/**
+ * Reads element (i, j) of a number or a possibly broadcast matrix
+ * @private
+ */
+const at = (value, i, j) => {
+	if(typeof value === 'number') return value;
+	const rows = value.rows;
+	return rows[rows.length === 1 ? 0 : i][rows[0].length === 1 ? 0 : j];
+};
+
+/**
+ * Applies fn elementwise with broadcasting
+ * @private
+ * @param {Matrix|number} a - First operand
+ * @param {Matrix|number} b - Second operand
+ * @param {Function} fn - (x, y) => result
+ * @returns {Matrix|number} The result
+ */
+const elementwise = (a, b, fn) => {
+	if(typeof a === 'number' && typeof b === 'number') {
+		return fn(a, b);
+	}
+	const [ra, ca] = typeof a === 'number' ? [1, 1] : a.shape;
+	const [rb, cb] = typeof b === 'number' ? [1, 1] : b.shape;
+	const rows = Math.max(ra, rb);
+	const cols = Math.max(ca, cb);
+	if((ra !== rows && ra !== 1) || (rb !== rows && rb !== 1) || (ca !== cols && ca !== 1) || (cb !== cols && cb !== 1)) {
+		throw new Error(`Cannot broadcast shapes [${ra},${ca}] and [${rb},${cb}]`);
+	}
+
+	const result = new Array(rows);
+	for(let i = 0; i < rows; i++) {
+		const row = new Array(cols);
+		for(let j = 0; j < cols; j++) {
+			row[j] = fn(at(a, i, j), at(b, i, j));
+		}
+		result[i] = row;
+	}
+	return new Matrix(result);
+};
+
+/**
+ * Sums a broadcast gradient back to the shape of the operand it came from
+ * @private
+ * @param {Matrix|number} grad - Gradient with the broadcast shape
+ * @param {Matrix|number} value - The operand
+ * @returns {Matrix|number} Gradient with the operand's shape
+ */
+const unbroadcast = (grad, value) => {
+	if(typeof value === 'number') {
+		return typeof grad === 'number' ? grad : GV.sum(grad);
+	}
+	if(typeof grad === 'number') {
+		return GV.mapMat(value, () => grad);
+	}
+	const [rows, cols] = value.shape;
+	let result = grad.rows;
+	if(rows === 1 && result.length > 1) {
+		result = [result.reduce((total, row) => total.map((val, j) => val + row[j]), new Array(result[0].length).fill(0))];
+	}
+	if(cols === 1 && result[0].length > 1) {
+		result = result.map(row => [row.reduce((total, val) => total + val, 0)]);
+	}
+	return new Matrix(result.map(row => row.slice()));
+};
+
+/**
+ * Builds an elementwise unary operation from f(x) and its derivative df(x, y)
+ * @private
+ */
+const unary = (f, df) => (a) => {
+	a = toVariable(a);
+	const value = typeof a.value === 'number' ? f(a.value) : GV.mapMat(a.value, f);
+	return record(value, [a], (grad) => [
+		elementwise(grad, elementwise(a.value, value, df), (g, d) => g * d)
+	]);
+};
+
+/**
+ * Elementwise sum with broadcasting
+ * @param {Variable|Matrix|number} a - First operand
+ * @param {Variable|Matrix|number} b - Second operand
+ * @returns {Variable} a + b
+ */
+export const addMatrix = (a, b) => {
+	a = toVariable(a);
+	b = toVariable(b);
+	return record(elementwise(a.value, b.value, (x, y) => x + y), [a, b], (grad) => [
+		unbroadcast(grad, a.value),
+		unbroadcast(grad, b.value)
+	]);
+};
+
+/**
+ * Elementwise difference with broadcasting
+ * @param {Variable|Matrix|number} a - First operand
+ * @param {Variable|Matrix|number} b - Second operand
+ * @returns {Variable} a - b
+ */
+export const subtractMatrix = (a, b) => {
+	a = toVariable(a);
+	b = toVariable(b);
+	return record(elementwise(a.value, b.value, (x, y) => x - y), [a, b], (grad) => [
+		unbroadcast(grad, a.value),
+		unbroadcast(elementwise(grad, -1, (g, s) => g * s), b.value)
+	]);
+};
+
+/**
+ * Elementwise (Hadamard) product with broadcasting
+ * @param {Variable|Matrix|number} a - First operand
+ * @param {Variable|Matrix|number} b - Second operand
+ * @returns {Variable} a * b
+ */
+export const multiplyMatrix = (a, b) => {
+	a = toVariable(a);
+	b = toVariable(b);
+	return record(elementwise(a.value, b.value, (x, y) => x * y), [a, b], (grad) => [
+		unbroadcast(elementwise(grad, b.value, (g, y) => g * y), a.value),
+		unbroadcast(elementwise(grad, a.value, (g, x) => g * x), b.value)
+	]);
+};
+
+/**
+ * Elementwise quotient with broadcasting
+ * @param {Variable|Matrix|number} a - Numerator
+ * @param {Variable|Matrix|number} b - Denominator
+ * @returns {Variable} a / b
+ */
+export const divideMatrix = (a, b) => {
+	a = toVariable(a);
+	b = toVariable(b);
+	const value = elementwise(a.value, b.value, (x, y) => x / y);
+	return record(value, [a, b], (grad) => [
+		unbroadcast(elementwise(grad, b.value, (g, y) => g / y), a.value),
+		unbroadcast(elementwise(elementwise(grad, value, (g, q) => g * q), b.value, (gq, y) => -gq / y), b.value)
+	]);
+};
+
+/**
+ * Matrix product (numbers are treated as scalars)
+ * @param {Variable|Matrix|number} a - Left operand
+ * @param {Variable|Matrix|number} b - Right operand
+ * @returns {Variable} a x b
+ */
+export const mult = (a, b) => {
+	a = toVariable(a);
+	b = toVariable(b);
+	if(typeof a.value === 'number' || typeof b.value === 'number') {
+		return multiplyMatrix(a, b);
+	}
+	return record(GV.mult(a.value, b.value), [a, b], (grad) => [
+		GV.mult(grad, b.value.t),
+		GV.mult(a.value.t, grad)
+	]);
+};
+
+/**
+ * Multiplies by a constant
+ * @param {Variable|Matrix|number} a - The operand
+ * @param {number} factor - The constant
+ * @returns {Variable} a * factor
+ */
+export const scale = (a, factor) => {
+	a = toVariable(a);
+	return record(elementwise(a.value, factor, (x, k) => x * k), [a], (grad) => [
+		elementwise(grad, factor, (g, k) => g * k)
+	]);
+};
+
+/**
+ * Applies f elementwise. The derivative df(x, y) receives each input x and output y.
+ * @param {Variable|Matrix|number} a - The operand
+ * @param {Function} f - Elementwise function
+ * @param {Function} df - Its derivative, (x, y) => dy/dx
+ * @returns {Variable} f(a)
+ */
+export const mapMat = (a, f, df) => {
+	if(typeof df !== 'function') {
+		throw new Error('mapMat needs the derivative df(x, y) of f to be differentiable');
+	}
+	return unary(f, df)(a);
+};
+
+export const exp = unary(Math.exp, (x, y) => y);
+export const log = unary(Math.log, (x) => 1 / x);
+export const sqrt = unary(Math.sqrt, (x, y) => 0.5 / y);
+export const abs = unary(Math.abs, (x) => Math.sign(x));
+export const tanh = unary(Math.tanh, (x, y) => 1 - y * y);
+export const sigmoid = unary((x) => 1 / (1 + Math.exp(-x)), (x, y) => y * (1 - y));
+export const relu = unary((x) => Math.max(0, x), (x) => x > 0 ? 1 : 0);
+
+/**
+ * Raises elements to a constant power
+ * @param {Variable|Matrix|number} a - The operand
+ * @param {number} power - The exponent
+ * @returns {Variable} a ** power
+ */
+export const pow = (a, power) => unary((x) => x ** power, (x) => power * x ** (power - 1))(a);
+
+/**
+ * Applies an nn activation (an object whose f(z) returns [g(z), g'(z)])
+ * @param {Variable|Matrix} a - Pre-activation
+ * @param {Object} activation - Activation instance, e.g. new Activations.ReLU()
+ * @returns {Variable} The activation output
+ */
+export const activation = (a, activation) => {
+	a = toVariable(a);
+	const [value, derivative] = activation.f(a.value);
+	return record(value, [a], (grad) => [
+		elementwise(grad, derivative, (g, d) => g * d)
+	]);
+};
+
+/**
+ * Sums all elements, or along an axis. Unlike GV.sum, axis sums return
+ * matrices ([1, n] for axis 0, [m, 1] for axis 1) so they broadcast back.
+ * @param {Variable|Matrix} a - The operand
+ * @param {number|null} [axis=null] - null for a scalar, 0 over rows, 1 over columns
+ * @returns {Variable} The sum
+ */
+export const sum = (a, axis = null) => {
+	a = toVariable(a);
+	if(typeof a.value === 'number') {
+		return record(a.value, [a], (grad) => [grad]);
+	}
+	let value;
+	if(axis === null) {
+		value = GV.sum(a.value);
+	} else if(axis === 0) {
+		value = new Matrix([GV.sum(a.value, 0).values]);
+	} else if(axis === 1) {
+		value = new Matrix(GV.sum(a.value, 1).values.map(val => [val]));
+	} else {
+		throw new Error(`sum axis must be null, 0 or 1, got ${axis}`);
+	}
+	return record(value, [a], (grad) => [
+		elementwise(GV.mapMat(a.value, () => 0), grad, (zero, g) => g)
+	]);
+};
+
+/**
+ * Mean of all elements, or along an axis (see sum)
+ * @param {Variable|Matrix} a - The operand
+ * @param {number|null} [axis=null] - null, 0 or 1
+ * @returns {Variable} The mean
+ */
+export const mean = (a, axis = null) => {
+	a = toVariable(a);
+	const [rows, cols] = a.shape.length ? a.shape : [1, 1];
+	const count = axis === null ? rows * cols : axis === 0 ? rows : cols;
+	return scale(sum(a, axis), 1 / count);
+};
+
+/**
+ * Concatenates two matrices
+ * @param {Variable|Matrix} a - First matrix
+ * @param {Variable|Matrix} b - Second matrix
+ * @param {number} [axis=0] - 0 stacks rows, 1 stacks columns
+ * @returns {Variable} The concatenation
+ */
+export const concat = (a, b, axis = 0) => {
+	a = toVariable(a);
+	b = toVariable(b);
+	const value = GV.concat(a.value, b.value, axis);
+	if(value === null) {
+		throw new Error(`Cannot concatenate shapes [${a.shape}] and [${b.shape}] along axis ${axis}`);
+	}
+	const [ra, ca] = a.shape;
+	return record(value, [a, b], (grad) => axis === 0
+		? [new Matrix(grad.rows.slice(0, ra).map(row => row.slice())), new Matrix(grad.rows.slice(ra).map(row => row.slice()))]
+		: [new Matrix(grad.rows.map(row => row.slice(0, ca))), new Matrix(grad.rows.map(row => row.slice(ca)))]);
+};
+
+/**
+ * Transposes a matrix
+ * @param {Variable|Matrix} a - The matrix
+ * @returns {Variable} The transpose
+ */
+export const transpose = (a) => {
+	a = toVariable(a);
+	return record(a.value.t, [a], (grad) => [grad.t]);
+};
+
+/**
+ * Softmax over each row
+ * @param {Variable|Matrix} a - Logits of shape [batch, classes]
+ * @returns {Variable} Row-wise probabilities
+ */
+export const softmax = (a) => {
+	a = toVariable(a);
+	const value = new Matrix(a.value.rows.map(row => {
+		const max = Math.max(...row);
+		const exps = row.map(val => Math.exp(val - max));
+		const total = exps.reduce((s, val) => s + val, 0);
+		return exps.map(val => val / total);
+	}));
+	return record(value, [a], (grad) => [
+		new Matrix(value.rows.map((row, i) => {
+			const dot = row.reduce((s, p, j) => s + p * grad.rows[i][j], 0);
+			return row.map((p, j) => p * (grad.rows[i][j] - dot));
+		}))
+	]);
+};
+
+/**
+ * Log of the softmax over each row, computed stably
+ * @param {Variable|Matrix} a - Logits of shape [batch, classes]
+ * @returns {Variable} Row-wise log-probabilities
+ */
+export const logSoftmax = (a) => {
+	a = toVariable(a);
+	const value = new Matrix(a.value.rows.map(row => {
+		const max = Math.max(...row);
+		const logTotal = max + Math.log(row.reduce((s, val) => s + Math.exp(val - max), 0));
+		return row.map(val => val - logTotal);
+	}));
+	return record(value, [a], (grad) => [
+		new Matrix(value.rows.map((row, i) => {
+			const total = grad.rows[i].reduce((s, g) => s + g, 0);
+			return row.map((logP, j) => grad.rows[i][j] - Math.exp(logP) * total);
+		}))
+	]);
+};
@@ -10,12 +10,23 @@ import {
  * Configuration file for model and dataset settings
  */
 
+/*
+    Random seed
+    Seeds GV.random, from which the dataset noise and each model's own seed
+    (weight initialization, shuffling, dropout) are drawn; null for a new seed every run
+*/
+export const seed = 42;
+
 /*
     Dataset configuration
     Should return a dataset and a validation dataset
 */
 export function generateDataset() {
 
+    if (seed !== null) {
+        GV.random.seed(seed);
+    }
+
     const dataset = GV.addMatrix(
         GV.reshapeMatrix(new GV.Matrix(Array(100).fill(0).map((_, i) => [i/100 * 2 * Math.PI, Math.sin(i/100 * 2 * Math.PI)])), 100, 2), 
         GV.scale(GV.randn(100, 2), 0.1)
@@ -70,20 +81,13 @@ export function getTrainingConfig() {
 }
 
 /*
-    Prepare data for training
-    Should return a dataset and a validation dataset split into X and Y matrices
+    Data specification
+    Columns of the dataset used as features and targets (see toMatrices in nn/data.js);
+    the validation dataset is encoded the same way. To train on a file, generateDataset
+    can return readCSV(path) or readJSONL(path) tables, selected here by column name.
 */
-export function prepareData(dataset, validationDataset) {
-
-    const X = new GV.Matrix(dataset.rows.map(row => [row[0]]));
-    const Y = new GV.Matrix(dataset.rows.map(row => [row[1]]));
-    const XValidation = new GV.Matrix(validationDataset.rows.map(row => [row[0]]));
-    const YValidation = new GV.Matrix(validationDataset.rows.map(row => [row[1]]));
-    
-    return {
-        X,
-        Y,
-        XValidation,
-        YValidation
-    };
-} 
\ No newline at end of file
+export const dataSpec = {
+    features: [0],
+    targets: [1],
+    missing: 'error'
+};
\ No newline at end of file
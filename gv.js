@@ -8,23 +8,8 @@
  */
 
 import { Worker } from 'worker_threads';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-import { writeFileSync, mkdirSync } from 'fs';
 import { cpus } from 'os';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Create workers directory if it doesn't exist
-try {
-    mkdirSync(`${__dirname}/workers`, { recursive: true });
-} catch (e) {
-    if (e.code !== 'EEXIST') {
-        console.error('Error creating workers directory:', e);
-    }
-}
-
 /**
  * Main GV namespace containing all vector and matrix operations
  * @namespace GV
@@ -302,7 +287,9 @@ Object.defineProperties(GV.Vector.prototype, {
 
 
 /**
- * Matrix prototype containing methods for matrix operations
+ * Matrix prototype containing methods for matrix operations.
+ * Matrices store their elements in a contiguous row-major typed array
+ * (`values`); `rows` and numeric indices return views into it.
  * @namespace GV.MatrixPrototype
  */
 GV.MatrixPrototype = {
@@ -311,10 +298,10 @@ GV.MatrixPrototype = {
 			yield this.rows[i];
 		}
 	},
-	
+
 	// Push a row to the end of the matrix
 	pushRow: function(row) {
-		if (!Array.isArray(row)) {
+		if (!Array.isArray(row) && !ArrayBuffer.isView(row)) {
 			console.error('Row must be an array');
 			return null;
 		}
@@ -322,14 +309,13 @@ GV.MatrixPrototype = {
 			console.error('Row length must match matrix column count');
 			return null;
 		}
-		this.rows.push(row);
-		this[this.rows.length - 1] = row; // Update proxy properties
+		this.rows = [...this.rows, row];
 		return this.rows.length;
 	},
-	
+
 	// Push a column to the end of the matrix
 	pushColumn: function(column) {
-		if (!Array.isArray(column)) {
+		if (!Array.isArray(column) && !ArrayBuffer.isView(column)) {
 			console.error('Column must be an array');
 			return null;
 		}
@@ -339,191 +325,173 @@ GV.MatrixPrototype = {
 		}
 		if (this.rows.length === 0) {
 			// If matrix is empty, create first row
-			this.rows.push([column[0]]);
-			this[0] = this.rows[0];
+			this.rows = [[column[0]]];
 			return 1;
 		}
-		for (let i = 0; i < this.rows.length; i++) {
-			this.rows[i].push(column[i]);
-		}
+		this.rows = this.rows.map((row, i) => [...row, column[i]]);
 		return this.rows[0].length;
 	},
-	
-	// Map a function over all elements
+
+	// Map a function over all elements, f(value, col)
 	map: function(f, inplace=false) {
-		if(inplace) {
-			for(let i = 0; i < this.rows.length; i++) {
-				for(let j = 0; j < this.rows[i].length; j++) {
-					this.rows[i][j] = f(this.rows[i][j]);
-				}
-				this[i] = this.rows[i]; // Update proxy properties
+		const [rows, cols] = this._dims;
+		const values = this.values;
+		const out = inplace ? values : new values.constructor(values.length);
+		for(let i = 0, k = 0; i < rows; i++) {
+			for(let j = 0; j < cols; j++, k++) {
+				out[k] = f(values[k], j);
 			}
-			return this;
 		}
-		return new GV.Matrix(this.rows.map(row => row.map(f)));
+		return inplace ? this : new GV.Matrix(out, [rows, cols]);
 	},
-	
+
 	// Fill all elements with a value
 	fill: function(value) {
-		for(let i = 0; i < this.rows.length; i++) {
-			for(let j = 0; j < this.rows[i].length; j++) {
-				this.rows[i][j] = value;
-			}
-			this[i] = this.rows[i]; // Update proxy properties
-		}
+		this.values.fill(value);
 		return this;
 	},
-	
+
 	// Apply a function to each element
 	apply: function(f) {
-		for(let i = 0; i < this.rows.length; i++) {
-			for(let j = 0; j < this.rows[i].length; j++) {
-				this.rows[i][j] = f(this.rows[i][j]);
-			}
-			this[i] = this.rows[i]; // Update proxy properties
+		const values = this.values;
+		for(let k = 0; k < values.length; k++) {
+			values[k] = f(values[k]);
 		}
 		return this;
 	},
-	
-	// Get a submatrix
-	slice: function(startRow, endRow, startCol, endCol) {
-		const slicedRows = this.rows.slice(startRow, endRow).map(row => 
-			row.slice(startCol, endCol)
-		);
-		return new GV.Matrix(slicedRows);
+
+	// Get a submatrix (negative bounds count from the end, as in Array.slice)
+	slice: function(startRow=0, endRow=this._dims[0], startCol=0, endCol=this._dims[1]) {
+		const [rows, cols] = this._dims;
+		const bound = (index, length) => index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+		const r0 = bound(startRow, rows), r1 = Math.max(bound(endRow, rows), r0);
+		const c0 = bound(startCol, cols), c1 = Math.max(bound(endCol, cols), c0);
+		const width = c1 - c0;
+		const out = new this.values.constructor((r1 - r0) * width);
+		if(width === cols) {
+			out.set(this.values.subarray(r0 * cols, r1 * cols));
+		} else {
+			for(let i = r0; i < r1; i++) {
+				out.set(this.values.subarray(i * cols + c0, i * cols + c1), (i - r0) * width);
+			}
+		}
+		return new GV.Matrix(out, [r1 - r0, width]);
 	},
-	
+
 	// Check if all elements satisfy a condition
 	every: function(f) {
-		return this.rows.every(row => row.every(f));
+		return this.values.every(val => f(val));
 	},
-	
+
 	// Check if any element satisfies a condition
 	some: function(f) {
-		return this.rows.some(row => row.some(f));
+		return this.values.some(val => f(val));
 	},
-	
+
 	// Find the first element that satisfies a condition
 	find: function(f) {
-		for(let i = 0; i < this.rows.length; i++) {
-			const found = this.rows[i].find(f);
-			if(found !== undefined) return found;
-		}
-		return undefined;
+		return this.values.find(val => f(val));
 	},
-	
+
 	// Find the indices of the first element that satisfies a condition
 	findIndices: function(f) {
-		for(let i = 0; i < this.rows.length; i++) {
-			const j = this.rows[i].findIndex(f);
-			if(j !== -1) return {row: i, col: j};
-		}
-		return null;
+		const k = this.values.findIndex(val => f(val));
+		if(k === -1) return null;
+		return {row: Math.floor(k / this._dims[1]), col: k % this._dims[1]};
 	},
-	
+
 	// Filter elements that satisfy a condition
 	filter: function(f) {
-		const result = [];
-		for(let i = 0; i < this.rows.length; i++) {
-			for(let j = 0; j < this.rows[i].length; j++) {
-				if(f(this.rows[i][j])) {
-					result.push(this.rows[i][j]);
-				}
-			}
-		}
-		return new GV.Vector(result);
+		return new GV.Vector(Array.from(this.values).filter(val => f(val)));
 	},
-	
+
 	// Create a copy of the matrix
 	clone: function() {
-		const clonedRows = this.rows.map(row => [...row]);
-		return new GV.Matrix(clonedRows);
+		return new GV.Matrix(this.values.slice(), [...this._dims]);
 	},
-	
+
 	// Check if the matrix contains a value
 	includes: function(value) {
-		return this.rows.some(row => row.includes(value));
+		return this.values.includes(value);
 	},
-	
+
 	// Find the indices of a value
 	findValue: function(value) {
-		for(let i = 0; i < this.rows.length; i++) {
-			const j = this.rows[i].indexOf(value);
-			if(j !== -1) return {row: i, col: j};
-		}
-		return null;
+		return this.findIndices(val => val === value);
 	},
-	
+
 	// Get the sum of all elements
 	sum: function() {
-		return this.rows.reduce((rowSum, row) => 
-			rowSum + row.reduce((colSum, val) => colSum + val, 0), 0);
+		const values = this.values;
+		let total = 0;
+		for(let k = 0; k < values.length; k++) {
+			total += values[k];
+		}
+		return total;
 	},
-	
+
 	// Get the average of all elements
 	mean: function() {
 		return this.sum() / this.size;
 	},
-	
+
 	// Get the minimum value
 	min: function() {
-		return Math.min(...this.rows.flat());
+		return this.values.reduce((min, val) => val < min ? val : min, Infinity);
 	},
-	
+
 	// Get the maximum value
 	max: function() {
-		return Math.max(...this.rows.flat());
+		return this.values.reduce((max, val) => val > max ? val : max, -Infinity);
 	},
-	
+
 	// Get the standard deviation
 	std: function() {
-		const avg = this.mean();
-		const squareDiffs = this.rows.flat().map(value => {
-			const diff = value - avg;
-			return diff * diff;
-		});
-		const avgSquareDiff = new GV.Vector(squareDiffs).mean();
-		return Math.sqrt(avgSquareDiff);
+		return Math.sqrt(this.var());
 	},
-	
+
 	// Get the variance
 	var: function(ddof = 0) {
 		const avg = this.mean();
-		const squareDiffs = this.rows.flat().map(value => {
-			const diff = value - avg;
-			return diff * diff;
-		});
-		return new GV.Vector(squareDiffs).mean();
+		const values = this.values;
+		let total = 0;
+		for(let k = 0; k < values.length; k++) {
+			const diff = values[k] - avg;
+			total += diff * diff;
+		}
+		return total / values.length;
 	},
-	
+
 	// Get row sums
 	rowSums: function() {
-		return new GV.Vector(this.rows.map(row => 
+		return new GV.Vector(this.rows.map(row =>
 			row.reduce((sum, val) => sum + val, 0)
 		));
 	},
-	
+
 	// Get column sums
 	colSums: function() {
-		const colSums = new Array(this.rows[0].length).fill(0);
-		for(let i = 0; i < this.rows.length; i++) {
-			for(let j = 0; j < this.rows[i].length; j++) {
-				colSums[j] += this.rows[i][j];
+		const [rows, cols] = this._dims;
+		const values = this.values;
+		const colSums = new Array(cols).fill(0);
+		for(let i = 0, k = 0; i < rows; i++) {
+			for(let j = 0; j < cols; j++, k++) {
+				colSums[j] += values[k];
 			}
 		}
 		return new GV.Vector(colSums);
 	},
-	
+
 	// Get row means
 	rowMeans: function() {
 		return this.rowSums().apply(val => val / this.rows[0].length);
 	},
-	
+
 	// Get column means
 	colMeans: function() {
 		return this.colSums().apply(val => val / this.rows.length);
 	},
-	
+
 	// Get diagonal elements
 	diagonal: function() {
 		const minDim = Math.min(this.rows.length, this.rows[0].length);
@@ -533,16 +501,15 @@ GV.MatrixPrototype = {
 		}
 		return new GV.Vector(diag);
 	},
-	
+
 	// Create an identity matrix of the same size
 	identity: function() {
-		const size = Math.min(this.rows.length, this.rows[0].length);
-		const idMatrix = new GV.Matrix(this.rows.map((row, i) => 
-			row.map((_, j) => i === j ? 1 : 0)
+		const idMatrix = new GV.Matrix(this.rows.map((row, i) =>
+			Array.from(row, (_, j) => i === j ? 1 : 0)
 		));
 		return idMatrix;
 	},
-	
+
 	// Check if the matrix is symmetric
 	isSymmetric: function() {
 		if(this.rows.length !== this.rows[0].length) return false;
@@ -553,7 +520,7 @@ GV.MatrixPrototype = {
 		}
 		return true;
 	},
-	
+
 	// Check if the matrix is diagonal
 	isDiagonal: function() {
 		for(let i = 0; i < this.rows.length; i++) {
@@ -563,7 +530,7 @@ GV.MatrixPrototype = {
 		}
 		return true;
 	},
-	
+
 	// Check if the matrix is upper triangular
 	isUpperTriangular: function() {
 		for(let i = 0; i < this.rows.length; i++) {
@@ -573,7 +540,7 @@ GV.MatrixPrototype = {
 		}
 		return true;
 	},
-	
+
 	// Check if the matrix is lower triangular
 	isLowerTriangular: function() {
 		for(let i = 0; i < this.rows.length; i++) {
@@ -582,103 +549,359 @@ GV.MatrixPrototype = {
 			}
 		}
 		return true;
+	},
+
+	// Copy the elements into nested plain arrays
+	toArray: function() {
+		return this.rows.map(row => Array.from(row));
+	},
+
+	// Copy the matrix onto a SharedArrayBuffer, so workers can use it without copying
+	share: function() {
+		if(this.values.buffer instanceof SharedArrayBuffer) return this;
+		const values = GV._sharedArray(this.values.constructor, this.values.length);
+		values.set(this.values);
+		return new GV.Matrix(values, [...this._dims]);
+	},
+
+	// Copy the matrix into storage of another dtype ('float64' or 'float32')
+	astype: function(dtype) {
+		const Storage = GV._storage(dtype);
+		return new GV.Matrix(Storage.from(this.values), [...this._dims]);
+	},
+
+	// Serialize as nested rows rather than the typed storage
+	toJSON: function() {
+		return {type: 'Matrix', rows: this.toArray()};
+	},
+
+	toString: function() {
+		return '[' + this.rows.map(row => '[' + row.toString() + ']').join(',') + ']';
 	}
 }
 
 /**
- * Matrix constructor
- * @param {Array|number} rows - The rows to initialize the matrix with
+ * Typed array constructors for the supported matrix dtypes
+ * @private
+ */
+GV._dtypes = { float64: Float64Array, float32: Float32Array };
+GV._storage = function(dtype) {
+	const Storage = GV._dtypes[dtype];
+	if(!Storage) throw new Error(`Unsupported dtype '${dtype}', expected one of ${Object.keys(GV._dtypes).join(', ')}`);
+	return Storage;
+}
+
+/**
+ * Matrix constructor. The elements live in `values`, a row-major Float64Array
+ * (or Float32Array); `m.rows[i]` and `m[i]` are subarray views into it, so
+ * writing `m[i][j] = v` updates the matrix. Assigning `m[i] = row` copies the row
+ * in, assigning `m.rows = rows` replaces the contents (and shape).
+ * @param {Array|number|Float64Array|Float32Array} rows - Nested rows (copied), a [rows, cols]
+ * shape or a size for a zero matrix, or row-major values (wrapped without copying)
+ * @param {Array<number>} [shape] - [rows, cols], required when passing a typed array
  * @returns {Matrix} A new Matrix object
  */
-GV.Matrix = function(rows) {
+GV.Matrix = function(rows, shape) {
 
-	// Check if this is a shape specification
-	if(Array.isArray(rows) && rows.length === 2 && typeof rows[0] === 'number' && typeof rows[1] === 'number') {
+	let values;
+	if(rows instanceof Float64Array || rows instanceof Float32Array) {
+		if(!Array.isArray(shape) || shape.length !== 2 || shape[0] * shape[1] !== rows.length) {
+			throw new Error(`Cannot wrap ${rows.length} values as a matrix of shape [${shape}]`);
+		}
+		values = rows;
+		shape = [shape[0], shape[1]];
+	} else if(Array.isArray(rows) && rows.length === 2 && typeof rows[0] === 'number' && typeof rows[1] === 'number') {
 		// If array of [rows, cols] provided
-		rows = Array(rows[0]).fill(0).map(() => Array(rows[1]).fill(0));
+		shape = [rows[0], rows[1]];
+		values = new Float64Array(shape[0] * shape[1]);
 	} else if(typeof rows === 'number') {
 		// If only one number provided, create a square matrix
-		rows = Array(rows).fill(0).map(() => Array(rows).fill(0));
-	} else if(!Array.isArray(rows)) {
+		shape = [rows, rows];
+		values = new Float64Array(rows * rows);
+	} else if(Array.isArray(rows)) {
+		const cols = rows.length ? rows[0].length : 0;
+		shape = [rows.length, cols];
+		values = new Float64Array(rows.length * cols);
+		for(let i = 0; i < rows.length; i++) {
+			if(rows[i].length !== cols) {
+				throw new Error(`Matrix rows must have the same length: row ${i} has ${rows[i].length} elements, expected ${cols}`);
+			}
+			values.set(rows[i], i * cols);
+		}
+	} else {
 		return null;
 	}
 
 	this.type = 'Matrix';
-	this.rows = rows;
+	this.values = values;
+	this._dims = shape;
+	this._rows = null;
 
-	// Create a proxy to intercept property access and assignment
-	const self = this;
+	// Numeric properties index rows; everything else goes to the matrix itself
+	const isIndex = (prop) => typeof prop === 'string' && prop.length > 0 && prop.charCodeAt(0) >= 48 && prop.charCodeAt(0) <= 57;
 	const handler = {
 		get: function(target, prop) {
-			// Handle Symbol properties directly
-			if (typeof prop === 'symbol') {
-				return target[prop];
-			}
-			// Handle numeric indices
-			if (!isNaN(prop) && prop >= 0 && prop < target.rows.length) {
-				return target.rows[prop];
+			if (isIndex(prop)) {
+				return prop < target._dims[0] ? target.rows[prop] : undefined;
 			}
-			// Handle other properties
 			return target[prop];
 		},
 		set: function(target, prop, value) {
-			// Handle numeric indices
-			if (!isNaN(prop) && prop >= 0 && prop < target.rows.length) {
-				target.rows[prop] = value;
+			if (isIndex(prop)) {
+				const cols = target._dims[1];
+				if (!(prop < target._dims[0]) || value.length !== cols) {
+					throw new RangeError(`Cannot assign a row of length ${value.length} to row ${prop} of a ${target._dims[0]}x${cols} matrix`);
+				}
+				target.values.set(value, prop * cols);
 				return true;
 			}
-			// Handle other properties
 			target[prop] = value;
 			return true;
 		}
 	};
 
-	// Create the proxy
-	const proxy = new Proxy(this, handler);
-	
-	// Initialize direct properties
-	for(let i = 0; i < rows.length; i++) {
-		proxy[i] = rows[i];
-	}
-
-	proxy.toString = () => {
-		let str = '[';
-		for(let i in rows) str += '[' + rows[i].toString() + '],';
-		str = str.slice(0, str.length-1) + ']';
-		return str;
-	}
-
-	return proxy;
+	return new Proxy(this, handler);
 }
 Object.assign(GV.Matrix.prototype, GV.MatrixPrototype);
 Object.defineProperties(GV.Matrix.prototype, {
+	rows: {
+		get: function() {
+			// Row views are created once per buffer and frozen, so rows cannot be swapped out from under values
+			if (this._rows === null) {
+				const [rows, cols] = this._dims;
+				const views = new Array(rows);
+				for(let i = 0; i < rows; i++) {
+					views[i] = this.values.subarray(i * cols, (i + 1) * cols);
+				}
+				this._rows = Object.freeze(views);
+			}
+			return this._rows;
+		},
+		set: function(rows) {
+			const m = new GV.Matrix(rows);
+			this.values = this.values instanceof Float32Array ? Float32Array.from(m.values) : m.values;
+			this._dims = m._dims;
+			this._rows = null;
+		}
+	},
 	size: {
 		get: function() {
-			if (this.rows.length === 0) return 0;
-			return this.rows.length * this.rows[0].length;
+			return this.values.length;
 		}
 	},
 	length: {
 		get: function() {
-			return this.rows.length;
+			return this._dims[0];
 		}
 	},
 	shape: {
 		get: function() {
-			if (this.rows === undefined || this.rows.length === 0) return `(0)`;
-			return [this.rows.length, this.rows[0].length];
+			if (this._dims[0] === 0) return `(0)`;
+			return [this._dims[0], this._dims[1]];
+		}
+	},
+	strides: {
+		get: function() {
+			return [this._dims[1], 1];
+		}
+	},
+	dtype: {
+		get: function() {
+			return this.values instanceof Float32Array ? 'float32' : 'float64';
 		}
 	},
 	t: {
 		get: function() {
-			let n = [];
-			for(let i = 0; i < this.rows[0].length; i++) {
-				n.push([]);
-				for(let j = 0; j < this.rows.length; j++) {
-					n[i].push(this.rows[j][i]);
+			const [rows, cols] = this._dims;
+			const values = this.values;
+			const out = new values.constructor(values.length);
+			for(let i = 0; i < rows; i++) {
+				for(let j = 0, k = i * cols; j < cols; j++, k++) {
+					out[j * rows + i] = values[k];
 				}
 			}
-			return new GV.Matrix(n);
+			return new GV.Matrix(out, [cols, rows]);
+		}
+	}
+});
+
+
+
+
+
+/**
+ * Tensor prototype containing methods for N-dimensional tensor operations.
+ * Tensors store their elements in a contiguous row-major Float64Array.
+ * @namespace GV.TensorPrototype
+ */
+GV.TensorPrototype = {
+	[Symbol.iterator]: function* () {
+		for(let i = 0; i < this.values.length; i++) {
+			yield this.values[i];
+		}
+	},
+
+	/**
+	 * Converts a multi-dimensional index to an offset into values
+	 * @param {...number} idx - One index per dimension
+	 * @returns {number} The flat offset
+	 */
+	index: function(...idx) {
+		let offset = 0;
+		for(let d = 0; d < idx.length; d++) {
+			offset += idx[d] * this.strides[d];
+		}
+		return offset;
+	},
+
+	// Get an element by its multi-dimensional index
+	get: function(...idx) {
+		return this.values[this.index(...idx)];
+	},
+
+	// Set an element; the last argument is the value
+	set: function(...args) {
+		const value = args.pop();
+		this.values[this.index(...args)] = value;
+		return this;
+	},
+
+	/**
+	 * Returns a tensor with a new shape sharing the same values.
+	 * One dimension may be -1 and is inferred from the others.
+	 * @param {...number} shape - The new shape
+	 * @returns {Tensor} The reshaped tensor
+	 */
+	reshape: function(...shape) {
+		if(shape.length === 1 && Array.isArray(shape[0])) shape = shape[0];
+		const known = shape.filter(d => d !== -1).reduce((a, b) => a * b, 1);
+		shape = shape.map(d => d === -1 ? this.size / known : d);
+		if(shape.reduce((a, b) => a * b, 1) !== this.size) {
+			throw new Error(`Cannot reshape tensor of shape [${this.shape}] to [${shape}]`);
+		}
+		return new GV.Tensor(shape, this.values);
+	},
+
+	// Create a copy of the tensor
+	clone: function() {
+		return new GV.Tensor(this.shape, new Float64Array(this.values));
+	},
+
+	// Map a function over all elements
+	map: function(f, inplace=false) {
+		const target = inplace ? this : new GV.Tensor(this.shape);
+		for(let i = 0; i < this.values.length; i++) {
+			target.values[i] = f(this.values[i], i);
+		}
+		return target;
+	},
+
+	// Apply a function to each element in place
+	apply: function(f) {
+		return this.map(f, true);
+	},
+
+	// Fill all elements with a value
+	fill: function(value) {
+		this.values.fill(value);
+		return this;
+	},
+
+	// Get the sum of all elements
+	sum: function() {
+		let total = 0;
+		for(let i = 0; i < this.values.length; i++) total += this.values[i];
+		return total;
+	},
+
+	/**
+	 * Copies rows [start, end) along the first axis into a new tensor
+	 * @param {number} start - First index along axis 0
+	 * @param {number} end - End index (exclusive) along axis 0
+	 * @returns {Tensor} The sliced tensor
+	 */
+	slice: function(start, end=this.shape[0]) {
+		end = Math.min(end, this.shape[0]);
+		const shape = [end - start, ...this.shape.slice(1)];
+		return new GV.Tensor(shape, this.values.slice(start * this.strides[0], end * this.strides[0]));
+	},
+
+	/**
+	 * Converts a 2D tensor, or any tensor collapsed to [shape[0], rest], to a Matrix
+	 * @returns {Matrix} The matrix
+	 */
+	toMatrix: function() {
+		const cols = this.shape.length > 1 ? this.size / this.shape[0] : 1;
+		return new GV.Matrix(this.values.slice(), [this.shape[0], cols]);
+	},
+
+	// Convert to nested arrays
+	toArray: function() {
+		const build = (dim, offset) => {
+			if(dim === this.shape.length - 1) {
+				return Array.from(this.values.subarray(offset, offset + this.shape[dim]));
+			}
+			const out = [];
+			for(let i = 0; i < this.shape[dim]; i++) {
+				out.push(build(dim + 1, offset + i * this.strides[dim]));
+			}
+			return out;
+		};
+		return this.shape.length === 0 ? [] : build(0, 0);
+	}
+}
+
+/**
+ * Tensor constructor
+ * @param {Array<number>} shape - The dimensions of the tensor
+ * @param {Float64Array|Array<number>} [values=null] - Row-major values; zeros if omitted.
+ * A Float64Array is used without copying.
+ * @returns {Tensor} A new Tensor object
+ */
+GV.Tensor = function(shape, values=null) {
+	if(!Array.isArray(shape) || shape.some(d => !Number.isInteger(d) || d < 0)) {
+		throw new Error(`Invalid tensor shape: [${shape}]`);
+	}
+
+	const size = shape.reduce((a, b) => a * b, 1);
+	if(values === null) {
+		values = new Float64Array(size);
+	} else if(!(values instanceof Float64Array)) {
+		values = Float64Array.from(values);
+	}
+	if(values.length !== size) {
+		throw new Error(`Tensor of shape [${shape}] needs ${size} values, got ${values.length}`);
+	}
+
+	this.type = 'Tensor';
+	this.shape = shape.slice();
+	this.values = values;
+
+	// Row-major strides
+	this.strides = new Array(shape.length);
+	let stride = 1;
+	for(let d = shape.length - 1; d >= 0; d--) {
+		this.strides[d] = stride;
+		stride *= shape[d];
+	}
+
+	this.toString = () => `Tensor(${this.shape.join('x')})`;
+}
+Object.assign(GV.Tensor.prototype, GV.TensorPrototype);
+Object.defineProperties(GV.Tensor.prototype, {
+	size: {
+		get: function() {
+			return this.values.length;
+		}
+	},
+	length: {
+		get: function() {
+			return this.shape[0];
+		}
+	},
+	rank: {
+		get: function() {
+			return this.shape.length;
 		}
 	}
 });
@@ -713,75 +936,42 @@ GV._matMult = (a, b) => {
         return new GV.Matrix(Array(a.length).fill([]));
     }
 
-    // Use synchronous version for small matrices
-    if (a.length * b[0].length < 1000) {
-        const c = Array(a.length).fill(0).map(() => Array(b[0].length).fill(0));
-        for(let i = 0; i < a.length; i++) {
-            for(let j = 0; j < b[0].length; j++) {
-                let sum = 0;
-                for(let k = 0; k < a[0].length; k++) {
-                    sum += a[i][k] * b[k][j];
-                }
-                c[i][j] = sum;
-            }
-        }
-        return new GV.Matrix(c);
+    const [n, inner] = a._dims;
+    const cols = b._dims[1];
+    if (GV.parallel.enabled && n > 1 && n * inner * cols >= GV.parallel.threshold) {
+        return GV._parallelMatMultSync(a, b);
     }
 
-    // Use parallel version for large matrices
-    const numWorkers = navigator.hardwareConcurrency || 4;
-    const rowsPerWorker = Math.ceil(a.length / numWorkers);
-    const workers = [];
-    const results = [];
-    let completedWorkers = 0;
-
-    // Convert Matrix objects to raw arrays if necessary
-    const aData = a.type === 'Matrix' ? a.rows : a;
-    const bData = b.type === 'Matrix' ? b.rows : b;
-
-    for(let i = 0; i < numWorkers; i++) {
-        const startRow = i * rowsPerWorker;
-        const endRow = Math.min(startRow + rowsPerWorker, a.length);
-        
-        if(startRow >= a.length) break;
-        
-        const worker = GV._createWorker();
-        workers.push(worker);
-        
-        worker.onmessage = (e) => {
-            const { data } = e.data;
-            results.push(...data);
-            completedWorkers++;
-            
-            if(completedWorkers === workers.length) {
-                workers.forEach(w => w.terminate());
-                return new GV.Matrix(results);
-            }
-        };
-        
-        worker.postMessage({
-            operation: 'matrixMultiply',
-            data: { 
-                a: aData, 
-                b: bData, 
-                startRow, 
-                endRow 
-            }
-        });
-    }
+    const C = new a.values.constructor(n * cols);
+    GV._matMultRows(a.values, b.values, C, inner, cols, 0, n);
+    return new GV.Matrix(C, [n, cols]);
+};
 
-    // Fallback to synchronous version if workers fail
-    const c = Array(a.length).fill(0).map(() => Array(b[0].length).fill(0));
-    for(let i = 0; i < a.length; i++) {
-        for(let j = 0; j < b[0].length; j++) {
-            let sum = 0;
-            for(let k = 0; k < a[0].length; k++) {
-                sum += a[i][k] * b[k][j];
+/**
+ * Matrix multiplication kernel on row-major typed arrays, shared with the workers.
+ * Adds rows [startRow, endRow) of a * b to c, which should start out zeroed.
+ * @private
+ * @param {Float64Array|Float32Array} A - Values of a [n, inner]
+ * @param {Float64Array|Float32Array} B - Values of b [inner, cols]
+ * @param {Float64Array|Float32Array} C - Values of the product [n, cols]
+ * @param {number} inner - Columns of a
+ * @param {number} cols - Columns of b
+ * @param {number} startRow - First row to compute
+ * @param {number} endRow - End row (exclusive)
+ */
+GV._matMultRows = (A, B, C, inner, cols, startRow, endRow) => {
+    // Row-major i-k-j loop: the inner loop walks one row of b and one row of c
+    for(let i = startRow; i < endRow; i++) {
+        const ci = i * cols;
+        for(let k = 0; k < inner; k++) {
+            const aik = A[i * inner + k];
+            if(aik === 0) continue;
+            const bk = k * cols;
+            for(let j = 0; j < cols; j++) {
+                C[ci + j] += aik * B[bk + j];
             }
-            c[i][j] = sum;
         }
     }
-    return new GV.Matrix(c);
 };
 
 /**
@@ -912,13 +1102,11 @@ GV.subtractMatrix = (m1, m2, inplace=false) => {
 		// Try to fix the empty matrix if possible
 		if (m1.length > 0 && (!m1[0] || m1[0].length === 0)) {
 			console.log('Attempting to fix empty first matrix');
-			m1[0] = Array(m2[0]?.length || 0).fill(0);
-			m1.rows[0] = m1[0];
+			m1 = new GV.Matrix([m1.length, m2[0]?.length || 0]);
 		}
 		if (m2.length > 0 && (!m2[0] || m2[0].length === 0)) {
 			console.log('Attempting to fix empty second matrix');
-			m2[0] = Array(m1[0]?.length || 0).fill(0);
-			m2.rows[0] = m2[0];
+			m2 = new GV.Matrix([m2.length, m1[0]?.length || 0]);
 		}
 		
 		// Check if matrices are still empty after fixing
@@ -936,24 +1124,24 @@ GV.subtractMatrix = (m1, m2, inplace=false) => {
 		return m1; // Return the first matrix if shapes are incompatible
 	}
 	
-	if(inplace) {
-		for(let i = 0; i < m1.length; i++) {
-			for(let j = 0; j < m1[0].length; j++) {
-				m1[i][j] -= m2[i][j];
-				// No need to update m1.rows[i][j] as the proxy will handle it
-			}
-		}
-		return;
+	const out = inplace ? m1.values : new m1.values.constructor(m1.values.length);
+	const a = m1.values, b = m2.values;
+	for(let k = 0; k < a.length; k++) {
+		out[k] = a[k] - b[k];
 	}
+	if(inplace) return;
+	return new GV.Matrix(out, [...m1._dims]);
+}
 
-	let newM = [];
-	for(let i = 0; i < m1.length; i++) {
-		newM.push([]);
-		for(let j = 0; j < m1[0].length; j++) {
-			newM[i].push(m1[i][j] - m2[i][j]);
-		}
+/**
+ * Throws unless two element-wise operands have the same shape
+ * @private
+ */
+GV._checkSameShape = (m1, m2, name) => {
+	const s1 = GV._shapeOf(m1, name), s2 = GV._shapeOf(m2, name);
+	if(s1.length !== s2.length || s1.some((d, i) => d !== s2[i])) {
+		throw new Error(`${name}: shapes [${s1.join(', ')}] and [${s2.join(', ')}] differ; use GV.add or GV.multiply to broadcast`);
 	}
-	return new GV.Matrix(newM);
 }
 
 /**
@@ -962,27 +1150,18 @@ GV.subtractMatrix = (m1, m2, inplace=false) => {
  * @param {Matrix} m2 - The second matrix
  * @param {boolean} [inplace=false] - Whether to modify the first matrix in place
  * @returns {Matrix} The result of the addition	
+ * @throws {Error} If the matrices have different shapes
  */
 GV.addMatrix = (m1, m2, inplace=false) => {
-	
-	if(inplace) {
-		for(let i = 0; i < m1.length; i++) {
-			for(let j = 0; j < m1[0].length; j++) {
-				m1[i][j] += m2[i][j];
-				// No need to update m1.rows[i][j] as the proxy will handle it
-			}
-		}
-		return;
-	}
+	GV._checkSameShape(m1, m2, 'GV.addMatrix');
 
-	let newM = [];
-	for(let i = 0; i < m1.length; i++) {
-		newM.push([]);
-		for(let j = 0; j < m1[0].length; j++) {
-			newM[i].push(m1[i][j] + m2[i][j]);
-		}
+	const out = inplace ? m1.values : new m1.values.constructor(m1.values.length);
+	const a = m1.values, b = m2.values;
+	for(let k = 0; k < a.length; k++) {
+		out[k] = a[k] + b[k];
 	}
-	return new GV.Matrix(newM);
+	if(inplace) return;
+	return new GV.Matrix(out, [...m1._dims]);
 }
 
 /**
@@ -991,55 +1170,18 @@ GV.addMatrix = (m1, m2, inplace=false) => {
  * @param {Matrix} m2 - The second matrix
  * @param {boolean} [inplace=false] - Whether to modify the first matrix in place
  * @returns {Matrix} The result of the multiplication
+ * @throws {Error} If the matrices have different shapes
  */	
 GV.multiplyMatrix = (m1, m2, inplace=false) => {
-	
-	if(inplace) {
-		for(let i = 0; i < m1.length; i++) {
-			for(let j = 0; j < m1[0].length; j++) {
-				m1[i][j] *= m2[i][j];
-				// No need to update m1.rows[i][j] as the proxy will handle it
-			}
-		}
-		return;
-	}
-
-	let newM = [];
-	for(let i = 0; i < m1.length; i++) {
-		newM.push([]);
-		for(let j = 0; j < m1[0].length; j++) {
-			newM[i].push(m1[i][j] * m2[i][j]);
-		}
-	}
-	return new GV.Matrix(newM);
-}
-
-/**
- * Multiplies a matrix and a vector
- * @param {Matrix} m - The matrix
- * @param {Vector} v - The vector
- * @param {boolean} [inplace=false] - Whether to modify the first matrix in place
- * @returns {Matrix} The result of the multiplication
- */	
-GV.multiplyMatrixVector = (m, v, inplace=false) => {
-	
-	if(inplace) {
-		for(let i = 0; i < m.length; i++) {
-			for(let j = 0; j < m[0].length; j++) {
-				m[i][j] *= v[i];
-			}
-		}
-		return;
-	}
+	GV._checkSameShape(m1, m2, 'GV.multiplyMatrix');
 
-	let newM = [];
-	for(let i = 0; i < m.length; i++) {
-		newM.push([]);
-		for(let j = 0; j < m[0].length; j++) {
-			newM[i].push(m[i][j]*v[i]);
-		}
+	const out = inplace ? m1.values : new m1.values.constructor(m1.values.length);
+	const a = m1.values, b = m2.values;
+	for(let k = 0; k < a.length; k++) {
+		out[k] = a[k] * b[k];
 	}
-	return new GV.Matrix(newM);
+	if(inplace) return;
+	return new GV.Matrix(out, [...m1._dims]);
 }
 
 /**
@@ -1060,31 +1202,13 @@ GV.mapMat = (m, f, inplace=false) => {
 		return m;
 	}
 	
-	if(inplace) {
-		const rows = m.length;
-		const cols = m[0].length;
-		for(let i = 0; i < rows; i++) {
-			const row = m[i];
-			for(let j = 0; j < cols; j++) {
-				row[j] = f(row[j]);
-			}
-			m[i] = row;
-		}
-		return;
-	}
-
-	// Pre-allocate result matrix
-	const newM = Array(m.length).fill(0).map(() => Array(m[0].length).fill(0));
-	const rows = m.length;
-	const cols = m[0].length;
-	
-	for(let i = 0; i < rows; i++) {
-		const row = m[i];
-		for(let j = 0; j < cols; j++) {
-			newM[i][j] = f(row[j]);
-		}
+	const values = m.values;
+	const out = inplace ? values : new values.constructor(values.length);
+	for(let k = 0; k < values.length; k++) {
+		out[k] = f(values[k]);
 	}
-	return new GV.Matrix(newM);
+	if(inplace) return;
+	return new GV.Matrix(out, [...m._dims]);
 }
 
 /**
@@ -1151,92 +1275,96 @@ GV.exp = (mv, inplace=false) => {
 }
 
 /**
- * Calculates the sum of all elements in a vector or matrix
- * @param {Vector|Matrix} mv - The vector or matrix to sum
- * @param {number|null} axis - The axis along which to sum (0 for columns, 1 for rows, null for global sum)
- * @returns {number|Vector} The sum value(s)
+ * Calculates the sum of the elements of a vector, matrix or tensor
+ * @param {Vector|Matrix|Tensor} mv - The values to sum
+ * @param {number|Array<number>|null} [axis=null] - Axis or axes to sum over (0 for columns and 1 for rows of a matrix,
+ * negative axes count from the end), null for all elements
+ * @param {boolean} [keepdims=false] - Whether to keep the summed axes with size 1
+ * @returns {number|Vector|Matrix|Tensor} The sum, or the sums over the remaining axes
  */
-GV.sum = (mv, axis = null) => {
-	if(mv.type === 'Vector') {
-		if(axis !== null) {
-			throw new Error('Vector sum operation does not support axis parameter');
-		}
-		let sum = 0;
-		for(let i = 0; i < mv.values.length; i++) {
-			sum += mv.values[i];
-		}
-		return sum;
-	} else if(mv.type === 'Matrix') {
-		if(axis === null) {
-			// Use a single loop for better performance
-			let sum = 0;
-			const rows = mv.length;
-			const cols = mv[0].length;
-			for(let i = 0; i < rows; i++) {
-				const row = mv[i];
-				for(let j = 0; j < cols; j++) {
-					sum += row[j];
-				}
-			}
-			return sum;
-		} else if(axis === 0) {
-			// Pre-allocate result vector
-			const sums = new Array(mv[0].length).fill(0);
-			const rows = mv.length;
-			for(let i = 0; i < rows; i++) {
-				for(let j = 0; j < mv[0].length; j++) {
-					sums[j] += mv[i][j];
-				}
-			}
-			return new GV.Vector(sums);
-		} else if(axis === 1) {
-			// Pre-allocate result vector
-			const sums = new Array(mv.length).fill(0);
-			for(let i = 0; i < mv.length; i++) {
-				const row = mv[i];
-				for(let j = 0; j < row.length; j++) {
-					sums[i] += row[j];
-				}
-			}
-			return new GV.Vector(sums);
-		}
-	}
+GV.sum = (mv, axis=null, keepdims=false) => {
+	const reduction = GV._reduction(mv, axis, keepdims, 'GV.sum');
+	const sums = GV._reduceValues(reduction, 'sum');
+	return GV._wrapResult(sums, reduction.outShape, mv.type === 'Tensor');
 }
 
 /**
- * Adds a value to all elements of a matrix or vector
- * @param {Matrix|Vector} mv - The matrix or vector
- * @param {number} value - The value to add
- * @param {boolean} [inplace=false] - Whether to modify the matrix or vector in place
- * @returns {Matrix|Vector} The result of the addition	
+ * Adds two values element-wise with broadcasting: scalars, vectors, matrices and tensors
+ * are aligned on their last dimension, and dimensions of size 1 are repeated to match
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {boolean} [inplace=false] - Whether to write the result into a
+ * @returns {number|Vector|Matrix|Tensor} The result of the addition
+ * @throws {Error} If the shapes cannot be broadcast together
  */
-GV.add = (mv, value, inplace=false) => {
-	if(mv.type === 'Matrix') {
-		if(inplace) { GV.mapMat(mv, (x) => x+value, true); return; }
-		return GV.mapMat(mv, (x) => x+value, false);
-	}
-	if(mv.type === 'Vector') {
-		if(inplace) { GV.mapVec(mv, (x) => x+value, true); return; }
-		return GV.mapVec(mv, (x) => x+value, false);
-	}
+GV.add = (a, b, inplace=false) => {
+	return GV._broadcastOp(a, b, (x, y) => x + y, inplace, 'GV.add');
 }
 
 /**
- * Raises all elements of a matrix or vector to a power
- * @param {Matrix|Vector} mv - The matrix or vector
- * @param {number} pow - The power to raise the elements to
- * @param {boolean} [inplace=false] - Whether to modify the matrix or vector in place
- * @returns {Matrix|Vector} The result of the power operation
+ * Subtracts b from a element-wise with broadcasting (see GV.add)
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {boolean} [inplace=false] - Whether to write the result into a
+ * @returns {number|Vector|Matrix|Tensor} The result of the subtraction
+ */
+GV.subtract = (a, b, inplace=false) => {
+	return GV._broadcastOp(a, b, (x, y) => x - y, inplace, 'GV.subtract');
+}
+
+/**
+ * Multiplies two values element-wise with broadcasting (see GV.add)
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {boolean} [inplace=false] - Whether to write the result into a
+ * @returns {number|Vector|Matrix|Tensor} The result of the multiplication
+ */
+GV.multiply = (a, b, inplace=false) => {
+	return GV._broadcastOp(a, b, (x, y) => x * y, inplace, 'GV.multiply');
+}
+
+/**
+ * Divides a by b element-wise with broadcasting (see GV.add)
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {boolean} [inplace=false] - Whether to write the result into a
+ * @returns {number|Vector|Matrix|Tensor} The result of the division
+ */
+GV.divide = (a, b, inplace=false) => {
+	return GV._broadcastOp(a, b, (x, y) => x / y, inplace, 'GV.divide');
+}
+
+/**
+ * Element-wise maximum of two values with broadcasting (see GV.add)
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {boolean} [inplace=false] - Whether to write the result into a
+ * @returns {number|Vector|Matrix|Tensor} The larger element of each pair
+ */
+GV.maximum = (a, b, inplace=false) => {
+	return GV._broadcastOp(a, b, (x, y) => x > y || x !== x ? x : y, inplace, 'GV.maximum');
+}
+
+/**
+ * Element-wise minimum of two values with broadcasting (see GV.add)
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {boolean} [inplace=false] - Whether to write the result into a
+ * @returns {number|Vector|Matrix|Tensor} The smaller element of each pair
+ */
+GV.minimum = (a, b, inplace=false) => {
+	return GV._broadcastOp(a, b, (x, y) => x < y || x !== x ? x : y, inplace, 'GV.minimum');
+}
+
+/**
+ * Raises the elements of a to the powers in b, element-wise with broadcasting (see GV.add)
+ * @param {number|Vector|Matrix|Tensor} mv - The base
+ * @param {number|Vector|Matrix|Tensor} pow - The power
+ * @param {boolean} [inplace=false] - Whether to write the result into mv
+ * @returns {number|Vector|Matrix|Tensor} The result of the power operation
  */	
 GV.pow = (mv, pow, inplace=false) => {
-	if(mv.type === 'Matrix') {
-		if(inplace) { GV.mapMat(mv, (x) => x**pow, true); return; }
-		return GV.mapMat(mv, (x) => x**pow, false);
-	}
-	if(mv.type === 'Vector') {
-		if(inplace) { GV.mapVec(mv, (x) => x**pow, true); return; }
-		return GV.mapVec(mv, (x) => x**pow, false);
-	}
+	return GV._broadcastOp(mv, pow, (x, y) => x ** y, inplace, 'GV.pow');
 }
 
 /**
@@ -1322,46 +1450,11 @@ GV.oneOver = (mv, inplace=false) => {
 
 /**
  * Inverts a matrix
+ * @deprecated Use GV.inv, or GV.invAsync to compute it in a worker
  * @param {Matrix} m - The matrix to invert
- * @returns {Matrix} The inverse of the matrix
+ * @returns {Promise<Matrix>} The inverse of the matrix
  */	
-GV.inverse = async (m) => {
-
-	let augmented = [];
-
-	for(let i = 0; i < m.length; i++) {
-
-		let newRow = new Array(m.length).fill(0);
-		newRow[i] = 1;
-	
-		augmented.push(m[i].slice().concat(newRow));
-	}
-
-	for(let i = 0; i < augmented.length; i++) {
-		
-		let scale = augmented[i][i];
-		if(scale === 0) return null;
-
-		GV.scaleVector(augmented[i], 1/scale, true);
-
-		for(let j = 0; j < augmented.length; j++) {
-
-			if(i === j) continue;
-
-			let newScale = augmented[j][i];
-			let toSubtract = GV.scaleVector(new GV.Vector(augmented[i]), newScale);
-			GV.subtractVector(augmented[j], toSubtract, true);
-		}
-	}
-
-
-	let ret = [];
-	for(let i = 0; i < m.length; i++) {
-		ret.push(augmented[i].slice(m.length, 2*m.length));
-	}
-
-	return new GV.Matrix(ret);
-}
+GV.inverse = (m) => GV.invAsync(m);
 
 /**
  * Finds the index of the minimum value in a vector
@@ -1462,9 +1555,10 @@ GV.argmax = (mv, axis=null) => {
  * Randomly permutes the elements of a vector or matrix
  * @param {Vector|Matrix} v - The vector or matrix to permute
  * @param {number|null} axis - The axis along which to permute (0 for rows, 1 for columns, null for all elements)
+ * @param {Random} [rng=GV.random] - Generator to draw from
  * @returns {Vector|Matrix} The permuted vector or matrix
  */	
-GV.randomPermutation = (v, axis=null) => {
+GV.randomPermutation = (v, axis=null, rng=GV.random) => {
 	// Input validation
 	if (!v) {
 		console.error('Input is undefined or null');
@@ -1479,7 +1573,7 @@ GV.randomPermutation = (v, axis=null) => {
 		// Fisher-Yates (Knuth) shuffle algorithm
 		for (let i = result.length - 1; i > 0; i--) {
 			// Generate a random index between 0 and i (inclusive)
-			const j = Math.floor(Math.random() * (i + 1));
+			const j = rng.int(i + 1);
 			
 			// Swap elements
 			const temp = result.values[i];
@@ -1505,7 +1599,7 @@ GV.randomPermutation = (v, axis=null) => {
 			const flattened = GV.flatten(result);
 			
 			// Shuffle the flattened vector
-			const shuffled = GV.randomPermutation(flattened);
+			const shuffled = GV.randomPermutation(flattened, null, rng);
 			
 			// Reshape back to the original dimensions
 			return GV.reshapeMatrix(shuffled, result.length, result[0].length);
@@ -1515,16 +1609,12 @@ GV.randomPermutation = (v, axis=null) => {
 		if (axis === 0) {
 			// Fisher-Yates shuffle for rows
 			for (let i = result.length - 1; i > 0; i--) {
-				const j = Math.floor(Math.random() * (i + 1));
+				const j = rng.int(i + 1);
 				
-				// Swap rows
-				const temp = result.rows[i];
-				result.rows[i] = result.rows[j];
-				result.rows[j] = temp;
-				
-				// Update direct properties
-				result[i] = result.rows[i];
-				result[j] = result.rows[j];
+				// Swap row contents (rows are views into the matrix storage)
+				const temp = result.rows[i].slice();
+				result.rows[i].set(result.rows[j]);
+				result.rows[j].set(temp);
 			}
 			
 			return result;
@@ -1534,17 +1624,13 @@ GV.randomPermutation = (v, axis=null) => {
 		if (axis === 1) {
 			// Fisher-Yates shuffle for columns
 			for (let i = result[0].length - 1; i > 0; i--) {
-				const j = Math.floor(Math.random() * (i + 1));
+				const j = rng.int(i + 1);
 				
 				// Swap columns
 				for (let row = 0; row < result.length; row++) {
 					const temp = result.rows[row][i];
 					result.rows[row][i] = result.rows[row][j];
 					result.rows[row][j] = temp;
-					
-					// Update direct properties
-					result[row][i] = result.rows[row][i];
-					result[row][j] = result.rows[row][j];
 				}
 			}
 			
@@ -1560,43 +1646,52 @@ GV.randomPermutation = (v, axis=null) => {
 }
 
 /**
- * Creates a new matrix or vector from specified indices
- * @param {Matrix|Vector} mv - The matrix or vector to extract elements from
- * @param {Vector} indices - The indices of the elements to extract
- * @param {number|null} axis - The axis along which to extract elements (0 for rows, 1 for columns, null for all elements)
- * @returns {Matrix|Vector} The new matrix or vector with extracted elements	
+ * Creates a new matrix, vector or tensor from specified indices
+ * @param {Matrix|Vector|Tensor} mv - The matrix, vector or tensor to extract elements from (tensors along axis 0)
+ * @param {Vector|Array<number>} indices - The indices of the elements to extract
+ * @param {number|null} axis - The axis along which to extract elements (0 or null for rows, 1 for columns)
+ * @returns {Matrix|Vector|Tensor} The new matrix, vector or tensor with extracted elements	
  */
 GV.fromIndices = (mv, indices, axis=null) => {
 
-	if(mv.type === 'Matrix') {
+	if(indices.type === 'Vector') indices = indices.values;
 
-		let newM = [];
+	if(mv.type === 'Tensor') {
 
-		if(axis === null || axis === 0) {
-			
-			for(let i = 0; i < indices.length; i++) {
-				newM.push(mv[i]);
-			}
-			
+		// Gather entries along the first axis
+		const rowSize = mv.size / mv.shape[0];
+		const out = new GV.Tensor([indices.length, ...mv.shape.slice(1)]);
+		for(let i = 0; i < indices.length; i++) {
+			out.values.set(mv.values.subarray(indices[i] * rowSize, (indices[i] + 1) * rowSize), i * rowSize);
 		}
+		return out;
+
+	} else if(mv.type === 'Matrix') {
+
+		const [rows, cols] = mv._dims;
 
 		if(axis === 1) {
-			
-			for(let i = 0; i < mv.length; i++) {
-				newM.push([]);
+			const out = new mv.values.constructor(rows * indices.length);
+			for(let i = 0; i < rows; i++) {
 				for(let j = 0; j < indices.length; j++) {
-					newM[i].push(mv[i][j]);
+					out[i * indices.length + j] = mv.values[i * cols + indices[j]];
 				}
 			}
+			return new GV.Matrix(out, [rows, indices.length]);
 		}
 
-		return new GV.Matrix(newM);
+		// Rows, copied into the same storage type
+		const out = new mv.values.constructor(indices.length * cols);
+		for(let i = 0; i < indices.length; i++) {
+			out.set(mv.values.subarray(indices[i] * cols, (indices[i] + 1) * cols), i * cols);
+		}
+		return new GV.Matrix(out, [indices.length, cols]);
 
 	} else if(mv.type === 'Vector') {
 
 		let newV = [];
 		for(let i = 0; i < indices.length; i++) {
-			newV.push(mv[i]);
+			newV.push(mv.values[indices[i]]);
 		}
 		return new GV.Vector(newV);
 	}
@@ -1619,12 +1714,7 @@ GV.zeros = (...shape) => {
 	if(shape.length === 0) return new GV.Vector([]);
 	if(shape.length === 1) return new GV.Vector(Array(shape[0]).fill(0));
 	
-	let m = [];
-	for(let i = 0; i < shape[0]; i++) {
-		m.push(Array(shape[1]).fill(0));
-	}
-
-	return new GV.Matrix(m);
+	return new GV.Matrix([shape[0], shape[1]]);
 }
 
 /**
@@ -1637,16 +1727,12 @@ GV.ones = (...shape) => {
 	if(shape.length === 0) return new GV.Vector([]);
 	if(shape.length === 1) return new GV.Vector(Array(shape[0]).fill(1));
 
-	let m = [];
-	for(let i = 0; i < shape[0]; i++) {
-		m.push(Array(shape[1]).fill(1));
-	}
-
-	return new GV.Matrix(m);
+	return new GV.Matrix(new Float64Array(shape[0] * shape[1]).fill(1), [shape[0], shape[1]]);
 }
 
 /**
  * Scales all elements of a vector
+ * @deprecated Use GV.multiply(v, scale)
  * @param {Vector} v - The vector to scale
  * @param {number} scale - The value to scale the elements by
  * @param {boolean} [inplace=false] - Whether to modify the vector in place
@@ -1668,283 +1754,358 @@ GV.scaleVector = (v, scale, inplace=false) => {
 	return new GV.Vector(newV);
 }
 
-// ******************* Statistical Functions *********************
+// ******************* Broadcasting *********************
 
 /**
- * Calculates the mean of elements in a vector or matrix
- * @param {Vector|Matrix} mv - The vector or matrix to calculate mean for
- * @param {number|null} axis - The axis along which to calculate mean (0 for columns, 1 for rows, null for global mean)
- * @returns {number|Vector} The mean value(s)
- */
-GV.mean = (mv, axis=null) => {
-    if(mv.type === 'Vector') {
-        return mv.values.reduce((a, b) => a + b, 0) / mv.values.length;
-    } else if(mv.type === 'Matrix') {
-        if(axis === null) {
-            return mv.rows.flat().reduce((a, b) => a + b, 0) / (mv.rows.length * mv.rows[0].length);
-        } else if(axis === 0) {
-            const means = new Array(mv.rows[0].length).fill(0);
-            for(let i = 0; i < mv.rows.length; i++) {
-                for(let j = 0; j < mv.rows[0].length; j++) {
-                    means[j] += mv.rows[i][j];
-                }
-            }
-            return new GV.Vector(means.map(m => m / mv.rows.length));
-        } else if(axis === 1) {
-            const means = new Array(mv.rows.length).fill(0);
-            for(let i = 0; i < mv.rows.length; i++) {
-                for(let j = 0; j < mv.rows[0].length; j++) {
-                    means[i] += mv.rows[i][j];
-                }
-            }
-            return new GV.Vector(means.map(m => m / mv.rows[0].length));
-        }
-    }
-    throw new Error('Unsupported operation');
+ * Returns the shape of a scalar ([]), Vector, Matrix or Tensor
+ * @private
+ * @param {number|Vector|Matrix|Tensor} x - The operand
+ * @param {string} name - Function name for error messages
+ * @returns {Array<number>} The shape
+ */
+GV._shapeOf = (x, name) => {
+	if(typeof x === 'number') return [];
+	if(x && x.type === 'Vector') return [x.values.length];
+	if(x && x.type === 'Matrix') return [...x._dims];
+	if(x && x.type === 'Tensor') return x.shape.slice();
+	throw new Error(`${name} expects numbers, Vectors, Matrices or Tensors, got ${x && x.type ? x.type : typeof x}`);
 }
 
+// Row-major values of an operand; a scalar is a single value
+GV._valuesOf = (x) => typeof x === 'number' ? [x] : x.values;
+
 /**
- * Calculates the variance of elements in a vector or matrix
- * @param {Vector|Matrix} mv - The vector or matrix to calculate variance for
- * @param {number|null} axis - The axis along which to calculate variance (0 for columns, 1 for rows, null for global variance)
- * @param {number} [ddof=0] - Delta degrees of freedom. The divisor used in calculations is N - ddof, where N represents the number of elements
- * @returns {number|Vector} The variance value(s)
+ * Computes the shape that the given shapes broadcast to. Shapes are aligned on
+ * their last dimension; each pair of dimensions must be equal or one of them 1.
+ * @param {...Array<number>} shapes - The shapes
+ * @returns {Array<number>} The broadcast shape
+ * @throws {Error} If the shapes cannot be broadcast together
  */
-GV.var = (mv, axis = null, ddof = 0) => {
-	if(mv.type === 'Vector') {
-		if(axis !== null) {
-			throw new Error('Vector variance operation does not support axis parameter');
-		}
-		const n = mv.values.length;
-		const meanVal = GV.mean(mv);
-		let sumSquaredDiff = 0;
-		for(let i = 0; i < n; i++) {
-			const diff = mv.values[i] - meanVal;
-			sumSquaredDiff += diff * diff;
-		}
-		return sumSquaredDiff / (n - ddof);
-	} else if(mv.type === 'Matrix') {
-		if(axis === null) {
-			// Global variance
-			const meanVal = GV.mean(mv);
-			let sumSquaredDiff = 0;
-			const rows = mv.length;
-			const cols = mv[0].length;
-			for(let i = 0; i < rows; i++) {
-				for(let j = 0; j < cols; j++) {
-					const diff = mv[i][j] - meanVal;
-					sumSquaredDiff += diff * diff;
-				}
-			}
-			return sumSquaredDiff / (rows * cols - ddof);
-		} else if(axis === 0) {
-			// Variance along columns
-			const means = GV.mean(mv, 0);
-			const rows = mv.length;
-			const cols = mv[0].length;
-			const variances = new Array(cols);
-			for(let j = 0; j < cols; j++) {
-				let sumSquaredDiff = 0;
-				for(let i = 0; i < rows; i++) {
-					const diff = mv[i][j] - means.values[j];
-					sumSquaredDiff += diff * diff;
-				}
-				variances[j] = sumSquaredDiff / (rows - ddof);
-			}
-			return new GV.Vector(variances);
-		} else if(axis === 1) {
-			// Variance along rows
-			const means = GV.mean(mv, 1);
-			const rows = mv.length;
-			const cols = mv[0].length;
-			const variances = new Array(rows);
-			for(let i = 0; i < rows; i++) {
-				let sumSquaredDiff = 0;
-				for(let j = 0; j < cols; j++) {
-					const diff = mv[i][j] - means.values[i];
-					sumSquaredDiff += diff * diff;
-				}
-				variances[i] = sumSquaredDiff / (cols - ddof);
+GV.broadcastShapes = (...shapes) => {
+	const rank = Math.max(0, ...shapes.map(s => s.length));
+	const shape = new Array(rank).fill(1);
+	for(const s of shapes) {
+		for(let i = 0; i < s.length; i++) {
+			const d = rank - s.length + i;
+			if(s[i] === shape[d] || s[i] === 1) continue;
+			if(shape[d] !== 1) {
+				const listed = shapes.map(x => `[${x.join(', ')}]`);
+				throw new Error(`Cannot broadcast shapes ${listed.slice(0, -1).join(', ')} and ${listed[listed.length - 1]}`);
 			}
-			return new GV.Vector(variances);
+			shape[d] = s[i];
 		}
 	}
+	return shape;
 }
 
 /**
- * Calculates the standard deviation of elements in a vector or matrix
- * @param {Vector|Matrix} mv - The vector or matrix to calculate standard deviation for
- * @param {number|null} axis - The axis along which to calculate standard deviation (0 for columns, 1 for rows, null for global standard deviation)
- * @param {number} [ddof=0] - Delta degrees of freedom. The divisor used in calculations is N - ddof, where N represents the number of elements
- * @returns {number|Vector} The standard deviation value(s)
- */
-GV.std = (mv, axis=null, ddof=0) => {
-    const variance = GV.var(mv, axis, ddof);
-    if(mv.type === 'Vector' || axis === null) {
-        return Math.sqrt(variance);
-    } else if(mv.type === 'Matrix') {
-        if(axis === 0 || axis === 1) {
-            return new GV.Vector(variance.values.map(v => Math.sqrt(v)));
-        }
-    }
-    return Math.sqrt(variance);
+ * Applies f to the elements of two row-major arrays broadcast to shape
+ * @private
+ * @param {ArrayLike<number>} a - Values of the first operand
+ * @param {Array<number>} aShape - Shape of the first operand
+ * @param {ArrayLike<number>} b - Values of the second operand
+ * @param {Array<number>} bShape - Shape of the second operand
+ * @param {Function} f - f(a, b) for each pair of elements
+ * @param {Array<number>} shape - The broadcast shape
+ * @param {ArrayLike<number>} out - Output values, may be a when a already has the broadcast shape
+ * @returns {ArrayLike<number>} out
+ */
+GV._broadcastValues = (a, aShape, b, bShape, f, shape, out) => {
+	const size = out.length;
+	if(a.length === size && b.length === size) {
+		for(let k = 0; k < size; k++) out[k] = f(a[k], b[k]);
+		return out;
+	}
+	if(b.length === 1 && a.length === size) {
+		const y = b[0];
+		for(let k = 0; k < size; k++) out[k] = f(a[k], y);
+		return out;
+	}
+	if(a.length === 1 && b.length === size) {
+		const x = a[0];
+		for(let k = 0; k < size; k++) out[k] = f(x, b[k]);
+		return out;
+	}
+
+	// Strides of each operand in the broadcast shape, 0 along broadcast dimensions
+	const rank = shape.length;
+	const stridesFor = (s) => {
+		const strides = new Array(rank).fill(0);
+		let stride = 1;
+		for(let i = s.length - 1; i >= 0; i--) {
+			if(s[i] !== 1) strides[rank - s.length + i] = stride;
+			stride *= s[i];
+		}
+		return strides;
+	};
+	const sa = stridesFor(aShape), sb = stridesFor(bShape);
+	const last = rank - 1;
+	const n = shape[last], ia = sa[last], ib = sb[last];
+	const idx = new Array(rank).fill(0);
+	let oa = 0, ob = 0;
+	for(let k = 0; k < size;) {
+		for(let j = 0, pa = oa, pb = ob; j < n; j++, k++, pa += ia, pb += ib) {
+			out[k] = f(a[pa], b[pb]);
+		}
+		for(let d = last - 1; d >= 0; d--) {
+			oa += sa[d];
+			ob += sb[d];
+			if(++idx[d] < shape[d]) break;
+			oa -= sa[d] * shape[d];
+			ob -= sb[d] * shape[d];
+			idx[d] = 0;
+		}
+	}
+	return out;
 }
 
 /**
- * Finds the minimum value in a vector or matrix
- * @param {Vector|Matrix} mv - The vector or matrix to find the minimum value in
- * @param {number|null} axis - The axis along which to find the minimum (0 for columns, 1 for rows, null for global minimum)
- * @returns {number|Vector} The minimum value(s)
+ * Wraps row-major values in the type matching their rank: a number for rank 0, a Vector
+ * for rank 1, a Matrix for rank 2 and a Tensor otherwise (or always, if tensor is set)
+ * @private
  */
-GV.min = (mv, axis = null) => {
-	if(mv.type === 'Vector') {
-		if(axis !== null) {
-			throw new Error('Vector min operation does not support axis parameter');
-		}
-		let min = mv.values[0];
-		for(let i = 1; i < mv.values.length; i++) {
-			if(mv.values[i] < min) min = mv.values[i];
-		}
-		return min;
-	} else if(mv.type === 'Matrix') {
-		if(axis === null) {
-			// Use a single loop for better performance
-			let min = mv[0][0];
-			const rows = mv.length;
-			const cols = mv[0].length;
-			for(let i = 0; i < rows; i++) {
-				const row = mv[i];
-				for(let j = 0; j < cols; j++) {
-					if(row[j] < min) min = row[j];
-				}
-			}
-			return min;
-		} else if(axis === 0) {
-			// Pre-allocate result vector
-			const mins = new Array(mv[0].length);
-			const rows = mv.length;
-			for(let j = 0; j < mv[0].length; j++) {
-				mins[j] = mv[0][j];
-				for(let i = 1; i < rows; i++) {
-					if(mv[i][j] < mins[j]) mins[j] = mv[i][j];
-				}
-			}
-			return new GV.Vector(mins);
-		} else if(axis === 1) {
-			// Pre-allocate result vector
-			const mins = new Array(mv.length);
-			for(let i = 0; i < mv.length; i++) {
-				mins[i] = mv[i][0];
-				const row = mv[i];
-				for(let j = 1; j < row.length; j++) {
-					if(row[j] < mins[i]) mins[i] = row[j];
-				}
-			}
-			return new GV.Vector(mins);
-		}
+GV._wrapResult = (values, shape, tensor=false) => {
+	if(shape.length === 0) return values[0];
+	if(tensor || shape.length > 2) {
+		return new GV.Tensor(shape, values instanceof Float64Array ? values : Float64Array.from(values));
 	}
+	if(shape.length === 1) return new GV.Vector(Array.from(values));
+	return new GV.Matrix(values, shape);
 }
 
 /**
- * Finds the maximum value in a vector or matrix
- * @param {Vector|Matrix} mv - The vector or matrix to find the maximum value in
- * @param {number|null} axis - The axis along which to find the maximum (0 for columns, 1 for rows, null for global maximum)
- * @returns {number|Vector} The maximum value(s)
+ * Element-wise operation with broadcasting
+ * @private
+ * @param {number|Vector|Matrix|Tensor} a - The first operand
+ * @param {number|Vector|Matrix|Tensor} b - The second operand
+ * @param {Function} f - f(a, b) for each pair of elements
+ * @param {boolean} inplace - Whether to write the result into a, which must then have the broadcast shape
+ * @param {string} name - Function name for error messages
+ * @returns {number|Vector|Matrix|Tensor|undefined} The result, or nothing when in place
  */
-GV.max = (mv, axis = null) => {
-	if(mv.type === 'Vector') {
-		if(axis !== null) {
-			throw new Error('Vector max operation does not support axis parameter');
-		}
-		let max = mv.values[0];
-		for(let i = 1; i < mv.values.length; i++) {
-			if(mv.values[i] > max) max = mv.values[i];
+GV._broadcastOp = (a, b, f, inplace, name) => {
+	const aShape = GV._shapeOf(a, name), bShape = GV._shapeOf(b, name);
+	let shape;
+	try {
+		shape = GV.broadcastShapes(aShape, bShape);
+	} catch(error) {
+		throw new Error(`${name}: ${error.message}`);
+	}
+	const av = GV._valuesOf(a), bv = GV._valuesOf(b);
+
+	if(inplace) {
+		if(typeof a === 'number' || shape.length !== aShape.length || shape.some((d, i) => d !== aShape[i])) {
+			throw new Error(`${name}: cannot write a result of shape [${shape.join(', ')}] in place into shape [${aShape.join(', ')}]`);
 		}
-		return max;
-	} else if(mv.type === 'Matrix') {
-		if(axis === null) {
-			// Use a single loop for better performance
-			let max = mv[0][0];
-			const rows = mv.length;
-			const cols = mv[0].length;
-			for(let i = 0; i < rows; i++) {
-				const row = mv[i];
-				for(let j = 0; j < cols; j++) {
-					if(row[j] > max) max = row[j];
-				}
-			}
-			return max;
-		} else if(axis === 0) {
-			// Pre-allocate result vector
-			const maxs = new Array(mv[0].length);
-			const rows = mv.length;
-			for(let j = 0; j < mv[0].length; j++) {
-				maxs[j] = mv[0][j];
-				for(let i = 1; i < rows; i++) {
-					if(mv[i][j] > maxs[j]) maxs[j] = mv[i][j];
-				}
+		GV._broadcastValues(av, aShape, bv, bShape, f, shape, av);
+		return;
+	}
+
+	// float32 matrices stay float32 unless combined with float64 data
+	const single = (x) => typeof x === 'number' || x.values instanceof Float32Array;
+	const Storage = single(a) && single(b) && !(typeof a === 'number' && typeof b === 'number') ? Float32Array : Float64Array;
+	const out = new Storage(shape.reduce((p, d) => p * d, 1));
+	GV._broadcastValues(av, aShape, bv, bShape, f, shape, out);
+	return GV._wrapResult(out, shape, a.type === 'Tensor' || b.type === 'Tensor');
+}
+
+/**
+ * Broadcasts a value to a shape
+ * @param {number|Vector|Matrix|Tensor} x - The value
+ * @param {Array<number>} shape - The target shape
+ * @returns {Vector|Matrix|Tensor} A new object of the target shape
+ * @throws {Error} If x cannot be broadcast to shape
+ */
+GV.broadcastTo = (x, shape) => {
+	const xShape = GV._shapeOf(x, 'GV.broadcastTo');
+	const target = GV.broadcastShapes(xShape, shape);
+	if(target.length !== shape.length || target.some((d, i) => d !== shape[i])) {
+		throw new Error(`GV.broadcastTo: cannot broadcast shape [${xShape.join(', ')}] to [${shape.join(', ')}]`);
+	}
+	const out = new Float64Array(shape.reduce((p, d) => p * d, 1));
+	GV._broadcastValues(GV._valuesOf(x), xShape, [0], [], (v) => v, shape, out);
+	return GV._wrapResult(out, shape, x.type === 'Tensor');
+}
+
+/**
+ * Resolves an axis argument (null, an axis or an array of axes, negative axes
+ * counting from the end) to sorted, non-negative axes
+ * @private
+ */
+GV._normalizeAxes = (axis, shape, name) => {
+	const rank = shape.length;
+	if(axis === null || axis === undefined) return Array.from(Array(rank).keys());
+	const axes = (Array.isArray(axis) ? axis : [axis]).map(a => {
+		if(!Number.isInteger(a) || a < -rank || a >= rank) {
+			throw new Error(`${name}: axis ${a} is out of bounds for shape [${shape.join(', ')}]`);
+		}
+		return a < 0 ? a + rank : a;
+	});
+	if(new Set(axes).size !== axes.length) {
+		throw new Error(`${name}: repeated axis in [${axis}]`);
+	}
+	return axes.sort((a, b) => a - b);
+}
+
+/**
+ * Prepares a reduction of x over axis
+ * @private
+ * @returns {Object} { values, shape, axes, keptShape, outShape, count } where keptShape has
+ * the reduced axes as 1, outShape is the result shape and count the number of elements per result
+ */
+GV._reduction = (x, axis, keepdims, name) => {
+	const shape = GV._shapeOf(x, name);
+	const axes = GV._normalizeAxes(axis, shape, name);
+	const keptShape = shape.map((d, i) => axes.includes(i) ? 1 : d);
+	return {
+		values: GV._valuesOf(x),
+		shape,
+		axes,
+		keptShape,
+		outShape: keepdims ? keptShape : shape.filter((d, i) => !axes.includes(i)),
+		count: axes.reduce((p, i) => p * shape[i], 1)
+	};
+}
+
+/**
+ * Reduces row-major values over axes. NaN propagates through 'min' and 'max'.
+ * @private
+ * @param {Object} reduction - Output of GV._reduction
+ * @param {string} kind - 'sum', 'min' or 'max'
+ * @returns {Float64Array} Reduced values, laid out in keptShape
+ */
+GV._reduceValues = ({ values, shape, keptShape }, kind) => {
+	const init = kind === 'sum' ? 0 : kind === 'min' ? Infinity : -Infinity;
+	const out = new Float64Array(keptShape.reduce((p, d) => p * d, 1)).fill(init);
+	const rank = shape.length;
+	if(rank === 0) {
+		out[0] = values[0];
+		return out;
+	}
+
+	// Output strides, 0 along the reduced axes
+	const strides = new Array(rank);
+	for(let d = rank - 1, stride = 1; d >= 0; d--) {
+		strides[d] = keptShape[d] === 1 ? 0 : stride;
+		stride *= keptShape[d];
+	}
+	const last = rank - 1;
+	const n = shape[last], s = strides[last];
+	const idx = new Array(rank).fill(0);
+	let o = 0;
+	for(let k = 0; k < values.length;) {
+		if(kind === 'sum') {
+			for(let j = 0, p = o; j < n; j++, k++, p += s) out[p] += values[k];
+		} else if(kind === 'min') {
+			for(let j = 0, p = o; j < n; j++, k++, p += s) {
+				const v = values[k];
+				if(v < out[p] || v !== v) out[p] = v;
 			}
-			return new GV.Vector(maxs);
-		} else if(axis === 1) {
-			// Pre-allocate result vector
-			const maxs = new Array(mv.length);
-			for(let i = 0; i < mv.length; i++) {
-				maxs[i] = mv[i][0];
-				const row = mv[i];
-				for(let j = 1; j < row.length; j++) {
-					if(row[j] > maxs[i]) maxs[i] = row[j];
-				}
+		} else {
+			for(let j = 0, p = o; j < n; j++, k++, p += s) {
+				const v = values[k];
+				if(v > out[p] || v !== v) out[p] = v;
 			}
-			return new GV.Vector(maxs);
+		}
+		for(let d = last - 1; d >= 0; d--) {
+			o += strides[d];
+			if(++idx[d] < shape[d]) break;
+			o -= strides[d] * shape[d];
+			idx[d] = 0;
 		}
 	}
+	return out;
 }
 
-// ******************* Linear Algebra *********************
-
 /**
- * Calculates the determinant of a matrix
- * @param {Matrix} m - The matrix to calculate the determinant of
- * @returns {number|null} The determinant of the matrix
- */	
-GV.det = (m) => {
-    if(m.type !== 'Matrix') {
-        console.error('Input must be a Matrix');
-        return null;
-    }
-    
-    if(m.length !== m[0].length) {
-        console.error('Matrix must be square to calculate determinant');
-        return null;
-    }
-    
-    const n = m.length;
-    
-    // Handle small matrices directly
-    if(n === 1) return m[0][0];
-    if(n === 2) return m[0][0] * m[1][1] - m[0][1] * m[1][0];
-    if(n === 3) {
-        return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
-               m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
-               m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
-    }
+ * Variance over axes, in the kept shape of the reduction
+ * @private
+ */
+GV._variance = (reduction, ddof) => {
+	const { values, shape, keptShape, count } = reduction;
+	const means = GV._reduceValues(reduction, 'sum').map(s => s / count);
+	const squares = GV._broadcastValues(values, shape, means, keptShape, (x, m) => (x - m) * (x - m), shape, new Float64Array(values.length));
+	return GV._reduceValues({ ...reduction, values: squares }, 'sum').map(s => s / (count - ddof));
+}
 
-    // Use LU decomposition for larger matrices
-    const { L, U } = GV._luDecomposition(m);
-    if(!L || !U) return null;
-    
-    let det = 1;
-    for(let i = 0; i < n; i++) {
-        det *= U[i][i];
-    }
-    
-    return det;
-};
+// ******************* Statistical Functions *********************
 
 /**
- * Calculates the rank of a matrix
- * @param {Matrix} m - The matrix to calculate the rank of
- * @returns {number} The rank of the matrix
+ * Calculates the mean of the elements of a vector, matrix or tensor
+ * @param {Vector|Matrix|Tensor} mv - The values
+ * @param {number|Array<number>|null} [axis=null] - Axis or axes to average over (0 for columns and 1 for rows of a matrix),
+ * null for all elements
+ * @param {boolean} [keepdims=false] - Whether to keep the averaged axes with size 1
+ * @returns {number|Vector|Matrix|Tensor} The mean value(s)
+ */
+GV.mean = (mv, axis=null, keepdims=false) => {
+    const reduction = GV._reduction(mv, axis, keepdims, 'GV.mean');
+    const sums = GV._reduceValues(reduction, 'sum');
+    return GV._wrapResult(sums.map(s => s / reduction.count), reduction.outShape, mv.type === 'Tensor');
+}
+
+/**
+ * Calculates the variance of the elements of a vector, matrix or tensor
+ * @param {Vector|Matrix|Tensor} mv - The values
+ * @param {number|Array<number>|null} [axis=null] - Axis or axes to compute the variance over (0 for columns and 1 for rows
+ * of a matrix), null for all elements
+ * @param {number} [ddof=0] - Delta degrees of freedom. The divisor used in calculations is N - ddof, where N represents the number of elements
+ * @param {boolean} [keepdims=false] - Whether to keep the reduced axes with size 1
+ * @returns {number|Vector|Matrix|Tensor} The variance value(s)
+ */
+GV.var = (mv, axis=null, ddof=0, keepdims=false) => {
+	const reduction = GV._reduction(mv, axis, keepdims, 'GV.var');
+	return GV._wrapResult(GV._variance(reduction, ddof), reduction.outShape, mv.type === 'Tensor');
+}
+
+/**
+ * Calculates the standard deviation of the elements of a vector, matrix or tensor
+ * @param {Vector|Matrix|Tensor} mv - The values
+ * @param {number|Array<number>|null} [axis=null] - Axis or axes to compute the standard deviation over (0 for columns and 1
+ * for rows of a matrix), null for all elements
+ * @param {number} [ddof=0] - Delta degrees of freedom. The divisor used in calculations is N - ddof, where N represents the number of elements
+ * @param {boolean} [keepdims=false] - Whether to keep the reduced axes with size 1
+ * @returns {number|Vector|Matrix|Tensor} The standard deviation value(s)
+ */
+GV.std = (mv, axis=null, ddof=0, keepdims=false) => {
+    const reduction = GV._reduction(mv, axis, keepdims, 'GV.std');
+    return GV._wrapResult(GV._variance(reduction, ddof).map(Math.sqrt), reduction.outShape, mv.type === 'Tensor');
+}
+
+/**
+ * Finds the minimum of the elements of a vector, matrix or tensor
+ * @param {Vector|Matrix|Tensor} mv - The values
+ * @param {number|Array<number>|null} [axis=null] - Axis or axes to reduce (0 for columns and 1 for rows of a matrix),
+ * null for all elements
+ * @param {boolean} [keepdims=false] - Whether to keep the reduced axes with size 1
+ * @returns {number|Vector|Matrix|Tensor} The minimum value(s)
+ */
+GV.min = (mv, axis=null, keepdims=false) => {
+	const reduction = GV._reduction(mv, axis, keepdims, 'GV.min');
+	const mins = GV._reduceValues(reduction, 'min');
+	return GV._wrapResult(mins, reduction.outShape, mv.type === 'Tensor');
+}
+
+/**
+ * Finds the maximum of the elements of a vector, matrix or tensor
+ * @param {Vector|Matrix|Tensor} mv - The values
+ * @param {number|Array<number>|null} [axis=null] - Axis or axes to reduce (0 for columns and 1 for rows of a matrix),
+ * null for all elements
+ * @param {boolean} [keepdims=false] - Whether to keep the reduced axes with size 1
+ * @returns {number|Vector|Matrix|Tensor} The maximum value(s)
+ */
+GV.max = (mv, axis=null, keepdims=false) => {
+	const reduction = GV._reduction(mv, axis, keepdims, 'GV.max');
+	const maxs = GV._reduceValues(reduction, 'max');
+	return GV._wrapResult(maxs, reduction.outShape, mv.type === 'Tensor');
+}
+
+// ******************* Linear Algebra *********************
+
+/**
+ * Calculates the rank of a matrix
+ * @param {Matrix} m - The matrix to calculate the rank of
+ * @returns {number} The rank of the matrix
  */	
 GV.rank = (m) => {
 	// Convert to row echelon form and count non-zero rows
@@ -2040,7 +2201,7 @@ GV.eigenvalues = (m, maxIter=100, tol=1e-10) => {
 	}
 	
 	// Start with a random vector
-	let v = new GV.Vector(Array(m.length).fill(0).map(() => Math.random()));
+	let v = new GV.Vector(Array(m.length).fill(0).map(() => GV.random.random()));
 	
 	// Normalize
 	const norm = Math.sqrt(GV.dot(v, v));
@@ -2093,6 +2254,644 @@ GV.trace = (m) => {
 	return trace;
 }
 
+// ******************* Decompositions *********************
+
+/**
+ * Thrown when an operation needs an invertible matrix, e.g. GV.inv and GV.solve
+ */
+GV.SingularMatrixError = class SingularMatrixError extends Error {
+    constructor(message='Matrix is singular') {
+        super(message);
+        this.name = 'SingularMatrixError';
+    }
+}
+
+/**
+ * Checks that m is a Matrix, optionally square, and returns its dimensions
+ * @private
+ * @param {Matrix} m - The matrix
+ * @param {string} name - Function name for error messages
+ * @param {boolean} [square=false] - Whether m must be square
+ * @returns {Array<number>} [rows, cols]
+ */
+GV._checkMatrix = (m, name, square=false) => {
+    if(!m || m.type !== 'Matrix') {
+        throw new Error(`${name} expects a Matrix, got ${m && m.type ? m.type : typeof m}`);
+    }
+    const [rows, cols] = m._dims;
+    if(rows === 0 || cols === 0) {
+        throw new Error(`${name} expects a non-empty matrix`);
+    }
+    if(square && rows !== cols) {
+        throw new Error(`${name} expects a square matrix, got [${rows}, ${cols}]`);
+    }
+    return [rows, cols];
+}
+
+/**
+ * Checks that a matrix is symmetric up to rounding
+ * @private
+ */
+GV._checkSymmetric = (m, name) => {
+    const n = m.length;
+    const a = m.values;
+    let scale = 0;
+    for(let k = 0; k < a.length; k++) scale = Math.max(scale, Math.abs(a[k]));
+    for(let i = 0; i < n; i++) {
+        for(let j = 0; j < i; j++) {
+            if(Math.abs(a[i * n + j] - a[j * n + i]) > 1e-10 * scale) {
+                throw new Error(`${name} expects a symmetric matrix, entries [${i}, ${j}] and [${j}, ${i}] differ`);
+            }
+        }
+    }
+}
+
+/**
+ * Right-hand side of a linear system as row-major values with one column per system
+ * @private
+ * @returns {Object} { values, cols, wrap } where wrap(values, rows) restores the input type
+ */
+GV._rightHandSide = (b, rows, name) => {
+    if(b && b.type === 'Vector') {
+        if(b.length !== rows) {
+            throw new Error(`${name}: right-hand side has ${b.length} entries, expected ${rows}`);
+        }
+        return { values: Float64Array.from(b.values), cols: 1, wrap: (values) => new GV.Vector(Array.from(values)) };
+    }
+    if(b && b.type === 'Matrix') {
+        if(b.length !== rows) {
+            throw new Error(`${name}: right-hand side has ${b.length} rows, expected ${rows}`);
+        }
+        const cols = b._dims[1];
+        return { values: Float64Array.from(b.values), cols, wrap: (values, n) => new GV.Matrix(values, [n, cols]) };
+    }
+    throw new Error(`${name} expects a Vector or Matrix right-hand side`);
+}
+
+/**
+ * LU factorization with partial (row) pivoting, PA = LU, stored compactly: the
+ * strict lower triangle of lu holds L (unit diagonal), the rest holds U. A pivot
+ * no larger than n * eps * max|A| marks the matrix as singular; elimination
+ * continues past it unless it is exactly zero, so the diagonal still gives the determinant.
+ * @private
+ * @param {Matrix} m - Square matrix
+ * @param {string} [name='GV.lu'] - Function name for error messages
+ * @returns {Object} { lu, perm, sign, n, singular } where perm[i] is the row of A in row i of PA
+ * and sign the permutation's parity
+ */
+GV._luFactor = (m, name='GV.lu') => {
+    const [n] = GV._checkMatrix(m, name, true);
+    const lu = Float64Array.from(m.values);
+    const perm = new Int32Array(n);
+    for(let i = 0; i < n; i++) perm[i] = i;
+
+    let scale = 0;
+    for(let k = 0; k < lu.length; k++) scale = Math.max(scale, Math.abs(lu[k]));
+    const tiny = n * Number.EPSILON * scale;
+
+    let sign = 1;
+    let singular = scale === 0;
+    for(let k = 0; k < n; k++) {
+        // Largest remaining entry of column k becomes the pivot
+        let p = k;
+        for(let i = k + 1; i < n; i++) {
+            if(Math.abs(lu[i * n + k]) > Math.abs(lu[p * n + k])) p = i;
+        }
+        if(p !== k) {
+            for(let j = 0; j < n; j++) {
+                const temp = lu[k * n + j];
+                lu[k * n + j] = lu[p * n + j];
+                lu[p * n + j] = temp;
+            }
+            const temp = perm[k];
+            perm[k] = perm[p];
+            perm[p] = temp;
+            sign = -sign;
+        }
+
+        const pivot = lu[k * n + k];
+        if(!(Math.abs(pivot) > tiny)) {
+            singular = true;
+            if(pivot === 0) continue;
+        }
+        for(let i = k + 1; i < n; i++) {
+            const factor = lu[i * n + k] /= pivot;
+            if(factor === 0) continue;
+            for(let j = k + 1; j < n; j++) {
+                lu[i * n + j] -= factor * lu[k * n + j];
+            }
+        }
+    }
+    return { lu, perm, sign, n, singular };
+}
+
+/**
+ * Solves A X = B given the LU factorization of A
+ * @private
+ * @param {Object} factor - Output of GV._luFactor
+ * @param {Float64Array} b - Row-major right-hand sides [n, cols]
+ * @param {number} cols - Number of right-hand sides
+ * @returns {Float64Array} Row-major solution [n, cols]
+ */
+GV._luSolve = ({ lu, perm, n }, b, cols) => {
+    const x = new Float64Array(n * cols);
+    for(let i = 0; i < n; i++) {
+        x.set(b.subarray(perm[i] * cols, (perm[i] + 1) * cols), i * cols);
+    }
+    // Forward substitution with the unit lower triangle
+    for(let i = 0; i < n; i++) {
+        for(let k = 0; k < i; k++) {
+            const l = lu[i * n + k];
+            if(l === 0) continue;
+            for(let j = 0; j < cols; j++) x[i * cols + j] -= l * x[k * cols + j];
+        }
+    }
+    // Back substitution with the upper triangle
+    for(let i = n - 1; i >= 0; i--) {
+        for(let k = i + 1; k < n; k++) {
+            const u = lu[i * n + k];
+            if(u === 0) continue;
+            for(let j = 0; j < cols; j++) x[i * cols + j] -= u * x[k * cols + j];
+        }
+        const pivot = lu[i * n + i];
+        for(let j = 0; j < cols; j++) x[i * cols + j] /= pivot;
+    }
+    return x;
+}
+
+/**
+ * Solves the square linear system A x = b using LU factorization with partial pivoting
+ * @param {Matrix} a - Square coefficient matrix
+ * @param {Vector|Matrix} b - Right-hand side, or one right-hand side per column
+ * @returns {Vector|Matrix} The solution, of the same type as b
+ * @throws {SingularMatrixError} If a is singular
+ */
+GV.solve = (a, b) => {
+    const factor = GV._luFactor(a, 'GV.solve');
+    if(factor.singular) {
+        throw new GV.SingularMatrixError('GV.solve: matrix is singular');
+    }
+    const rhs = GV._rightHandSide(b, factor.n, 'GV.solve');
+    return rhs.wrap(GV._luSolve(factor, rhs.values, rhs.cols), factor.n);
+}
+
+/**
+ * LU factorization with partial pivoting, PA = LU
+ * @param {Matrix} m - Square matrix
+ * @returns {Object} { L, U, P, sign } with L unit lower triangular, U upper triangular,
+ * P the permutation matrix and sign its determinant (1 or -1)
+ */
+GV.lu = (m) => {
+    const { lu, perm, sign, n } = GV._luFactor(m);
+    const L = new Float64Array(n * n);
+    const U = new Float64Array(n * n);
+    const P = new Float64Array(n * n);
+    for(let i = 0; i < n; i++) {
+        for(let j = 0; j < n; j++) {
+            if(j < i) L[i * n + j] = lu[i * n + j];
+            else U[i * n + j] = lu[i * n + j];
+        }
+        L[i * n + i] = 1;
+        P[i * n + perm[i]] = 1;
+    }
+    return {
+        L: new GV.Matrix(L, [n, n]),
+        U: new GV.Matrix(U, [n, n]),
+        P: new GV.Matrix(P, [n, n]),
+        sign
+    };
+}
+
+/**
+ * Calculates the determinant of a matrix from its LU factorization
+ * @param {Matrix} m - Square matrix
+ * @returns {number} The determinant
+ */
+GV.det = (m) => {
+    const { lu, sign, n } = GV._luFactor(m, 'GV.det');
+    let det = sign;
+    for(let i = 0; i < n; i++) det *= lu[i * n + i];
+    return det === 0 ? 0 : det;
+}
+
+/**
+ * Sign and natural logarithm of the absolute value of the determinant. Unlike
+ * GV.det, this does not overflow or underflow for large matrices.
+ * @param {Matrix} m - Square matrix
+ * @returns {Object} { sign, logAbsDet } with sign 1, -1, or 0 (and logAbsDet -Infinity) for singular matrices
+ */
+GV.slogdet = (m) => {
+    const { lu, sign, n } = GV._luFactor(m, 'GV.slogdet');
+    let result = { sign, logAbsDet: 0 };
+    for(let i = 0; i < n; i++) {
+        const pivot = lu[i * n + i];
+        if(pivot === 0) return { sign: 0, logAbsDet: -Infinity };
+        if(pivot < 0) result.sign = -result.sign;
+        result.logAbsDet += Math.log(Math.abs(pivot));
+    }
+    return result;
+}
+
+/**
+ * Natural logarithm of the determinant, e.g. of a covariance matrix
+ * @param {Matrix} m - Square matrix
+ * @returns {number} log(det(m)); -Infinity if m is singular, NaN if the determinant is negative
+ */
+GV.logdet = (m) => {
+    const { sign, logAbsDet } = GV.slogdet(m);
+    return sign < 0 ? NaN : logAbsDet;
+}
+
+/**
+ * Calculates the inverse of a matrix from its LU factorization
+ * @param {Matrix} m - Square matrix
+ * @returns {Matrix} The inverse
+ * @throws {SingularMatrixError} If m is singular
+ */
+GV.inv = (m) => {
+    const factor = GV._luFactor(m, 'GV.inv');
+    if(factor.singular) {
+        throw new GV.SingularMatrixError('GV.inv: matrix is singular');
+    }
+    const n = factor.n;
+    const identity = new Float64Array(n * n);
+    for(let i = 0; i < n; i++) identity[i * n + i] = 1;
+    return new GV.Matrix(GV._luSolve(factor, identity, n), [n, n]);
+}
+
+/**
+ * QR decomposition by Householder reflections, A = QR with orthonormal columns in Q
+ * and R upper triangular
+ * @param {Matrix} m - Matrix of shape [rows, cols]
+ * @param {string} [mode='reduced'] - 'reduced' for Q [rows, k] and R [k, cols] with k = min(rows, cols),
+ * 'complete' for a square Q [rows, rows] and R [rows, cols]
+ * @returns {Object} { Q, R }
+ */
+GV.qr = (m, mode='reduced') => {
+    const [rows, cols] = GV._checkMatrix(m, 'GV.qr');
+    if(mode !== 'reduced' && mode !== 'complete') {
+        throw new Error(`GV.qr: unknown mode '${mode}', expected 'reduced' or 'complete'`);
+    }
+    const r = Float64Array.from(m.values);
+    const steps = Math.min(rows - 1, cols);
+    const reflectors = [];
+
+    for(let k = 0; k < steps; k++) {
+        // Householder vector v zeroing column k below the diagonal
+        let norm = 0;
+        for(let i = k; i < rows; i++) norm += r[i * cols + k] * r[i * cols + k];
+        norm = Math.sqrt(norm);
+        if(norm === 0) {
+            reflectors.push(null);
+            continue;
+        }
+        const alpha = r[k * cols + k] > 0 ? -norm : norm;
+        const v = new Float64Array(rows - k);
+        for(let i = k; i < rows; i++) v[i - k] = r[i * cols + k];
+        v[0] -= alpha;
+        let vNorm = 0;
+        for(let i = 0; i < v.length; i++) vNorm += v[i] * v[i];
+        if(vNorm === 0) {
+            reflectors.push(null);
+            continue;
+        }
+
+        // R = (I - 2 v vᵀ / vᵀv) R
+        for(let j = k; j < cols; j++) {
+            let dot = 0;
+            for(let i = k; i < rows; i++) dot += v[i - k] * r[i * cols + j];
+            const f = 2 * dot / vNorm;
+            for(let i = k; i < rows; i++) r[i * cols + j] -= f * v[i - k];
+        }
+        for(let i = k + 1; i < rows; i++) r[i * cols + k] = 0;
+        reflectors.push({ v, vNorm });
+    }
+
+    // Q = H_0 H_1 ... applied to the first qCols columns of the identity
+    const qCols = mode === 'complete' ? rows : Math.min(rows, cols);
+    const q = new Float64Array(rows * qCols);
+    for(let i = 0; i < qCols; i++) q[i * qCols + i] = 1;
+    for(let k = reflectors.length - 1; k >= 0; k--) {
+        if(!reflectors[k]) continue;
+        const { v, vNorm } = reflectors[k];
+        for(let j = 0; j < qCols; j++) {
+            let dot = 0;
+            for(let i = k; i < rows; i++) dot += v[i - k] * q[i * qCols + j];
+            const f = 2 * dot / vNorm;
+            if(f === 0) continue;
+            for(let i = k; i < rows; i++) q[i * qCols + j] -= f * v[i - k];
+        }
+    }
+
+    const rRows = mode === 'complete' ? rows : Math.min(rows, cols);
+    return {
+        Q: new GV.Matrix(q, [rows, qCols]),
+        R: new GV.Matrix(r.slice(0, rRows * cols), [rRows, cols])
+    };
+}
+
+/**
+ * Cholesky decomposition of a symmetric positive definite matrix, A = L Lᵀ
+ * @param {Matrix} m - Symmetric positive definite matrix
+ * @returns {Matrix} Lower triangular L
+ * @throws {Error} If m is not symmetric positive definite
+ */
+GV.cholesky = (m) => {
+    const [n] = GV._checkMatrix(m, 'GV.cholesky', true);
+    GV._checkSymmetric(m, 'GV.cholesky');
+    const a = m.values;
+    const l = new Float64Array(n * n);
+    for(let j = 0; j < n; j++) {
+        let d = a[j * n + j];
+        for(let k = 0; k < j; k++) d -= l[j * n + k] * l[j * n + k];
+        if(!(d > 0)) {
+            throw new Error('GV.cholesky: matrix is not positive definite');
+        }
+        const ljj = Math.sqrt(d);
+        l[j * n + j] = ljj;
+        for(let i = j + 1; i < n; i++) {
+            let s = a[i * n + j];
+            for(let k = 0; k < j; k++) s -= l[i * n + k] * l[j * n + k];
+            l[i * n + j] = s / ljj;
+        }
+    }
+    return new GV.Matrix(l, [n, n]);
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix by the cyclic Jacobi method,
+ * A = V diag(values) Vᵀ
+ * @param {Matrix} m - Symmetric matrix
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxSweeps=100] - Maximum number of sweeps over all off-diagonal entries
+ * @param {number} [options.tol=1e-14] - Stops when the off-diagonal norm is below tol times the matrix norm
+ * @returns {Object} { values: Vector, vectors: Matrix } with eigenvalues in descending order and
+ * the matching unit eigenvectors as columns
+ */
+GV.eig = (m, { maxSweeps=100, tol=1e-14 }={}) => {
+    const [n] = GV._checkMatrix(m, 'GV.eig', true);
+    GV._checkSymmetric(m, 'GV.eig');
+    const a = Float64Array.from(m.values);
+    // Rows of vt are the eigenvectors
+    const vt = new Float64Array(n * n);
+    for(let i = 0; i < n; i++) vt[i * n + i] = 1;
+
+    let total = 0;
+    for(let k = 0; k < a.length; k++) total += a[k] * a[k];
+
+    for(let sweep = 0; sweep < maxSweeps; sweep++) {
+        let off = 0;
+        for(let p = 0; p < n; p++) {
+            for(let q = p + 1; q < n; q++) off += 2 * a[p * n + q] * a[p * n + q];
+        }
+        if(off <= tol * tol * total) break;
+
+        for(let p = 0; p < n - 1; p++) {
+            for(let q = p + 1; q < n; q++) {
+                const apq = a[p * n + q];
+                if(apq === 0) continue;
+                // Rotation angle that zeroes a[p][q]
+                const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for(let k = 0; k < n; k++) {
+                    const akp = a[k * n + p], akq = a[k * n + q];
+                    a[k * n + p] = c * akp - s * akq;
+                    a[k * n + q] = s * akp + c * akq;
+                }
+                for(let k = 0; k < n; k++) {
+                    const apk = a[p * n + k], aqk = a[q * n + k];
+                    a[p * n + k] = c * apk - s * aqk;
+                    a[q * n + k] = s * apk + c * aqk;
+                }
+                for(let k = 0; k < n; k++) {
+                    const vp = vt[p * n + k], vq = vt[q * n + k];
+                    vt[p * n + k] = c * vp - s * vq;
+                    vt[q * n + k] = s * vp + c * vq;
+                }
+            }
+        }
+    }
+
+    const order = Array.from(Array(n).keys()).sort((i, j) => a[j * n + j] - a[i * n + i]);
+    const vectors = new Float64Array(n * n);
+    order.forEach((src, col) => {
+        for(let k = 0; k < n; k++) vectors[k * n + col] = vt[src * n + k];
+    });
+    return {
+        values: new GV.Vector(order.map(i => a[i * n + i])),
+        vectors: new GV.Matrix(vectors, [n, n])
+    };
+}
+
+/**
+ * Singular value decomposition by one-sided Jacobi rotations, A = U diag(S) Vᵀ
+ * @param {Matrix} m - Matrix of shape [rows, cols]
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxSweeps=100] - Maximum number of sweeps over all column pairs
+ * @returns {Object} { U: Matrix [rows, k], S: Vector [k], V: Matrix [cols, k] } with k = min(rows, cols),
+ * singular values in descending order and orthonormal columns in U and V
+ */
+GV.svd = (m, { maxSweeps=100 }={}) => {
+    const [rows, cols] = GV._checkMatrix(m, 'GV.svd');
+    // Work on the taller orientation; the decomposition of Aᵀ swaps U and V
+    const transposed = rows < cols;
+    const [height, width] = transposed ? [cols, rows] : [rows, cols];
+    // Rows of ut are the columns of U, rows of vt the columns of V
+    const ut = transposed ? Float64Array.from(m.values) : m.t.values.slice();
+    const vt = new Float64Array(width * width);
+    for(let i = 0; i < width; i++) vt[i * width + i] = 1;
+
+    const rotate = (x, len, p, q, c, s) => {
+        for(let k = 0; k < len; k++) {
+            const xp = x[p * len + k], xq = x[q * len + k];
+            x[p * len + k] = c * xp - s * xq;
+            x[q * len + k] = s * xp + c * xq;
+        }
+    };
+
+    for(let sweep = 0; sweep < maxSweeps; sweep++) {
+        let rotated = false;
+        for(let p = 0; p < width - 1; p++) {
+            for(let q = p + 1; q < width; q++) {
+                let alpha = 0, beta = 0, gamma = 0;
+                for(let k = 0; k < height; k++) {
+                    const up = ut[p * height + k], uq = ut[q * height + k];
+                    alpha += up * up;
+                    beta += uq * uq;
+                    gamma += up * uq;
+                }
+                if(Math.abs(gamma) <= Number.EPSILON * Math.sqrt(alpha * beta)) continue;
+                rotated = true;
+                // Rotation that makes columns p and q orthogonal
+                const zeta = (beta - alpha) / (2 * gamma);
+                const t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                const c = 1 / Math.sqrt(1 + t * t);
+                const s = c * t;
+                rotate(ut, height, p, q, c, s);
+                rotate(vt, width, p, q, c, s);
+            }
+        }
+        if(!rotated) break;
+    }
+
+    // Singular values are the column norms; sort them in descending order
+    const sigma = new Float64Array(width);
+    for(let j = 0; j < width; j++) {
+        let norm = 0;
+        for(let k = 0; k < height; k++) norm += ut[j * height + k] * ut[j * height + k];
+        sigma[j] = Math.sqrt(norm);
+    }
+    const order = Array.from(Array(width).keys()).sort((i, j) => sigma[j] - sigma[i]);
+    const tol = Math.max(height, width) * Number.EPSILON * (sigma[order[0]] || 0);
+
+    const u = new Float64Array(height * width);
+    const v = new Float64Array(width * width);
+    const basis = [];
+    order.forEach((src, col) => {
+        for(let k = 0; k < width; k++) v[k * width + col] = vt[src * width + k];
+        let column = new Float64Array(height);
+        if(sigma[src] > tol) {
+            for(let k = 0; k < height; k++) column[k] = ut[src * height + k] / sigma[src];
+        } else {
+            // Null-space directions: complete U with unit vectors orthogonal to the columns so far
+            column = GV._orthogonalComplement(basis, height);
+        }
+        basis.push(column);
+        for(let k = 0; k < height; k++) u[k * width + col] = column[k];
+    });
+
+    const U = new GV.Matrix(u, [height, width]);
+    const V = new GV.Matrix(v, [width, width]);
+    const S = new GV.Vector(order.map(i => sigma[i] > tol ? sigma[i] : 0));
+    return transposed ? { U: V, S, V: U } : { U, S, V };
+}
+
+/**
+ * Returns a unit vector orthogonal to the given orthonormal vectors, built by
+ * Gram-Schmidt from the standard basis
+ * @private
+ */
+GV._orthogonalComplement = (basis, length) => {
+    let best = null, bestNorm = 0;
+    for(let e = 0; e < length && bestNorm < 0.5; e++) {
+        const x = new Float64Array(length);
+        x[e] = 1;
+        // Two passes of modified Gram-Schmidt for numerical orthogonality
+        for(let pass = 0; pass < 2; pass++) {
+            for(const b of basis) {
+                let dot = 0;
+                for(let k = 0; k < length; k++) dot += b[k] * x[k];
+                for(let k = 0; k < length; k++) x[k] -= dot * b[k];
+            }
+        }
+        let norm = 0;
+        for(let k = 0; k < length; k++) norm += x[k] * x[k];
+        norm = Math.sqrt(norm);
+        if(norm > bestNorm) {
+            best = x;
+            bestNorm = norm;
+        }
+    }
+    for(let k = 0; k < length; k++) best[k] /= bestNorm;
+    return best;
+}
+
+/**
+ * Applies the pseudo-inverse V diag(1/S) Uᵀ of an SVD to row-major right-hand sides,
+ * treating singular values below cutoff as zero
+ * @private
+ * @returns {Float64Array} Row-major result [V rows, cols]
+ */
+GV._svdApply = ({ U, S, V }, b, cols, cutoff) => {
+    const [rows, k] = U._dims;
+    const n = V.length;
+    const u = U.values, v = V.values;
+    // c = diag(1/S) Uᵀ b
+    const c = new Float64Array(k * cols);
+    for(let r = 0; r < k; r++) {
+        const s = S[r];
+        if(!(s > cutoff)) continue;
+        for(let i = 0; i < rows; i++) {
+            const f = u[i * k + r] / s;
+            if(f === 0) continue;
+            for(let j = 0; j < cols; j++) c[r * cols + j] += f * b[i * cols + j];
+        }
+    }
+    const x = new Float64Array(n * cols);
+    for(let i = 0; i < n; i++) {
+        for(let r = 0; r < k; r++) {
+            const f = v[i * k + r];
+            if(f === 0) continue;
+            for(let j = 0; j < cols; j++) x[i * cols + j] += f * c[r * cols + j];
+        }
+    }
+    return x;
+}
+
+/**
+ * Least-squares solution of A x = b (minimum norm if A is rank deficient), computed from the SVD
+ * @param {Matrix} a - Coefficient matrix [rows, cols]
+ * @param {Vector|Matrix} b - Right-hand side [rows], or one right-hand side per column
+ * @param {number} [rcond=null] - Singular values below rcond * max(S) are treated as zero;
+ * defaults to max(rows, cols) * machine epsilon
+ * @returns {Object} { x, residuals, rank, S } where x has the type of b, residuals holds the squared
+ * residual norm of each right-hand side and S the singular values of a
+ */
+GV.lstsq = (a, b, rcond=null) => {
+    const [rows, cols] = GV._checkMatrix(a, 'GV.lstsq');
+    const rhs = GV._rightHandSide(b, rows, 'GV.lstsq');
+    const decomposition = GV.svd(a);
+    const { S } = decomposition;
+    const cutoff = (rcond === null ? Math.max(rows, cols) * Number.EPSILON : rcond) * S[0];
+    const x = GV._svdApply(decomposition, rhs.values, rhs.cols, cutoff);
+
+    // Squared residual norms |A x - b|² per right-hand side
+    const residuals = new Array(rhs.cols).fill(0);
+    const values = a.values;
+    for(let i = 0; i < rows; i++) {
+        for(let j = 0; j < rhs.cols; j++) {
+            let r = -rhs.values[i * rhs.cols + j];
+            for(let k = 0; k < cols; k++) r += values[i * cols + k] * x[k * rhs.cols + j];
+            residuals[j] += r * r;
+        }
+    }
+    return {
+        x: rhs.wrap(x, cols),
+        residuals: new GV.Vector(residuals),
+        rank: S.values.filter(s => s > cutoff).length,
+        S
+    };
+}
+
+/**
+ * Moore-Penrose pseudo-inverse computed from the SVD
+ * @param {Matrix} m - Matrix [rows, cols]
+ * @param {number} [rcond=null] - Singular values below rcond * max(S) are treated as zero;
+ * defaults to max(rows, cols) * machine epsilon
+ * @returns {Matrix} The pseudo-inverse [cols, rows]
+ */
+GV.pinv = (m, rcond=null) => {
+    const [rows, cols] = GV._checkMatrix(m, 'GV.pinv');
+    const decomposition = GV.svd(m);
+    const cutoff = (rcond === null ? Math.max(rows, cols) * Number.EPSILON : rcond) * decomposition.S[0];
+    const identity = new Float64Array(rows * rows);
+    for(let i = 0; i < rows; i++) identity[i * rows + i] = 1;
+    return new GV.Matrix(GV._svdApply(decomposition, identity, rows, cutoff), [cols, rows]);
+}
+
+/**
+ * 2-norm condition number, the ratio of the largest to the smallest singular value
+ * @param {Matrix} m - The matrix
+ * @returns {number} The condition number (Infinity for rank-deficient matrices)
+ */
+GV.cond = (m) => {
+    const { S } = GV.svd(m);
+    const smallest = S[S.length - 1];
+    return smallest === 0 ? Infinity : S[0] / smallest;
+}
+
 // ******************* Utility Functions *********************
 
 /**
@@ -2136,18 +2935,7 @@ GV.flatten = (m) => {
 		return null;
 	}
 	
-	// Pre-allocate vector
-	const vector = new Array(m.length * m[0].length);
-	let idx = 0;
-	
-	for(let i = 0; i < m.length; i++) {
-		const row = m[i];
-		for(let j = 0; j < row.length; j++) {
-			vector[idx++] = row[j];
-		}
-	}
-	
-	return new GV.Vector(vector);
+	return new GV.Vector(Array.from(m.values));
 }
 
 /**
@@ -2181,48 +2969,25 @@ GV.concat = (a, b, axis=0) => {
 				return null;
 			}
 			
-			// Pre-allocate result matrix
-			const result = Array(a.length + b.length);
-			let idx = 0;
-			
-			// Copy first matrix
-			for(let i = 0; i < a.length; i++) {
-				result[idx++] = [...a[i]];
-			}
-			
-			// Copy second matrix
-			for(let i = 0; i < b.length; i++) {
-				result[idx++] = [...b[i]];
-			}
-			
-			return new GV.Matrix(result);
+			const result = new a.values.constructor(a.size + b.size);
+			result.set(a.values);
+			result.set(b.values, a.size);
+			return new GV.Matrix(result, [a.length + b.length, a[0].length]);
 		} else if(axis === 1) {
 			// Concatenate horizontally (stack columns)
 			if(a.length !== b.length) {
 				console.error('Matrices must have the same number of rows to concatenate horizontally');
 				return null;
 			}
-			
-			// Pre-allocate result matrix
-			const result = Array(a.length);
-			const totalCols = a[0].length + b[0].length;
-			
+
+			const aCols = a._dims[1], bCols = b._dims[1];
+			const totalCols = aCols + bCols;
+			const result = new a.values.constructor(a.length * totalCols);
 			for(let i = 0; i < a.length; i++) {
-				result[i] = new Array(totalCols);
-				let colIdx = 0;
-				
-				// Copy first matrix row
-				for(let j = 0; j < a[0].length; j++) {
-					result[i][colIdx++] = a[i][j];
-				}
-				
-				// Copy second matrix row
-				for(let j = 0; j < b[0].length; j++) {
-					result[i][colIdx++] = b[i][j];
-				}
+				result.set(a.values.subarray(i * aCols, (i + 1) * aCols), i * totalCols);
+				result.set(b.values.subarray(i * bCols, (i + 1) * bCols), i * totalCols + aCols);
 			}
-			
-			return new GV.Matrix(result);
+			return new GV.Matrix(result, [a.length, totalCols]);
 		}
 	}
 }
@@ -2289,67 +3054,207 @@ GV.eye = (n) => {
 	return new GV.Matrix(matrix);
 }
 
+// ******************* Random *********************
+
+/**
+ * Seedable pseudo-random number generator (xoshiro128**, seeded through splitmix32).
+ * GV.random is the shared instance used by GV.rand, GV.randn and GV.randomPermutation;
+ * separate instances give independent, reproducible streams.
+ * @param {number} [seed] - Integer seed; a random seed is chosen if omitted
+ * @returns {Random} A new Random object
+ */
+GV.Random = function(seed=null) {
+	this._state = new Uint32Array(4);
+	this.seed(seed === null ? Math.floor(Math.random() * 2 ** 32) : seed);
+}
+GV.RandomPrototype = {
+	/**
+	 * Restarts the generator from a seed
+	 * @param {number} seed - Integer seed (up to 2^53)
+	 * @returns {Random} The generator
+	 */
+	seed: function(seed) {
+		if(!Number.isSafeInteger(seed) || seed < 0) {
+			throw new Error(`Random seed must be a non-negative integer, got ${seed}`);
+		}
+		this.initialSeed = seed;
+		// splitmix32 over both halves of the seed fills the state
+		let x = (seed >>> 0) ^ Math.imul(Math.floor(seed / 2 ** 32), 0x9e3779b9);
+		for(let i = 0; i < 4; i++) {
+			x = (x + 0x9e3779b9) | 0;
+			let z = x;
+			z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+			z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+			this._state[i] = z ^ (z >>> 16);
+		}
+		this._spare = null;
+		return this;
+	},
+
+	// Next 32-bit unsigned integer
+	nextUint32: function() {
+		const s = this._state;
+		const result = Math.imul(((Math.imul(s[1], 5) << 7) | (Math.imul(s[1], 5) >>> 25)), 9) >>> 0;
+		const t = s[1] << 9;
+		s[2] ^= s[0];
+		s[3] ^= s[1];
+		s[1] ^= s[2];
+		s[0] ^= s[3];
+		s[2] ^= t;
+		s[3] = (s[3] << 11) | (s[3] >>> 21);
+		return result;
+	},
+
+	/**
+	 * Uniform number in [0, 1) with 53 random bits, like Math.random()
+	 * @returns {number} The number
+	 */
+	random: function() {
+		return ((this.nextUint32() >>> 5) * 67108864 + (this.nextUint32() >>> 6)) / 9007199254740992;
+	},
+
+	/**
+	 * Normally distributed number (Box-Muller)
+	 * @param {number} [mean=0] - Mean
+	 * @param {number} [std=1] - Standard deviation
+	 * @returns {number} The number
+	 */
+	normal: function(mean=0, std=1) {
+		if(this._spare !== null) {
+			const spare = this._spare;
+			this._spare = null;
+			return mean + std * spare;
+		}
+		const r = Math.sqrt(-2 * Math.log(1 - this.random()));
+		const theta = 2 * Math.PI * this.random();
+		this._spare = r * Math.sin(theta);
+		return mean + std * r * Math.cos(theta);
+	},
+
+	/**
+	 * Uniform integer in [0, n)
+	 * @param {number} n - Upper bound (exclusive)
+	 * @returns {number} The integer
+	 */
+	int: function(n) {
+		return Math.floor(this.random() * n);
+	},
+
+	/**
+	 * Shuffles an array (or typed array) in place with the Fisher-Yates algorithm
+	 * @param {Array|TypedArray} array - The array
+	 * @returns {Array|TypedArray} The same array
+	 */
+	shuffle: function(array) {
+		for(let i = array.length - 1; i > 0; i--) {
+			const j = this.int(i + 1);
+			const temp = array[i];
+			array[i] = array[j];
+			array[j] = temp;
+		}
+		return array;
+	},
+
+	/**
+	 * Random permutation of 0..n-1
+	 * @param {number} n - Length
+	 * @returns {Array<number>} The permutation
+	 */
+	permutation: function(n) {
+		return this.shuffle(Array.from(Array(n).keys()));
+	},
+
+	// GV.rand and GV.randn drawing from this generator
+	rand: function(...shape) {
+		return GV.rand(...shape, this);
+	},
+
+	randn: function(...shape) {
+		return GV.randn(...shape, this);
+	},
+
+	/**
+	 * Returns the generator state, e.g. to store with a checkpoint
+	 * @returns {Object} { seed, state, spare }
+	 */
+	getState: function() {
+		return { seed: this.initialSeed, state: Array.from(this._state), spare: this._spare };
+	},
+
+	/**
+	 * Restores a state returned by getState(), continuing the same sequence
+	 * @param {Object} state - The state
+	 * @returns {Random} The generator
+	 */
+	setState: function({ seed, state, spare=null }) {
+		this.initialSeed = seed;
+		this._state.set(state);
+		this._spare = spare;
+		return this;
+	}
+}
+Object.assign(GV.Random.prototype, GV.RandomPrototype);
+
+/**
+ * Shared generator used by GV.rand, GV.randn, GV.randomPermutation and (through
+ * each model's seed) weight initialization. Call GV.random.seed(n) for reproducible runs.
+ */
+GV.random = new GV.Random();
+
+// Splits an optional trailing Random instance off variadic shape arguments
+GV._shapeAndGenerator = (args) => {
+	const last = args[args.length - 1];
+	return last instanceof GV.Random ? [args.slice(0, -1), last] : [args, GV.random];
+}
+
 /**
  * Creates a random matrix with values between 0 and 1
- * @param {...number} shape - The dimensions of the matrix
+ * @param {...number} shape - The dimensions of the matrix, optionally followed by a GV.Random
+ * generator to draw from (default GV.random)
  * @returns {Matrix|null} The random matrix
  */	
-GV.rand = (...shape) => {
-	if(shape.length === 0) return new GV.Vector([Math.random()]);
+GV.rand = (...args) => {
+	const [shape, rng] = GV._shapeAndGenerator(args);
+	if(shape.length === 0) return new GV.Vector([rng.random()]);
 	if(shape.length === 1) {
 		// Pre-allocate vector
 		const vector = new Array(shape[0]);
 		for(let i = 0; i < shape[0]; i++) {
-			vector[i] = Math.random();
+			vector[i] = rng.random();
 		}
 		return new GV.Vector(vector);
 	}
 	
-	// Pre-allocate matrix
-	const matrix = Array(shape[0]);
-	for(let i = 0; i < shape[0]; i++) {
-		matrix[i] = new Array(shape[1]);
-		for(let j = 0; j < shape[1]; j++) {
-			matrix[i][j] = Math.random();
-		}
+	const values = new Float64Array(shape[0] * shape[1]);
+	for(let k = 0; k < values.length; k++) {
+		values[k] = rng.random();
 	}
-	
-	return new GV.Matrix(matrix);
+	return new GV.Matrix(values, [shape[0], shape[1]]);
 }
 
 /**
  * Creates a random matrix with values from a normal distribution
- * @param {...number} shape - The dimensions of the matrix
+ * @param {...number} shape - The dimensions of the matrix, optionally followed by a GV.Random
+ * generator to draw from (default GV.random)
  * @returns {Matrix|null} The random matrix
- */	
-GV.randn = (...shape) => {
-
-	const normal = () => {
-		const u1 = Math.random();
-		const u2 = Math.random();
-		return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-	};
-	
-	if(shape.length === 0) return new GV.Vector([normal()]);
+ */
+GV.randn = (...args) => {
+	const [shape, rng] = GV._shapeAndGenerator(args);
+	if(shape.length === 0) return new GV.Vector([rng.normal()]);
 	if(shape.length === 1) {
 		// Pre-allocate vector
 		const vector = new Array(shape[0]);
 		for(let i = 0; i < shape[0]; i++) {
-			vector[i] = normal();
+			vector[i] = rng.normal();
 		}
 		return new GV.Vector(vector);
 	}
 	
-	// Pre-allocate matrix
-	const matrix = Array(shape[0]);
-	for(let i = 0; i < shape[0]; i++) {
-		matrix[i] = new Array(shape[1]);
-		for(let j = 0; j < shape[1]; j++) {
-			matrix[i][j] = normal();
-		}
+	const values = new Float64Array(shape[0] * shape[1]);
+	for(let k = 0; k < values.length; k++) {
+		values[k] = rng.normal();
 	}
-	
-	return new GV.Matrix(matrix);
+	return new GV.Matrix(values, [shape[0], shape[1]]);
 }
 
 /**
@@ -2373,25 +3278,7 @@ GV.reshapeMatrix = (m, rows, cols) => {
 		return null;
 	}
 	
-	// Flatten the matrix first
-	let flattened = [];
-	for(let i = 0; i < m.length; i++) {
-		for(let j = 0; j < m[0].length; j++) {
-			flattened.push(m[i][j]);
-		}
-	}
-	
-	// Create new matrix with desired shape
-	let newMatrix = [];
-	for(let i = 0; i < rows; i++) {
-		let row = [];
-		for(let j = 0; j < cols; j++) {
-			row.push(flattened[i * cols + j]);
-		}
-		newMatrix.push(row);
-	}
-	
-	return new GV.Matrix(newMatrix);
+	return new GV.Matrix(m.values.slice(), [rows, cols]);
 }
 
 /**
@@ -2410,9 +3297,7 @@ GV.equal = (a, b) => {
         return null;
     }
     if (a.type === 'Matrix' && b.type === 'Matrix') {
-        return new GV.Matrix(a.values.map((row, i) => 
-            row.map((val, j) => val === b.values[i][j] ? 1 : 0)
-        ));
+        return new GV.Matrix(a.values.map((val, k) => val === b.values[k] ? 1 : 0), [...a._dims]);
     } else if (a.type === 'Vector' && b.type === 'Vector') {
         return new GV.Vector(a.values.map((val, i) => val === b.values[i] ? 1 : 0));
     } else {
@@ -2432,484 +3317,299 @@ GV.transpose = (m) => {
         return null;
     }
     
-    const rows = m[0].length;
-    const cols = m.length;
-    
-    // Pre-allocate transposed matrix
-    const transposed = Array(rows);
-    for(let i = 0; i < rows; i++) {
-        transposed[i] = new Array(cols);
-        for(let j = 0; j < cols; j++) {
-            transposed[i][j] = m[j][i];
-        }
-    }
-    
-    return new GV.Matrix(transposed);
+    return m.t;
 }
 
 /**
- * Performs LU decomposition on a matrix
- * @param {Matrix} m - The matrix to decompose
- * @returns {Object|null} The LU decomposition of the matrix
- */	
-GV._luDecomposition = (m) => {
-    const n = m.length;
-    const L = Array(n);
-    const U = Array(n);
-    
-    // Initialize matrices
-    for(let i = 0; i < n; i++) {
-        L[i] = new Array(n).fill(0);
-        U[i] = new Array(n).fill(0);
-        L[i][i] = 1; // L is unit lower triangular
-    }
-    
-    // Perform LU decomposition
-    for(let i = 0; i < n; i++) {
-        // Calculate U elements
-        for(let j = i; j < n; j++) {
-            let sum = 0;
-            for(let k = 0; k < i; k++) {
-                sum += L[i][k] * U[k][j];
-            }
-            U[i][j] = m[i][j] - sum;
+ * Parallel execution settings, changed with GV.configureParallel().
+ * `enabled` lets synchronous products (GV.mult) of at least `threshold`
+ * multiply-adds run on the worker pool; GV.parallelMult always uses the pool
+ * above the threshold. `workers` is the pool size.
+ */
+GV.parallel = {
+    enabled: false,
+    threshold: 1 << 22,
+    workers: Math.max(cpus().length, 1)
+};
+
+/**
+ * Pool of long-lived workers (workers/worker.js) with a task queue. Workers are
+ * started on first use; idle workers do not keep the process alive.
+ * @param {number} [size=GV.parallel.workers] - Number of workers
+ * @returns {WorkerPool} A new WorkerPool object
+ */
+GV.WorkerPool = function(size=GV.parallel.workers) {
+    this.size = Math.max(1, Math.floor(size));
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.pending = new Map();
+    this.nextId = 0;
+}
+GV.WorkerPoolPrototype = {
+    /**
+     * Queues a task and resolves with the worker's result
+     * @param {string} operation - Operation name in workers/worker.js
+     * @param {Object} data - Task data (typed arrays on a SharedArrayBuffer are shared, not copied)
+     * @returns {Promise<*>} The result
+     */
+    run: function(operation, data) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, operation, data, resolve, reject });
+            this._dispatch();
+        });
+    },
+
+    /**
+     * Sends one task to every worker directly, bypassing the queue. Used by blocking
+     * callers, which cannot wait for queue events; the tasks report through data.signal.
+     * @private
+     * @param {string} operation - Operation name
+     * @param {Array<Object>} tasks - Task data, at most one per worker
+     */
+    _broadcast: function(operation, tasks) {
+        this._start();
+        tasks.forEach((data, i) => this.workers[i].postMessage({ operation, data }));
+    },
+
+    /**
+     * Stops all workers; queued and running tasks are rejected
+     * @returns {Promise} Resolves when the workers have exited
+     */
+    terminate: function() {
+        const error = new Error('Worker pool terminated');
+        this.queue.splice(0).forEach(task => task.reject(error));
+        this.pending.forEach(task => task.reject(error));
+        this.pending.clear();
+        const workers = this.workers.splice(0);
+        this.idle = [];
+        return Promise.all(workers.map(worker => worker.terminate()));
+    },
+
+    _start: function() {
+        while (this.workers.length < this.size) {
+            const worker = new Worker(new URL('./workers/worker.js', import.meta.url));
+            worker.on('message', (message) => this._settle(worker, message));
+            worker.on('error', (error) => this._fail(worker, error));
+            worker.unref();
+            this.workers.push(worker);
+            this.idle.push(worker);
         }
-        
-        // Calculate L elements
-        for(let j = i + 1; j < n; j++) {
-            let sum = 0;
-            for(let k = 0; k < i; k++) {
-                sum += L[j][k] * U[k][i];
-            }
-            L[j][i] = (m[j][i] - sum) / U[i][i];
+    },
+
+    _dispatch: function() {
+        this._start();
+        while (this.queue.length > 0 && this.idle.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            worker.task = task;
+            // Busy workers keep the process alive until their task settles
+            worker.ref();
+            this.pending.set(task.id, task);
+            worker.postMessage({ id: task.id, operation: task.operation, data: task.data });
+        }
+    },
+
+    _settle: function(worker, message) {
+        const task = this.pending.get(message.id);
+        if (!task) return;
+        this.pending.delete(message.id);
+        worker.task = null;
+        worker.unref();
+        this.idle.push(worker);
+        if (message.type === 'error') {
+            const ErrorType = message.name === 'SingularMatrixError' ? GV.SingularMatrixError : Error;
+            task.reject(new ErrorType(message.error));
+        } else {
+            task.resolve(message.data);
         }
+        this._dispatch();
+    },
+
+    // A crashed worker rejects its task and is replaced
+    _fail: function(worker, error) {
+        if (worker.task) {
+            this.pending.delete(worker.task.id);
+            worker.task.reject(error);
+        }
+        this.workers = this.workers.filter(w => w !== worker);
+        this.idle = this.idle.filter(w => w !== worker);
+        worker.terminate();
+        if (this.queue.length > 0) this._dispatch();
     }
-    
-    return { L, U };
 }
+Object.assign(GV.WorkerPool.prototype, GV.WorkerPoolPrototype);
 
 /**
- * Calculates the inverse of a matrix
- * @param {Matrix} m - The matrix to calculate the inverse of
- * @returns {Matrix|null} The inverse of the matrix
- */	
-GV.inv = (m) => {
-    if(m.type !== 'Matrix') {
-        console.error('Input must be a Matrix');
-        return null;
-    }
-    
-    if(m.length !== m[0].length) {
-        console.error('Matrix must be square to calculate inverse');
-        return null;
-    }
-    
-    const n = m.length;
-    const det = GV.det(m);
-    
-    if(Math.abs(det) < 1e-10) {
-        console.error('Matrix is singular (determinant is zero)');
-        return null;
-    }
-    
-    // For small matrices, use direct formula
-    if(n === 2) {
-        const invDet = 1 / det;
-        return new GV.Matrix([
-            [m[1][1] * invDet, -m[0][1] * invDet],
-            [-m[1][0] * invDet, m[0][0] * invDet]
-        ]);
-    }
-    
-    // For larger matrices, use LU decomposition
-    const { L, U } = GV._luDecomposition(m);
-    if(!L || !U) return null;
-    
-    // Solve L * Y = I and U * X = Y
-    const I = GV.eye(n);
-    const Y = Array(n);
-    const X = Array(n);
-    
-    // Forward substitution (L * Y = I)
-    for(let i = 0; i < n; i++) {
-        Y[i] = new Array(n);
-        for(let j = 0; j < n; j++) {
-            let sum = 0;
-            for(let k = 0; k < i; k++) {
-                sum += L[i][k] * Y[k][j];
-            }
-            Y[i][j] = I[i][j] - sum;
-        }
+ * Returns the shared worker pool, creating it on first use
+ * @returns {WorkerPool} The pool
+ */
+GV.getWorkerPool = () => {
+    if (!GV._pool) {
+        GV._pool = new GV.WorkerPool(GV.parallel.workers);
     }
-    
-    // Back substitution (U * X = Y)
-    for(let i = n - 1; i >= 0; i--) {
-        X[i] = new Array(n);
-        for(let j = 0; j < n; j++) {
-            let sum = 0;
-            for(let k = i + 1; k < n; k++) {
-                sum += U[i][k] * X[k][j];
-            }
-            X[i][j] = (Y[i][j] - sum) / U[i][i];
-        }
+    return GV._pool;
+};
+
+/**
+ * Changes the parallel execution settings. Changing the number of workers
+ * replaces the shared pool.
+ * @param {Object} options - Any of { enabled, threshold, workers }
+ * @returns {Object} The previous settings, which can be passed back to restore them
+ */
+GV.configureParallel = (options={}) => {
+    const previous = { ...GV.parallel };
+    Object.assign(GV.parallel, options);
+    if (GV._pool && GV._pool.size !== GV.parallel.workers) {
+        GV._pool.terminate();
+        GV._pool = null;
     }
-    
-    return new GV.Matrix(X);
+    return previous;
 };
 
 /**
- * Creates a worker for parallel matrix operations
- * @returns {Worker|null} The worker
- */	
-GV._createWorker = () => {
-    const workerCode = `
-        import { parentPort } from 'worker_threads';
-        
-        parentPort.on('message', function(data) {
-            try {
-                const { operation, data: operationData } = data;
-                
-                switch(operation) {
-                    case 'matrixMultiply':
-                        const result = _parallelMatrixMultiply(operationData.a, operationData.b, operationData.startRow, operationData.endRow);
-                        parentPort.postMessage({ type: 'result', data: result });
-                        break;
-                        
-                    case 'determinant':
-                        const det = _parallelDeterminant(operationData.matrix, operationData.startRow, operationData.endRow);
-                        parentPort.postMessage({ type: 'result', data: det });
-                        break;
-                        
-                    case 'inverse':
-                        const inv = _parallelInverse(operationData.matrix, operationData.startRow, operationData.endRow);
-                        parentPort.postMessage({ type: 'result', data: inv });
-                        break;
-                        
-                    default:
-                        throw new Error(\`Unknown operation: \${operation}\`);
-                }
-            } catch (error) {
-                parentPort.postMessage({ type: 'error', error: error.message });
-            }
-        });
-        
-        function _parallelMatrixMultiply(a, b, startRow, endRow) {
-            if (!Array.isArray(a) || !Array.isArray(b) || !Array.isArray(a[0]) || !Array.isArray(b[0])) {
-                throw new Error('Invalid matrix format');
-            }
-            if (a[0].length !== b.length) {
-                throw new Error('Matrix dimensions do not match for multiplication');
-            }
-            
-            const result = [];
-            for(let i = startRow; i < endRow; i++) {
-                result[i - startRow] = [];
-                for(let j = 0; j < b[0].length; j++) {
-                    let sum = 0;
-                    for(let k = 0; k < a[0].length; k++) {
-                        sum += a[i][k] * b[k][j];
-                    }
-                    result[i - startRow][j] = sum;
-                }
-            }
-            return result;
-        }
-        
-        function _parallelDeterminant(matrix, startRow, endRow) {
-            if (!Array.isArray(matrix) || !Array.isArray(matrix[0])) {
-                throw new Error('Invalid matrix format');
-            }
-            if (matrix.length !== matrix[0].length) {
-                throw new Error('Matrix must be square to calculate determinant');
-            }
-            
-            if(endRow - startRow === 1) return matrix[startRow][startRow];
-            if(endRow - startRow === 2) {
-                return matrix[startRow][startRow] * matrix[startRow + 1][startRow + 1] -
-                       matrix[startRow][startRow + 1] * matrix[startRow + 1][startRow];
-            }
-            
-            let det = 0;
-            for(let j = startRow; j < endRow; j++) {
-                const submatrix = [];
-                for(let i = startRow + 1; i < endRow; i++) {
-                    const row = [];
-                    for(let k = startRow; k < endRow; k++) {
-                        if(k !== j) row.push(matrix[i][k]);
-                    }
-                    submatrix.push(row);
-                }
-                const cofactor = matrix[startRow][j] * _parallelDeterminant(submatrix, 0, submatrix.length);
-                det += (j % 2 === 0 ? 1 : -1) * cofactor;
-            }
-            return det;
-        }
-        
-        function _parallelInverse(matrix, startRow, endRow) {
-            if (!Array.isArray(matrix) || !Array.isArray(matrix[0])) {
-                throw new Error('Invalid matrix format');
-            }
-            if (matrix.length !== matrix[0].length) {
-                throw new Error('Matrix must be square to calculate inverse');
-            }
-            
-            const n = endRow - startRow;
-            const result = Array(n).fill(0).map(() => Array(n).fill(0));
-            
-            // Forward elimination
-            for(let i = 0; i < n; i++) {
-                let maxRow = i;
-                for(let j = i + 1; j < n; j++) {
-                    if(Math.abs(matrix[startRow + j][startRow + i]) > 
-                       Math.abs(matrix[startRow + maxRow][startRow + i])) {
-                        maxRow = j;
-                    }
-                }
-                
-                if(maxRow !== i) {
-                    [matrix[startRow + i], matrix[startRow + maxRow]] = 
-                    [matrix[startRow + maxRow], matrix[startRow + i]];
-                }
-                
-                const pivot = matrix[startRow + i][startRow + i];
-                if (Math.abs(pivot) < 1e-10) {
-                    throw new Error('Matrix is singular or nearly singular');
-                }
-                
-                for(let j = i + 1; j < n; j++) {
-                    const factor = matrix[startRow + j][startRow + i] / pivot;
-                    for(let k = i; k < n; k++) {
-                        matrix[startRow + j][startRow + k] -= factor * 
-                        matrix[startRow + i][startRow + k];
-                    }
-                }
-            }
-            
-            // Back substitution
-            for(let i = n - 1; i >= 0; i--) {
-                for(let j = i + 1; j < n; j++) {
-                    for(let k = 0; k < n; k++) {
-                        result[i][k] -= matrix[startRow + i][startRow + j] * result[j][k];
-                    }
-                }
-                for(let k = 0; k < n; k++) {
-                    result[i][k] /= matrix[startRow + i][startRow + i];
-                }
-            }
-            
-            return result;
-        }
-    `;
-    
-    const workerPath = `${__dirname}/workers/worker.js`;
-    writeFileSync(workerPath, workerCode);
-    return new Worker(workerPath, { type: 'module' });
+ * Stops the shared worker pool. It is started again by the next parallel operation.
+ * @returns {Promise} Resolves when the workers have exited
+ */
+GV.terminateWorkers = () => {
+    const pool = GV._pool;
+    GV._pool = null;
+    return pool ? pool.terminate() : Promise.resolve();
 };
 
 /**
- * Parallel matrix multiplication
- * @param {Matrix} a - The first matrix
- * @param {Matrix} b - The second matrix
- * @returns {Matrix|null} The result of the multiplication
- */	
-GV._parallelMatrixMultiply = async (a, b) => {
-    const numWorkers = cpus().length;
-    const rowsPerWorker = Math.ceil(a.length / numWorkers);
-    const workers = [];
-    const results = [];
-    
-    return new Promise((resolve, reject) => {
-        let completedWorkers = 0;
-        
-        for(let i = 0; i < numWorkers; i++) {
-            const startRow = i * rowsPerWorker;
-            const endRow = Math.min(startRow + rowsPerWorker, a.length);
-            
-            if(startRow >= a.length) break;
-            
-            const worker = GV._createWorker();
-            workers.push(worker);
-            
-            worker.on('error', (error) => {
-                workers.forEach(w => w.terminate());
-                reject(error);
-            });
-            
-            worker.on('message', (e) => {
-                if (e.type === 'error') {
-                    workers.forEach(w => w.terminate());
-                    reject(new Error(e.error));
-                } else if (e.type === 'result') {
-                    results.push(...e.data);
-                    completedWorkers++;
-                    
-                    if(completedWorkers === workers.length) {
-                        workers.forEach(w => w.terminate());
-                        resolve(new GV.Matrix(results));
-                    }
-                }
-            });
-            
-            worker.postMessage({
-                operation: 'matrixMultiply',
-                data: { a, b, startRow, endRow }
-            });
-        }
-    });
+ * Returns the values of a matrix on a SharedArrayBuffer, copying them if needed
+ * @private
+ * @param {Matrix} m - The matrix
+ * @returns {Float64Array|Float32Array} Shared values
+ */
+GV._sharedValues = (m) => {
+    return m.values.buffer instanceof SharedArrayBuffer ? m.values : m.share().values;
 };
 
 /**
- * Calculates the determinant of a matrix
- * @param {Matrix} m - The matrix to calculate the determinant of
- * @returns {number|null} The determinant of the matrix
- */	
-GV.det = (m) => {
-    if(m.type !== 'Matrix') {
-        console.error('Input must be a Matrix');
-        return null;
+ * Allocates a zeroed typed array on a SharedArrayBuffer
+ * @private
+ */
+GV._sharedArray = (Storage, length) => {
+    return new Storage(new SharedArrayBuffer(length * Storage.BYTES_PER_ELEMENT));
+};
+
+/**
+ * Splits rows [0, n) into at most parts contiguous ranges
+ * @private
+ * @returns {Array<Array<number>>} [startRow, endRow] pairs
+ */
+GV._rowRanges = (n, parts) => {
+    const rowsPerPart = Math.ceil(n / parts);
+    const ranges = [];
+    for (let start = 0; start < n; start += rowsPerPart) {
+        ranges.push([start, Math.min(start + rowsPerPart, n)]);
     }
-    
-    if(m.length !== m[0].length) {
-        console.error('Matrix must be square to calculate determinant');
-        return null;
+    return ranges;
+};
+
+/**
+ * Blocking parallel matrix multiplication used by GV.mult when GV.parallel.enabled
+ * is set. The calling thread computes the first block of rows and waits on a shared
+ * counter (Atomics.wait) for the workers to finish the others.
+ * @private
+ * @param {Matrix} a - The first matrix
+ * @param {Matrix} b - The second matrix
+ * @returns {Matrix} The product
+ */
+GV._parallelMatMultSync = (a, b) => {
+    const pool = GV.getWorkerPool();
+    const [n, inner] = a._dims;
+    const cols = b._dims[1];
+    const A = GV._sharedValues(a), B = GV._sharedValues(b);
+    const C = GV._sharedArray(a.values.constructor, n * cols);
+    const signal = new Int32Array(new SharedArrayBuffer(8));
+
+    const [[start, end], ...ranges] = GV._rowRanges(n, pool.size + 1);
+    pool._broadcast('matrixMultiply', ranges.map(([startRow, endRow]) => (
+        { a: A, b: B, out: C, inner, cols, startRow, endRow, signal }
+    )));
+    GV._matMultRows(A, B, C, inner, cols, start, end);
+
+    let done;
+    while ((done = Atomics.load(signal, 0)) < ranges.length) {
+        Atomics.wait(signal, 0, done);
     }
-    
-    const n = m.length;
-    
-    // Handle small matrices directly
-    if(n === 1) return m[0][0];
-    if(n === 2) return m[0][0] * m[1][1] - m[0][1] * m[1][0];
-    if(n === 3) {
-        return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
-               m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
-               m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    if (Atomics.load(signal, 1) !== 0) {
+        throw new Error('Parallel matrix multiplication failed in a worker');
     }
-    
-    const numWorkers = cpus().length;
-    const rowsPerWorker = Math.ceil(n / numWorkers);
-    const workers = [];
-    const results = [];
-    
-    return new Promise((resolve, reject) => {
-        let completedWorkers = 0;
-        
-        for(let i = 0; i < numWorkers; i++) {
-            const startRow = i * rowsPerWorker;
-            const endRow = Math.min(startRow + rowsPerWorker, n);
-            
-            if(startRow >= n) break;
-            
-            const worker = GV._createWorker();
-            workers.push(worker);
-            
-            worker.on('error', (error) => {
-                workers.forEach(w => w.terminate());
-                reject(error);
-            });
-            
-            worker.on('message', (e) => {
-                if (e.type === 'error') {
-                    workers.forEach(w => w.terminate());
-                    reject(new Error(e.error));
-                } else if (e.type === 'result') {
-                    results.push(e.data);
-                    completedWorkers++;
-                    
-                    if(completedWorkers === workers.length) {
-                        workers.forEach(w => w.terminate());
-                        resolve(results.reduce((a, b) => a + b, 0));
-                    }
-                }
-            });
-            
-            worker.postMessage({
-                operation: 'determinant',
-                data: { matrix: m, startRow, endRow }
-            });
-        }
-    });
+    return new GV.Matrix(C, [n, cols]);
 };
 
 /**
- * Calculates the inverse of a matrix
- * @param {Matrix} m - The matrix to calculate the inverse of
- * @returns {Matrix|null} The inverse of the matrix
- */	
-GV.inv = (m) => {
-    if(m.type !== 'Matrix') {
-        console.error('Input must be a Matrix');
-        return null;
-    }
-    
-    if(m.length !== m[0].length) {
-        console.error('Matrix must be square to calculate inverse');
-        return null;
+ * Multiplies two matrices on the worker pool without blocking the calling thread.
+ * Products below GV.parallel.threshold multiply-adds are computed directly.
+ * @param {Matrix} a - The first matrix
+ * @param {Matrix} b - The second matrix
+ * @returns {Promise<Matrix>} The product
+ */
+GV.parallelMult = async (a, b) => {
+    if (a.type !== 'Matrix' || b.type !== 'Matrix' || a[0].length !== b.length) {
+        return GV._matMult(a, b);
     }
-    
-    const n = m.length;
-    const det = GV.det(m);
-    
-    if(Math.abs(det) < 1e-10) {
-        console.error('Matrix is singular (determinant is zero)');
-        return null;
+    const [n, inner] = a._dims;
+    const cols = b._dims[1];
+    if (n * inner * cols < GV.parallel.threshold) {
+        const C = new a.values.constructor(n * cols);
+        GV._matMultRows(a.values, b.values, C, inner, cols, 0, n);
+        return new GV.Matrix(C, [n, cols]);
     }
-    
-    // For small matrices, use direct formula
-    if(n === 2) {
-        const invDet = 1 / det;
-        return new GV.Matrix([
-            [m[1][1] * invDet, -m[0][1] * invDet],
-            [-m[1][0] * invDet, m[0][0] * invDet]
-        ]);
+
+    const pool = GV.getWorkerPool();
+    const A = GV._sharedValues(a), B = GV._sharedValues(b);
+    const C = GV._sharedArray(a.values.constructor, n * cols);
+    await Promise.all(GV._rowRanges(n, pool.size).map(([startRow, endRow]) =>
+        pool.run('matrixMultiply', { a: A, b: B, out: C, inner, cols, startRow, endRow })
+    ));
+    return new GV.Matrix(C, [n, cols]);
+};
+
+/**
+ * Runs an LU-based operation on a square matrix in a pool worker
+ * @private
+ */
+GV._runSquareTask = (operation, m, name) => {
+    try {
+        GV._checkMatrix(m, name, true);
+    } catch (error) {
+        return Promise.reject(error);
     }
-    
-    const numWorkers = cpus().length;
-    const rowsPerWorker = Math.ceil(n / numWorkers);
-    const workers = [];
-    const results = [];
-    
-    return new Promise((resolve, reject) => {
-        let completedWorkers = 0;
-        
-        for(let i = 0; i < numWorkers; i++) {
-            const startRow = i * rowsPerWorker;
-            const endRow = Math.min(startRow + rowsPerWorker, n);
-            
-            if(startRow >= n) break;
-            
-            const worker = GV._createWorker();
-            workers.push(worker);
-            
-            worker.on('error', (error) => {
-                workers.forEach(w => w.terminate());
-                reject(error);
-            });
-            
-            worker.on('message', (e) => {
-                if (e.type === 'error') {
-                    workers.forEach(w => w.terminate());
-                    reject(new Error(e.error));
-                } else if (e.type === 'result') {
-                    results.push(...e.data);
-                    completedWorkers++;
-                    
-                    if(completedWorkers === workers.length) {
-                        workers.forEach(w => w.terminate());
-                        resolve(new GV.Matrix(results));
-                    }
-                }
-            });
-            
-            worker.postMessage({
-                operation: 'inverse',
-                data: { matrix: m, startRow, endRow }
-            });
-        }
-    });
+    return GV.getWorkerPool().run(operation, { values: Float64Array.from(m.values), n: m.length });
+};
+
+/**
+ * Asynchronous GV.det, computed in a pool worker so large matrices do not block the calling thread
+ * @param {Matrix} m - Square matrix
+ * @returns {Promise<number>} The determinant
+ */
+GV.detAsync = (m) => GV._runSquareTask('determinant', m, 'GV.detAsync');
+
+/**
+ * Asynchronous GV.slogdet, computed in a pool worker
+ * @param {Matrix} m - Square matrix
+ * @returns {Promise<Object>} { sign, logAbsDet }
+ */
+GV.slogdetAsync = (m) => GV._runSquareTask('logDeterminant', m, 'GV.slogdetAsync');
+
+/**
+ * Asynchronous GV.inv, computed in a pool worker
+ * @param {Matrix} m - Square matrix
+ * @returns {Promise<Matrix>} The inverse; rejects with a SingularMatrixError if m is singular
+ */
+GV.invAsync = (m) => {
+    return GV._runSquareTask('inverse', m, 'GV.invAsync').then(values => new GV.Matrix(values, [m.length, m.length]));
 };
 
+
 /**
  * Adds a vector to a matrix
+ * @deprecated Use GV.add(m, GV.reshape(v, v.length, 1)), which broadcasts v over the columns
  * @param {Matrix} m - The matrix to add the vector to
  * @param {Vector} v - The vector to add
  * @param {boolean} [inplace=false] - Whether to modify the matrix in place
@@ -2947,6 +3647,7 @@ GV.addMatrixVector = (m, v, inplace=false) => {
 
 /**
  * Subtracts a vector from a matrix
+ * @deprecated Use GV.subtract(m, v), which broadcasts v over the rows
  * @param {Matrix} m - The matrix to subtract the vector from
  * @param {Vector} v - The vector to subtract
  * @param {boolean} [inplace=false] - Whether to modify the matrix in place
@@ -2987,6 +3688,7 @@ GV.subtractMatrixVector = (m, v, inplace=false) => {
 
 /**
  * Multiplies a matrix by a vector
+ * @deprecated Use GV.multiply(m, GV.reshape(v, v.length, 1)), which broadcasts v over the columns
  * @param {Matrix} m - The matrix to multiply
  * @param {Vector} v - The vector to multiply
  * @param {boolean} [inplace=false] - Whether to modify the matrix in place
@@ -3024,6 +3726,7 @@ GV.multiplyMatrixVector = (m, v, inplace=false) => {
 
 /**
  * Divides a matrix by a vector
+ * @deprecated Use GV.divide(m, v), which broadcasts v over the rows
  * @param {Matrix} m - The matrix to divide
  * @param {Vector} v - The vector to divide
  * @param {boolean} [inplace=false] - Whether to modify the matrix in place
@@ -3070,4 +3773,198 @@ GV.divideMatrixVector = (m, v, inplace=false) => {
     return new GV.Matrix(newM);
 }
 
+/**
+ * Creates a tensor from a Matrix, Vector, Tensor or (nested) array
+ * @param {Matrix|Vector|Tensor|Array} data - The data to convert
+ * @param {Array<number>} [shape=null] - Shape to use for flat array data
+ * @returns {Tensor} A new tensor (Tensor input is copied)
+ */
+GV.tensor = (data, shape=null) => {
+	if(data && data.type === 'Tensor') {
+		return shape ? data.clone().reshape(shape) : data.clone();
+	}
+	if(data && data.type === 'Matrix') {
+		return new GV.Tensor([data.length, data._dims[1]], Float64Array.from(data.values));
+	}
+	if(data && data.type === 'Vector') {
+		return new GV.Tensor([data.values.length], data.values);
+	}
+	if(shape) {
+		return new GV.Tensor(shape, ArrayBuffer.isView(data) ? data : data.flat(Infinity));
+	}
+
+	// Infer the shape from the nesting of the arrays
+	const inferred = [];
+	let level = data;
+	while(Array.isArray(level)) {
+		inferred.push(level.length);
+		level = level[0];
+	}
+	return new GV.Tensor(inferred, data.flat(Infinity));
+}
+
+/**
+ * Multiplies two 2D tensors directly on their typed arrays
+ * @param {Tensor} a - Tensor of shape [n, k] (or [k, n] if transposeA)
+ * @param {Tensor} b - Tensor of shape [k, m] (or [m, k] if transposeB)
+ * @param {boolean} [transposeA=false] - Whether to use the transpose of a
+ * @param {boolean} [transposeB=false] - Whether to use the transpose of b
+ * @returns {Tensor} Tensor of shape [n, m]
+ */
+GV.tensorMatMul = (a, b, transposeA=false, transposeB=false) => {
+	if(a.type !== 'Tensor' || b.type !== 'Tensor' || a.rank !== 2 || b.rank !== 2) {
+		throw new Error('tensorMatMul expects two 2D tensors');
+	}
+	const n = transposeA ? a.shape[1] : a.shape[0];
+	const k = transposeA ? a.shape[0] : a.shape[1];
+	const kb = transposeB ? b.shape[1] : b.shape[0];
+	const m = transposeB ? b.shape[0] : b.shape[1];
+	if(k !== kb) {
+		throw new Error(`Shapes [${a.shape}]${transposeA ? 'ᵀ' : ''} and [${b.shape}]${transposeB ? 'ᵀ' : ''} do not match for multiplication`);
+	}
+
+	const A = a.values, B = b.values;
+	const out = new Float64Array(n * m);
+	// Strides for stepping along the logical row/column of each operand
+	const aRow = transposeA ? 1 : k, aCol = transposeA ? n : 1;
+	const bRow = transposeB ? 1 : m, bCol = transposeB ? k : 1;
+
+	for(let i = 0; i < n; i++) {
+		const outOffset = i * m;
+		for(let p = 0; p < k; p++) {
+			const av = A[i * aRow + p * aCol];
+			if(av === 0) continue;
+			const bOffset = p * bRow;
+			for(let j = 0; j < m; j++) {
+				out[outOffset + j] += av * B[bOffset + j * bCol];
+			}
+		}
+	}
+	return new GV.Tensor([n, m], out);
+}
+
+/**
+ * Computes the output size and leading padding of a convolution along one axis
+ * @private
+ * @param {number} inSize - Input size
+ * @param {number} kernel - Kernel size
+ * @param {number} stride - Stride
+ * @param {number} dilation - Dilation
+ * @param {string} padding - 'same' or 'valid'
+ * @returns {Object} { outSize, padBefore }
+ */
+GV._convGeometry = (inSize, kernel, stride, dilation, padding) => {
+	const effectiveKernel = (kernel - 1) * dilation + 1;
+	if(padding === 'same') {
+		const outSize = Math.ceil(inSize / stride);
+		const padTotal = Math.max((outSize - 1) * stride + effectiveKernel - inSize, 0);
+		return { outSize, padBefore: Math.floor(padTotal / 2) };
+	}
+	if(padding === 'valid') {
+		const outSize = Math.floor((inSize - effectiveKernel) / stride) + 1;
+		if(outSize <= 0) {
+			throw new Error(`Kernel of effective size ${effectiveKernel} does not fit input of size ${inSize} with 'valid' padding`);
+		}
+		return { outSize, padBefore: 0 };
+	}
+	throw new Error(`Unknown padding mode: ${padding}`);
+}
+
+/**
+ * Unfolds the sliding windows of an NHWC tensor into rows (im2col), so a 2D
+ * convolution becomes a single matrix multiplication with the flattened kernel.
+ * @param {Tensor} x - Input tensor of shape [batch, height, width, channels]
+ * @param {Array<number>} kernelSize - [kernelHeight, kernelWidth]
+ * @param {Object} [options={}] - Convolution options
+ * @param {Array<number>} [options.stride=[1, 1]] - Stride per spatial axis
+ * @param {Array<number>} [options.dilation=[1, 1]] - Dilation per spatial axis
+ * @param {string} [options.padding='valid'] - 'same' or 'valid'; padded cells are zero
+ * @returns {Object} { cols, outHeight, outWidth } where cols has shape
+ * [batch * outHeight * outWidth, kernelHeight * kernelWidth * channels]
+ */
+GV.im2col = (x, kernelSize, { stride=[1, 1], dilation=[1, 1], padding='valid' } = {}) => {
+	if(x.type !== 'Tensor' || x.rank !== 4) {
+		throw new Error('im2col expects a 4D tensor of shape [batch, height, width, channels]');
+	}
+	const [batch, height, width, channels] = x.shape;
+	const [kh, kw] = kernelSize;
+	const rowGeo = GV._convGeometry(height, kh, stride[0], dilation[0], padding);
+	const colGeo = GV._convGeometry(width, kw, stride[1], dilation[1], padding);
+	const outHeight = rowGeo.outSize, outWidth = colGeo.outSize;
+
+	const patchSize = kh * kw * channels;
+	const cols = new GV.Tensor([batch * outHeight * outWidth, patchSize]);
+	const X = x.values, C = cols.values;
+
+	let row = 0;
+	for(let b = 0; b < batch; b++) {
+		for(let i = 0; i < outHeight; i++) {
+			for(let j = 0; j < outWidth; j++) {
+				let offset = row * patchSize;
+				for(let u = 0; u < kh; u++) {
+					const h = i * stride[0] + u * dilation[0] - rowGeo.padBefore;
+					for(let v = 0; v < kw; v++) {
+						const w = j * stride[1] + v * dilation[1] - colGeo.padBefore;
+						if(h >= 0 && h < height && w >= 0 && w < width) {
+							const src = ((b * height + h) * width + w) * channels;
+							for(let c = 0; c < channels; c++) C[offset + c] = X[src + c];
+						}
+						offset += channels;
+					}
+				}
+				row++;
+			}
+		}
+	}
+
+	return { cols, outHeight, outWidth };
+}
+
+/**
+ * Folds im2col rows back into an NHWC tensor, summing overlapping windows.
+ * This is the adjoint of GV.im2col and is used for input gradients.
+ * @param {Tensor} cols - Tensor of shape [batch * outHeight * outWidth, kernelHeight * kernelWidth * channels]
+ * @param {Array<number>} inputShape - [batch, height, width, channels] of the original input
+ * @param {Array<number>} kernelSize - [kernelHeight, kernelWidth]
+ * @param {Object} [options={}] - The same options passed to GV.im2col
+ * @returns {Tensor} Tensor of shape inputShape
+ */
+GV.col2im = (cols, inputShape, kernelSize, { stride=[1, 1], dilation=[1, 1], padding='valid' } = {}) => {
+	const [batch, height, width, channels] = inputShape;
+	const [kh, kw] = kernelSize;
+	const rowGeo = GV._convGeometry(height, kh, stride[0], dilation[0], padding);
+	const colGeo = GV._convGeometry(width, kw, stride[1], dilation[1], padding);
+	const outHeight = rowGeo.outSize, outWidth = colGeo.outSize;
+
+	const patchSize = kh * kw * channels;
+	if(cols.shape[0] !== batch * outHeight * outWidth || cols.shape[1] !== patchSize) {
+		throw new Error(`col2im expects cols of shape [${batch * outHeight * outWidth},${patchSize}], got [${cols.shape}]`);
+	}
+	const x = new GV.Tensor(inputShape);
+	const X = x.values, C = cols.values;
+
+	let row = 0;
+	for(let b = 0; b < batch; b++) {
+		for(let i = 0; i < outHeight; i++) {
+			for(let j = 0; j < outWidth; j++) {
+				let offset = row * patchSize;
+				for(let u = 0; u < kh; u++) {
+					const h = i * stride[0] + u * dilation[0] - rowGeo.padBefore;
+					for(let v = 0; v < kw; v++) {
+						const w = j * stride[1] + v * dilation[1] - colGeo.padBefore;
+						if(h >= 0 && h < height && w >= 0 && w < width) {
+							const dst = ((b * height + h) * width + w) * channels;
+							for(let c = 0; c < channels; c++) X[dst + c] += C[offset + c];
+						}
+						offset += channels;
+					}
+				}
+				row++;
+			}
+		}
+	}
+
+	return x;
+}
+
 export default GV;
\ No newline at end of file
@@ -0,0 +1,794 @@
+/**
+ * Datasets and Data Loaders
+ * A Dataset holds samples in memory (GV matrices or tensors), a StreamDataset
+ * reads them lazily from a generator or async iterator. A DataLoader turns
+ * either into batches for Model.train: shuffled or in order, optionally
+ * stratified or weighted, with the last short batch kept or dropped and an
+ * on-the-fly transform applied to each batch.
+ *
+ * CSV and JSON lines files are read into tables with parseCSV/parseJSONL, and
+ * toMatrices/loadData select feature and target columns from them into matrices.
+ *
+ * @module nn/data
+ */
+
+import GV from '../gv.js';
+import fs from 'fs';
+
+/**
+ * Applies fn to a Matrix, Vector or Tensor, or to each entry of an array or
+ * object of them (the several named inputs or outputs of a GraphModel)
+ * @private
+ */
+const mapData = (data, fn) => {
+    if (data.type === 'Matrix' || data.type === 'Vector' || data.type === 'Tensor') {
+        return fn(data);
+    }
+    if (Array.isArray(data)) {
+        return data.map(fn);
+    }
+    let mapped = {};
+    for (let name of Object.keys(data)) {
+        mapped[name] = fn(data[name]);
+    }
+    return mapped;
+};
+
+/**
+ * Returns the number of samples in a Matrix, Vector or Tensor, or in an array or object of them
+ * @private
+ */
+const countSamples = (data) => {
+    let counts = [];
+    mapData(data, entry => counts.push(entry.type === 'Vector' ? entry.values.length : entry.length));
+    if (counts.length === 0 || counts.some(count => count !== counts[0])) {
+        throw new Error(`Dataset entries must have the same number of samples, got [${counts.join(', ')}]`);
+    }
+    return counts[0];
+};
+
+const isRow = (sample) => ArrayBuffer.isView(sample) || (Array.isArray(sample) && typeof sample[0] === 'number');
+
+/**
+ * Stacks single samples into a batch: rows of numbers into a Matrix, numbers into a
+ * column Matrix, Tensors into a Tensor with a leading batch axis, and arrays or
+ * objects of those entry by entry
+ * @private
+ * @param {Array} samples - The samples
+ * @returns {Matrix|Tensor|Array|Object} The batch
+ */
+const stack = (samples) => {
+    let first = samples[0];
+    if (typeof first === 'number') {
+        return new GV.Matrix(Float64Array.from(samples), [samples.length, 1]);
+    }
+    if (isRow(first) || first.type === 'Vector') {
+        let cols = first.length;
+        let values = new Float64Array(samples.length * cols);
+        samples.forEach((sample, i) => {
+            let row = sample.type === 'Vector' ? sample.values : sample;
+            if (row.length !== cols) {
+                throw new Error(`Samples must have the same size, got ${cols} and ${row.length}`);
+            }
+            values.set(row, i * cols);
+        });
+        return new GV.Matrix(values, [samples.length, cols]);
+    }
+    if (first.type === 'Tensor') {
+        let out = new GV.Tensor([samples.length, ...first.shape]);
+        samples.forEach((sample, i) => out.values.set(sample.values, i * first.size));
+        return out;
+    }
+    if (Array.isArray(first)) {
+        return first.map((_, k) => stack(samples.map(sample => sample[k])));
+    }
+    let batch = {};
+    for (let name of Object.keys(first)) {
+        batch[name] = stack(samples.map(sample => sample[name]));
+    }
+    return batch;
+};
+
+/**
+ * In-memory dataset of inputs and targets
+ *
+ * @class Dataset
+ */
+export class Dataset {
+    /**
+     * @param {Matrix|Tensor|Array|Object} x - Inputs, one sample per row (along the first axis for tensors).
+     * Arrays or objects of them hold the inputs of a GraphModel.
+     * @param {Matrix|Vector|Array|Object} [y=null] - Targets, with the same number of samples
+     */
+    constructor(x, y = null) {
+        this.x = x;
+        this.y = y;
+        this.length = countSamples(x);
+
+        if (y !== null && countSamples(y) !== this.length) {
+            throw new Error(`Dataset has ${this.length} input samples but ${countSamples(y)} target samples`);
+        }
+
+        /**
+         * Gathers samples into a batch
+         * @param {Array<number>} indices - Sample indices
+         * @returns {Object} { x, y }
+         */
+        this.get = (indices) => ({
+            x: mapData(this.x, entry => GV.fromIndices(entry, indices)),
+            y: this.y === null ? null : mapData(this.y, entry => GV.fromIndices(entry, indices))
+        });
+    }
+}
+
+/**
+ * Dataset read lazily from a source of samples. Each sample is [x, y] or { x, y }, where
+ * x and y are rows of numbers (arrays, typed arrays or Vectors), numbers, Tensors, or
+ * arrays or objects of these for a GraphModel.
+ *
+ * @class StreamDataset
+ */
+export class StreamDataset {
+    /**
+     * @param {Function|Iterable|AsyncIterable} source - A function returning a new (async) iterator for each
+     * epoch, e.g. a generator function, or an iterable. A generator or iterator object can be read only once.
+     */
+    constructor(source) {
+        this.source = source;
+        this.length = null;
+        this._read = false;
+
+        /**
+         * Starts reading the samples
+         * @returns {Iterator|AsyncIterator} An iterator over the samples
+         */
+        this.samples = () => {
+            let iterable = typeof this.source === 'function' ? this.source() : this.source;
+            let iterator = iterable[Symbol.asyncIterator] ? iterable[Symbol.asyncIterator]()
+                : iterable[Symbol.iterator] ? iterable[Symbol.iterator]()
+                : iterable;
+            if (typeof iterator.next !== 'function') {
+                throw new Error('StreamDataset source must be an iterable, an async iterable or a function returning one');
+            }
+            if (iterator === iterable && typeof this.source !== 'function') {
+                if (this._read) {
+                    throw new Error('StreamDataset iterator has already been read; pass a function that returns a new iterator for each epoch');
+                }
+                this._read = true;
+            }
+            return iterator;
+        }
+    }
+}
+
+/**
+ * Draws batches from a Dataset or StreamDataset
+ *
+ * @class DataLoader
+ */
+export class DataLoader {
+    /**
+     * @param {Dataset|StreamDataset} dataset - The samples
+     * @param {Object} [options]
+     * @param {number} [options.batchSize=8] - Samples per batch
+     * @param {boolean} [options.shuffle=true] - Draws the samples in a new random order every epoch. Stream
+     * datasets are shuffled through a buffer of bufferSize samples.
+     * @param {boolean} [options.dropLast=false] - Skips the last batch when it is smaller than batchSize
+     * @param {Vector|Array|boolean} [options.stratify=null] - Class label of each sample, or true to use the
+     * argmax of one-hot targets. Spreads every class evenly over the epoch so batches keep the class proportions.
+     * @param {Vector|Array<number>} [options.weights=null] - Sampling weight of each sample. Samples are drawn
+     * with replacement, with probability proportional to their weight.
+     * @param {number} [options.numSamples=null] - Samples per epoch for weighted sampling (defaults to the dataset size)
+     * @param {number} [options.bufferSize=1000] - Shuffle buffer size for stream datasets
+     * @param {Function} [options.transform=null] - transform(x, y, rng) => [x, y], applied to each batch
+     * @param {Random} [options.rng=null] - Random generator; defaults to the training model's, or GV.random
+     */
+    constructor(dataset, {
+        batchSize = 8,
+        shuffle = true,
+        dropLast = false,
+        stratify = null,
+        weights = null,
+        numSamples = null,
+        bufferSize = 1000,
+        transform = null,
+        rng = null
+    } = {}) {
+        if (!(dataset instanceof Dataset) && !(dataset instanceof StreamDataset)) {
+            throw new Error('DataLoader expects a Dataset or a StreamDataset');
+        }
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error(`DataLoader batchSize must be a positive integer, got ${batchSize}`);
+        }
+        if (stratify !== null && weights !== null) {
+            throw new Error('DataLoader cannot combine stratify and weights');
+        }
+        let streaming = dataset instanceof StreamDataset;
+        if (streaming && (stratify !== null || weights !== null)) {
+            throw new Error('Stratified and weighted sampling need a Dataset; stream datasets can only be shuffled');
+        }
+
+        this.dataset = dataset;
+        this.batchSize = batchSize;
+        this.shuffle = shuffle;
+        this.dropLast = dropLast;
+        this.bufferSize = bufferSize;
+        this.transform = transform;
+        this.rng = rng;
+
+        if (stratify === true) {
+            if (!dataset.y || dataset.y.type !== 'Matrix') {
+                throw new Error('stratify: true needs one-hot targets in a Matrix; pass the labels instead');
+            }
+            stratify = Array.from(dataset.y.rows, row => row.indexOf(Math.max(...row)));
+        }
+        this.labels = stratify === null ? null : Array.from(stratify.type === 'Vector' ? stratify.values : stratify);
+        if (this.labels !== null && this.labels.length !== dataset.length) {
+            throw new Error(`stratify has ${this.labels.length} labels for ${dataset.length} samples`);
+        }
+
+        this.weights = weights === null ? null : Array.from(weights.type === 'Vector' ? weights.values : weights);
+        if (this.weights !== null) {
+            if (this.weights.length !== dataset.length) {
+                throw new Error(`weights has ${this.weights.length} entries for ${dataset.length} samples`);
+            }
+            if (this.weights.some(w => !(w >= 0)) || !this.weights.some(w => w > 0)) {
+                throw new Error('Sampling weights must be non-negative with at least one positive weight');
+            }
+        }
+        this.numSamples = streaming ? null : this.weights !== null && numSamples !== null ? numSamples : dataset.length;
+
+        /**
+         * Number of batches per epoch, or null for stream datasets
+         * @type {number|null}
+         */
+        this.numBatches = this.numSamples === null ? null
+            : dropLast ? Math.floor(this.numSamples / batchSize) : Math.ceil(this.numSamples / batchSize);
+
+        /**
+         * Returns the sample order of one epoch of a Dataset
+         * @param {Random} [rng] - Random generator
+         * @returns {Array<number>} Sample indices
+         */
+        this.indices = (rng = this.rng || GV.random) => {
+            if (this.weights !== null) {
+                return this._weightedIndices(rng);
+            }
+            if (this.labels !== null) {
+                return this._stratifiedIndices(rng);
+            }
+            let order = Array.from(Array(this.dataset.length).keys());
+            return this.shuffle ? rng.shuffle(order) : order;
+        }
+
+        /**
+         * Weighted sampling with replacement, by binary search in the cumulative weights
+         * @private
+         */
+        this._weightedIndices = (rng) => {
+            let cumulative = new Float64Array(this.weights.length);
+            let total = 0;
+            this.weights.forEach((w, i) => cumulative[i] = total += w);
+            let order = new Array(this.numSamples);
+            for (let k = 0; k < this.numSamples; k++) {
+                let u = rng.random() * total;
+                let lo = 0, hi = cumulative.length - 1;
+                while (lo < hi) {
+                    let mid = (lo + hi) >> 1;
+                    if (cumulative[mid] > u) hi = mid; else lo = mid + 1;
+                }
+                order[k] = lo;
+            }
+            return order;
+        }
+
+        /**
+         * Places the k-th of m samples of a class at (k + offset) / m of the epoch, so that
+         * every stretch of the order holds each class in proportion
+         * @private
+         */
+        this._stratifiedIndices = (rng) => {
+            let classes = new Map();
+            this.labels.forEach((label, i) => {
+                if (!classes.has(label)) classes.set(label, []);
+                classes.get(label).push(i);
+            });
+            let keys = new Float64Array(this.labels.length);
+            for (let members of classes.values()) {
+                if (this.shuffle) rng.shuffle(members);
+                let offset = this.shuffle ? rng.random() : 0.5;
+                members.forEach((i, k) => keys[i] = (k + offset) / members.length);
+            }
+            return Array.from(keys.keys()).sort((a, b) => keys[a] - keys[b]);
+        }
+
+        /**
+         * Yields the batches of one epoch
+         * @param {Random} [rng] - Random generator for the order and the transform
+         * @returns {AsyncGenerator<Object>} { x, y } batches
+         */
+        this.batches = async function* (rng = this.rng || GV.random) {
+            let source = this.dataset instanceof StreamDataset ? this._streamBatches(rng) : this._datasetBatches(rng);
+            for await (let { x, y } of source) {
+                if (this.transform) {
+                    [x, y] = await this.transform(x, y, rng);
+                }
+                yield { x, y };
+            }
+        }
+
+        this._datasetBatches = function* (rng) {
+            let order = this.indices(rng);
+            for (let b = 0; b < this.numBatches; b++) {
+                yield this.dataset.get(order.slice(b * this.batchSize, (b + 1) * this.batchSize));
+            }
+        }
+
+        /**
+         * Groups streamed samples into batches, shuffling them through a buffer when shuffle is set
+         * @private
+         */
+        this._streamBatches = async function* (rng) {
+            let batch = [];
+            let buffer = [];
+            const toBatch = (samples) => {
+                let pairs = samples.map(sample => Array.isArray(sample) ? sample : [sample.x, sample.y]);
+                return {
+                    x: stack(pairs.map(pair => pair[0])),
+                    y: pairs[0][1] === undefined || pairs[0][1] === null ? null : stack(pairs.map(pair => pair[1]))
+                };
+            };
+
+            let iterator = this.dataset.samples();
+            try {
+                while (true) {
+                    let { value, done } = await iterator.next();
+                    if (done) break;
+                    if (this.shuffle) {
+                        if (buffer.length < this.bufferSize) {
+                            buffer.push(value);
+                            continue;
+                        }
+                        let k = rng.int(buffer.length);
+                        [value, buffer[k]] = [buffer[k], value];
+                    }
+                    batch.push(value);
+                    if (batch.length === this.batchSize) {
+                        yield toBatch(batch);
+                        batch = [];
+                    }
+                }
+            } finally {
+                if (typeof iterator.return === 'function') {
+                    await iterator.return();
+                }
+            }
+
+            for (let value of rng.shuffle(buffer)) {
+                batch.push(value);
+                if (batch.length === this.batchSize) {
+                    yield toBatch(batch);
+                    batch = [];
+                }
+            }
+            if (batch.length > 0 && !this.dropLast) {
+                yield toBatch(batch);
+            }
+        }
+
+        this[Symbol.asyncIterator] = () => this.batches();
+    }
+}
+
+/**
+ * Cell values treated as missing by the CSV and JSONL readers
+ * @type {Array<string>}
+ */
+export const MISSING_VALUES = ['', 'NA', 'N/A', 'NaN', 'nan', 'null', 'NULL', 'None', '?'];
+
+const isNumeric = (cell) => cell.trim() !== '' && !isNaN(Number(cell));
+
+/**
+ * Splits CSV text into rows of raw cells. Fields may be quoted; a doubled quote inside a
+ * quoted field is a literal quote, and quoted fields may contain delimiters and newlines.
+ * @private
+ * @param {boolean} [partial=false] - Accepts text that ends inside a quoted field, such as a sample of a file
+ */
+const splitCSV = (text, delimiter, quote, partial = false) => {
+    let rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let wasQuoted = false;
+    const endCell = () => {
+        row.push({ value: cell, quoted: wasQuoted });
+        cell = '';
+        wasQuoted = false;
+    };
+    const endRow = () => {
+        endCell();
+        // Blank lines are skipped
+        if (row.length > 1 || row[0].value !== '' || row[0].quoted) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i];
+        if (quoted) {
+            if (c === quote && text[i + 1] === quote) {
+                cell += quote;
+                i++;
+            } else if (c === quote) {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === quote && cell.trim() === '') {
+            quoted = true;
+            wasQuoted = true;
+            cell = '';
+        } else if (c === delimiter) {
+            endCell();
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += c;
+        }
+    }
+    if (quoted && !partial) {
+        throw new Error('CSV ends inside a quoted field');
+    }
+    if (cell !== '' || wasQuoted || row.length > 0) endRow();
+    return rows;
+};
+
+/**
+ * Picks the delimiter that splits the first rows into the same, largest number of fields
+ * @private
+ */
+const detectDelimiter = (text, quote) => {
+    let sample = text.slice(0, 65536);
+    let truncated = sample.length < text.length;
+    let best = ',';
+    let bestCount = 1;
+    for (let candidate of [',', ';', '\t', '|']) {
+        let rows = splitCSV(sample, candidate, quote, truncated);
+        if (truncated && rows.length > 1) rows.pop();
+        let counts = rows.slice(0, 10).map(row => row.length);
+        if (counts.length > 0 && counts[0] > bestCount && counts.every(count => count === counts[0])) {
+            best = candidate;
+            bestCount = counts[0];
+        }
+    }
+    return best;
+};
+
+/**
+ * Infers the type of each column from its non-missing cells and converts the cells:
+ * 'number' when every cell is numeric, 'boolean' when every cell is true or false,
+ * 'string' otherwise. Missing cells become null.
+ * @private
+ */
+const typeColumns = (columns, rawRows, types, missingValues) => {
+    let missing = new Set(missingValues);
+    let resolved = columns.map((name, j) => {
+        if (types[name]) return types[name];
+        let cells = rawRows.map(row => row[j]).filter(cell => cell !== null && !missing.has(cell));
+        if (cells.every(cell => typeof cell === 'number' || (typeof cell === 'string' && isNumeric(cell)))) return 'number';
+        if (cells.every(cell => typeof cell === 'boolean' || /^(true|false)$/i.test(cell))) return 'boolean';
+        return 'string';
+    });
+    let rows = rawRows.map(row => resolved.map((type, j) => {
+        let cell = row[j];
+        if (cell === null || cell === undefined || (typeof cell === 'string' && missing.has(cell))) return null;
+        if (type === 'number') {
+            let value = Number(cell);
+            if (isNaN(value)) {
+                throw new Error(`Column '${columns[j]}' is numeric but holds '${cell}'`);
+            }
+            return value;
+        }
+        if (type === 'boolean') return typeof cell === 'boolean' ? cell : cell.toLowerCase() === 'true';
+        return String(cell);
+    }));
+    return { columns, types: resolved, rows };
+};
+
+/**
+ * Parses CSV text into a table
+ * @param {string} text - The CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter; detected among , ; tab and | when omitted
+ * @param {string} [options.quote='"'] - Quote character
+ * @param {boolean|string} [options.header='auto'] - Whether the first row holds column names. 'auto' treats it as
+ * a header when its cells are distinct, non-empty and not numeric.
+ * @param {Object<string, string>} [options.types={}] - Column types ('number', 'boolean' or 'string') overriding inference
+ * @param {Array<string>} [options.missingValues=MISSING_VALUES] - Cells read as missing values
+ * @param {boolean} [options.trim=true] - Trims whitespace around unquoted cells
+ * @returns {Object} Table { columns, types, rows } with one array of values (or null) per row
+ */
+export const parseCSV = (text, {
+    delimiter = null,
+    quote = '"',
+    header = 'auto',
+    types = {},
+    missingValues = MISSING_VALUES,
+    trim = true
+} = {}) => {
+    if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    let rows = splitCSV(text, delimiter || detectDelimiter(text, quote), quote)
+        .map(row => row.map(({ value, quoted }) => trim && !quoted ? value.trim() : value));
+    if (rows.length === 0) {
+        return { columns: [], types: [], rows: [] };
+    }
+
+    if (header === 'auto') {
+        let first = rows[0];
+        header = first.every(cell => cell !== '' && !isNumeric(cell) && !missingValues.includes(cell))
+            && new Set(first).size === first.length;
+    }
+    let width = Math.max(...rows.map(row => row.length));
+    let columns = header ? rows.shift() : Array.from(Array(width).keys(), String);
+    rows.forEach((row, i) => {
+        if (row.length !== columns.length) {
+            throw new Error(`CSV row ${i + (header ? 2 : 1)} has ${row.length} fields, expected ${columns.length}`);
+        }
+    });
+    return typeColumns(columns, rows, types, missingValues);
+};
+
+/**
+ * Parses JSON lines (one object per line) into a table. Nested objects and arrays are
+ * flattened into columns named with dots, e.g. { a: { b: 1 }, c: [2, 3] } gives a.b, c.0 and c.1.
+ * Keys absent from a line are missing values.
+ * @param {string} text - The JSONL text
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.types={}] - Column types overriding inference
+ * @param {Array<string>} [options.missingValues=MISSING_VALUES] - String values read as missing values
+ * @returns {Object} Table { columns, types, rows }
+ */
+export const parseJSONL = (text, { types = {}, missingValues = MISSING_VALUES } = {}) => {
+    const flatten = (value, prefix, out) => {
+        if (value !== null && typeof value === 'object') {
+            for (let key of Object.keys(value)) {
+                flatten(value[key], prefix === null ? key : `${prefix}.${key}`, out);
+            }
+        } else {
+            out[prefix] = value;
+        }
+        return out;
+    };
+
+    let records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.trim() === '') return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (e) {
+            throw new Error(`Invalid JSON on line ${i + 1}: ${e.message}`);
+        }
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`Line ${i + 1} must hold a JSON object`);
+        }
+        records.push(flatten(record, null, {}));
+    });
+
+    let columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    let rows = records.map(record => columns.map(name => name in record ? record[name] : null));
+    return typeColumns(columns, rows, types, missingValues);
+};
+
+/**
+ * Reads a CSV file into a table (see parseCSV)
+ * @param {string} path - File path
+ * @param {Object} [options] - parseCSV options
+ * @returns {Object} Table { columns, types, rows }
+ */
+export const readCSV = (path, options = {}) => parseCSV(fs.readFileSync(path, 'utf8'), options);
+
+/**
+ * Reads a JSON lines file into a table (see parseJSONL)
+ * @param {string} path - File path
+ * @param {Object} [options] - parseJSONL options
+ * @returns {Object} Table { columns, types, rows }
+ */
+export const readJSONL = (path, options = {}) => parseJSONL(fs.readFileSync(path, 'utf8'), options);
+
+/**
+ * Resolves a column selection entry against a table into { column, index, type, encode,
+ * categories, missing, fill }, learning the categories and fill value from the table
+ * unless the entry already has them
+ * @private
+ */
+const resolveColumn = (table, entry, missing) => {
+    let spec = typeof entry === 'object' ? { ...entry } : { column: entry };
+    let index = typeof spec.column === 'number' ? spec.column : table.columns.indexOf(spec.column);
+    if (index < 0 || index >= table.columns.length) {
+        throw new Error(`Unknown column '${spec.column}'; columns are ${table.columns.map(name => `'${name}'`).join(', ')}`);
+    }
+    let type = table.types[index];
+    let values = table.rows.map(row => row[index]);
+    let present = values.filter(value => value !== null);
+
+    let encode = spec.encode || (type === 'string' ? 'onehot' : 'number');
+    if (!['number', 'onehot', 'index'].includes(encode)) {
+        throw new Error(`Unknown encoding '${encode}' for column '${spec.column}'; use 'number', 'onehot' or 'index'`);
+    }
+    if (encode === 'number' && type === 'string') {
+        throw new Error(`Column '${spec.column}' holds text; use encode: 'onehot' or 'index'`);
+    }
+    let categories = encode === 'number' ? null
+        : spec.categories || [...new Set(present)].sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+
+    missing = spec.missing !== undefined ? spec.missing : missing;
+    let fill = spec.fill;
+    if (fill === undefined && (missing === 'mean' || missing === 'mode')) {
+        if (present.length === 0) {
+            throw new Error(`Column '${spec.column}' has no values to compute its ${missing}`);
+        }
+        if (encode === 'number' && missing === 'mean') {
+            fill = present.reduce((total, value) => total + Number(value), 0) / present.length;
+        } else {
+            // The most frequent value
+            let counts = new Map();
+            present.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            fill = [...counts.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best)[0];
+        }
+    } else if (fill === undefined && typeof missing === 'number') {
+        fill = missing;
+    }
+    return { column: table.columns[index], index, type, encode, categories, missing, fill: fill === undefined ? null : fill };
+};
+
+/**
+ * Converts a table (or a Matrix, with numbered columns) into feature and target matrices.
+ * Columns are selected by name or index, or by an object { column, encode, missing, categories }:
+ * - encode: 'number' (default for numbers and booleans), 'onehot' (default for text) or 'index'
+ * - missing: 'error' (default), 'drop' (skip the row), 'mean', 'mode' (most frequent value) or a number
+ *
+ * The returned spec holds the categories and fill values learned here; pass it to toMatrices
+ * for validation or test data so they are encoded the same way.
+ * @param {Object|Matrix} table - Table from parseCSV, readCSV, parseJSONL or readJSONL
+ * @param {Object} spec - Column selection
+ * @param {Array} [spec.features] - Feature columns; defaults to every column that is not a target
+ * @param {Array} [spec.targets=[]] - Target columns
+ * @param {string|number} [spec.missing='error'] - Missing value policy for all columns
+ * @returns {Object} { x, y, featureNames, targetNames, rows, spec }, where y is null without targets
+ * and rows are the indices of the table rows that were kept
+ */
+export const toMatrices = (table, { features = null, targets = [], missing = 'error' } = {}) => {
+    if (table.type === 'Matrix') {
+        let [, cols] = table._dims;
+        table = {
+            columns: Array.from(Array(cols).keys(), String),
+            types: new Array(cols).fill('number'),
+            rows: table.toArray().map(row => row.map(value => isNaN(value) ? null : value))
+        };
+    }
+
+    let targetSpecs = targets.map(entry => resolveColumn(table, entry, missing));
+    if (features === null) {
+        let used = new Set(targetSpecs.map(spec => spec.index));
+        features = table.columns.map((_, i) => i).filter(i => !used.has(i));
+    }
+    let featureSpecs = features.map(entry => resolveColumn(table, entry, missing));
+
+    const width = (spec) => spec.encode === 'onehot' ? spec.categories.length : 1;
+    const names = (specs) => specs.flatMap(spec => spec.encode === 'onehot'
+        ? spec.categories.map(category => `${spec.column}=${category}`)
+        : [spec.column]);
+
+    // Rows with a missing value in a 'drop' column are skipped
+    let all = [...featureSpecs, ...targetSpecs];
+    let kept = [];
+    table.rows.forEach((row, i) => {
+        let keep = true;
+        for (let spec of all) {
+            if (row[spec.index] !== null) continue;
+            if (spec.missing === 'drop') {
+                keep = false;
+            } else if (spec.fill === null) {
+                throw new Error(`Missing value in column '${spec.column}' on row ${i + 1}; set missing to 'drop', 'mean', 'mode' or a number`);
+            }
+        }
+        if (keep) kept.push(i);
+    });
+
+    const encode = (specs) => {
+        let cols = specs.reduce((total, spec) => total + width(spec), 0);
+        let values = new Float64Array(kept.length * cols);
+        kept.forEach((i, r) => {
+            let offset = r * cols;
+            for (let spec of specs) {
+                let value = table.rows[i][spec.index];
+                if (value === null) value = spec.fill;
+                if (spec.encode === 'number') {
+                    values[offset] = Number(value);
+                } else {
+                    let k = spec.categories.indexOf(value);
+                    if (k < 0) {
+                        throw new Error(`Unknown category '${value}' in column '${spec.column}' on row ${i + 1}`);
+                    }
+                    values[spec.encode === 'onehot' ? offset + k : offset] = spec.encode === 'onehot' ? 1 : k;
+                }
+                offset += width(spec);
+            }
+        });
+        return new GV.Matrix(values, [kept.length, cols]);
+    };
+
+    // Columns are stored by name so the spec also applies to tables with another column order
+    const stored = (specs) => specs.map(({ column, encode, categories, missing, fill }) => ({ column, encode, categories, missing, fill }));
+    return {
+        x: encode(featureSpecs),
+        y: targetSpecs.length > 0 ? encode(targetSpecs) : null,
+        featureNames: names(featureSpecs),
+        targetNames: names(targetSpecs),
+        rows: kept,
+        spec: { features: stored(featureSpecs), targets: stored(targetSpecs), missing }
+    };
+};
+
+/**
+ * Loads training (and validation) matrices from a CSV or JSONL file described by a spec,
+ * e.g. { path: 'data.csv', features: ['age', 'city'], targets: ['label'], validationSplit: 0.2 }
+ * @param {Object} spec - Data specification
+ * @param {string} spec.path - File path
+ * @param {string} [spec.format] - 'csv' or 'jsonl'; inferred from the file extension when omitted
+ * @param {Object} [spec.read] - Options for parseCSV or parseJSONL
+ * @param {Array} [spec.features] - Feature columns (see toMatrices)
+ * @param {Array} [spec.targets] - Target columns
+ * @param {string|number} [spec.missing='error'] - Missing value policy
+ * @param {string} [spec.validationPath] - Validation file, encoded with the categories and fill values of the training data
+ * @param {number} [spec.validationSplit=0] - Fraction of the rows held out for validation when there is no validationPath
+ * @param {boolean} [spec.shuffle=true] - Shuffles the rows before splitting
+ * @param {Random} [spec.rng=GV.random] - Random generator for the split
+ * @returns {Object} { X, Y, XValidation, YValidation, featureNames, targetNames, spec }; the validation
+ * matrices are null without validation data
+ */
+export const loadData = ({
+    path,
+    format = null,
+    read = {},
+    features = null,
+    targets = [],
+    missing = 'error',
+    validationPath = null,
+    validationSplit = 0,
+    shuffle = true,
+    rng = GV.random
+}) => {
+    const readTable = (file) => {
+        let kind = format || (/\.jsonl?$|\.ndjson$/i.test(file) ? 'jsonl' : 'csv');
+        if (kind !== 'csv' && kind !== 'jsonl') {
+            throw new Error(`Unknown data format '${kind}'; use 'csv' or 'jsonl'`);
+        }
+        return kind === 'csv' ? readCSV(file, read) : readJSONL(file, read);
+    };
+
+    let table = readTable(path);
+    let validation = null;
+    if (validationPath) {
+        validation = readTable(validationPath);
+    } else if (validationSplit > 0) {
+        let order = Array.from(table.rows.keys());
+        if (shuffle) rng.shuffle(order);
+        let count = Math.round(order.length * validationSplit);
+        validation = { ...table, rows: order.slice(0, count).map(i => table.rows[i]) };
+        table = { ...table, rows: order.slice(count).map(i => table.rows[i]) };
+    }
+
+    let train = toMatrices(table, { features, targets, missing });
+    let held = validation ? toMatrices(validation, train.spec) : null;
+    return {
+        X: train.x,
+        Y: train.y,
+        XValidation: held ? held.x : null,
+        YValidation: held ? held.y : null,
+        featureNames: train.featureNames,
+        targetNames: train.targetNames,
+        spec: train.spec
+    };
+};
\ No newline at end of file
@@ -0,0 +1,302 @@
+/**
+ * Gradient Checking
+ * Compares the gradients computed by backpropagation with central finite
+ * differences. gradCheck() covers every trainable parameter of a model,
+ * gradCheckLayer() a single layer (parameters and inputs) and gradCheckLoss()
+ * the derivative a loss function returns for the model output.
+ *
+ * All three return relative errors |analytic - numeric| / max(|analytic|, |numeric|)
+ * together with `passed`, so they can be asserted on in tests.
+ *
+ * @module nn/gradcheck
+ */
+
+import GV from '../gv.js';
+import { Dropout } from './layers.js';
+
+const {
+    Matrix,
+    Tensor,
+    concat,
+    ones,
+    mult,
+    multiplyMatrix,
+    scale
+} = GV;
+
+/**
+ * Gradients smaller than this are compared absolutely, so that rounding noise
+ * around zero does not show up as a large relative error
+ * @private
+ */
+const MIN_SCALE = 1e-6;
+
+const relativeError = (analytic, numeric) => {
+    return Math.abs(analytic - numeric) / Math.max(Math.abs(analytic), Math.abs(numeric), MIN_SCALE);
+};
+
+/**
+ * Flat read/write access to the elements of a Matrix or Tensor
+ *
+ * @private
+ * @param {Matrix|Tensor} value - The matrix or tensor
+ * @returns {Object} { count, get(k), set(k, val) }
+ */
+const elements = (value) => ({
+    count: value.size,
+    get: (k) => value.values[k],
+    set: (k, val) => { value.values[k] = val; }
+});
+
+/**
+ * Picks at most maxChecks evenly spaced element indices
+ * @private
+ */
+const sampleIndices = (count, maxChecks) => {
+    if (!maxChecks || count <= maxChecks) {
+        return Array.from({ length: count }, (_, k) => k);
+    }
+    let step = count / maxChecks;
+    return Array.from({ length: maxChecks }, (_, k) => Math.floor(k * step));
+};
+
+/**
+ * Expands a sparse row gradient (see Embedding) to the shape of its parameter
+ * @private
+ */
+const toDense = (grad, param) => {
+    if (grad.type !== 'SparseRows') {
+        return grad.type ? grad : new Matrix(grad);
+    }
+    let dense = new Tensor(param.shape);
+    let rowSize = param.size / param.shape[0];
+    grad.indices.forEach((row, r) => {
+        for (let j = 0; j < rowSize; j++) {
+            dense.values[row * rowSize + j] += grad.values.values[r * rowSize + j];
+        }
+    });
+    return dense;
+};
+
+/**
+ * Compares an analytic gradient with central differences of objective,
+ * perturbing value in place
+ *
+ * @private
+ * @param {Matrix|Tensor} value - Parameter or input to perturb
+ * @param {Matrix|Tensor} grad - Analytic gradient of objective w.r.t. value
+ * @param {Function} objective - () => number
+ * @param {Object} options - { epsilon, maxChecks }
+ * @returns {Object} { maxRelativeError, checked }
+ */
+const compare = (value, grad, objective, { epsilon, maxChecks }) => {
+    let param = elements(value);
+    let analytic = elements(grad);
+    if (param.count !== analytic.count) {
+        throw new Error(`Gradient has ${analytic.count} elements but the value it belongs to has ${param.count}`);
+    }
+
+    let maxRelativeError = 0;
+    let indices = sampleIndices(param.count, maxChecks);
+    for (let k of indices) {
+        let original = param.get(k);
+        param.set(k, original + epsilon);
+        let plus = objective();
+        param.set(k, original - epsilon);
+        let minus = objective();
+        param.set(k, original);
+
+        let error = relativeError(analytic.get(k), (plus - minus) / (2 * epsilon));
+        // Keep NaN so that broken gradients never pass
+        maxRelativeError = isNaN(error) || isNaN(maxRelativeError) ? NaN : Math.max(maxRelativeError, error);
+    }
+    return { maxRelativeError, checked: indices.length };
+};
+
+const worst = (results) => results.reduce((max, result) => {
+    if (!result || isNaN(max)) return max;
+    return isNaN(result.maxRelativeError) ? NaN : Math.max(max, result.maxRelativeError);
+}, 0);
+
+/**
+ * Optimizer stand-in that records the gradient of every parameter instead of updating it
+ * @private
+ */
+const gradientRecorder = () => {
+    let entries = [];
+    return {
+        entries,
+        update: (key, param, grad) => {
+            entries.push({ key: String(key), param, grad: toDense(grad, param) });
+        }
+    };
+};
+
+/**
+ * Switches off dropout (which draws a new mask on every pass) and snapshots layer
+ * state that forward passes modify, such as BatchNorm running statistics
+ * @private
+ * @returns {Function} Restores the layers
+ */
+const freezeLayers = (layers) => {
+    let dropouts = layers.filter(layer => layer instanceof Dropout && layer.isTraining);
+    dropouts.forEach(layer => { layer.isTraining = false; });
+    let states = layers.map(layer => layer.getState && layer.inputShape !== null ? layer.getState() : null);
+
+    return () => {
+        dropouts.forEach(layer => { layer.isTraining = true; });
+        layers.forEach((layer, i) => {
+            if (states[i]) layer.setState(states[i]);
+            if (layer.resetStates) layer.resetStates();
+        });
+    };
+};
+
+/**
+ * Checks the gradients of every trainable parameter of a Model or GraphModel
+ * on one batch. The checked objective is the batch loss reported by the model,
+ * so errors in a loss function's derivative show up in every layer.
+ *
+ * @param {Model} model - Model to check (its weights are left unchanged)
+ * @param {Matrix|Tensor|Object} x - Input batch (keyed by input name for graph models)
+ * @param {Matrix|Object} y - Targets (keyed by output name for graph models)
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.epsilon=1e-5] - Finite difference step
+ * @param {number} [options.tolerance=1e-4] - Largest relative error that passes
+ * @param {number} [options.maxChecks=100] - Elements checked per parameter (evenly spaced), 0 for all
+ * @returns {Object} { layers: [{ index, name, params: { [name]: { maxRelativeError, checked } }, maxRelativeError, passed }], maxRelativeError, passed }
+ */
+export function gradCheck(model, x, y, { epsilon = 1e-5, tolerance = 1e-4, maxChecks = 100 } = {}) {
+    let batchSize = model._numSamples(x);
+    // Layers may modify their input in place, so every pass gets its own copy
+    const copy = (data) => model._sliceBatch(data, 0, batchSize);
+    const objective = () => {
+        if (model.resetStates) model.resetStates();
+        return model._evaluateBatch(copy(x), copy(y));
+    };
+
+    let restore = freezeLayers(model.layers);
+    let optimizer = model.optimizer;
+    let recorder = gradientRecorder();
+    let layers = new Map();
+    try {
+        if (model.resetStates) model.resetStates();
+        model.optimizer = recorder;
+        model._trainBatch(copy(x), copy(y), 0, batchSize, 0);
+        model.optimizer = optimizer;
+
+        // Keys are '<layer index>.<parameter>', with nested names for composite layers
+        for (let { key, param, grad } of recorder.entries) {
+            let [index, ...name] = key.split('.');
+            if (!layers.has(index)) {
+                layers.set(index, { index: Number(index), name: model.layers[index].name, params: {} });
+            }
+            layers.get(index).params[name.join('.')] = compare(param, grad, objective, { epsilon, maxChecks });
+        }
+    } finally {
+        model.optimizer = optimizer;
+        restore();
+    }
+
+    let report = [...layers.values()].sort((a, b) => a.index - b.index).map(layer => {
+        let maxRelativeError = worst(Object.values(layer.params));
+        return { ...layer, maxRelativeError, passed: maxRelativeError <= tolerance };
+    });
+    let maxRelativeError = worst(report);
+    return { layers: report, maxRelativeError, passed: maxRelativeError <= tolerance };
+}
+
+/**
+ * Checks the parameter and input gradients of a single layer. The objective is
+ * a fixed random projection of the layer output, so every output element
+ * contributes. Dense-style layers get the bias column appended to x.
+ *
+ * @param {Object} layer - Layer to check (its weights are left unchanged)
+ * @param {Matrix|Tensor|Array} x - Input batch, or an array of inputs for merge layers
+ * @param {Object} [options={}] - Same options as gradCheck
+ * @param {number} [options.seed=0] - Seed of the projection; a local generator is used, so GV.random is not advanced
+ * @returns {Object} { name, params: { [name]: result }, inputs: [result|null], maxRelativeError, passed }.
+ * Inputs without a gradient (e.g. Embedding ids) are reported as null.
+ */
+export function gradCheckLayer(layer, x, { epsilon = 1e-5, tolerance = 1e-4, maxChecks = 100, seed = 0 } = {}) {
+    let inputs = layer.isMerge ? x : [x];
+    let withBias = !layer.backward && !layer.isMerge;
+    if (withBias && layer.W === null) {
+        layer.setInputDim(x.shape[1]);
+    }
+    const forward = () => {
+        if (layer.resetStates) layer.resetStates();
+        if (layer.isMerge) {
+            return layer.f(inputs);
+        }
+        let input = withBias ? concat(inputs[0], ones(inputs[0].length, 1), 1) : inputs[0];
+        return [...layer.f(input), input];
+    };
+
+    let restore = freezeLayers([layer]);
+    let recorder = gradientRecorder();
+    let result;
+    try {
+        let [output, derivative, input] = forward();
+        let out = elements(output);
+        let rng = new GV.Random(seed);
+        let projection = Array.from({ length: out.count }, () => rng.random() * 2 - 1);
+        let dOut = output.type === 'Tensor'
+            ? new Tensor(output.shape, Float64Array.from(projection))
+            : new Matrix(Float64Array.from(projection), [output.length, output[0].length]);
+        const objective = () => {
+            let values = elements(forward()[0]);
+            let total = 0;
+            for (let k = 0; k < projection.length; k++) {
+                total += values.get(k) * projection[k];
+            }
+            return total;
+        };
+
+        let inputGrads;
+        if (withBias) {
+            let layerGrad = derivative.type === 'Vector'
+                ? mult(new Matrix([derivative.values]), dOut)
+                : multiplyMatrix(dOut, derivative);
+            let dIn = mult(layerGrad, layer.getWeights().t);
+            inputGrads = [dIn.slice(0, dIn.length, 0, -1)];
+            layer.updateWeights(mult(input.t, layerGrad), 0, recorder, layer.name);
+        } else {
+            let dIn = layer.backward(dOut);
+            inputGrads = layer.isMerge ? dIn : [dIn];
+            if (layer.grads) {
+                layer.updateWeights(layer.grads, 0, recorder, layer.name);
+            }
+        }
+
+        let params = {};
+        for (let { key, param, grad } of recorder.entries) {
+            params[key.slice(layer.name.length + 1)] = compare(param, grad, objective, { epsilon, maxChecks });
+        }
+        let inputResults = inputs.map((value, i) => inputGrads[i] ? compare(value, inputGrads[i], objective, { epsilon, maxChecks }) : null);
+        let maxRelativeError = worst([...Object.values(params), ...inputResults]);
+        result = { name: layer.name, params, inputs: inputResults, maxRelativeError, passed: maxRelativeError <= tolerance };
+    } finally {
+        restore();
+    }
+    return result;
+}
+
+/**
+ * Checks the derivative a loss function returns against its reported loss.
+ * Model.train scales the derivative from f(o, y) by 1 / batchSize, so getLoss
+ * must be the mean over the batch.
+ *
+ * @param {Object} lossFunction - Loss function to check
+ * @param {Matrix} o - Model outputs [batch, units] (before the loss's output function)
+ * @param {Matrix} y - Targets [batch, units]
+ * @param {Object} [options={}] - Same options as gradCheck
+ * @returns {Object} { maxRelativeError, checked, passed }
+ */
+export function gradCheckLoss(lossFunction, o, y, { epsilon = 1e-5, tolerance = 1e-4, maxChecks = 100 } = {}) {
+    let output = o.clone();
+    let [, dl] = lossFunction.f(output.clone(), y);
+    let grad = scale(dl, 1 / output.length);
+    let result = compare(output, grad, () => lossFunction.getLoss(y.t, output.t), { epsilon, maxChecks });
+    return { ...result, passed: result.maxRelativeError <= tolerance };
+}
\ No newline at end of file
@@ -0,0 +1,583 @@
+/**
+ * Graph Models
+ * Functional model API: start from Input(), call layers on symbolic tensors with
+ * layer.apply(), and build a GraphModel from the resulting inputs and outputs.
+ * Supports merge layers (Add, Concatenate, Multiply), skip connections, and
+ * several named inputs and outputs, each output with its own loss and weight.
+ *
+ * @module nn/graph
+ */
+
+import GV from '../gv.js';
+import { Model, ShapeError, migrateModelState } from './model.js';
+import * as Optimizers from './optimizers.js';
+
+const {
+    Matrix,
+    addMatrix,
+    concat,
+    ones,
+    mult,
+    multiplyMatrix,
+    scale
+} = GV;
+
+let inputCount = 0;
+
+/**
+ * Creates a symbolic model input
+ * @param {number|Array<number>} shape - Shape of one sample: a feature count for matrix data,
+ * or e.g. [timesteps, features] / [height, width, channels] for tensor data
+ * @param {string} [name] - Input name, used to pass data as { [name]: data }
+ * @returns {Object} Symbolic tensor { type: 'Symbolic', shape, layer: null, inputs: [], name }
+ */
+export function Input(shape, name = null) {
+    if (Array.isArray(shape) && shape.length === 1) {
+        shape = shape[0];
+    }
+    return { type: 'Symbolic', shape, layer: null, inputs: [], name: name || `input_${inputCount++}` };
+}
+
+/**
+ * Normalizes a symbolic tensor, array or { name: symbolic } object to named entries
+ *
+ * @private
+ * @param {Object|Array|null} spec - Inputs or outputs as passed to GraphModel
+ * @param {Function} defaultName - (node, index, count) => name for unnamed entries
+ * @returns {Array<Object>} [{ name, node }]
+ */
+const namedNodes = (spec, defaultName) => {
+    if (!spec) {
+        return [];
+    }
+    let entries;
+    if (spec.type === 'Symbolic') {
+        entries = [{ name: defaultName(spec, 0, 1), node: spec }];
+    } else if (Array.isArray(spec)) {
+        entries = spec.map((node, i) => ({ name: defaultName(node, i, spec.length), node }));
+    } else {
+        entries = Object.keys(spec).map(name => ({ name, node: spec[name] }));
+    }
+
+    let seen = new Set();
+    for (let { name, node } of entries) {
+        if (!node || node.type !== 'Symbolic') {
+            throw new Error(`GraphModel entry '${name}' is not a symbolic tensor from Input() or layer.apply()`);
+        }
+        if (seen.has(name)) {
+            throw new Error(`Duplicate GraphModel input/output name '${name}'`);
+        }
+        seen.add(name);
+    }
+    return entries;
+};
+
+/**
+ * Maps per-input or per-output sample shapes to names, like toNamed does for data.
+ * A single shape is an array of dimensions.
+ *
+ * @private
+ * @param {Array|Object|null} shapes - Sample shapes
+ * @param {Array<string>} names - Expected names
+ * @returns {Object} { [name]: shape }, empty when shapes is null
+ */
+const namedShapes = (shapes, names) => {
+    if (shapes === null || shapes === undefined) {
+        return {};
+    }
+    if (Array.isArray(shapes) && shapes.every(d => !Array.isArray(d) && (d === null || typeof d !== 'object'))) {
+        return names.length === 1 ? { [names[0]]: shapes } : {};
+    }
+    if (Array.isArray(shapes)) {
+        return Object.fromEntries(names.map((name, i) => [name, shapes[i]]));
+    }
+    return shapes;
+};
+
+/**
+ * Maps per-input or per-output data to names. A single Matrix/Tensor is accepted
+ * when there is only one name, an array is matched by position.
+ *
+ * @private
+ * @param {Matrix|Tensor|Array|Object} data - The data
+ * @param {Array<string>} names - Expected names
+ * @returns {Object} { [name]: data }
+ */
+const toNamed = (data, names) => {
+    if (data && (data.type === 'Matrix' || data.type === 'Tensor')) {
+        if (names.length !== 1) {
+            throw new Error(`Expected data for ${names.length} entries (${names.join(', ')}), got a single ${data.type}`);
+        }
+        return { [names[0]]: data };
+    }
+    let named = {};
+    names.forEach((name, i) => {
+        let value = Array.isArray(data) ? data[i] : data && data[name];
+        if (!value) {
+            throw new Error(`Missing data for '${name}'`);
+        }
+        named[name] = value;
+    });
+    return named;
+};
+
+/**
+ * Applies fn to each entry of a Matrix/Tensor, array or named object of datasets
+ *
+ * @private
+ */
+const mapData = (data, fn) => {
+    if (data.type === 'Matrix' || data.type === 'Tensor') {
+        return fn(data);
+    }
+    if (Array.isArray(data)) {
+        return data.map(fn);
+    }
+    let mapped = {};
+    for (let name of Object.keys(data)) {
+        mapped[name] = fn(data[name]);
+    }
+    return mapped;
+};
+
+/**
+ * Sums two gradients of the same shape; either may be missing
+ *
+ * @private
+ * @param {Matrix|Tensor|undefined} a - First gradient
+ * @param {Matrix|Tensor} b - Second gradient
+ * @returns {Matrix|Tensor} The sum
+ */
+const addGradients = (a, b) => {
+    if (!a) {
+        return b;
+    }
+    if (a.type === 'Tensor') {
+        return a.map((val, i) => val + b.values[i]);
+    }
+    return addMatrix(a, b);
+};
+
+/**
+ * Rescales a parameter gradient in place so its norm is at most maxNorm
+ *
+ * @private
+ * @param {Matrix|Tensor|Object} grad - Dense or sparse-rows gradient
+ * @param {number} maxNorm - Maximum norm (0 to disable)
+ * @returns {Matrix|Tensor|Object} The gradient
+ */
+const clipGradient = (grad, maxNorm) => {
+    if (!maxNorm || !grad) {
+        return grad;
+    }
+    let values = grad.type === 'SparseRows' ? grad.values.values : grad.values;
+    let squares = 0;
+    for (let i = 0; i < values.length; i++) squares += values[i] * values[i];
+    let norm = Math.sqrt(squares);
+    if (norm <= maxNorm) {
+        return grad;
+    }
+    let factor = maxNorm / norm;
+    for (let i = 0; i < values.length; i++) values[i] *= factor;
+    return grad;
+};
+
+/**
+ * Neural network built as a directed acyclic graph of layers.
+ *
+ * Data for several inputs/outputs is passed as an object keyed by name (or an array
+ * in declaration order); a single Matrix/Tensor is enough when there is only one.
+ * Outputs are named by the keys of the outputs object, otherwise 'output' or
+ * 'output_0', 'output_1', ...; inputs by their Input() names. Layers run in
+ * topological order, and the gradients of layers feeding several others are summed.
+ *
+ * @class GraphModel
+ * @extends Model
+ */
+export class GraphModel extends Model {
+    /**
+     * Creates a graph model. Call without arguments to create an empty model for load().
+     *
+     * @param {Object|Array|Object<string, Object>} inputs - Symbolic input(s) from Input()
+     * @param {Object|Array|Object<string, Object>} outputs - Symbolic output(s) from layer.apply()
+     * @param {Object|Array|Object<string, Object>} lossFunctions - One loss for all outputs, or one per output
+     * @param {Array<number>|Object<string, number>} [lossWeights] - Weight of each output's loss (default 1)
+     */
+    constructor(inputs = null, outputs = null, lossFunctions = null, lossWeights = null) {
+        let inputEntries = namedNodes(inputs, (node) => node.name);
+        super(Object.fromEntries(inputEntries.map(({ name, node }) => [name, node.shape])), null);
+
+        const sliceOne = this._sliceBatch;
+
+        /**
+         * Sorts the graph, resolves losses and sets up the model from named inputs and outputs
+         * @private
+         */
+        this._build = (inputEntries, outputEntries, lossFunctions, lossWeights) => {
+            this.inputNames = inputEntries.map(entry => entry.name);
+            this.inputNodes = inputEntries.map(entry => entry.node);
+            this.outputNames = outputEntries.map(entry => entry.name);
+            this.outputNodes = outputEntries.map(entry => entry.node);
+            this.inputDim = Object.fromEntries(inputEntries.map(({ name, node }) => [name, node.shape]));
+
+            // Depth-first post-order from the outputs gives a topological order
+            let order = [];
+            let state = new Map();
+            const visit = (node) => {
+                if (state.get(node) === 'done') return;
+                if (state.get(node) === 'visiting') {
+                    throw new Error('GraphModel graphs must not contain cycles');
+                }
+                if (node.layer === null) {
+                    if (!this.inputNodes.includes(node)) {
+                        throw new Error(`Input '${node.name}' is used by the graph but not passed to GraphModel`);
+                    }
+                    state.set(node, 'done');
+                    return;
+                }
+                state.set(node, 'visiting');
+                node.inputs.forEach(visit);
+                state.set(node, 'done');
+                order.push(node);
+            };
+            this.outputNodes.forEach(visit);
+
+            this.nodes = order;
+            this.layers = order.map(node => node.layer);
+
+            // Layers were initialized from GV.random when applied; dropout draws from the model's generator
+            this.layers.forEach(layer => layer.rng = this.rng);
+
+            this.lossFunctions = {};
+            this.lossWeights = {};
+            this.outputNames.forEach((name, i) => {
+                let loss = lossFunctions && typeof lossFunctions.f === 'function' ? lossFunctions
+                    : Array.isArray(lossFunctions) ? lossFunctions[i]
+                    : lossFunctions && lossFunctions[name];
+                if (!loss) {
+                    throw new Error(`No loss function given for output '${name}'`);
+                }
+                this.lossFunctions[name] = loss;
+
+                let weight = Array.isArray(lossWeights) ? lossWeights[i] : lossWeights ? lossWeights[name] : undefined;
+                this.lossWeights[name] = weight === undefined ? 1 : weight;
+            });
+            this.lossFunction = this.lossFunctions[this.outputNames[0]] || null;
+        }
+
+        /**
+         * Runs all layers in topological order
+         * @private
+         * @param {Object} x - Batch input keyed by input name
+         * @returns {Object} { values, records }: node outputs and what Dense-style layers need for backprop
+         */
+        this._forwardGraph = (x) => {
+            let values = new Map();
+            let records = new Map();
+            this.inputNodes.forEach((node, i) => values.set(node, x[this.inputNames[i]]));
+
+            for (let node of this.nodes) {
+                let layer = node.layer;
+                let inputs = node.inputs.map(input => values.get(input));
+                let output, derivative;
+
+                if (layer.isMerge) {
+                    [output] = layer.f(inputs);
+                } else if (layer.backward) {
+                    [output] = layer.f(inputs[0]);
+                } else {
+                    // Dense-style layers take their input with a bias column
+                    if (inputs[0].type === 'Tensor') {
+                        throw new ShapeError(`${layer.name} needs a matrix input, got a tensor of shape [${inputs[0].shape}]`, {
+                            layer: layer.name,
+                            layerIndex: this.nodes.indexOf(node),
+                            actual: inputs[0].shape
+                        });
+                    }
+                    let withBias = concat(inputs[0], ones(inputs[0].length, 1), 1);
+                    [output, derivative] = layer.f(withBias);
+                    if (!output.rows) {
+                        output = new Matrix(output);
+                    }
+                    records.set(node, { input: withBias, derivative });
+                }
+                values.set(node, output);
+            }
+
+            this.outputNodes.forEach((node, i) => {
+                if (values.get(node).type === 'Tensor') {
+                    throw new ShapeError(`Output '${this.outputNames[i]}' must be a 2D matrix, got a tensor of shape [${values.get(node).shape}]`, {
+                        layer: node.layer.name,
+                        layerIndex: this.nodes.indexOf(node),
+                        actual: values.get(node).shape
+                    });
+                }
+            });
+            return { values, records };
+        }
+
+        /**
+         * Backpropagates output gradients through the graph in reverse topological order
+         * and updates each layer, keyed by its position so optimizer state survives save/load
+         * @private
+         * @param {Map} grads - Gradient w.r.t. each output node
+         * @param {Map} records - Dense-style layer inputs and derivatives from _forwardGraph
+         * @param {number} lr - Learning rate
+         * @param {number} gradientClipping - Maximum norm of each parameter gradient (0 to disable)
+         */
+        this._backwardGraph = (grads, records, lr, gradientClipping) => {
+            for (let i = this.nodes.length - 1; i >= 0; i--) {
+                let node = this.nodes[i];
+                let layer = node.layer;
+                let dOut = grads.get(node);
+                if (!dOut) continue;
+
+                let inputGrads;
+                if (layer.isMerge) {
+                    inputGrads = layer.backward(dOut);
+                } else if (layer.backward) {
+                    inputGrads = [layer.backward(dOut)];
+                    if (layer.grads) {
+                        for (let name of Object.keys(layer.grads)) {
+                            layer.grads[name] = clipGradient(layer.grads[name], gradientClipping);
+                        }
+                        layer.updateWeights(layer.grads, lr, this.optimizer, i);
+                    }
+                } else {
+                    let { input, derivative } = records.get(node);
+                    let layerGrad = derivative.type === 'Vector'
+                        ? mult(new Matrix([derivative.values]), dOut)
+                        : multiplyMatrix(dOut, derivative);
+                    let weightGrad = clipGradient(mult(input.t, layerGrad), gradientClipping);
+
+                    // Gradient for the inputs, before the update modifies W in place
+                    let dIn = mult(layerGrad, layer.getWeights().t);
+                    inputGrads = [dIn.slice(0, dIn.length, 0, -1)];
+                    layer.updateWeights(weightGrad, lr, this.optimizer, i);
+                }
+
+                node.inputs.forEach((input, k) => {
+                    if (input.layer !== null && inputGrads[k]) {
+                        grads.set(input, addGradients(grads.get(input), inputGrads[k]));
+                    }
+                });
+            }
+        }
+
+        /**
+         * Computes the weighted loss of every output and its gradient
+         * @private
+         * @returns {Object} { loss, grads, predictions }
+         */
+        this._graphLoss = (values, y, batchSize) => {
+            let loss = 0;
+            let grads = new Map();
+            this.outputNames.forEach((name, i) => {
+                let node = this.outputNodes[i];
+                let lossFunction = this.lossFunctions[name];
+                let weight = this.lossWeights[name];
+                let yPred = values.get(node);
+                let [, dLoss] = lossFunction.f(yPred, y[name]);
+                loss += weight * lossFunction.getLoss(y[name].t, yPred.t);
+                grads.set(node, addGradients(grads.get(node), scale(dLoss, weight / batchSize)));
+            });
+            return { loss, grads };
+        }
+
+        this._trainBatch = (batchX, batchY, lr, batchSize, gradientClipping) => {
+            let x = toNamed(batchX, this.inputNames);
+            let y = toNamed(batchY, this.outputNames);
+            let { values, records } = this._forwardGraph(x);
+            let { loss, grads } = this._graphLoss(values, y, batchSize);
+            this._backwardGraph(grads, records, lr, gradientClipping);
+
+            // Metrics are reported for the first output
+            let first = this.outputNames[0];
+            return { loss, y: y[first].t, yPred: values.get(this.outputNodes[0]) };
+        }
+
+        this._evaluateBatch = (batchX, batchY) => {
+            let y = toNamed(batchY, this.outputNames);
+            let { values } = this._forwardGraph(toNamed(batchX, this.inputNames));
+            return this._graphLoss(values, y, 1).loss;
+        }
+
+        this._numSamples = (data) => {
+            if (data.type === 'Matrix' || data.type === 'Tensor') {
+                return data.length;
+            }
+            let first = Array.isArray(data) ? data[0] : data[Object.keys(data)[0]];
+            return first.length;
+        }
+
+        this._sliceBatch = (data, start, end) => {
+            return mapData(data, entry => sliceOne(entry, start, end));
+        }
+
+        /**
+         * Checks the data against the graph's input shapes, and every output against its
+         * loss and target shape. The layer shapes themselves were checked by layer.apply().
+         * @param {Object} [options]
+         * @param {Array|Object} [options.inputShape] - Shape of one sample of each input, by position or name
+         * @param {Array|Object} [options.targetShape] - Shape of one target sample of each output, by position or name
+         * @returns {Object} { inputShapes, layers: [{ name, outputShape }], outputShapes }
+         * @throws {ShapeError} If a shape does not fit
+         */
+        this.compile = ({ inputShape = null, targetShape = null } = {}) => {
+            let inputs = namedShapes(inputShape, this.inputNames);
+            this.inputNames.forEach((name, i) => {
+                this._checkSampleShape(this.inputNodes[i].shape, inputs[name], `Input '${name}'`);
+            });
+
+            let targets = namedShapes(targetShape, this.outputNames);
+            this.outputNames.forEach((name, i) => {
+                let node = this.outputNodes[i];
+                let shape = Array.isArray(node.shape) ? node.shape : [node.shape];
+                let source = { layer: node.layer.name, layerIndex: this.nodes.indexOf(node) };
+                this._checkOutput(shape, this.lossFunctions[name], targets[name] || null, source);
+            });
+
+            const toShape = (shape) => Array.isArray(shape) ? shape.slice() : [shape];
+            return {
+                inputShapes: Object.fromEntries(this.inputNames.map((name, i) => [name, toShape(this.inputNodes[i].shape)])),
+                layers: this.nodes.map(node => ({ name: node.layer.name, outputShape: toShape(node.shape) })),
+                outputShapes: Object.fromEntries(this.outputNames.map((name, i) => [name, toShape(this.outputNodes[i].shape)]))
+            };
+        }
+
+        /**
+         * Graph models are built with layer.apply(); layers cannot be appended
+         */
+        this.addLayer = () => {
+            throw new Error('GraphModel is built from Input() and layer.apply(); addLayer() is only for sequential models');
+        }
+
+        /**
+         * Makes predictions for the given input data
+         * @param {Matrix|Tensor|Array|Object} x - Input data, keyed by input name when there are several inputs
+         * @returns {Matrix|Object<string, Matrix>} Predictions as [units, batch] like Model.predict, keyed by output name when there are several outputs
+         */
+        this.predict = (x) => {
+            let { values } = this._forwardGraph(toNamed(x, this.inputNames));
+            let predictions = {};
+            this.outputNames.forEach((name, i) => {
+                predictions[name] = this.lossFunctions[name].ff(values.get(this.outputNodes[i]).t);
+            });
+            return this.outputNames.length === 1 ? predictions[this.outputNames[0]] : predictions;
+        }
+
+        /**
+         * Computes the weighted loss over a dataset
+         * @param {Matrix|Tensor|Array|Object} x - Input data
+         * @param {Matrix|Array|Object} y - Target data
+         * @returns {number} The loss
+         */
+        this.getLoss = (x, y) => {
+            this.setTrainingMode(false);
+            let total = 0;
+            let count = this._numSamples(x);
+            for (let start = 0; start < count; start += 32) {
+                let end = Math.min(start + 32, count);
+                total += this._evaluateBatch(this._sliceBatch(x, start, end), this._sliceBatch(y, start, end)) * (end - start);
+            }
+            this.setTrainingMode(true);
+            return total / count;
+        }
+
+        /**
+         * Saves the graph, layers, losses and optimizer state to a JSON string
+         * @returns {string} JSON string containing the model state
+         */
+        this.save = () => {
+            return JSON.stringify(this._serialize());
+        }
+
+        /**
+         * Builds the model state written by save() and saveTo()
+         * @private
+         * @returns {Object} JSON-serializable model state
+         */
+        this._serialize = () => {
+            const ref = (node) => node.layer === null
+                ? { input: this.inputNames[this.inputNodes.indexOf(node)] }
+                : { node: this.nodes.indexOf(node) };
+
+            return {
+                ...this._serializeCommon(),
+                graph: {
+                    inputs: this.inputNames.map((name, i) => ({ name, shape: this.inputNodes[i].shape })),
+                    nodes: this.nodes.map(node => ({
+                        layer: this._serializeLayer(node.layer),
+                        shape: node.shape,
+                        inputs: node.inputs.map(ref)
+                    })),
+                    outputs: this.outputNames.map((name, i) => ({ name, ...ref(this.outputNodes[i]) }))
+                },
+                losses: Object.fromEntries(this.outputNames.map(name => [name, this._serializeLoss(this.lossFunctions[name])])),
+                lossWeights: this.lossWeights
+            };
+        }
+
+        /**
+         * Loads a model saved by GraphModel.save(), replacing the current graph.
+         * Files written by older versions are migrated.
+         * @param {string|Object} modelState - JSON string containing the model state, or the parsed state
+         * @throws {Error} If the file is of a newer format version or contains an unknown layer type
+         */
+        this.load = (modelState) => {
+            let state = migrateModelState(typeof modelState === 'string' ? JSON.parse(modelState) : modelState);
+            if (!state.graph) {
+                throw new Error('Not a GraphModel state; use Model.load() for sequential models');
+            }
+
+            let inputs = state.graph.inputs.map(({ name, shape }) => ({ name, node: Input(shape, name) }));
+            let nodes = [];
+            const resolve = (ref) => ref.input !== undefined
+                ? inputs.find(entry => entry.name === ref.input).node
+                : nodes[ref.node];
+
+            for (let nodeState of state.graph.nodes) {
+                let layer = this._deserializeLayer(nodeState.layer);
+                if (layer.isMerge) {
+                    layer.inputShapes = nodeState.inputs.map(ref => resolve(ref).shape);
+                    layer.inputShape = Array.isArray(nodeState.shape) ? nodeState.shape : [nodeState.shape];
+                }
+                layer.graphNode = { type: 'Symbolic', shape: nodeState.shape, layer, inputs: nodeState.inputs.map(resolve), name: layer.name };
+                nodes.push(layer.graphNode);
+            }
+
+            let outputs = state.graph.outputs.map(output => ({ name: output.name, node: resolve(output) }));
+            let lossFunctions = Object.fromEntries(Object.keys(state.losses).map(name => [name, this._createLoss(state.losses[name])]));
+            this._build(inputs, outputs, lossFunctions, state.lossWeights);
+            this.trainingInfo = state.training || null;
+            this._restoreRandom(state);
+
+            // Restore the optimizer so a later train() call continues with the same state
+            this.optimizer = state.optimizer ? Optimizers.fromState(state.optimizer) : null;
+        }
+
+        /**
+         * Returns the graph architecture: inputs, layers with the nodes they read from, and outputs
+         * @returns {Object} Model architecture details
+         */
+        this.getArchitecture = () => {
+            const source = (node) => node.layer === null ? `input:${node.name}` : `layer:${this.nodes.indexOf(node)}`;
+            return {
+                inputs: this.inputNames.map((name, i) => ({ name, shape: this.inputNodes[i].shape })),
+                layers: this.nodes.map(node => ({
+                    ...node.layer.getMetadata(),
+                    outputShape: node.shape,
+                    inputs: node.inputs.map(source)
+                })),
+                outputs: this.outputNames.map((name, i) => ({
+                    name,
+                    source: source(this.outputNodes[i]),
+                    lossFunction: this.lossFunctions[name].constructor.name,
+                    lossWeight: this.lossWeights[name]
+                }))
+            };
+        }
+
+        this._build(inputEntries, namedNodes(outputs, (node, i, count) => count === 1 ? 'output' : `output_${i}`), lossFunctions, lossWeights);
+    }
+}
\ No newline at end of file
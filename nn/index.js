@@ -1,4 +1,12 @@
-export { Model } from './model.js';
+export { Model, ShapeError, MODEL_FORMAT_VERSION } from './model.js';
+export { GraphModel, Input } from './graph.js';
 export * as Layers from './layers.js';
 export * as Activations from './activations.js';
-export * as Loss from './loss.js'; 
\ No newline at end of file
+export * as Loss from './loss.js';
+export * as Optimizers from './optimizers.js';
+export * as Schedulers from './schedulers.js';
+export { Dataset, StreamDataset, DataLoader, parseCSV, parseJSONL, readCSV, readJSONL, toMatrices, loadData } from './data.js';
+export { importTFJS, exportTFJS } from './tfjs.js';
+export { exportONNX } from './onnx.js';
+export * as Autograd from '../autograd.js';
+export { gradCheck, gradCheckLayer, gradCheckLoss } from './gradcheck.js';
\ No newline at end of file
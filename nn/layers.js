@@ -1,8 +1,10 @@
 import GV from '../gv.js';
 import * as Activations from './activations.js';
+import * as Autograd from '../autograd.js';
 
 const {
     Matrix,
+    Tensor,
     subtractMatrix,
     scale,
     mult,
@@ -10,16 +12,115 @@ const {
     ones,
     randn,
     concat,
-    multiplyMatrix
+    multiplyMatrix,
+    tensorMatMul,
+    im2col,
+    col2im
 } = GV;
 
+/**
+ * Returns the random generator for a layer's initialization and dropout masks:
+ * the one set by its model (see Model.addLayer), or GV.random
+ * 
+ * @private
+ * @param {Object} layer - The layer
+ * @returns {Random} The generator
+ */
+const generator = (layer) => layer.rng || GV.random;
+
+/**
+ * Resolves an activation name to an activation instance
+ * 
+ * @private
+ * @param {string|Object|null} activation - Activation name, instance or null
+ * @returns {Object|null} The activation instance
+ */
+const getActivation = (activation) => {
+    switch(activation) {
+        case 'sigmoid':
+            return new Activations.Sigmoid();
+        case 'swish':
+            return new Activations.Swish();
+        case 'relu':
+            return new Activations.ReLU();
+        case 'leakyrelu':
+            return new Activations.LeakyReLU();
+        case 'tanh':
+            return new Activations.Tanh();
+        case 'elu':
+            return new Activations.ELU();
+        default:
+            return activation;
+    }
+};
+
+/**
+ * Normalizes a number or [height, width] pair to a pair
+ * 
+ * @private
+ * @param {number|Array<number>} value - A number or a pair
+ * @returns {Array<number>} The pair
+ */
+const toPair = (value) => Array.isArray(value) ? [value[0], value[1]] : [value, value];
+
+/**
+ * Applies gradients to Tensor parameters stored on a layer under the same names
+ * as in grads (e.g. { W, b } or { gamma, beta })
+ * 
+ * @private
+ * @param {Object} layer - The layer owning the parameters
+ * @param {Object} grads - Gradient tensors keyed by parameter name
+ * @param {number} lr - Learning rate
+ * @param {Object|null} optimizer - Optimizer, or null for plain gradient descent
+ * @param {string|number} key - Prefix for the optimizer state keys
+ */
+const updateTensorParams = (layer, grads, lr, optimizer, key) => {
+    for (let name of Object.keys(grads)) {
+        if (optimizer) {
+            optimizer.update(`${key}.${name}`, layer[name], grads[name], lr);
+            continue;
+        }
+        let param = layer[name].values;
+        let grad = grads[name].values;
+        for (let i = 0; i < param.length; i++) {
+            param[i] -= lr * grad[i];
+        }
+    }
+};
+
+/**
+ * Views a Matrix or Tensor as rows of features along its last axis
+ * 
+ * @private
+ * @param {Matrix|Tensor} x - The input
+ * @returns {Object} { values, count, features, wrap } where wrap(values) restores the input type and shape
+ */
+const asFeatureRows = (x) => {
+    if (x.type === 'Tensor') {
+        let features = x.shape[x.shape.length - 1];
+        return {
+            values: x.values,
+            count: x.size / features,
+            features,
+            wrap: (values) => new Tensor(x.shape, values)
+        };
+    }
+    let features = x.rows[0].length;
+    return {
+        values: Float64Array.from(x.values),
+        count: x.length,
+        features,
+        wrap: (values) => new Matrix(values, [x.length, features])
+    };
+};
+
 /**
  * Layer prototype
  * 
  * @type {Object}
  */
 const LayerProto = {
-    updateWeights(dW, lr) {
+    updateWeights(dW, lr, optimizer = null, key = this.name) {
         // Check if dW is properly defined
         if (!dW || !dW.length) {
             console.warn('Invalid dW in updateWeights:', dW);
@@ -31,6 +132,11 @@ const LayerProto = {
             dW = new GV.Matrix(dW);
         }
         
+        if (optimizer) {
+            optimizer.update(`${key}.W`, this.W, dW, lr);
+            return;
+        }
+        
         subtractMatrix(this.W, scale(dW, lr), true);
     },
     getWeights() {
@@ -43,13 +149,43 @@ const LayerProto = {
         return {
             type: this.constructor.name,
             name: this.name,
-            units: this.size,
+            units: this.size !== undefined ? this.size : this.getSize(),
             activation: this.activation ? this.activation.constructor.name : null,
             params: this.getLayerParams()
         };
     },
     getLayerParams() {
         return {};
+    },
+    /**
+     * Calls the layer on symbolic inputs (from Input() or another layer's apply())
+     * to build a GraphModel. Merge layers take an array of inputs.
+     * @param {Object|Array<Object>} inputs - Symbolic input(s)
+     * @returns {Object} The symbolic output { type: 'Symbolic', shape, layer, inputs, name }
+     */
+    apply(inputs) {
+        let list = Array.isArray(inputs) ? inputs : [inputs];
+        if (list.some(input => !input || input.type !== 'Symbolic')) {
+            throw new Error(`${this.name}.apply() expects symbolic inputs from Input() or another layer's apply()`);
+        }
+        if (this.graphNode) {
+            throw new Error(`${this.name} is already used in a graph; layers cannot be applied twice`);
+        }
+
+        if (this.isMerge) {
+            this.setInputShapes(list.map(input => input.shape));
+        } else {
+            if (list.length !== 1) {
+                throw new Error(`${this.name} takes a single input, got ${list.length}`);
+            }
+            if (!this.backward && Array.isArray(list[0].shape)) {
+                throw new Error(`${this.name} needs a flat input, got shape [${list[0].shape}]; add Flatten first`);
+            }
+            this.setInputDim(list[0].shape);
+        }
+
+        this.graphNode = { type: 'Symbolic', shape: this.getSize(), layer: this, inputs: list, name: this.name };
+        return this.graphNode;
     }
 };
 
@@ -65,64 +201,37 @@ export class Dense {
         this.size = size;
         this.name = 'Dense';
 
-        switch(activation) {
-            case 'sigmoid':
-                this.activation = new Activations.Sigmoid();
-                break;
-            case 'swish':
-                this.activation = new Activations.Swish();
-                break;
-            case 'relu':
-                this.activation = new Activations.ReLU();
-                break;
-            case 'leakyrelu':
-                this.activation = new Activations.LeakyReLU();
-                break;
-            case 'tanh':
-                this.activation = new Activations.Tanh();
-                break;
-            case 'elu':
-                this.activation = new Activations.ELU();
-                break;
-            default:
-                this.activation = activation;
-        }
+        this.activation = getActivation(activation);
 
         this.f = (x) => {
             if(this.W === null) this.setInputDim(x.shape[1]);
 
             let z = mult(x, this.W);
             
-            // Check if z has 0 columns
-            if (z.length > 0 && (!z[0] || z[0].length === 0)) {
-                console.warn('Dense layer output has 0 columns:', { 
-                    xShape: [x.length, x[0]?.length], 
-                    wShape: [this.W.length, this.W[0]?.length],
-                    zShape: [z.length, z[0]?.length]
-                });
-                
-                // Create a new matrix with the same number of rows as z but 1 column
-                z = zeros(z.length, 1);
-            }
-            
             if(this.activation !== undefined && this.activation !== null) {
                 let [g, dg] = this.activation.f(z);
                 return [ g, dg ];
             }
 
-            let zD = ones(z.shape[0], this.size).rows;
-            return [z, new Matrix(zD)];
+            return [z, ones(z.shape[0], this.size)];
         }
 
         this.setInputDim = (inputDim) => {
+            if (Array.isArray(inputDim)) {
+                if (inputDim.length !== 1) {
+                    throw new Error(`Dense needs a flat input, got shape [${inputDim}]; add Flatten first`);
+                }
+                inputDim = inputDim[0];
+            }
+
             // Use He initialization for better training with ReLU-like activations
             let scale = Math.sqrt(2.0 / (inputDim + this.size));
             
             // Initialize weights with a better distribution
-            this.W = randn(inputDim, this.size).apply(val => val * scale);
+            this.W = randn(inputDim, this.size, generator(this)).apply(val => val * scale);
             
             // Initialize bias terms with small random values instead of zeros
-            let bias = randn(1, this.size).apply(val => val * 0.01);
+            let bias = randn(1, this.size, generator(this)).apply(val => val * 0.01);
             this.W = concat(this.W, bias, 0);
         }
 
@@ -143,7 +252,8 @@ export class Dense {
 }
 
 /**
- * Dropout layer
+ * Dropout layer. While training, zeroes each input with probability rate and
+ * scales the rest by 1 / (1 - rate); in evaluation mode it passes inputs through.
  * 
  * @class Dropout
  * @implements {LayerProto}
@@ -156,15 +266,28 @@ export class Dropout {
         this.name = 'Dropout';
 
         this.f = (x) => {
-            if (this.isTraining) {
-                this.mask = GV.mapMat(x, () => Math.random() > this.rate ? 1 : 0);
-                let output = multiplyMatrix(x, this.mask);
-                let scale = 1 / (1 - this.rate);
-                output = GV.scale(output, scale);
-                return [output, this.mask];
-            } else {
-                return [x, GV.ones(x.shape[0], x.shape[1])];
+            if (!this.isTraining) {
+                this.mask = null;
+                return [x, null];
+            }
+            let scale = 1 / (1 - this.rate);
+            let rng = generator(this);
+            if (x.type === 'Tensor') {
+                this.mask = x.map(() => rng.random() > this.rate ? scale : 0);
+                return [x.map((val, i) => val * this.mask.values[i]), null];
+            }
+            this.mask = GV.mapMat(x, () => rng.random() > this.rate ? scale : 0);
+            return [multiplyMatrix(x, this.mask), null];
+        }
+
+        this.backward = (dOut) => {
+            if (this.mask === null) {
+                return dOut;
             }
+            if (dOut.type === 'Tensor') {
+                return dOut.map((val, i) => val * this.mask.values[i]);
+            }
+            return multiplyMatrix(dOut, this.mask);
         }
 
         this.setInputDim = (inputDim) => {
@@ -186,84 +309,117 @@ export class Dropout {
 }
 
 /**
- * Convolutional 2D layer
+ * Convolutional 2D layer. Works on NHWC tensors ([batch, height, width, channels])
+ * and runs as a single matrix multiplication over im2col patches.
+ * 
+ * Layers that implement backward() receive their input without the bias column
+ * the model appends for Dense layers, and compute their own parameter gradients.
  * 
  * @class Conv2D
  * @implements {LayerProto}
  */
 export class Conv2D {
-    constructor(filters, kernelSize, stride = 1, padding = 'same') {
+    constructor(filters, kernelSize, stride = 1, padding = 'same', activation = null, dilation = 1) {
+        if (padding !== 'same' && padding !== 'valid') {
+            throw new Error(`Conv2D padding must be 'same' or 'valid', got '${padding}'`);
+        }
         this.filters = filters;
-        this.kernelSize = kernelSize;
-        this.stride = stride;
+        this.kernelSize = toPair(kernelSize);
+        this.stride = toPair(stride);
+        this.dilation = toPair(dilation);
         this.padding = padding;
+        this.activation = getActivation(activation);
+        this.inputShape = null;
         this.W = null;
         this.b = null;
+        this.grads = null;
+        this.cache = null;
         this.name = 'Conv2D';
 
+        const convOptions = () => ({
+            stride: this.stride,
+            dilation: this.dilation,
+            padding: this.padding
+        });
+
         this.f = (x) => {
-            if (this.W === null) this.setInputDim(x.shape);
+            if (!x || x.type !== 'Tensor' || x.rank !== 4) {
+                throw new Error(`Conv2D expects a 4D Tensor [batch, height, width, channels], got ${x && x.shape ? `[${x.shape}]` : typeof x}`);
+            }
+            if (this.W === null) this.setInputDim(x.shape.slice(1));
 
-            let [batchSize, inHeight, inWidth, inChannels] = x.shape;
-            let outHeight = Math.floor((inHeight - this.kernelSize[0]) / this.stride) + 1;
-            let outWidth = Math.floor((inWidth - this.kernelSize[1]) / this.stride) + 1;
+            let batchSize = x.shape[0];
+            let { cols, outHeight, outWidth } = im2col(x, this.kernelSize, convOptions());
 
-            let output = new Matrix(batchSize, outHeight, outWidth, this.filters);
-            let gradients = new Matrix(batchSize, outHeight, outWidth, this.filters);
+            // [batch * outHeight * outWidth, patch] x [patch, filters]
+            let z = tensorMatMul(cols, this.W.reshape(-1, this.filters));
+            for (let i = 0; i < z.values.length; i++) {
+                z.values[i] += this.b.values[i % this.filters];
+            }
 
-            // Convolution operation
-            for (let b = 0; b < batchSize; b++) {
-                for (let f = 0; f < this.filters; f++) {
-                    for (let i = 0; i < outHeight; i++) {
-                        for (let j = 0; j < outWidth; j++) {
-                            let sum = 0;
-                            for (let kh = 0; kh < this.kernelSize[0]; kh++) {
-                                for (let kw = 0; kw < this.kernelSize[1]; kw++) {
-                                    for (let c = 0; c < inChannels; c++) {
-                                        let h = i * this.stride + kh;
-                                        let w = j * this.stride + kw;
-                                        if (h < inHeight && w < inWidth) {
-                                            sum += x.get(b, h, w, c) * this.W.get(kh, kw, c, f);
-                                        }
-                                    }
-                                }
-                            }
-                            output.set(b, i, j, f, sum + this.b[f]);
-                            gradients.set(b, i, j, f, 1); // ReLU derivative
-                        }
-                    }
+            let output = z;
+            let dActivation = null;
+            if (this.activation !== undefined && this.activation !== null) {
+                let [g, dg] = this.activation.f(z.toMatrix());
+                output = GV.tensor(g);
+                dActivation = GV.tensor(dg);
+            }
+
+            this.cache = { inputShape: x.shape, cols, dActivation };
+            return [output.reshape(batchSize, outHeight, outWidth, this.filters), null];
+        }
+
+        this.backward = (dOut) => {
+            let { inputShape, cols, dActivation } = this.cache;
+
+            // Gradient w.r.t. the pre-activation output, as [batch * outHeight * outWidth, filters]
+            let dZ = new Tensor([dOut.size / this.filters, this.filters], new Float64Array(dOut.values));
+            if (dActivation) {
+                for (let i = 0; i < dZ.values.length; i++) {
+                    dZ.values[i] *= dActivation.values[i];
                 }
             }
 
-            return [output, gradients];
+            let dW = tensorMatMul(cols, dZ, true, false);
+            let db = new Tensor([this.filters]);
+            for (let i = 0; i < dZ.values.length; i++) {
+                db.values[i % this.filters] += dZ.values[i];
+            }
+            this.grads = { W: dW.reshape(this.W.shape), b: db };
+
+            let dCols = tensorMatMul(dZ, this.W.reshape(-1, this.filters), false, true);
+            return col2im(dCols, inputShape, this.kernelSize, convOptions());
         }
 
         this.setInputDim = (inputShape) => {
-            let [_, inHeight, inWidth, inChannels] = inputShape;
-            
-            // Initialize weights
-            this.W = new Matrix(this.kernelSize[0], this.kernelSize[1], inChannels, this.filters);
-            for (let i = 0; i < this.W.size; i++) {
-                this.W.values[i] = (Math.random() * 2 - 1) * Math.sqrt(2.0 / (inChannels * this.kernelSize[0] * this.kernelSize[1]));
+            // Accept [height, width, channels] or [batch, height, width, channels]
+            if (!Array.isArray(inputShape) || inputShape.length < 3) {
+                throw new Error(`Conv2D needs an input shape [height, width, channels], got ${JSON.stringify(inputShape)}`);
             }
+            this.inputShape = inputShape.slice(-3);
+            let inChannels = this.inputShape[2];
+            let fanIn = inChannels * this.kernelSize[0] * this.kernelSize[1];
+
+            // He initialization
+            let std = Math.sqrt(2.0 / fanIn);
+            let kernelShape = [this.kernelSize[0], this.kernelSize[1], inChannels, this.filters];
+            this.W = new Tensor(kernelShape, randn(fanIn * this.filters, generator(this)).values.map(val => val * std));
 
-            // Initialize biases
-            this.b = new Array(this.filters).fill(0);
+            this.b = new Tensor([this.filters]);
         }
 
         this.getSize = () => {
-            return [this.filters];
+            if (!this.inputShape) {
+                return [this.filters];
+            }
+            let [inHeight, inWidth] = this.inputShape;
+            let rows = GV._convGeometry(inHeight, this.kernelSize[0], this.stride[0], this.dilation[0], this.padding);
+            let cols = GV._convGeometry(inWidth, this.kernelSize[1], this.stride[1], this.dilation[1], this.padding);
+            return [rows.outSize, cols.outSize, this.filters];
         }
 
-        this.updateWeights = (dW, lr) => {
-            // Update weights
-            for (let i = 0; i < this.W.size; i++) {
-                this.W.values[i] -= lr * dW.values[i];
-            }
-            // Update biases
-            for (let i = 0; i < this.b.length; i++) {
-                this.b[i] -= lr * dW.bias[i];
-            }
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            updateTensorParams(this, grads, lr, optimizer, key);
         }
 
         this.getLayerParams = () => {
@@ -271,12 +427,1895 @@ export class Conv2D {
                 filters: this.filters,
                 kernelSize: this.kernelSize,
                 stride: this.stride,
+                dilation: this.dilation,
                 padding: this.padding,
-                activation: null,
+                activation: this.activation ? this.activation.constructor.name : null,
                 useBias: true,
                 kernelInitializer: 'he',
                 biasInitializer: 'zeros',
-                kernelShape: this.W ? this.W.shape : null
+                kernelShape: this.W ? this.W.shape : null,
+                outputShape: this.inputShape ? this.getSize() : null
+            };
+        }
+    }
+}
+
+/**
+ * Shared implementation of MaxPooling2D and AveragePooling2D
+ * 
+ * @private
+ * @param {Object} layer - The pooling layer
+ * @param {string} mode - 'max' or 'average'
+ */
+const initPooling2D = (layer, mode) => {
+    if (layer.padding !== 'same' && layer.padding !== 'valid') {
+        throw new Error(`${layer.name} padding must be 'same' or 'valid', got '${layer.padding}'`);
+    }
+
+    const geometry = (height, width) => [
+        GV._convGeometry(height, layer.poolSize[0], layer.stride[0], 1, layer.padding),
+        GV._convGeometry(width, layer.poolSize[1], layer.stride[1], 1, layer.padding)
+    ];
+
+    layer.f = (x) => {
+        if (!x || x.type !== 'Tensor' || x.rank !== 4) {
+            throw new Error(`${layer.name} expects a 4D Tensor [batch, height, width, channels], got ${x && x.shape ? `[${x.shape}]` : typeof x}`);
+        }
+        let [batchSize, height, width, channels] = x.shape;
+        let [rowGeo, colGeo] = geometry(height, width);
+        let outHeight = rowGeo.outSize, outWidth = colGeo.outSize;
+
+        let output = new Tensor([batchSize, outHeight, outWidth, channels]);
+        // Max pooling remembers the winning input offset, average pooling the window size
+        let routes = new Int32Array(output.size);
+        let counts = new Float64Array(output.size);
+        let X = x.values, O = output.values;
+
+        let o = 0;
+        for (let b = 0; b < batchSize; b++) {
+            for (let i = 0; i < outHeight; i++) {
+                for (let j = 0; j < outWidth; j++) {
+                    for (let c = 0; c < channels; c++, o++) {
+                        let best = -Infinity, bestIdx = -1, total = 0, count = 0;
+                        for (let u = 0; u < layer.poolSize[0]; u++) {
+                            let h = i * layer.stride[0] + u - rowGeo.padBefore;
+                            if (h < 0 || h >= height) continue;
+                            for (let v = 0; v < layer.poolSize[1]; v++) {
+                                let w = j * layer.stride[1] + v - colGeo.padBefore;
+                                if (w < 0 || w >= width) continue;
+                                let idx = ((b * height + h) * width + w) * channels + c;
+                                total += X[idx];
+                                count++;
+                                if (X[idx] > best) {
+                                    best = X[idx];
+                                    bestIdx = idx;
+                                }
+                            }
+                        }
+                        // Padded cells are ignored, so averages only count real inputs
+                        O[o] = mode === 'max' ? best : total / count;
+                        routes[o] = bestIdx;
+                        counts[o] = count;
+                    }
+                }
+            }
+        }
+
+        layer.cache = { inputShape: x.shape, routes, counts };
+        return [output, null];
+    };
+
+    layer.backward = (dOut) => {
+        let { inputShape, routes, counts } = layer.cache;
+        let [batchSize, height, width, channels] = inputShape;
+        let [rowGeo, colGeo] = geometry(height, width);
+        let dX = new Tensor(inputShape);
+        let D = dOut.values, G = dX.values;
+
+        if (mode === 'max') {
+            for (let o = 0; o < D.length; o++) {
+                G[routes[o]] += D[o];
+            }
+            return dX;
+        }
+
+        let o = 0;
+        for (let b = 0; b < batchSize; b++) {
+            for (let i = 0; i < rowGeo.outSize; i++) {
+                for (let j = 0; j < colGeo.outSize; j++) {
+                    for (let c = 0; c < channels; c++, o++) {
+                        let share = D[o] / counts[o];
+                        for (let u = 0; u < layer.poolSize[0]; u++) {
+                            let h = i * layer.stride[0] + u - rowGeo.padBefore;
+                            if (h < 0 || h >= height) continue;
+                            for (let v = 0; v < layer.poolSize[1]; v++) {
+                                let w = j * layer.stride[1] + v - colGeo.padBefore;
+                                if (w < 0 || w >= width) continue;
+                                G[((b * height + h) * width + w) * channels + c] += share;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        return dX;
+    };
+
+    layer.setInputDim = (inputShape) => {
+        if (!Array.isArray(inputShape) || inputShape.length < 3) {
+            throw new Error(`${layer.name} needs an input shape [height, width, channels], got ${JSON.stringify(inputShape)}`);
+        }
+        layer.inputShape = inputShape.slice(-3);
+    };
+
+    layer.getSize = () => {
+        if (!layer.inputShape) return null;
+        let [height, width, channels] = layer.inputShape;
+        let [rowGeo, colGeo] = geometry(height, width);
+        return [rowGeo.outSize, colGeo.outSize, channels];
+    };
+
+    layer.getLayerParams = () => {
+        return {
+            poolSize: layer.poolSize,
+            stride: layer.stride,
+            padding: layer.padding,
+            outputShape: layer.getSize()
+        };
+    };
+};
+
+/**
+ * Max pooling over 2D windows of an NHWC tensor
+ * 
+ * @class MaxPooling2D
+ * @implements {LayerProto}
+ */
+export class MaxPooling2D {
+    constructor(poolSize = 2, stride = null, padding = 'valid') {
+        this.poolSize = toPair(poolSize);
+        this.stride = stride === null ? this.poolSize.slice() : toPair(stride);
+        this.padding = padding;
+        this.inputShape = null;
+        this.W = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'MaxPooling2D';
+
+        initPooling2D(this, 'max');
+    }
+}
+
+/**
+ * Average pooling over 2D windows of an NHWC tensor
+ * 
+ * @class AveragePooling2D
+ * @implements {LayerProto}
+ */
+export class AveragePooling2D {
+    constructor(poolSize = 2, stride = null, padding = 'valid') {
+        this.poolSize = toPair(poolSize);
+        this.stride = stride === null ? this.poolSize.slice() : toPair(stride);
+        this.padding = padding;
+        this.inputShape = null;
+        this.W = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'AveragePooling2D';
+
+        initPooling2D(this, 'average');
+    }
+}
+
+/**
+ * Averages each channel over all spatial positions, turning an NHWC tensor
+ * into a [batch, channels] matrix that can feed a Dense layer
+ * 
+ * @class GlobalAveragePooling2D
+ * @implements {LayerProto}
+ */
+export class GlobalAveragePooling2D {
+    constructor() {
+        this.inputShape = null;
+        this.W = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'GlobalAveragePooling2D';
+
+        this.f = (x) => {
+            if (!x || x.type !== 'Tensor' || x.rank !== 4) {
+                throw new Error(`GlobalAveragePooling2D expects a 4D Tensor [batch, height, width, channels], got ${x && x.shape ? `[${x.shape}]` : typeof x}`);
+            }
+            let [batchSize, height, width, channels] = x.shape;
+            let area = height * width;
+            let rows = [];
+            for (let b = 0; b < batchSize; b++) {
+                let row = new Array(channels).fill(0);
+                let offset = b * area * channels;
+                for (let p = 0; p < area; p++) {
+                    for (let c = 0; c < channels; c++) {
+                        row[c] += x.values[offset + p * channels + c];
+                    }
+                }
+                rows.push(row.map(val => val / area));
+            }
+            this.cache = { inputShape: x.shape };
+            return [new Matrix(rows), null];
+        }
+
+        this.backward = (dOut) => {
+            let [batchSize, height, width, channels] = this.cache.inputShape;
+            let area = height * width;
+            let dX = new Tensor(this.cache.inputShape);
+            for (let b = 0; b < batchSize; b++) {
+                let offset = b * area * channels;
+                for (let p = 0; p < area; p++) {
+                    for (let c = 0; c < channels; c++) {
+                        dX.values[offset + p * channels + c] = dOut.rows[b][c] / area;
+                    }
+                }
+            }
+            return dX;
+        }
+
+        this.setInputDim = (inputShape) => {
+            if (!Array.isArray(inputShape) || inputShape.length < 3) {
+                throw new Error(`GlobalAveragePooling2D needs an input shape [height, width, channels], got ${JSON.stringify(inputShape)}`);
+            }
+            this.inputShape = inputShape.slice(-3);
+        }
+
+        this.getSize = () => {
+            return this.inputShape ? this.inputShape[2] : null;
+        }
+
+        this.getLayerParams = () => {
+            return {
+                outputShape: this.getSize()
+            };
+        }
+    }
+}
+
+/**
+ * Flattens every sample of a tensor into one row, turning [batch, ...dims]
+ * into a [batch, product(dims)] matrix that can feed a Dense layer
+ * 
+ * @class Flatten
+ * @implements {LayerProto}
+ */
+export class Flatten {
+    constructor() {
+        this.inputShape = null;
+        this.W = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'Flatten';
+
+        this.f = (x) => {
+            this.cache = { inputShape: x.shape };
+            if (x.type !== 'Tensor') {
+                return [x.clone(), null];
+            }
+            return [x.toMatrix(), null];
+        }
+
+        this.backward = (dOut) => {
+            let inputShape = this.cache.inputShape;
+            if (inputShape.length === 2) {
+                return dOut;
+            }
+            return new Tensor(inputShape, Float64Array.from(dOut.values));
+        }
+
+        this.setInputDim = (inputShape) => {
+            this.inputShape = Array.isArray(inputShape) ? inputShape.slice() : [inputShape];
+        }
+
+        this.getSize = () => {
+            return this.inputShape ? this.inputShape.reduce((a, b) => a * b, 1) : null;
+        }
+
+        this.getLayerParams = () => {
+            return {
+                inputShape: this.inputShape,
+                outputShape: this.getSize()
+            };
+        }
+    }
+}
+
+/**
+ * Batch normalization over the last axis of a Matrix [batch, features] or
+ * Tensor [batch, ..., channels]. Training uses batch statistics and updates the
+ * running mean/variance; evaluation (Model.setTrainingMode(false)) uses the running ones.
+ * 
+ * @class BatchNorm
+ * @implements {LayerProto}
+ */
+export class BatchNorm {
+    constructor(momentum = 0.99, epsilon = 1e-3) {
+        this.momentum = momentum;
+        this.epsilon = epsilon;
+        this.isTraining = true;
+        this.inputShape = null;
+        this.W = null;
+        this.gamma = null;
+        this.beta = null;
+        this.runningMean = null;
+        this.runningVar = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'BatchNorm';
+
+        this.f = (x) => {
+            let { values, count, features, wrap } = asFeatureRows(x);
+            if (this.gamma === null) this.setInputDim(features);
+
+            let mean = new Float64Array(features);
+            let variance = new Float64Array(features);
+            if (this.isTraining) {
+                for (let i = 0; i < values.length; i++) {
+                    mean[i % features] += values[i] / count;
+                }
+                for (let i = 0; i < values.length; i++) {
+                    let diff = values[i] - mean[i % features];
+                    variance[i % features] += diff * diff / count;
+                }
+                for (let c = 0; c < features; c++) {
+                    this.runningMean.values[c] = this.momentum * this.runningMean.values[c] + (1 - this.momentum) * mean[c];
+                    this.runningVar.values[c] = this.momentum * this.runningVar.values[c] + (1 - this.momentum) * variance[c];
+                }
+            } else {
+                mean.set(this.runningMean.values);
+                variance.set(this.runningVar.values);
+            }
+
+            let invStd = variance.map(val => 1 / Math.sqrt(val + this.epsilon));
+            let xHat = new Float64Array(values.length);
+            let out = new Float64Array(values.length);
+            for (let i = 0; i < values.length; i++) {
+                let c = i % features;
+                xHat[i] = (values[i] - mean[c]) * invStd[c];
+                out[i] = this.gamma.values[c] * xHat[i] + this.beta.values[c];
+            }
+
+            this.cache = { xHat, invStd, count, features, usedBatchStats: this.isTraining };
+            return [wrap(out), null];
+        }
+
+        this.backward = (dOut) => {
+            let { xHat, invStd, count, features, usedBatchStats } = this.cache;
+            let { values: dy, wrap } = asFeatureRows(dOut);
+
+            let dGamma = new Tensor([features]);
+            let dBeta = new Tensor([features]);
+            for (let i = 0; i < dy.length; i++) {
+                dGamma.values[i % features] += dy[i] * xHat[i];
+                dBeta.values[i % features] += dy[i];
+            }
+            this.grads = { gamma: dGamma, beta: dBeta };
+
+            let dx = new Float64Array(dy.length);
+            for (let i = 0; i < dy.length; i++) {
+                let c = i % features;
+                let scaled = this.gamma.values[c] * invStd[c];
+                if (usedBatchStats) {
+                    // The batch mean and variance depend on every input of the channel
+                    dx[i] = scaled * (dy[i] - (dBeta.values[c] + xHat[i] * dGamma.values[c]) / count);
+                } else {
+                    dx[i] = scaled * dy[i];
+                }
+            }
+            return wrap(dx);
+        }
+
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            updateTensorParams(this, grads, lr, optimizer, key);
+        }
+
+        this.setInputDim = (inputDim) => {
+            this.inputShape = Array.isArray(inputDim) ? inputDim.slice() : [inputDim];
+            let features = this.inputShape[this.inputShape.length - 1];
+            this.gamma = new Tensor([features]).fill(1);
+            this.beta = new Tensor([features]);
+            this.runningMean = new Tensor([features]);
+            this.runningVar = new Tensor([features]).fill(1);
+        }
+
+        this.getSize = () => {
+            return this.inputShape && this.inputShape.length === 1 ? this.inputShape[0] : this.inputShape;
+        }
+
+        this.getState = () => {
+            return {
+                gamma: Array.from(this.gamma.values),
+                beta: Array.from(this.beta.values),
+                runningMean: Array.from(this.runningMean.values),
+                runningVar: Array.from(this.runningVar.values)
+            };
+        }
+
+        this.setState = (state) => {
+            for (let name of ['gamma', 'beta', 'runningMean', 'runningVar']) {
+                this[name] = new Tensor([state[name].length], state[name]);
+            }
+        }
+
+        this.getLayerParams = () => {
+            return {
+                momentum: this.momentum,
+                epsilon: this.epsilon,
+                features: this.gamma ? this.gamma.size : null,
+                trainable: ['gamma', 'beta'],
+                nonTrainable: ['runningMean', 'runningVar']
+            };
+        }
+    }
+}
+
+/**
+ * Layer normalization over the last axis of each sample of a Matrix
+ * [batch, features] or Tensor [batch, ..., features]. Behaves the same in
+ * training and evaluation.
+ * 
+ * @class LayerNorm
+ * @implements {LayerProto}
+ */
+export class LayerNorm {
+    constructor(epsilon = 1e-5) {
+        this.epsilon = epsilon;
+        this.inputShape = null;
+        this.W = null;
+        this.gamma = null;
+        this.beta = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'LayerNorm';
+
+        this.f = (x) => {
+            let { values, count, features, wrap } = asFeatureRows(x);
+            if (this.gamma === null) this.setInputDim(features);
+
+            let xHat = new Float64Array(values.length);
+            let invStd = new Float64Array(count);
+            let out = new Float64Array(values.length);
+            for (let r = 0; r < count; r++) {
+                let offset = r * features;
+                let mean = 0;
+                for (let c = 0; c < features; c++) mean += values[offset + c] / features;
+                let variance = 0;
+                for (let c = 0; c < features; c++) {
+                    let diff = values[offset + c] - mean;
+                    variance += diff * diff / features;
+                }
+                invStd[r] = 1 / Math.sqrt(variance + this.epsilon);
+                for (let c = 0; c < features; c++) {
+                    xHat[offset + c] = (values[offset + c] - mean) * invStd[r];
+                    out[offset + c] = this.gamma.values[c] * xHat[offset + c] + this.beta.values[c];
+                }
+            }
+
+            this.cache = { xHat, invStd, count, features };
+            return [wrap(out), null];
+        }
+
+        this.backward = (dOut) => {
+            let { xHat, invStd, count, features } = this.cache;
+            let { values: dy, wrap } = asFeatureRows(dOut);
+
+            let dGamma = new Tensor([features]);
+            let dBeta = new Tensor([features]);
+            let dx = new Float64Array(dy.length);
+            for (let r = 0; r < count; r++) {
+                let offset = r * features;
+                let sumD = 0, sumDX = 0;
+                for (let c = 0; c < features; c++) {
+                    let i = offset + c;
+                    dGamma.values[c] += dy[i] * xHat[i];
+                    dBeta.values[c] += dy[i];
+                    let dXHat = dy[i] * this.gamma.values[c];
+                    sumD += dXHat;
+                    sumDX += dXHat * xHat[i];
+                }
+                for (let c = 0; c < features; c++) {
+                    let i = offset + c;
+                    let dXHat = dy[i] * this.gamma.values[c];
+                    dx[i] = invStd[r] * (dXHat - (sumD + xHat[i] * sumDX) / features);
+                }
+            }
+            this.grads = { gamma: dGamma, beta: dBeta };
+            return wrap(dx);
+        }
+
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            updateTensorParams(this, grads, lr, optimizer, key);
+        }
+
+        this.setInputDim = (inputDim) => {
+            this.inputShape = Array.isArray(inputDim) ? inputDim.slice() : [inputDim];
+            let features = this.inputShape[this.inputShape.length - 1];
+            this.gamma = new Tensor([features]).fill(1);
+            this.beta = new Tensor([features]);
+        }
+
+        this.getSize = () => {
+            return this.inputShape && this.inputShape.length === 1 ? this.inputShape[0] : this.inputShape;
+        }
+
+        this.getState = () => {
+            return {
+                gamma: Array.from(this.gamma.values),
+                beta: Array.from(this.beta.values)
+            };
+        }
+
+        this.setState = (state) => {
+            this.gamma = new Tensor([state.gamma.length], state.gamma);
+            this.beta = new Tensor([state.beta.length], state.beta);
+        }
+
+        this.getLayerParams = () => {
+            return {
+                epsilon: this.epsilon,
+                features: this.gamma ? this.gamma.size : null,
+                trainable: ['gamma', 'beta']
+            };
+        }
+    }
+}
+
+/**
+ * Multiplies [rows, inner] by [inner, cols] flat arrays
+ * 
+ * @private
+ * @param {Float64Array} a - Left operand values
+ * @param {number} rows - Rows of a
+ * @param {Tensor} b - Right operand, a 2D tensor
+ * @param {boolean} [transposeB=false] - Whether to use the transpose of b
+ * @returns {Float64Array} The product values
+ */
+const matMulValues = (a, rows, b, transposeB = false) => {
+    let inner = transposeB ? b.shape[1] : b.shape[0];
+    return tensorMatMul(new Tensor([rows, inner], a), b, false, transposeB).values;
+};
+
+/**
+ * Accumulates a^T * b into a gradient tensor
+ * 
+ * @private
+ * @param {Tensor} target - Gradient of shape [aCols, bCols]
+ * @param {Float64Array} a - Values of shape [rows, aCols]
+ * @param {Float64Array} b - Values of shape [rows, bCols]
+ * @param {number} rows - Shared number of rows
+ */
+const addOuterProduct = (target, a, b, rows) => {
+    let [aCols, bCols] = target.shape;
+    let product = tensorMatMul(new Tensor([rows, aCols], a), new Tensor([rows, bCols], b), true, false);
+    for (let i = 0; i < target.values.length; i++) {
+        target.values[i] += product.values[i];
+    }
+};
+
+const sigmoid = (val) => 1 / (1 + Math.exp(-val));
+
+/**
+ * Shared implementation of the recurrent layers. The cell describes one time step:
+ * gates (number of stacked gate blocks in Wx/Wh/b), whether it carries a cell state,
+ * and forward/backward functions over flat [batch, units] arrays.
+ * 
+ * @private
+ * @param {Object} layer - The recurrent layer
+ * @param {Object} cell - The cell definition
+ */
+const initRecurrent = (layer, cell) => {
+    layer.isRecurrent = true;
+
+    layer.resetStates = () => {
+        layer.states = null;
+    };
+
+    layer.f = (x) => {
+        if (!x || x.type !== 'Tensor' || x.rank !== 3) {
+            throw new Error(`${layer.name} expects a 3D Tensor [batch, timesteps, features], got ${x && x.shape ? `[${x.shape}]` : typeof x}`);
+        }
+        let [batchSize, timesteps, features] = x.shape;
+        if (layer.Wx === null) layer.setInputDim([timesteps, features]);
+
+        let units = layer.size;
+        let width = cell.gates * units;
+
+        // Input projections for all time steps at once: [batch * timesteps, gates * units]
+        let zxAll = tensorMatMul(x.reshape(batchSize * timesteps, features), layer.Wx).values;
+        for (let i = 0; i < zxAll.length; i++) {
+            zxAll[i] += layer.b.values[i % width];
+        }
+
+        let carry = layer.stateful && layer.states && layer.states.h.length === batchSize * units;
+        let h = carry ? Float64Array.from(layer.states.h) : new Float64Array(batchSize * units);
+        let c = carry && cell.hasCellState ? Float64Array.from(layer.states.c) : new Float64Array(batchSize * units);
+
+        let steps = [];
+        let sequence = layer.returnSequences ? new Tensor([batchSize, timesteps, units]) : null;
+        for (let t = 0; t < timesteps; t++) {
+            let zx = new Float64Array(batchSize * width);
+            let xt = new Float64Array(batchSize * features);
+            for (let n = 0; n < batchSize; n++) {
+                zx.set(zxAll.subarray((n * timesteps + t) * width, (n * timesteps + t + 1) * width), n * width);
+                xt.set(x.values.subarray((n * timesteps + t) * features, (n * timesteps + t + 1) * features), n * features);
+            }
+
+            let step = cell.forward(zx, h, c, batchSize);
+            step.x = xt;
+
+            // Masked (padding) steps carry the previous state through unchanged
+            step.skipped = [];
+            if (x.mask) {
+                for (let n = 0; n < batchSize; n++) {
+                    if (x.mask[n * timesteps + t] !== 0) continue;
+                    step.skipped.push(n);
+                    step.h.set(h.subarray(n * units, (n + 1) * units), n * units);
+                    if (step.c) step.c.set(c.subarray(n * units, (n + 1) * units), n * units);
+                }
+            }
+            steps.push(step);
+            h = step.h;
+            c = step.c || c;
+
+            if (sequence) {
+                for (let n = 0; n < batchSize; n++) {
+                    sequence.values.set(h.subarray(n * units, (n + 1) * units), (n * timesteps + t) * units);
+                }
+            }
+        }
+
+        if (layer.stateful) {
+            layer.states = { h: Array.from(h), c: Array.from(c) };
+        }
+        layer.cache = { steps, inputShape: x.shape };
+
+        if (sequence) {
+            sequence.mask = x.mask || null;
+            return [sequence, null];
+        }
+        let rows = [];
+        for (let n = 0; n < batchSize; n++) {
+            rows.push(Array.from(h.subarray(n * units, (n + 1) * units)));
+        }
+        return [new Matrix(rows), null];
+    };
+
+    layer.backward = (dOut) => {
+        let { steps, inputShape } = layer.cache;
+        let [batchSize, timesteps, features] = inputShape;
+        let units = layer.size;
+        let width = cell.gates * units;
+
+        let grads = {
+            Wx: new Tensor(layer.Wx.shape),
+            Wh: new Tensor(layer.Wh.shape),
+            b: new Tensor(layer.b.shape)
+        };
+        let dx = new Tensor(inputShape);
+        let dhNext = new Float64Array(batchSize * units);
+        let dcNext = new Float64Array(batchSize * units);
+
+        for (let t = timesteps - 1; t >= 0; t--) {
+            // Gradient reaching h_t from the layer output
+            let dh = Float64Array.from(dhNext);
+            if (layer.returnSequences) {
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        dh[n * units + u] += dOut.values[(n * timesteps + t) * units + u];
+                    }
+                }
+            } else if (t === timesteps - 1) {
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        dh[n * units + u] += dOut.rows[n][u];
+                    }
+                }
+            }
+
+            let step = steps[t];
+            let dc = dcNext;
+            let carried = null;
+            if (step.skipped.length) {
+                carried = Float64Array.from(dh);
+                dc = Float64Array.from(dcNext);
+                for (let n of step.skipped) {
+                    dh.fill(0, n * units, (n + 1) * units);
+                    dc.fill(0, n * units, (n + 1) * units);
+                }
+            }
+            let { dz, dhPrev, dcPrev } = cell.backward(step, dh, dc, batchSize, grads.Wh);
+            for (let n of step.skipped) {
+                dhPrev.set(carried.subarray(n * units, (n + 1) * units), n * units);
+                if (dcPrev) dcPrev.set(dcNext.subarray(n * units, (n + 1) * units), n * units);
+            }
+
+            addOuterProduct(grads.Wx, step.x, dz, batchSize);
+            for (let i = 0; i < dz.length; i++) {
+                grads.b.values[i % width] += dz[i];
+            }
+            let dxt = matMulValues(dz, batchSize, layer.Wx, true);
+            for (let n = 0; n < batchSize; n++) {
+                dx.values.set(dxt.subarray(n * features, (n + 1) * features), (n * timesteps + t) * features);
+            }
+
+            dhNext = dhPrev;
+            dcNext = dcPrev || dcNext;
+
+            // Truncated BPTT: stop the recurrent gradient at chunk boundaries counted from the end
+            if (layer.bpttSteps > 0 && (timesteps - t) % layer.bpttSteps === 0) {
+                dhNext = new Float64Array(batchSize * units);
+                dcNext = new Float64Array(batchSize * units);
+            }
+        }
+
+        layer.grads = grads;
+        return dx;
+    };
+
+    layer.updateWeights = (grads = layer.grads, lr, optimizer = null, key = layer.name) => {
+        updateTensorParams(layer, grads, lr, optimizer, key);
+    };
+
+    layer.setInputDim = (inputShape) => {
+        // Accept [timesteps, features], or just the number of features for variable-length sequences
+        if (typeof inputShape === 'number') {
+            inputShape = [null, inputShape];
+        }
+        if (!Array.isArray(inputShape) || inputShape.length < 2) {
+            throw new Error(`${layer.name} needs an input shape [timesteps, features], got ${JSON.stringify(inputShape)}`);
+        }
+        layer.inputShape = inputShape.slice(-2);
+        let features = layer.inputShape[1];
+        let units = layer.size;
+        let width = cell.gates * units;
+
+        // Glorot-style scaling for the input and recurrent kernels
+        let inputStd = Math.sqrt(2.0 / (features + width));
+        let recurrentStd = Math.sqrt(2.0 / (units + width));
+        layer.Wx = new Tensor([features, width], randn(features * width, generator(layer)).values.map(val => val * inputStd));
+        layer.Wh = new Tensor([units, width], randn(units * width, generator(layer)).values.map(val => val * recurrentStd));
+        layer.b = new Tensor([width]);
+        if (cell.initBias) cell.initBias(layer.b.values, units);
+    };
+
+    layer.getSize = () => {
+        if (layer.returnSequences) {
+            return [layer.inputShape ? layer.inputShape[0] : null, layer.size];
+        }
+        return layer.size;
+    };
+
+    layer.getState = () => {
+        return {
+            Wx: { shape: layer.Wx.shape, values: Array.from(layer.Wx.values) },
+            Wh: { shape: layer.Wh.shape, values: Array.from(layer.Wh.values) },
+            b: { shape: layer.b.shape, values: Array.from(layer.b.values) }
+        };
+    };
+
+    layer.setState = (state) => {
+        for (let name of ['Wx', 'Wh', 'b']) {
+            layer[name] = new Tensor(state[name].shape, state[name].values);
+        }
+    };
+
+    layer.getLayerParams = () => {
+        return {
+            units: layer.size,
+            returnSequences: layer.returnSequences,
+            stateful: layer.stateful,
+            bpttSteps: layer.bpttSteps,
+            inputShape: layer.inputShape,
+            kernelShape: layer.Wx ? layer.Wx.shape : null,
+            recurrentKernelShape: layer.Wh ? layer.Wh.shape : null
+        };
+    };
+};
+
+/**
+ * Fully-connected recurrent layer: h_t = tanh(x_t Wx + h_{t-1} Wh + b).
+ * Takes a Tensor [batch, timesteps, features] and returns the last hidden state
+ * as a Matrix [batch, units], or every state as a Tensor [batch, timesteps, units]
+ * when returnSequences is set. Stateful layers carry their final state into the
+ * next batch until resetStates() is called. bpttSteps > 0 truncates backpropagation
+ * through time to chunks of that many steps.
+ * 
+ * @class SimpleRNN
+ * @implements {LayerProto}
+ */
+export class SimpleRNN {
+    constructor(units, returnSequences = false, stateful = false, bpttSteps = 0) {
+        this.size = units;
+        this.returnSequences = returnSequences;
+        this.stateful = stateful;
+        this.bpttSteps = bpttSteps;
+        this.states = null;
+        this.inputShape = null;
+        this.W = null;
+        this.Wx = null;
+        this.Wh = null;
+        this.b = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'SimpleRNN';
+
+        initRecurrent(this, {
+            gates: 1,
+            hasCellState: false,
+            forward: (zx, hPrev, cPrev, batchSize) => {
+                let a = matMulValues(hPrev, batchSize, this.Wh);
+                let h = new Float64Array(a.length);
+                for (let i = 0; i < a.length; i++) {
+                    h[i] = Math.tanh(a[i] + zx[i]);
+                }
+                return { h, hPrev };
+            },
+            backward: (step, dh, dcNext, batchSize, dWh) => {
+                let dz = new Float64Array(dh.length);
+                for (let i = 0; i < dh.length; i++) {
+                    dz[i] = dh[i] * (1 - step.h[i] * step.h[i]);
+                }
+                addOuterProduct(dWh, step.hPrev, dz, batchSize);
+                return { dz, dhPrev: matMulValues(dz, batchSize, this.Wh, true) };
+            }
+        });
+    }
+}
+
+/**
+ * Long short-term memory layer with input, forget, cell and output gates
+ * (stacked in that order in Wx, Wh and b). The forget gate bias starts at 1.
+ * Input, output and options are the same as for SimpleRNN.
+ * 
+ * @class LSTM
+ * @implements {LayerProto}
+ */
+export class LSTM {
+    constructor(units, returnSequences = false, stateful = false, bpttSteps = 0) {
+        this.size = units;
+        this.returnSequences = returnSequences;
+        this.stateful = stateful;
+        this.bpttSteps = bpttSteps;
+        this.states = null;
+        this.inputShape = null;
+        this.W = null;
+        this.Wx = null;
+        this.Wh = null;
+        this.b = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'LSTM';
+
+        initRecurrent(this, {
+            gates: 4,
+            hasCellState: true,
+            initBias: (b, units) => {
+                for (let u = units; u < 2 * units; u++) b[u] = 1;
+            },
+            forward: (zx, hPrev, cPrev, batchSize) => {
+                let units = this.size;
+                let a = matMulValues(hPrev, batchSize, this.Wh);
+                let size = batchSize * units;
+                let gate = { i: new Float64Array(size), f: new Float64Array(size), g: new Float64Array(size), o: new Float64Array(size) };
+                let c = new Float64Array(size);
+                let tanhC = new Float64Array(size);
+                let h = new Float64Array(size);
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        let k = n * units + u;
+                        let base = n * 4 * units + u;
+                        gate.i[k] = sigmoid(a[base] + zx[base]);
+                        gate.f[k] = sigmoid(a[base + units] + zx[base + units]);
+                        gate.g[k] = Math.tanh(a[base + 2 * units] + zx[base + 2 * units]);
+                        gate.o[k] = sigmoid(a[base + 3 * units] + zx[base + 3 * units]);
+                        c[k] = gate.f[k] * cPrev[k] + gate.i[k] * gate.g[k];
+                        tanhC[k] = Math.tanh(c[k]);
+                        h[k] = gate.o[k] * tanhC[k];
+                    }
+                }
+                return { h, c, hPrev, cPrev, gate, tanhC };
+            },
+            backward: (step, dh, dcNext, batchSize, dWh) => {
+                let units = this.size;
+                let { gate, tanhC, cPrev } = step;
+                let dz = new Float64Array(batchSize * 4 * units);
+                let dcPrev = new Float64Array(batchSize * units);
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        let k = n * units + u;
+                        let base = n * 4 * units + u;
+                        let dc = dcNext[k] + dh[k] * gate.o[k] * (1 - tanhC[k] * tanhC[k]);
+                        dz[base] = dc * gate.g[k] * gate.i[k] * (1 - gate.i[k]);
+                        dz[base + units] = dc * cPrev[k] * gate.f[k] * (1 - gate.f[k]);
+                        dz[base + 2 * units] = dc * gate.i[k] * (1 - gate.g[k] * gate.g[k]);
+                        dz[base + 3 * units] = dh[k] * tanhC[k] * gate.o[k] * (1 - gate.o[k]);
+                        dcPrev[k] = dc * gate.f[k];
+                    }
+                }
+                addOuterProduct(dWh, step.hPrev, dz, batchSize);
+                return { dz, dhPrev: matMulValues(dz, batchSize, this.Wh, true), dcPrev };
+            }
+        });
+    }
+}
+
+/**
+ * Gated recurrent unit with update, reset and candidate blocks (stacked in that
+ * order in Wx, Wh and b); the reset gate is applied before the recurrent kernel.
+ * Input, output and options are the same as for SimpleRNN.
+ * 
+ * @class GRU
+ * @implements {LayerProto}
+ */
+export class GRU {
+    constructor(units, returnSequences = false, stateful = false, bpttSteps = 0) {
+        this.size = units;
+        this.returnSequences = returnSequences;
+        this.stateful = stateful;
+        this.bpttSteps = bpttSteps;
+        this.states = null;
+        this.inputShape = null;
+        this.W = null;
+        this.Wx = null;
+        this.Wh = null;
+        this.b = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'GRU';
+
+        initRecurrent(this, {
+            gates: 3,
+            hasCellState: false,
+            forward: (zx, hPrev, cPrev, batchSize) => {
+                let units = this.size;
+                let size = batchSize * units;
+                let a = matMulValues(hPrev, batchSize, this.Wh);
+                let z = new Float64Array(size);
+                let r = new Float64Array(size);
+                let resetH = new Float64Array(size);
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        let k = n * units + u;
+                        let base = n * 3 * units + u;
+                        z[k] = sigmoid(a[base] + zx[base]);
+                        r[k] = sigmoid(a[base + units] + zx[base + units]);
+                        resetH[k] = r[k] * hPrev[k];
+                    }
+                }
+                // Only the candidate block of (r * h_{t-1}) Wh is used
+                let aReset = matMulValues(resetH, batchSize, this.Wh);
+                let candidate = new Float64Array(size);
+                let h = new Float64Array(size);
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        let k = n * units + u;
+                        let base = n * 3 * units + 2 * units + u;
+                        candidate[k] = Math.tanh(aReset[base] + zx[base]);
+                        h[k] = (1 - z[k]) * candidate[k] + z[k] * hPrev[k];
+                    }
+                }
+                return { h, hPrev, z, r, resetH, candidate };
+            },
+            backward: (step, dh, dcNext, batchSize, dWh) => {
+                let units = this.size;
+                let { hPrev, z, r, resetH, candidate } = step;
+                let width = 3 * units;
+                // Gate gradients split into the blocks multiplied by h_{t-1} and by r * h_{t-1}
+                let dGates = new Float64Array(batchSize * width);
+                let dCandidate = new Float64Array(batchSize * width);
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        let k = n * units + u;
+                        let base = n * width + u;
+                        dGates[base] = dh[k] * (hPrev[k] - candidate[k]) * z[k] * (1 - z[k]);
+                        dCandidate[base + 2 * units] = dh[k] * (1 - z[k]) * (1 - candidate[k] * candidate[k]);
+                    }
+                }
+                // The reset gate only reaches the output through the candidate block
+                let dResetH = matMulValues(dCandidate, batchSize, this.Wh, true);
+                for (let n = 0; n < batchSize; n++) {
+                    for (let u = 0; u < units; u++) {
+                        let k = n * units + u;
+                        dGates[n * width + units + u] = dResetH[k] * hPrev[k] * r[k] * (1 - r[k]);
+                    }
+                }
+                let dhPrev = matMulValues(dGates, batchSize, this.Wh, true);
+                for (let k = 0; k < dhPrev.length; k++) {
+                    dhPrev[k] += dResetH[k] * r[k] + dh[k] * z[k];
+                }
+
+                addOuterProduct(dWh, hPrev, dGates, batchSize);
+                addOuterProduct(dWh, resetH, dCandidate, batchSize);
+
+                let dz = new Float64Array(batchSize * width);
+                for (let i = 0; i < dz.length; i++) {
+                    dz[i] = dGates[i] + dCandidate[i];
+                }
+                return { dz, dhPrev };
+            }
+        });
+    }
+}
+
+/**
+ * Looks up a learned vector for each integer index, turning a Matrix or Tensor
+ * [batch, sequenceLength] of token/category ids into a Tensor
+ * [batch, sequenceLength, dim]. Only the rows used by a batch receive gradients,
+ * as a sparse { type: 'SparseRows', indices, values } gradient. With maskZero,
+ * index 0 is padding: it maps to a zero vector, is never updated, and the output
+ * carries a mask ([batch, sequenceLength], 0 at padding) that recurrent layers
+ * use to skip those time steps.
+ * 
+ * @class Embedding
+ * @implements {LayerProto}
+ */
+export class Embedding {
+    constructor(vocabSize, dim, maskZero = false) {
+        if (!Number.isInteger(vocabSize) || vocabSize <= 0 || !Number.isInteger(dim) || dim <= 0) {
+            throw new Error(`Embedding needs positive integer vocabSize and dim, got ${vocabSize} and ${dim}`);
+        }
+        this.vocabSize = vocabSize;
+        this.size = dim;
+        this.maskZero = maskZero;
+        this.inputShape = null;
+        this.W = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'Embedding';
+
+        this.f = (x) => {
+            let batchSize, length, ids;
+            if (x.type === 'Tensor') {
+                if (x.rank !== 2) {
+                    throw new Error(`Embedding expects indices of shape [batch, sequenceLength], got [${x.shape}]`);
+                }
+                [batchSize, length] = x.shape;
+                ids = x.values;
+            } else {
+                batchSize = x.rows.length;
+                length = x.rows[0].length;
+                ids = x.values;
+            }
+            if (this.W === null) this.setInputDim(length);
+
+            let dim = this.size;
+            let indices = new Int32Array(ids.length);
+            let output = new Tensor([batchSize, length, dim]);
+            let mask = this.maskZero ? new Float64Array(ids.length) : null;
+            for (let i = 0; i < ids.length; i++) {
+                let id = ids[i];
+                if (!Number.isInteger(id) || id < 0 || id >= this.vocabSize) {
+                    throw new Error(`Embedding index ${id} is not an integer in [0, ${this.vocabSize})`);
+                }
+                indices[i] = id;
+                if (mask) {
+                    mask[i] = id === 0 ? 0 : 1;
+                    if (id === 0) continue;
+                }
+                output.values.set(this.W.values.subarray(id * dim, (id + 1) * dim), i * dim);
+            }
+
+            output.mask = mask;
+            this.cache = { indices };
+            return [output, null];
+        }
+
+        this.backward = (dOut) => {
+            let { indices } = this.cache;
+            let dim = this.size;
+            let dy = dOut.values;
+
+            // Sum the gradients of repeated indices into one row each
+            let rowOf = new Map();
+            let sums = [];
+            for (let i = 0; i < indices.length; i++) {
+                let id = indices[i];
+                if (this.maskZero && id === 0) continue;
+                if (!rowOf.has(id)) {
+                    rowOf.set(id, sums.length);
+                    sums.push(new Float64Array(dim));
+                }
+                let row = sums[rowOf.get(id)];
+                for (let j = 0; j < dim; j++) {
+                    row[j] += dy[i * dim + j];
+                }
+            }
+
+            let values = new Tensor([sums.length, dim]);
+            sums.forEach((row, r) => values.values.set(row, r * dim));
+            this.grads = { W: { type: 'SparseRows', indices: Array.from(rowOf.keys()), values } };
+
+            // Integer inputs have no gradient
+            return null;
+        }
+
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            let grad = grads.W;
+            if (optimizer) {
+                optimizer.update(`${key}.W`, this.W, grad, lr);
+                return;
+            }
+            let dim = this.size;
+            grad.indices.forEach((id, r) => {
+                for (let j = 0; j < dim; j++) {
+                    this.W.values[id * dim + j] -= lr * grad.values.values[r * dim + j];
+                }
+            });
+        }
+
+        this.setInputDim = (inputDim) => {
+            // The input dimension is the sequence length (null for variable-length input)
+            let length = Array.isArray(inputDim) ? inputDim[inputDim.length - 1] : inputDim;
+            this.inputShape = [length === undefined ? null : length];
+            if (this.W === null) {
+                this.W = new Tensor([this.vocabSize, this.size], randn(this.vocabSize * this.size, generator(this)).values.map(val => val * 0.05));
+            }
+        }
+
+        this.setWeights = (weights) => {
+            // Accept a pretrained [vocabSize, dim] Matrix, Tensor or nested array
+            let tensor = weights.type === 'Tensor' ? weights : GV.tensor(weights);
+            if (tensor.rank !== 2 || tensor.shape[0] !== this.vocabSize || tensor.shape[1] !== this.size) {
+                throw new Error(`Embedding weights must have shape [${this.vocabSize}, ${this.size}], got [${tensor.shape}]`);
+            }
+            this.W = tensor;
+        }
+
+        this.getSize = () => {
+            return [this.inputShape ? this.inputShape[0] : null, this.size];
+        }
+
+        this.getLayerParams = () => {
+            return {
+                vocabSize: this.vocabSize,
+                dim: this.size,
+                maskZero: this.maskZero,
+                inputLength: this.inputShape ? this.inputShape[0] : null
+            };
+        }
+    }
+}
+
+/**
+ * Creates a [fanIn, fanOut] weight tensor with Glorot normal initialization
+ * 
+ * @private
+ * @param {number} fanIn - Number of inputs
+ * @param {number} fanOut - Number of outputs
+ * @param {Random} rng - Generator to draw from
+ * @returns {Tensor} The weights
+ */
+const glorotTensor = (fanIn, fanOut, rng) => {
+    let std = Math.sqrt(2.0 / (fanIn + fanOut));
+    return new Tensor([fanIn, fanOut], randn(fanIn * fanOut, rng).values.map(val => val * std));
+};
+
+/**
+ * Applies x W + b to a 2D tensor
+ * 
+ * @private
+ * @param {Tensor} x - Input of shape [rows, fanIn]
+ * @param {Tensor} W - Weights of shape [fanIn, fanOut]
+ * @param {Tensor} b - Bias of shape [fanOut]
+ * @returns {Tensor} Output of shape [rows, fanOut]
+ */
+const linear = (x, W, b) => {
+    let out = tensorMatMul(x, W);
+    let width = b.size;
+    for (let i = 0; i < out.values.length; i++) {
+        out.values[i] += b.values[i % width];
+    }
+    return out;
+};
+
+/**
+ * Gradients of linear(): returns { dW, db, dx } for the output gradient dOut
+ * 
+ * @private
+ */
+const linearBackward = (x, W, dOut) => {
+    let width = W.shape[1];
+    let db = new Tensor([width]);
+    for (let i = 0; i < dOut.values.length; i++) {
+        db.values[i % width] += dOut.values[i];
+    }
+    return {
+        dW: tensorMatMul(x, dOut, true, false),
+        db,
+        dx: tensorMatMul(dOut, W, false, true)
+    };
+};
+
+/**
+ * Serializes named Tensor parameters for getState()
+ * 
+ * @private
+ */
+const tensorState = (layer, names) => {
+    let state = {};
+    for (let name of names) {
+        state[name] = { shape: layer[name].shape, values: Array.from(layer[name].values) };
+    }
+    return state;
+};
+
+/**
+ * Multi-head scaled dot-product self-attention over a Tensor [batch, timesteps, features].
+ * Each of numHeads heads projects the input to queries, keys and values of size keyDim
+ * (features / numHeads by default); the concatenated heads are projected back to
+ * features, so the output has the input's shape. Keys at padding positions (a mask
+ * on the input, e.g. from Embedding with maskZero) are ignored, and causal attention
+ * hides later time steps.
+ * 
+ * @class MultiHeadAttention
+ * @implements {LayerProto}
+ */
+export class MultiHeadAttention {
+    constructor(numHeads, keyDim = null, causal = false) {
+        if (!Number.isInteger(numHeads) || numHeads <= 0) {
+            throw new Error(`MultiHeadAttention needs a positive integer number of heads, got ${numHeads}`);
+        }
+        this.numHeads = numHeads;
+        this.keyDim = keyDim;
+        this.causal = causal;
+        this.inputShape = null;
+        this.W = null;
+        this.Wq = null;
+        this.Wk = null;
+        this.Wv = null;
+        this.Wo = null;
+        this.bq = null;
+        this.bk = null;
+        this.bv = null;
+        this.bo = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'MultiHeadAttention';
+
+        const paramNames = ['Wq', 'bq', 'Wk', 'bk', 'Wv', 'bv', 'Wo', 'bo'];
+
+        this.f = (x) => {
+            if (!x || x.type !== 'Tensor' || x.rank !== 3) {
+                throw new Error(`MultiHeadAttention expects a 3D Tensor [batch, timesteps, features], got ${x && x.shape ? `[${x.shape}]` : typeof x}`);
+            }
+            let [batchSize, timesteps, features] = x.shape;
+            if (this.Wq === null) this.setInputDim([timesteps, features]);
+
+            let heads = this.numHeads, dk = this.keyDim, width = heads * dk;
+            let x2 = x.reshape(batchSize * timesteps, features);
+            let q = linear(x2, this.Wq, this.bq).values;
+            let k = linear(x2, this.Wk, this.bk).values;
+            let v = linear(x2, this.Wv, this.bv).values;
+            let scaling = 1 / Math.sqrt(dk);
+
+            // Attention weights [batch, heads, query step, key step]
+            let weights = new Float64Array(batchSize * heads * timesteps * timesteps);
+            let context = new Tensor([batchSize * timesteps, width]);
+            for (let b = 0; b < batchSize; b++) {
+                for (let h = 0; h < heads; h++) {
+                    for (let t = 0; t < timesteps; t++) {
+                        let row = ((b * heads + h) * timesteps + t) * timesteps;
+                        let qOffset = (b * timesteps + t) * width + h * dk;
+                        let max = -Infinity;
+                        for (let s = 0; s < timesteps; s++) {
+                            let hidden = (this.causal && s > t) || (x.mask && x.mask[b * timesteps + s] === 0);
+                            let score = -Infinity;
+                            if (!hidden) {
+                                let kOffset = (b * timesteps + s) * width + h * dk;
+                                score = 0;
+                                for (let d = 0; d < dk; d++) {
+                                    score += q[qOffset + d] * k[kOffset + d];
+                                }
+                                score *= scaling;
+                            }
+                            weights[row + s] = score;
+                            if (score > max) max = score;
+                        }
+
+                        // Softmax over the visible keys; a query with no visible key attends to nothing
+                        let total = 0;
+                        for (let s = 0; s < timesteps; s++) {
+                            weights[row + s] = max === -Infinity ? 0 : Math.exp(weights[row + s] - max);
+                            total += weights[row + s];
+                        }
+                        for (let s = 0; s < timesteps; s++) {
+                            if (total > 0) weights[row + s] /= total;
+                            let p = weights[row + s];
+                            if (p === 0) continue;
+                            let vOffset = (b * timesteps + s) * width + h * dk;
+                            for (let d = 0; d < dk; d++) {
+                                context.values[qOffset + d] += p * v[vOffset + d];
+                            }
+                        }
+                    }
+                }
+            }
+
+            let output = linear(context, this.Wo, this.bo).reshape(batchSize, timesteps, features);
+            output.mask = x.mask || null;
+            this.cache = { x2, q, k, v, weights, context, inputShape: x.shape };
+            return [output, null];
+        }
+
+        this.backward = (dOut) => {
+            let { x2, q, k, v, weights, context, inputShape } = this.cache;
+            let [batchSize, timesteps, features] = inputShape;
+            let heads = this.numHeads, dk = this.keyDim, width = heads * dk;
+            let scaling = 1 / Math.sqrt(dk);
+
+            let out = linearBackward(context, this.Wo, dOut.reshape(batchSize * timesteps, features));
+            let dContext = out.dx.values;
+            let dQueries = new Tensor([batchSize * timesteps, width]);
+            let dKeys = new Tensor([batchSize * timesteps, width]);
+            let dValues = new Tensor([batchSize * timesteps, width]);
+            let dWeights = new Float64Array(timesteps);
+
+            for (let b = 0; b < batchSize; b++) {
+                for (let h = 0; h < heads; h++) {
+                    for (let t = 0; t < timesteps; t++) {
+                        let row = ((b * heads + h) * timesteps + t) * timesteps;
+                        let qOffset = (b * timesteps + t) * width + h * dk;
+
+                        // Through the weighted sum of values, then through the softmax
+                        let weighted = 0;
+                        for (let s = 0; s < timesteps; s++) {
+                            let p = weights[row + s];
+                            let vOffset = (b * timesteps + s) * width + h * dk;
+                            let dp = 0;
+                            for (let d = 0; d < dk; d++) {
+                                dp += dContext[qOffset + d] * v[vOffset + d];
+                                dValues.values[vOffset + d] += p * dContext[qOffset + d];
+                            }
+                            dWeights[s] = dp;
+                            weighted += p * dp;
+                        }
+                        for (let s = 0; s < timesteps; s++) {
+                            let p = weights[row + s];
+                            if (p === 0) continue;
+                            let dScore = p * (dWeights[s] - weighted) * scaling;
+                            let kOffset = (b * timesteps + s) * width + h * dk;
+                            for (let d = 0; d < dk; d++) {
+                                dQueries.values[qOffset + d] += dScore * k[kOffset + d];
+                                dKeys.values[kOffset + d] += dScore * q[qOffset + d];
+                            }
+                        }
+                    }
+                }
+            }
+
+            let queries = linearBackward(x2, this.Wq, dQueries);
+            let keys = linearBackward(x2, this.Wk, dKeys);
+            let values = linearBackward(x2, this.Wv, dValues);
+            this.grads = {
+                Wq: queries.dW, bq: queries.db,
+                Wk: keys.dW, bk: keys.db,
+                Wv: values.dW, bv: values.db,
+                Wo: out.dW, bo: out.db
+            };
+
+            let dx = queries.dx;
+            for (let i = 0; i < dx.values.length; i++) {
+                dx.values[i] += keys.dx.values[i] + values.dx.values[i];
+            }
+            return dx.reshape(batchSize, timesteps, features);
+        }
+
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            updateTensorParams(this, grads, lr, optimizer, key);
+        }
+
+        this.setInputDim = (inputShape) => {
+            // Accept [timesteps, features], or just the number of features
+            if (typeof inputShape === 'number') {
+                inputShape = [null, inputShape];
+            }
+            if (!Array.isArray(inputShape) || inputShape.length < 2) {
+                throw new Error(`MultiHeadAttention needs an input shape [timesteps, features], got ${JSON.stringify(inputShape)}`);
+            }
+            this.inputShape = inputShape.slice(-2);
+            let features = this.inputShape[1];
+            if (this.keyDim === null) {
+                this.keyDim = Math.max(1, Math.floor(features / this.numHeads));
+            }
+            let width = this.numHeads * this.keyDim;
+            this.Wq = glorotTensor(features, width, generator(this));
+            this.Wk = glorotTensor(features, width, generator(this));
+            this.Wv = glorotTensor(features, width, generator(this));
+            this.Wo = glorotTensor(width, features, generator(this));
+            this.bq = new Tensor([width]);
+            this.bk = new Tensor([width]);
+            this.bv = new Tensor([width]);
+            this.bo = new Tensor([features]);
+        }
+
+        this.getSize = () => {
+            return this.inputShape ? this.inputShape.slice() : null;
+        }
+
+        this.getState = () => {
+            return tensorState(this, paramNames);
+        }
+
+        this.setState = (state) => {
+            for (let name of paramNames) {
+                this[name] = new Tensor(state[name].shape, state[name].values);
+            }
+        }
+
+        this.getLayerParams = () => {
+            return {
+                numHeads: this.numHeads,
+                keyDim: this.keyDim,
+                causal: this.causal,
+                inputShape: this.inputShape,
+                queryKernelShape: this.Wq ? this.Wq.shape : null,
+                outputKernelShape: this.Wo ? this.Wo.shape : null
+            };
+        }
+    }
+}
+
+/**
+ * Transformer encoder block (post-norm): self-attention and a two-layer ReLU
+ * feed-forward network of width ffDim, each wrapped in a residual connection
+ * followed by LayerNorm. Takes and returns a Tensor [batch, timesteps, features].
+ * 
+ * @class TransformerEncoderBlock
+ * @implements {LayerProto}
+ */
+export class TransformerEncoderBlock {
+    constructor(numHeads, keyDim = null, ffDim = null, causal = false, epsilon = 1e-5) {
+        this.numHeads = numHeads;
+        this.keyDim = keyDim;
+        this.ffDim = ffDim;
+        this.causal = causal;
+        this.epsilon = epsilon;
+        this.attention = new MultiHeadAttention(numHeads, keyDim, causal);
+        this.norm1 = new LayerNorm(epsilon);
+        this.norm2 = new LayerNorm(epsilon);
+        this.inputShape = null;
+        this.W = null;
+        this.W1 = null;
+        this.b1 = null;
+        this.W2 = null;
+        this.b2 = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = 'TransformerEncoderBlock';
+
+        const sublayers = ['attention', 'norm1', 'norm2'];
+        const paramNames = ['W1', 'b1', 'W2', 'b2'];
+
+        this.f = (x) => {
+            if (!x || x.type !== 'Tensor' || x.rank !== 3) {
+                throw new Error(`TransformerEncoderBlock expects a 3D Tensor [batch, timesteps, features], got ${x && x.shape ? `[${x.shape}]` : typeof x}`);
+            }
+            let [batchSize, timesteps, features] = x.shape;
+            if (this.W1 === null) this.setInputDim([timesteps, features]);
+
+            let [attended] = this.attention.f(x);
+            let [h1] = this.norm1.f(attended.map((val, i) => val + x.values[i]));
+
+            let h2 = h1.reshape(batchSize * timesteps, features);
+            let hidden = linear(h2, this.W1, this.b1);
+            let active = hidden.map(val => val > 0 ? val : 0);
+            let ff = linear(active, this.W2, this.b2);
+
+            let [output] = this.norm2.f(ff.reshape(x.shape).map((val, i) => val + h1.values[i]));
+            output.mask = x.mask || null;
+            this.cache = { h2, hidden, active, inputShape: x.shape };
+            return [output, null];
+        }
+
+        this.backward = (dOut) => {
+            let { h2, hidden, active, inputShape } = this.cache;
+            let [batchSize, timesteps, features] = inputShape;
+
+            let dSum2 = this.norm2.backward(dOut);
+            let second = linearBackward(active, this.W2, dSum2.reshape(batchSize * timesteps, features));
+            let dHidden = second.dx.map((val, i) => hidden.values[i] > 0 ? val : 0);
+            let first = linearBackward(h2, this.W1, dHidden);
+            this.grads = { W1: first.dW, b1: first.db, W2: second.dW, b2: second.db };
+
+            let dh1 = dSum2.map((val, i) => val + first.dx.values[i]);
+            let dSum1 = this.norm1.backward(dh1);
+            let dAttention = this.attention.backward(dSum1);
+            return dSum1.map((val, i) => val + dAttention.values[i]);
+        }
+
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            updateTensorParams(this, grads, lr, optimizer, key);
+            for (let name of sublayers) {
+                this[name].updateWeights(this[name].grads, lr, optimizer, `${key}.${name}`);
+            }
+        }
+
+        this.setInputDim = (inputShape) => {
+            if (typeof inputShape === 'number') {
+                inputShape = [null, inputShape];
+            }
+            if (!Array.isArray(inputShape) || inputShape.length < 2) {
+                throw new Error(`TransformerEncoderBlock needs an input shape [timesteps, features], got ${JSON.stringify(inputShape)}`);
+            }
+            this.inputShape = inputShape.slice(-2);
+            let features = this.inputShape[1];
+            if (this.ffDim === null) {
+                this.ffDim = 4 * features;
+            }
+            this.attention.rng = this.rng;
+            this.attention.setInputDim(this.inputShape);
+            this.keyDim = this.attention.keyDim;
+            this.norm1.setInputDim(features);
+            this.norm2.setInputDim(features);
+
+            // He initialization for the ReLU layer
+            this.W1 = new Tensor([features, this.ffDim], randn(features * this.ffDim, generator(this)).values.map(val => val * Math.sqrt(2.0 / features)));
+            this.b1 = new Tensor([this.ffDim]);
+            this.W2 = glorotTensor(this.ffDim, features, generator(this));
+            this.b2 = new Tensor([features]);
+        }
+
+        this.getSize = () => {
+            return this.inputShape ? this.inputShape.slice() : null;
+        }
+
+        this.getState = () => {
+            let state = tensorState(this, paramNames);
+            state.attention = this.attention.getState();
+            state.norm1 = this.norm1.getState();
+            state.norm2 = this.norm2.getState();
+            return state;
+        }
+
+        this.setState = (state) => {
+            for (let name of paramNames) {
+                this[name] = new Tensor(state[name].shape, state[name].values);
+            }
+            this.attention.setState(state.attention);
+            this.norm1.setState(state.norm1);
+            this.norm2.setState(state.norm2);
+        }
+
+        this.getLayerParams = () => {
+            return {
+                numHeads: this.numHeads,
+                keyDim: this.keyDim,
+                ffDim: this.ffDim,
+                causal: this.causal,
+                epsilon: this.epsilon,
+                inputShape: this.inputShape,
+                sublayers: [
+                    this.attention.getMetadata(),
+                    this.norm1.getMetadata(),
+                    { type: 'Dense', name: 'feedForward1', units: this.ffDim, activation: 'ReLU', params: { weightShape: this.W1 ? this.W1.shape : null } },
+                    { type: 'Dense', name: 'feedForward2', units: this.inputShape ? this.inputShape[1] : null, activation: null, params: { weightShape: this.W2 ? this.W2.shape : null } },
+                    this.norm2.getMetadata()
+                ]
+            };
+        }
+    }
+}
+
+/**
+ * Shared implementation of the merge layers. Merge layers take an array of
+ * inputs in f() and return an array of input gradients from backward(), so they
+ * can only be used in a GraphModel.
+ * 
+ * @private
+ * @param {Object} layer - The merge layer
+ * @param {Function} getOutputShape - (inputShapes) => output shape, throwing if the shapes are incompatible
+ */
+const initMerge = (layer, getOutputShape) => {
+    layer.isMerge = true;
+
+    layer.setInputDim = () => {
+        throw new Error(`${layer.name} merges several inputs; call it with layer.apply([a, b]) in a GraphModel`);
+    };
+
+    layer.setInputShapes = (inputShapes) => {
+        if (!Array.isArray(inputShapes) || inputShapes.length < 2) {
+            throw new Error(`${layer.name} needs at least two inputs`);
+        }
+        layer.inputShape = getOutputShape(inputShapes.map(shape => Array.isArray(shape) ? shape : [shape]));
+        layer.inputShapes = inputShapes;
+    };
+
+    layer.getSize = () => {
+        if (!layer.inputShape) {
+            return null;
+        }
+        return layer.inputShape.length === 1 ? layer.inputShape[0] : layer.inputShape.slice();
+    };
+};
+
+/**
+ * Checks that all inputs of an elementwise merge have the same shape
+ * 
+ * @private
+ */
+const sameShape = (name) => (shapes) => {
+    let shape = shapes[0];
+    for (let other of shapes) {
+        if (other.length !== shape.length || other.some((dim, i) => dim !== shape[i])) {
+            throw new Error(`${name} needs inputs of the same shape, got ${shapes.map(s => `[${s}]`).join(' and ')}`);
+        }
+    }
+    return shape.slice();
+};
+
+/**
+ * Elementwise sum of its inputs, e.g. for residual connections
+ * 
+ * @class Add
+ * @implements {LayerProto}
+ */
+export class Add {
+    constructor() {
+        this.inputShape = null;
+        this.inputShapes = null;
+        this.W = null;
+        this.cache = null;
+        this.name = 'Add';
+
+        initMerge(this, sameShape('Add'));
+
+        this.f = (inputs) => {
+            let rows = inputs.map(asFeatureRows);
+            let out = new Float64Array(rows[0].values.length);
+            for (let input of rows) {
+                for (let i = 0; i < out.length; i++) {
+                    out[i] += input.values[i];
+                }
+            }
+            return [rows[0].wrap(out), null];
+        }
+
+        this.backward = (dOut) => {
+            return this.inputShapes.map(() => dOut);
+        }
+    }
+}
+
+/**
+ * Elementwise product of its inputs, e.g. for gating
+ * 
+ * @class Multiply
+ * @implements {LayerProto}
+ */
+export class Multiply {
+    constructor() {
+        this.inputShape = null;
+        this.inputShapes = null;
+        this.W = null;
+        this.cache = null;
+        this.name = 'Multiply';
+
+        initMerge(this, sameShape('Multiply'));
+
+        this.f = (inputs) => {
+            let rows = inputs.map(asFeatureRows);
+            let out = new Float64Array(rows[0].values.length).fill(1);
+            for (let input of rows) {
+                for (let i = 0; i < out.length; i++) {
+                    out[i] *= input.values[i];
+                }
+            }
+            this.cache = { rows };
+            return [rows[0].wrap(out), null];
+        }
+
+        this.backward = (dOut) => {
+            let { rows } = this.cache;
+            let { values: dy } = asFeatureRows(dOut);
+            return rows.map((input, k) => {
+                let dx = Float64Array.from(dy);
+                rows.forEach((other, j) => {
+                    if (j === k) return;
+                    for (let i = 0; i < dx.length; i++) {
+                        dx[i] *= other.values[i];
+                    }
+                });
+                return input.wrap(dx);
+            });
+        }
+    }
+}
+
+/**
+ * Concatenates its inputs along the last (feature) axis
+ * 
+ * @class Concatenate
+ * @implements {LayerProto}
+ */
+export class Concatenate {
+    constructor(axis = -1) {
+        this.axis = axis;
+        this.inputShape = null;
+        this.inputShapes = null;
+        this.W = null;
+        this.cache = null;
+        this.name = 'Concatenate';
+
+        initMerge(this, (shapes) => {
+            let rank = shapes[0].length;
+            if (this.axis !== -1 && this.axis !== rank) {
+                throw new Error(`Concatenate only supports the last axis (-1 or ${rank}), got ${this.axis}`);
+            }
+            for (let shape of shapes) {
+                if (shape.length !== rank || shape.slice(0, -1).some((dim, i) => dim !== shapes[0][i])) {
+                    throw new Error(`Concatenate needs inputs that only differ in their last axis, got ${shapes.map(s => `[${s}]`).join(' and ')}`);
+                }
+            }
+            return [...shapes[0].slice(0, -1), shapes.reduce((total, shape) => total + shape[rank - 1], 0)];
+        });
+
+        this.f = (inputs) => {
+            let rows = inputs.map(asFeatureRows);
+            let count = rows[0].count;
+            let features = rows.reduce((total, input) => total + input.features, 0);
+            let out = new Float64Array(count * features);
+            for (let r = 0; r < count; r++) {
+                let offset = r * features;
+                for (let input of rows) {
+                    out.set(input.values.subarray(r * input.features, (r + 1) * input.features), offset);
+                    offset += input.features;
+                }
+            }
+            this.cache = { rows, features };
+
+            let first = inputs[0];
+            if (first.type === 'Tensor') {
+                return [new Tensor([...first.shape.slice(0, -1), features], out), null];
+            }
+            let matrixRows = [];
+            for (let r = 0; r < count; r++) {
+                matrixRows.push(Array.from(out.subarray(r * features, (r + 1) * features)));
+            }
+            return [new Matrix(matrixRows), null];
+        }
+
+        this.backward = (dOut) => {
+            let { rows, features } = this.cache;
+            let { values: dy } = asFeatureRows(dOut);
+            let start = 0;
+            return rows.map((input) => {
+                let dx = new Float64Array(input.values.length);
+                for (let r = 0; r < input.count; r++) {
+                    dx.set(dy.subarray(r * features + start, r * features + start + input.features), r * input.features);
+                }
+                start += input.features;
+                return input.wrap(dx);
+            });
+        }
+
+        this.getLayerParams = () => {
+            return {
+                axis: this.axis,
+                inputShapes: this.inputShapes,
+                outputShape: this.getSize()
+            };
+        }
+    }
+}
+
+/**
+ * Layer defined only by its forward pass, written with autograd operations.
+ * The tape recorded in f() provides the gradients for backward().
+ * Custom layers take Matrix inputs [batch, features] and cannot be restored by
+ * Model.load(); rebuild them and restore their parameters with setState().
+ * 
+ * @class Custom
+ * @implements {LayerProto}
+ */
+export class Custom {
+    /**
+     * @param {Function} forward - (x, params) => Variable of shape [batch, units]
+     * @param {Object} [params={}] - Initial parameters keyed by name: a Matrix, a nested
+     * array, or a function (inputDim, rng) => Matrix called once the input size is known, where rng
+     * is the layer's GV.Random generator
+     * @param {string} [name='Custom'] - Layer name
+     */
+    constructor(forward, params = {}, name = 'Custom') {
+        if (typeof forward !== 'function') {
+            throw new Error('Custom layer requires a forward function');
+        }
+        this.forward = forward;
+        this.initializers = params;
+        this.params = {};
+        this.inputShape = null;
+        this.outputSize = null;
+        this.W = null;
+        this.grads = null;
+        this.cache = null;
+        this.name = name;
+
+        const run = (x, tape = null) => {
+            let input = new Autograd.Variable(x, true);
+            let params = {};
+            for (let name of Object.keys(this.params)) {
+                params[name] = new Autograd.Variable(this.params[name], true);
+            }
+            let output = tape ? tape.record(() => this.forward(input, params)) : this.forward(input, params);
+            if (!(output instanceof Autograd.Variable) || !output.value.rows) {
+                throw new Error(`${this.name} forward must return an autograd Variable holding a Matrix`);
+            }
+            return { input, params, output };
+        };
+
+        this.f = (x) => {
+            if (x.type !== 'Matrix') {
+                throw new Error(`${this.name} expects a Matrix input, got ${x.type}`);
+            }
+            if (this.inputShape === null) this.setInputDim(x.rows[0].length);
+
+            let tape = new Autograd.Tape();
+            this.cache = { tape, ...run(x, tape) };
+            // Copy so that callers modifying the output in place do not alter the recorded value
+            return [this.cache.output.value.clone(), null];
+        }
+
+        this.backward = (dOut) => {
+            let { tape, input, params, output } = this.cache;
+            tape.backward(output, dOut);
+            this.grads = {};
+            for (let name of Object.keys(params)) {
+                this.grads[name] = params[name].grad || GV.mapMat(this.params[name], () => 0);
+            }
+            return input.grad || GV.mapMat(input.value, () => 0);
+        }
+
+        this.updateWeights = (grads = this.grads, lr, optimizer = null, key = this.name) => {
+            for (let name of Object.keys(grads)) {
+                if (optimizer) {
+                    optimizer.update(`${key}.${name}`, this.params[name], grads[name], lr);
+                } else {
+                    subtractMatrix(this.params[name], scale(grads[name], lr), true);
+                }
+            }
+        }
+
+        this.setInputDim = (inputDim) => {
+            if (Array.isArray(inputDim)) {
+                if (inputDim.length !== 1) {
+                    throw new Error(`${this.name} needs a flat input, got shape [${inputDim}]; add Flatten first`);
+                }
+                inputDim = inputDim[0];
+            }
+            this.inputShape = [inputDim];
+            this.params = {};
+            for (let [name, init] of Object.entries(this.initializers)) {
+                let value = typeof init === 'function' ? init(inputDim, generator(this)) : init;
+                this.params[name] = value.type === 'Matrix' ? value : new Matrix(value);
+            }
+            // Infer the output size from a forward pass over one zero sample
+            this.outputSize = run(zeros(1, inputDim)).output.value.rows[0].length;
+        }
+
+        this.getSize = () => {
+            return this.outputSize;
+        }
+
+        this.getState = () => {
+            return {
+                params: Object.fromEntries(Object.entries(this.params).map(([name, value]) => [name, value.toArray()]))
+            };
+        }
+
+        this.setState = (state) => {
+            for (let [name, rows] of Object.entries(state.params)) {
+                this.params[name] = new Matrix(rows);
+            }
+        }
+
+        this.getLayerParams = () => {
+            return {
+                params: Object.fromEntries(Object.entries(this.params).map(([name, value]) => [name, value.shape])),
+                trainable: Object.keys(this.params)
             };
         }
     }
@@ -284,4 +2323,20 @@ export class Conv2D {
 
 Object.assign(Dense.prototype, LayerProto);
 Object.assign(Dropout.prototype, LayerProto);
-Object.assign(Conv2D.prototype, LayerProto); 
\ No newline at end of file
+Object.assign(Conv2D.prototype, LayerProto);
+Object.assign(MaxPooling2D.prototype, LayerProto);
+Object.assign(AveragePooling2D.prototype, LayerProto);
+Object.assign(GlobalAveragePooling2D.prototype, LayerProto);
+Object.assign(Flatten.prototype, LayerProto);
+Object.assign(BatchNorm.prototype, LayerProto);
+Object.assign(LayerNorm.prototype, LayerProto);
+Object.assign(SimpleRNN.prototype, LayerProto);
+Object.assign(LSTM.prototype, LayerProto);
+Object.assign(GRU.prototype, LayerProto);
+Object.assign(Embedding.prototype, LayerProto);
+Object.assign(MultiHeadAttention.prototype, LayerProto);
+Object.assign(TransformerEncoderBlock.prototype, LayerProto);
+Object.assign(Add.prototype, LayerProto);
+Object.assign(Multiply.prototype, LayerProto);
+Object.assign(Concatenate.prototype, LayerProto);
+Object.assign(Custom.prototype, LayerProto);
\ No newline at end of file
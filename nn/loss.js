@@ -1,45 +1,48 @@
 import GV from '../gv.js';
+import * as Autograd from '../autograd.js';
 const {
     Matrix,
-    Vector,
     subtractMatrix,
     multiplyMatrix,
-    multiplyMatrixVector,
-    mult,
     scale,
     mapMat,
     sum,
-    log,
     pow,
-    abs,
-    exp,
-    oneOver
+    abs
 } = GV;
 
 const LossFunctionProto = {};
 
 /**
- * Softmax loss function
+ * Softmax loss function (softmax over the output units followed by cross entropy).
+ * The model outputs logits; predict() returns class probabilities.
  * 
  * @class Softmax
  * @implements {LossFunctionProto}
  */
 export class Softmax {
     constructor() {
+        // A softmax over a single unit is constant, so Model.compile() asks for two
+        this.minUnits = 2;
+
+        // Summed over the batch, o and y are [batch, units]
+        const crossEntropy = (o, y) => Autograd.scale(Autograd.sum(Autograd.multiplyMatrix(y, Autograd.logSoftmax(o))), -1);
+
         this.f = (o, y) => {
-            let exp = GV.exp(o);
-            let d = new Matrix([GV.oneOver(GV.sum(exp, 0)).values]);
-            f = multiplyMatrixVector(exp, new Vector(d[0]));
-            return [f, subtractMatrix(f, y)];
+            let logits = new Autograd.Variable(o, true);
+            let tape = new Autograd.Tape();
+            let loss = tape.record(() => crossEntropy(logits, y));
+            tape.backward(loss);
+            return [new Matrix([[loss.value]]), logits.grad];
         }
 
+        // y and yPred are [units, batch] here
         this.getLoss = (y, yPred) => {
-            return -GV.sum(mult(GV.log(GV.abs(yPred)), y))/y.length;
+            return crossEntropy(yPred.t, y.t).value / yPred[0].length;
         }
 
         this.ff = (o) => {
-            let exp = GV.exp(o);
-            return GV.scale(exp, GV.oneOver(GV.sum(exp, 0)).values[0]);
+            return Autograd.softmax(o.t).value.t;
         }
     }
 }
@@ -53,47 +56,6 @@ export class Softmax {
 export class SquareLoss {
     constructor() {
         this.f = (o, y) => {
-            // Ensure both inputs are Matrix objects with valid shapes
-            if (!o || !y) {
-                console.error('Invalid inputs to SquareLoss.f:', { o, y });
-                return [new Matrix([[0]]), new Matrix([])];
-            }
-            
-            // Ensure both inputs are Matrix objects
-            if (!o.type || o.type !== 'Matrix') {
-                o = new Matrix(o);
-            }
-            if (!y.type || y.type !== 'Matrix') {
-                y = new Matrix(y);
-            }
-            
-            // Check for empty matrices
-            if ((o.length > 0 && (!o[0] || o[0].length === 0)) || 
-                (y.length > 0 && (!y[0] || y[0].length === 0))) {
-                console.warn('Empty matrix detected in SquareLoss.f:', 
-                    { oShape: [o.length, o[0]?.length], yShape: [y.length, y[0]?.length] });
-                
-                // Fix the case where o has 0 columns but y has 1 column
-                if (o.length > 0 && (!o[0] || o[0].length === 0) && 
-                    y.length > 0 && y[0] && y[0].length > 0) {
-                    console.log('Fixing o with 0 columns to match y columns');
-                    o = zeros(o.length, y[0].length);
-                }
-                // Fix the case where y has 0 columns but o has columns
-                else if (y.length > 0 && (!y[0] || y[0].length === 0) && 
-                    o.length > 0 && o[0] && o[0].length > 0) {
-                    console.log('Fixing y with 0 columns to match o columns');
-                    y = zeros(y.length, o[0].length);
-                }
-                // If both matrices are empty, create a default shape
-                else if ((o.length > 0 && (!o[0] || o[0].length === 0)) && 
-                    (y.length > 0 && (!y[0] || y[0].length === 0))) {
-                    console.log('Both matrices are empty, creating default shapes');
-                    o = zeros(o.length, 1);
-                    y = zeros(y.length, 1);
-                }
-            }
-            
             // Compute the squared error
             let delta = subtractMatrix(o, y);
             
@@ -114,29 +76,8 @@ export class SquareLoss {
                 yPred = new Matrix(yPred);
             }
             
-            // Check for shape incompatibility
-            if (y.shape[0] !== yPred.shape[0] || y.shape[1] !== yPred.shape[1]) {
-                console.warn('Shape incompatibility in SquareLoss.getLoss:', 
-                    { yShape: y.shape, yPredShape: yPred.shape });
-                
-                // Resize matrices to match if possible
-                if (y.shape[0] !== yPred.shape[0]) {
-                    // If row counts don't match, use the minimum
-                    const minRows = Math.min(y.shape[0], yPred.shape[0]);
-                    y = new Matrix(y.rows.slice(0, minRows));
-                    yPred = new Matrix(yPred.rows.slice(0, minRows));
-                }
-                
-                if (y.shape[1] !== yPred.shape[1]) {
-                    // If column counts don't match, use the minimum
-                    const minCols = Math.min(y.shape[1], yPred.shape[1]);
-                    y = new Matrix(y.rows.map(row => row.slice(0, minCols)));
-                    yPred = new Matrix(yPred.rows.map(row => row.slice(0, minCols)));
-                }
-            }
-            
-            // Compute mean squared error
-            return 0.5 * sum(pow(subtractMatrix(y, yPred), 2)) / y.length;
+            // Compute mean squared error over the batch (y and yPred are [units, batch])
+            return 0.5 * sum(pow(subtractMatrix(y, yPred), 2)) / y.shape[1];
         }
 
         this.ff = (o) => {
@@ -146,25 +87,34 @@ export class SquareLoss {
 }
 
 /**
- * Cross entropy loss function
+ * Cross entropy loss function (sigmoid of each output unit followed by binary
+ * cross entropy). The model outputs logits; predict() returns probabilities.
  * 
  * @class CrossEntropy
  * @implements {LossFunctionProto}
  */
 export class CrossEntropy {
     constructor() {
+        // Summed over the batch and computed from the logits so that it never takes log(0)
+        const crossEntropy = (o, y) => {
+            let total = 0;
+            for (let i = 0; i < o.rows.length; i++) {
+                for (let j = 0; j < o.rows[i].length; j++) {
+                    let val = o.rows[i][j];
+                    total += Math.max(val, 0) - val * y.rows[i][j] + Math.log1p(Math.exp(-Math.abs(val)));
+                }
+            }
+            return total;
+        }
+
         this.f = (o, y) => {
-            let epsilon = 1e-15; // Small constant to prevent log(0)
-            let yPred = mapMat(o, val => Math.max(Math.min(val, 1 - epsilon), epsilon));
-            let f = -sum(mult(log(yPred), y), 1);
-            let delta = subtractMatrix(yPred, y);
-            return [new Matrix([[f]]), delta];
+            let delta = subtractMatrix(this.ff(o), y);
+            return [new Matrix([[crossEntropy(o, y)]]), delta];
         }
 
+        // y and yPred are [units, batch] here
         this.getLoss = (y, yPred) => {
-            let epsilon = 1e-15;
-            yPred = mapMat(yPred, val => Math.max(Math.min(val, 1 - epsilon), epsilon));
-            return -sum(mult(log(yPred), y))/y.length;
+            return crossEntropy(yPred, y) / yPred[0].length;
         }
 
         this.ff = (o) => {
@@ -183,17 +133,15 @@ export class Hinge {
     constructor() {
         this.f = (o, y) => {
             let margin = 1;
-            let loss = mapMat(subtractMatrix(margin, multiplyMatrix(o, y)), 
-                val => Math.max(0, val));
+            let loss = mapMat(multiplyMatrix(o, y), val => Math.max(0, margin - val));
             let delta = mapMat(loss, val => val > 0 ? -1 : 0);
             return [new Matrix([[sum(loss, 1)]]), multiplyMatrix(delta, y)];
         }
 
         this.getLoss = (y, yPred) => {
             let margin = 1;
-            let loss = mapMat(subtractMatrix(margin, multiplyMatrix(yPred, y)), 
-                val => Math.max(0, val));
-            return sum(loss)/y.length;
+            let loss = mapMat(multiplyMatrix(yPred, y), val => Math.max(0, margin - val));
+            return sum(loss)/y.shape[1];
         }
 
         this.ff = (o) => {
@@ -228,17 +176,69 @@ export class Huber {
             let absError = abs(error);
             let loss = mapMat(absError, val => 
                 val <= this.delta ? 0.5 * val * val : this.delta * val - 0.5 * this.delta * this.delta);
-            return sum(loss)/y.length;
+            return sum(loss)/y.shape[1];
         }
 
         this.ff = (o) => {
             return o;
         }
     }
+
+    getLossParams() {
+        return {
+            delta: this.delta
+        };
+    }
+}
+
+/**
+ * Loss defined only by its forward pass. Gradients w.r.t. the model output
+ * are obtained with the autograd tape.
+ * 
+ * @class Custom
+ * @implements {LossFunctionProto}
+ */
+export class Custom {
+    /**
+     * @param {Function} lossFn - (o, y) => Variable holding the loss summed over the batch,
+     * written with autograd operations. o and y are [batch, units].
+     * @param {Function} [outputFn=null] - o => Variable mapping outputs to predictions
+     * (e.g. Autograd.softmax), identity when omitted
+     */
+    constructor(lossFn, outputFn = null) {
+        if (typeof lossFn !== 'function') {
+            throw new Error('Custom loss requires a loss function');
+        }
+        this.lossFn = lossFn;
+        this.outputFn = outputFn;
+
+        this.f = (o, y) => {
+            let output = new Autograd.Variable(o, true);
+            let tape = new Autograd.Tape();
+            let loss = tape.record(() => this.lossFn(output, new Autograd.Variable(y)));
+            if (!(loss instanceof Autograd.Variable) || typeof loss.value !== 'number') {
+                throw new Error('Custom loss function must return a scalar autograd Variable');
+            }
+            tape.backward(loss);
+            let grad = output.grad || mapMat(o, () => 0);
+            return [new Matrix([[loss.value]]), grad];
+        }
+
+        // y and yPred are [units, batch] here
+        this.getLoss = (y, yPred) => {
+            let loss = this.lossFn(new Autograd.Variable(yPred.t), new Autograd.Variable(y.t));
+            return loss.value / yPred[0].length;
+        }
+
+        this.ff = (o) => {
+            return this.outputFn ? this.outputFn(new Autograd.Variable(o.t)).value.t : o;
+        }
+    }
 }
 
 Object.assign(Softmax.prototype, LossFunctionProto);
 Object.assign(SquareLoss.prototype, LossFunctionProto);
 Object.assign(CrossEntropy.prototype, LossFunctionProto);
 Object.assign(Hinge.prototype, LossFunctionProto);
-Object.assign(Huber.prototype, LossFunctionProto); 
\ No newline at end of file
+Object.assign(Huber.prototype, LossFunctionProto);
+Object.assign(Custom.prototype, LossFunctionProto); 
\ No newline at end of file
@@ -9,6 +9,11 @@
 import GV from '../gv.js';
 import * as Layers from './layers.js';
 import * as Loss from './loss.js';
+import * as Activations from './activations.js';
+import * as Optimizers from './optimizers.js';
+import * as Schedulers from './schedulers.js';
+import { Dataset, DataLoader } from './data.js';
+import { writeWeights, readWeights } from './weights.js';
 import fs from 'fs';
 
 const {
@@ -35,6 +40,238 @@ const {
     concat
 } = GV;
 
+/**
+ * Converts a Matrix or Tensor parameter to plain JSON data.
+ * Matrices are stored as row arrays, tensors as { shape, values }.
+ * 
+ * @private
+ * @param {Matrix|Tensor} param - The parameter
+ * @returns {Array|Object} JSON-serializable data
+ */
+const serializeParam = (param) => {
+    if (param.type === 'Tensor') {
+        return { shape: param.shape, values: Array.from(param.values) };
+    }
+    if (param.dtype === 'float32') {
+        return { dtype: 'float32', rows: param.toArray() };
+    }
+    return param.toArray();
+};
+
+/**
+ * Inverse of serializeParam
+ * 
+ * @private
+ * @param {Array|Object} data - Output of serializeParam
+ * @returns {Matrix|Tensor} The parameter
+ */
+const deserializeParam = (data) => {
+    if (!Array.isArray(data) && data.shape) {
+        return new GV.Tensor(data.shape, data.values);
+    }
+    if (!Array.isArray(data) && data.rows) {
+        return new Matrix(data.rows).astype(data.dtype);
+    }
+    return new Matrix(data);
+};
+
+/**
+ * Identifies files written by save()
+ * @private
+ */
+const MODEL_FORMAT = 'dulvit.model';
+
+/**
+ * Version of the format written by save(). Files of older versions are migrated by load().
+ * Version 1 (files without a version field) stored activations and losses by class name only.
+ * 
+ * @type {number}
+ */
+export const MODEL_FORMAT_VERSION = 2;
+
+/**
+ * Constructors of the layer types that load() can restore, from a serialized layer
+ * and its activation. Custom layers hold code and are not in the table.
+ * @private
+ */
+const layerFactories = {
+    Dense: (state, activation) => new Layers.Dense(state.size, activation),
+    Dropout: ({ params }) => new Layers.Dropout(params.rate),
+    Conv2D: ({ params }, activation) => new Layers.Conv2D(params.filters, params.kernelSize, params.stride, params.padding, activation, params.dilation),
+    MaxPooling2D: ({ params }) => new Layers.MaxPooling2D(params.poolSize, params.stride, params.padding),
+    AveragePooling2D: ({ params }) => new Layers.AveragePooling2D(params.poolSize, params.stride, params.padding),
+    GlobalAveragePooling2D: () => new Layers.GlobalAveragePooling2D(),
+    Flatten: () => new Layers.Flatten(),
+    BatchNorm: ({ params }) => new Layers.BatchNorm(params.momentum, params.epsilon),
+    LayerNorm: ({ params }) => new Layers.LayerNorm(params.epsilon),
+    Embedding: (state) => new Layers.Embedding(state.params.vocabSize, state.size, state.params.maskZero),
+    MultiHeadAttention: ({ params }) => new Layers.MultiHeadAttention(params.numHeads, params.keyDim, params.causal),
+    TransformerEncoderBlock: ({ params }) => new Layers.TransformerEncoderBlock(params.numHeads, params.keyDim, params.ffDim, params.causal, params.epsilon),
+    SimpleRNN: (state) => new Layers.SimpleRNN(state.size, state.params.returnSequences, state.params.stateful, state.params.bpttSteps),
+    LSTM: (state) => new Layers.LSTM(state.size, state.params.returnSequences, state.params.stateful, state.params.bpttSteps),
+    GRU: (state) => new Layers.GRU(state.size, state.params.returnSequences, state.params.stateful, state.params.bpttSteps),
+    Add: () => new Layers.Add(),
+    Multiply: () => new Layers.Multiply(),
+    Concatenate: ({ params }) => new Layers.Concatenate(params.axis)
+};
+
+/**
+ * Serializes an activation as its class name and parameters
+ * @private
+ */
+const serializeActivation = (activation) => activation ? {
+    type: activation.constructor.name,
+    config: activation.getActivationParams ? activation.getActivationParams() : {}
+} : null;
+
+/**
+ * Inverse of serializeActivation. LeakyReLU and ELU take their alpha as constructor argument.
+ * @private
+ */
+const createActivation = (state) => {
+    if (!state) return null;
+    if (!Activations[state.type]) {
+        throw new Error(`Unknown activation: ${state.type}`);
+    }
+    let config = state.config || {};
+    return config.alpha !== undefined ? new Activations[state.type](config.alpha) : new Activations[state.type]();
+};
+
+/**
+ * Upgrades a layer saved by version 1
+ * @private
+ */
+const migrateLayerV1 = (layerState) => ({
+    ...layerState,
+    activation: layerState.activation ? { type: layerState.activation, config: {} } : null
+});
+
+/**
+ * Upgrades a model state of version n to version n + 1, for sequential (layers) and graph (graph) models
+ * @private
+ */
+const migrations = {
+    1: (state) => {
+        let upgraded = { ...state, format: MODEL_FORMAT, version: 2, training: null };
+        if (state.graph) {
+            upgraded.graph = { ...state.graph, nodes: state.graph.nodes.map(node => ({ ...node, layer: migrateLayerV1(node.layer) })) };
+            upgraded.losses = Object.fromEntries(Object.keys(state.lossFunctions).map(name => [name, { type: state.lossFunctions[name], config: {} }]));
+            delete upgraded.lossFunctions;
+        } else {
+            upgraded.layers = state.layers.map(migrateLayerV1);
+            upgraded.loss = { type: state.lossFunction, config: {} };
+            delete upgraded.lossFunction;
+        }
+        return upgraded;
+    }
+};
+
+/**
+ * Upgrades a parsed model state of any earlier format version to MODEL_FORMAT_VERSION
+ * 
+ * @param {Object} state - Parsed output of save(), of any version
+ * @returns {Object} The state in the current format
+ * @throws {Error} If the state is not a model file or was written by a newer version
+ */
+export const migrateModelState = (state) => {
+    if (!state || typeof state !== 'object' || (state.format !== undefined && state.format !== MODEL_FORMAT)) {
+        throw new Error(`Not a ${MODEL_FORMAT} file`);
+    }
+    let version = state.version === undefined ? 1 : state.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid model format version: ${version}`);
+    }
+    if (version > MODEL_FORMAT_VERSION) {
+        throw new Error(`Model format version ${version} is newer than the supported version ${MODEL_FORMAT_VERSION}; update dulvit to load this file`);
+    }
+    for (let v = version; v < MODEL_FORMAT_VERSION; v++) {
+        state = migrations[v](state);
+    }
+    return state;
+};
+
+/**
+ * Appends the bias column of ones that Dense-style layers expect
+ * @private
+ */
+const withBias = (m) => concat(m, ones(m.length, 1), 1);
+
+/**
+ * Drops the bias column again
+ * @private
+ */
+const withoutBias = (m) => m.slice(0, m.length, 0, -1);
+
+/**
+ * Thrown when the shapes of the data, the layers, the loss or the targets do not fit together
+ */
+export class ShapeError extends Error {
+    /**
+     * @param {string} message - Description naming the offending layer or loss
+     * @param {Object} [details]
+     * @param {string} [details.layer] - Name of the offending layer or loss
+     * @param {number} [details.layerIndex] - Position of the layer in the model
+     * @param {Array<number>} [details.expected] - Expected shape
+     * @param {Array<number>} [details.actual] - Actual shape
+     */
+    constructor(message, { layer = null, layerIndex = null, expected = null, actual = null } = {}) {
+        super(message);
+        this.name = 'ShapeError';
+        this.layer = layer;
+        this.layerIndex = layerIndex;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Normalizes a layer size (a number, a shape array or null) to a shape array or null
+ * @private
+ */
+const toShape = (size) => size === null || size === undefined ? null : Array.isArray(size) ? size.slice() : [size];
+
+/**
+ * Formats a shape for error messages, with ? for unknown dimensions
+ * @private
+ */
+const formatShape = (shape) => `[${shape.map(d => d === null ? '?' : d).join(', ')}]`;
+
+/**
+ * Compares shapes; null dimensions (e.g. a variable sequence length) match any size
+ * @private
+ */
+const sameShape = (expected, actual) => expected.length === actual.length
+    && expected.every((d, i) => d === null || actual[i] === null || d === actual[i]);
+
+/**
+ * Returns the shape of one sample of a Matrix or Tensor, mapped over arrays and objects
+ * of them (GraphModel data), or null for anything else
+ * @private
+ */
+const sampleShape = (data) => {
+    if (!data) return null;
+    if (data.type === 'Matrix') return [data._dims[1]];
+    if (data.type === 'Tensor') return data.shape.slice(1);
+    if (data.type) return null;
+    if (Array.isArray(data)) return data.map(sampleShape);
+    return Object.fromEntries(Object.keys(data).map(name => [name, sampleShape(data[name])]));
+};
+
+/**
+ * Returns the input shape a layer was built for, or null if it has not been built yet.
+ * Dense-style layers (without backward()) have a bias row in W.
+ * @private
+ */
+const builtInputShape = (layer) => {
+    if (!layer.backward) {
+        return layer.W ? [layer.W.length - 1] : null;
+    }
+    if (layer.inputShape) {
+        return toShape(layer.inputShape);
+    }
+    return toShape(layer.inputDim);
+};
+
 /**
  * Neural Network Model class that supports various layer types and training configurations.
  * 
@@ -51,6 +288,67 @@ export class Model {
         this.inputDim = inputDim;
         this.layers = [];
         this.lossFunction = lossFunction;
+        this.optimizer = null;
+
+        // Totals over all train() runs, stored by save(): { epochs, batches, trainingTime, loss, validationLoss, learningRate }
+        this.trainingInfo = null;
+
+        // Generator for weight initialization, shuffling and dropout. Its seed is drawn
+        // from GV.random, so GV.random.seed(n) makes every model in a run reproducible.
+        this.seed = GV.random.int(2 ** 32);
+        this.rng = new GV.Random(this.seed);
+
+        // Cooperative control state shared between train() and the pause/resume/stop methods
+        this._trainingControl = {
+            isTraining: false,
+            isPaused: false,
+            stopRequested: false,
+            resume: null
+        };
+
+        /**
+         * Runs a single layer. Dense-style layers get their input with the bias column
+         * appended; layers implementing backward() get it without. Matrix outputs get
+         * the bias column appended for the next layer.
+         * 
+         * @private
+         * @param {Object} layer - The layer to run
+         * @param {Matrix|Tensor} layerIn - Output of the previous layer (bias-augmented if a Matrix)
+         * @returns {Array} The layer output and its derivative
+         */
+        this._forwardLayer = (layer, layerIn) => {
+            if (layer.backward && layerIn.type === 'Matrix') {
+                layerIn = withoutBias(layerIn);
+            }
+
+            let [layerOut, dF] = layer.f(layerIn);
+            
+            if (layerOut.type === 'Tensor') {
+                return [layerOut, dF];
+            }
+
+            // Ensure layerOut is a Matrix object with rows property
+            if (!layerOut.rows) {
+                layerOut = new Matrix(layerOut);
+            }
+            
+            // Add bias term to layer output
+            return [withBias(layerOut), dF];
+        }
+
+        /**
+         * Copies rows [start, end) of a Matrix or Tensor into a new batch.
+         * Both slice along their first (batch) dimension.
+         * 
+         * @private
+         * @param {Matrix|Tensor} data - The data to slice
+         * @param {number} start - First row
+         * @param {number} end - End row (exclusive)
+         * @returns {Matrix|Tensor} The batch
+         */
+        this._sliceBatch = (data, start, end) => {
+            return data.slice(start, end);
+        }
 
         /**
          * Computes the forward pass through all layers and returns intermediate values.
@@ -66,128 +364,58 @@ export class Model {
 
             // Ensure x is a Matrix object with rows property
             let layerIn = x;
-            if (!layerIn.rows) {
+            if (layerIn.type !== 'Tensor' && !layerIn.rows) {
                 // If x doesn't have rows property, create a Matrix from it
                 layerIn = new Matrix(layerIn);
             }
+            this._checkInput(layerIn);
             
             // Add bias term to input
-            for(let i = 0; i < layerIn.length; i++) {
-                layerIn[i].push(1);
+            if (layerIn.type === 'Matrix') {
+                layerIn = withBias(layerIn);
             }
             computedLayers.push(layerIn);
 
             for(let i = 0; i < this.layers.length; i++) {
                 // Compute layer output and derivative
                 let dF;
-                [layerIn, dF] = this.layers[i].f(layerIn);
-                
-                // Ensure layerIn is a Matrix object with rows property
-                if (!layerIn.rows) {
-                    layerIn = new Matrix(layerIn);
-                }
-                
-                // Add bias term to layer output
-                for(let j = 0; j < layerIn.length; j++) {
-                    layerIn[j].push(1);
-                }
+                [layerIn, dF] = this._forwardLayer(this.layers[i], layerIn);
                 
                 computedLayers.push(layerIn);
                 computedDerivatives.push(dF);
             }
 
-            // Remove bias term before loss function
-            for(let j = 0; j < layerIn.length; j++) {
-                if (layerIn[j].length > 1) {
-                    layerIn[j] = layerIn[j].slice(0, -1);
-                } else {
-                    console.warn(`Row ${j} has only one element, not removing bias term`);
-                }
+            if (layerIn.type === 'Tensor') {
+                throw new ShapeError(`The last layer must output a 2D matrix, got a tensor of shape [${layerIn.shape}]`, {
+                    layer: this.layers[this.layers.length - 1].name,
+                    layerIndex: this.layers.length - 1,
+                    actual: layerIn.shape
+                });
             }
+
+            // Remove bias term before loss function
+            layerIn = withoutBias(layerIn);
+            computedLayers[computedLayers.length - 1] = layerIn;
             
             // Ensure y is a Matrix object with rows property
             if (!y.rows) {
                 y = new Matrix(y);
             }
             
-            // Check for empty matrices before calling loss function
-            if ((layerIn.length > 0 && (!layerIn[0] || layerIn[0].length === 0)) || 
-                (y.length > 0 && (!y[0] || y[0].length === 0))) {
-                console.warn('Empty matrix detected in _computeLayers before loss function:', 
-                    { layerInShape: [layerIn.length, layerIn[0]?.length], yShape: [y.length, y[0]?.length] });
-                
-                // Fix the case where layerIn has 0 columns but y has 1 column
-                if (layerIn.length > 0 && (!layerIn[0] || layerIn[0].length === 0) && 
-                    y.length > 0 && y[0] && y[0].length > 0) {
-                    console.log('Fixing layerIn with 0 columns to match y columns');
-                    // Create a new matrix with the same number of rows as layerIn and columns as y
-                    let newLayerIn = [];
-                    for (let i = 0; i < layerIn.length; i++) {
-                        newLayerIn.push(Array(y[0].length).fill(0));
-                    }
-                    layerIn = new Matrix(newLayerIn);
-                }
-                // Fix the case where y has 0 columns but layerIn has columns
-                else if (y.length > 0 && (!y[0] || y[0].length === 0) && 
-                    layerIn.length > 0 && layerIn[0] && layerIn[0].length > 0) {
-                    console.log('Fixing y with 0 columns to match layerIn columns');
-                    // Create a new matrix with the same number of rows as y and columns as layerIn
-                    let newY = [];
-                    for (let i = 0; i < y.length; i++) {
-                        newY.push(Array(layerIn[0].length).fill(0));
-                    }
-                    y = new Matrix(newY);
-                }
-                // If both matrices are empty, create a default shape
-                else if ((layerIn.length > 0 && (!layerIn[0] || layerIn[0].length === 0)) && 
-                    (y.length > 0 && (!y[0] || y[0].length === 0))) {
-                    console.log('Both matrices are empty, creating default shapes');
-                    // Create a new matrix with 1 column for layerIn
-                    let newLayerIn = [];
-                    for (let i = 0; i < layerIn.length; i++) {
-                        newLayerIn.push([0]);
-                    }
-                    layerIn = new Matrix(newLayerIn);
-                    
-                    // Create a new matrix with 1 column for y
-                    let newY = [];
-                    for (let i = 0; i < y.length; i++) {
-                        newY.push([0]);
-                    }
-                    y = new Matrix(newY);
-                }
-            }
-            
-            // Check for shape incompatibility before calling loss function
-            if (layerIn.shape[0] !== y.shape[0] || layerIn.shape[1] !== y.shape[1]) {
-                console.warn('Shape incompatibility in _computeLayers before loss function:', 
-                    { layerInShape: layerIn.shape, yShape: y.shape });
-                
-                // Resize matrices to match if possible
-                if (layerIn.shape[0] !== y.shape[0]) {
-                    // If row counts don't match, use the minimum
-                    const minRows = Math.min(layerIn.shape[0], y.shape[0]);
-                    layerIn = new Matrix(layerIn.rows.slice(0, minRows));
-                    y = new Matrix(y.rows.slice(0, minRows));
-                }
-                
-                if (layerIn.shape[1] !== y.shape[1]) {
-                    // If column counts don't match, use the minimum
-                    const minCols = Math.min(layerIn.shape[1], y.shape[1]);
-                    layerIn = new Matrix(layerIn.rows.map(row => row.slice(0, minCols)));
-                    y = new Matrix(y.rows.map(row => row.slice(0, minCols)));
-                }
+            if (layerIn._dims[0] !== y._dims[0] || layerIn._dims[1] !== y._dims[1]) {
+                let loss = this.lossFunction.constructor.name;
+                throw new ShapeError(`${loss} needs targets of the output's shape [${layerIn._dims}], got [${y._dims}]`, {
+                    layer: loss,
+                    expected: [...layerIn._dims],
+                    actual: [...y._dims]
+                });
             }
             
             // Compute loss and derivative
             let [l, dl] = this.lossFunction.f(layerIn, y);
             
             // Add bias term to loss output
-            for(let i = 0; i < l.length; i++) {
-                l[i].push(1);
-            }
-
-            computedLayers.push(l);
+            computedLayers.push(withBias(l));
             computedDerivatives.push(dl);
 
             return [computedLayers, computedDerivatives];
@@ -213,30 +441,35 @@ export class Model {
         }
 
         /**
-         * Updates the weights of all layers using gradient descent
+         * Backpropagates the batch gradients and lets the optimizer update the weights of all layers
          * @private
          * @param {number} lr - Learning rate
          * @param {Array} computedLayers - Array of computed layer outputs
          * @param {Array} computedDerivatives - Array of computed layer derivatives
          * @param {number} batchSize - Size of the current batch
-         * @param {number} momentum - Momentum coefficient
-         * @param {number} weightDecay - L2 regularization coefficient
-         * @param {Array} momentumBuffers - Buffers for momentum updates
+         * @param {Object} optimizer - Optimizer holding the per-layer update state
          */
-        this._updateWeights = (lr, computedLayers, computedDerivatives, batchSize, momentum, weightDecay, momentumBuffers) => {
+        this._updateWeights = (lr, computedLayers, computedDerivatives, batchSize, optimizer) => {
             let revL = this.layers.slice().reverse();
             let revComputedD = computedDerivatives.slice().reverse();
             let revComputedL = computedLayers.slice().reverse();
 
-            // Start with the gradient from the loss function
-            let dW = revComputedD[0];
+            // Start with the gradient from the loss function, averaged over the batch
+            let dW = scale(revComputedD[0], 1/batchSize);
 
             for(let i = 0; i < revL.length; i++) {
+                // Layers with their own backward pass return the gradient w.r.t. their input
+                if (revL[i].backward) {
+                    dW = revL[i].backward(dW);
+                    if (revL[i].grads) {
+                        revL[i].updateWeights(revL[i].grads, lr, optimizer, revL.length - 1 - i);
+                    }
+                    continue;
+                }
+
                 // Get the current layer's weights
                 let W = revL[i].getWeights();
                 
-                // Get the input to this layer (without bias term)
-                let inputWithoutBias = revComputedL[i+2].rows.map(row => row.slice(0, -1));
                 let inputMatrix = revComputedL[i+2];
                 
                 // Compute the gradient for this layer
@@ -250,31 +483,208 @@ export class Model {
                 // Compute the weight gradient: input^T * gradient
                 let weightGrad = mult(inputMatrix.t, layerGrad);
                 
-                // Scale by batch size - this is the key fix for batch sizes > 1
-                weightGrad = scale(weightGrad, 1/batchSize);
-                
-                // Update the weights
-                revL[i].updateWeights(weightGrad, lr);
-                
                 // Compute gradient for next layer: gradient * W^T
+                // (before the update, which modifies W in place)
                 dW = mult(layerGrad, W.t);
 
                 // Remove bias term from dW
                 if(dW.type === 'Matrix') {
-                    dW.rows = dW.rows.map(row => row.slice(0, -1));
+                    dW = withoutBias(dW);
                 }        
+                
+                // Update the weights, keyed by layer index so optimizer state survives save/load
+                revL[i].updateWeights(weightGrad, lr, optimizer, revL.length - 1 - i);
+            }
+        }
+
+        /**
+         * Runs one training step: forward pass, gradient clipping, backward pass and weight update
+         * @private
+         * @param {Matrix|Tensor} batchX - Batch input
+         * @param {Matrix} batchY - Batch targets
+         * @param {number} lr - Learning rate
+         * @param {number} batchSize - Configured batch size
+         * @param {number} gradientClipping - Maximum gradient norm (0 to disable)
+         * @returns {Object} { loss, y, yPred } with the targets and predictions in the layout _computeMetric expects
+         */
+        this._trainBatch = (batchX, batchY, lr, batchSize, gradientClipping) => {
+            let [layers, derivatives] = this._computeLayers(batchX, batchY);
+
+            // Apply gradient clipping if enabled
+            for(let i = 0; i < derivatives.length; i++) {
+                if (gradientClipping > 0 && derivatives[i]) {
+                    // Ensure derivative is a Matrix object
+                    if (!derivatives[i].type || derivatives[i].type !== 'Matrix') {
+                        derivatives[i] = new Matrix(derivatives[i]);
+                    }
+                    
+                    // Calculate gradient norm
+                    let squaredGrad = pow(derivatives[i], 2);
+                    let gradNorm = Math.sqrt(sum(squaredGrad));
+                    
+                    if (gradNorm > gradientClipping) {
+                        derivatives[i] = scale(derivatives[i], gradientClipping / gradNorm);
+                    }
+                }
+            }
+
+            // Update weights with the batch gradients
+            this._updateWeights(lr, layers, derivatives, batchSize, this.optimizer);
+
+            // Compute loss for this batch
+            let lastL = layers[layers.length-2];
+            return { loss: this._computeLoss(batchY.t, lastL), y: batchY.t, yPred: lastL };
+        }
+
+        /**
+         * Computes the loss of a batch without updating the weights
+         * @private
+         * @param {Matrix|Tensor} batchX - Batch input
+         * @param {Matrix} batchY - Batch targets
+         * @returns {number} The batch loss
+         */
+        this._evaluateBatch = (batchX, batchY) => {
+            let [layers] = this._computeLayers(batchX, batchY);
+            return this._computeLoss(batchY.t, layers[layers.length-2]);
+        }
+
+        /**
+         * Returns the number of samples in a dataset
+         * @private
+         * @param {Matrix|Tensor} data - The data
+         * @returns {number} Number of samples
+         */
+        this._numSamples = (data) => {
+            return data.length;
+        }
+
+        /**
+         * Restarts the model's random generator from a seed. Call it before addLayer()
+         * to make weight initialization reproducible; train() reseeds with its seed option.
+         * @param {number} seed - Integer seed
+         */
+        this.setSeed = (seed) => {
+            this.seed = seed;
+            this.rng.seed(seed);
+        }
+
+        /**
+         * Checks that the samples of x have the model's input shape
+         * @private
+         * @param {Matrix|Tensor} x - Input batch
+         * @throws {ShapeError} If they do not
+         */
+        this._checkInput = (x) => {
+            this._checkSampleShape(this.inputDim, sampleShape(x), 'Input');
+        }
+
+        /**
+         * Checks the shape of one data sample against the shape the model expects
+         * @private
+         * @param {Array<number>|number} expected - Expected shape
+         * @param {Array<number>|number|null} actual - Sample shape, or null to skip the check
+         * @param {string} what - Name of the data in the error message
+         * @throws {ShapeError} If the shapes differ
+         */
+        this._checkSampleShape = (expected, actual, what) => {
+            expected = toShape(expected);
+            actual = toShape(actual);
+            if (expected && actual && !sameShape(expected, actual)) {
+                throw new ShapeError(`${what} samples have shape ${formatShape(actual)}, the model expects ${formatShape(expected)}`, { expected, actual });
             }
         }
 
         /**
-         * Adds a new layer to the neural network
+         * Checks an output shape against its loss function and, if given, the target shape
+         * @private
+         * @param {Array<number>} shape - Output shape
+         * @param {Object} lossFunction - The loss function
+         * @param {Array<number>|number|null} targetShape - Shape of one target sample
+         * @param {Object} source - { layer, layerIndex } producing the output
+         * @throws {ShapeError} If the output is not [units] or does not fit the loss or the targets
+         */
+        this._checkOutput = (shape, lossFunction, targetShape, { layer = null, layerIndex = null } = {}) => {
+            if (shape.length !== 1) {
+                throw new ShapeError(`The last layer (${layer || 'input'}) must output [units], got ${formatShape(shape)}; add Flatten or a pooling layer`, {
+                    layer,
+                    layerIndex,
+                    actual: shape
+                });
+            }
+
+            let loss = lossFunction.constructor.name;
+            let minUnits = lossFunction.minUnits || 1;
+            if (shape[0] < minUnits) {
+                throw new ShapeError(`${loss} needs at least ${minUnits} output units, got ${shape[0]}`, { layer: loss, expected: [minUnits], actual: shape });
+            }
+            targetShape = toShape(targetShape);
+            if (targetShape !== null && !sameShape(shape, targetShape)) {
+                throw new ShapeError(`${loss} needs targets of shape ${formatShape(shape)} per sample to match the output, got ${formatShape(targetShape)}`, {
+                    layer: loss,
+                    expected: shape,
+                    actual: targetShape
+                });
+            }
+        }
+
+        /**
+         * Propagates the input shape through every layer and checks the result against the
+         * loss and the data. Layers that have not been built yet are built for the shape they
+         * receive. train() compiles the model before the first batch.
+         * @param {Object} [options]
+         * @param {Array<number>|number} [options.inputShape] - Shape of one input sample, checked against inputDim
+         * @param {Array<number>|number} [options.targetShape] - Shape of one target sample, checked against the output
+         * @returns {Object} { inputShape, layers: [{ name, inputShape, outputShape }], outputShape }
+         * @throws {ShapeError} If a layer receives a shape it was not built for, the last layer does not output
+         * [units], or the output does not fit the loss or the targets
+         */
+        this.compile = ({ inputShape = null, targetShape = null } = {}) => {
+            this._checkSampleShape(this.inputDim, inputShape, 'Input');
+            let shape = toShape(this.inputDim);
+
+            let layers = this.layers.map((layer, i) => {
+                let details = { layer: layer.name, layerIndex: i, actual: shape };
+                if (layer.isMerge) {
+                    throw new ShapeError(`Layer ${i} (${layer.name}) merges several inputs and can only be used in a GraphModel`, details);
+                }
+                let expected = builtInputShape(layer);
+                if (expected === null) {
+                    try {
+                        layer.setInputDim(shape.length === 1 ? shape[0] : shape);
+                    } catch (e) {
+                        throw new ShapeError(`Layer ${i} (${layer.name}): ${e.message}`, details);
+                    }
+                } else if (!sameShape(expected, shape)) {
+                    let hint = expected.length === 1 && shape.length > 1 ? '; add Flatten first' : '';
+                    throw new ShapeError(`Layer ${i} (${layer.name}) expects input shape ${formatShape(expected)}, got ${formatShape(shape)}${hint}`, {
+                        ...details,
+                        expected
+                    });
+                }
+                let input = shape;
+                shape = toShape(layer.getSize());
+                return { name: layer.name, inputShape: input, outputShape: shape };
+            });
+
+            let last = this.layers.length - 1;
+            this._checkOutput(shape, this.lossFunction, targetShape, last < 0 ? {} : { layer: this.layers[last].name, layerIndex: last });
+
+            return { inputShape: toShape(this.inputDim), layers, outputShape: shape };
+        }
+
+        /**
+         * Adds a new layer to the neural network, built for the output shape of the previous layer
          * @param {Object} layer - The layer to add
+         * @throws {ShapeError} If the layer cannot take that shape
          */
         this.addLayer = (layer) => {
-            if(this.layers.length > 0) {
-                layer.setInputDim(this.layers[this.layers.length-1].getSize());
-            } else {
-                layer.setInputDim(this.inputDim);
+            layer.rng = this.rng;
+            let inputDim = this.layers.length > 0 ? this.layers[this.layers.length-1].getSize() : this.inputDim;
+            try {
+                layer.setInputDim(inputDim);
+            } catch (e) {
+                let index = this.layers.length;
+                throw new ShapeError(`Layer ${index} (${layer.name}): ${e.message}`, { layer: layer.name, layerIndex: index, actual: toShape(inputDim) });
             }
             this.layers.push(layer);
         }
@@ -297,11 +707,11 @@ export class Model {
                 let startIdx = i * batchSize;
                 let endIdx = Math.min((i + 1) * batchSize, x.length);
                 
-                let batchX = new Matrix([...x.rows.slice(startIdx, endIdx).map(row => row.slice())]);
-                let batchY = new Matrix([...y.rows.slice(startIdx, endIdx).map(row => row.slice())]);
+                let batchX = this._sliceBatch(x, startIdx, endIdx);
+                let batchY = this._sliceBatch(y, startIdx, endIdx);
                 
-                let yPred = this.predict(batchX);
-                totalLoss += this._computeLoss(batchY.t, yPred) * (endIdx - startIdx);
+                // The loss works on the raw outputs, not on the predictions of predict()
+                totalLoss += this._evaluateBatch(batchX, batchY) * (endIdx - startIdx);
             }
             
             // Set model back to training mode
@@ -313,35 +723,27 @@ export class Model {
         /**
          * Makes predictions for the given input data
          * @param {Matrix} x - Input data
-         * @returns {Matrix} Predicted values
+         * @returns {Matrix} Predicted values as [units, batch], one column per sample
          */
         this.predict = (x) => {
-            let layerIn = [];
-            for(let i = 0; i < x.rows.length; i++) {
-                layerIn.push(x.rows[i].slice());
-            }
-            layerIn = new Matrix(layerIn);
-
-            for(let i = 0; i < layerIn.length; i++) {
-                layerIn[i].push(1);
+            this._checkInput(x);
+            let layerIn = x;
+            if (x.type !== 'Tensor') {
+                layerIn = withBias(x);
             }
 
             for(let i = 0; i < this.layers.length; i++) {
-                let dF;
-                [layerIn, dF] = this.layers[i].f(layerIn);
-                for(let j = 0; j < layerIn.length; j++) {
-                    layerIn[j].push(1);
-                }
+                [layerIn] = this._forwardLayer(this.layers[i], layerIn);
             }
 
-            for(let i = 0; i < layerIn.length; i++) {
-                if (layerIn[i].length > 1) {
-                    layerIn[i] = layerIn[i].slice(0, -1);
-                } else {
-                    console.warn(`Row ${i} has only one element, not removing bias term`);
-                }
+            if (layerIn.type === 'Tensor') {
+                throw new ShapeError(`The last layer must output a 2D matrix, got a tensor of shape [${layerIn.shape}]`, {
+                    layer: this.layers[this.layers.length - 1].name,
+                    layerIndex: this.layers.length - 1,
+                    actual: layerIn.shape
+                });
             }
-            return this.lossFunction.ff(layerIn.t);
+            return this.lossFunction.ff(withoutBias(layerIn).t);
         }
 
         /**
@@ -357,106 +759,334 @@ export class Model {
         }
 
         /**
-         * Saves the model state to a JSON string
-         * @returns {string} JSON string containing the model state
+         * Clears the carried-over state of stateful recurrent layers
          */
-        this.save = () => {
-            let modelState = {
-                inputDim: this.inputDim,
-                layers: this.layers.map(layer => ({
-                    type: layer.constructor.name,
-                    size: layer.size,
-                    weights: layer.W ? layer.W.rows : null,
-                    params: {
-                        rate: layer.rate,
-                        alpha: layer.alpha
-                    }
-                })),
-                lossFunction: this.lossFunction.constructor.name
-            };
-            return JSON.stringify(modelState);
+        this.resetStates = () => {
+            for (let layer of this.layers) {
+                if (layer.resetStates) {
+                    layer.resetStates();
+                }
+            }
         }
 
         /**
-         * Loads a model state from a JSON string
-         * @param {string} modelState - JSON string containing the model state
+         * Serializes a layer's configuration and parameters
+         * @private
+         * @param {Object} layer - The layer
+         * @returns {Object} JSON-serializable layer state
          */
-        this.load = (modelState) => {
-            let state = JSON.parse(modelState);
-            this.inputDim = state.inputDim;
-            this.layers = [];
-            
-            for (let layerState of state.layers) {
-                let layer;
-                switch(layerState.type) {
-                    case 'Dense':
-                        layer = new Layers.Dense(layerState.size);
-                        break;
-                    case 'Dropout':
-                        layer = new Layers.Dropout(layerState.params.rate);
-                        break;
-                    case 'Conv2D':
-                        layer = new Layers.Conv2D(layerState.size, layerState.params.kernelSize, layerState.params.stride, layerState.params.padding);
-                        break;
-                    // Add more layer types as needed
-                }
-                
-                if (layerState.weights) {
-                    layer.W = new Matrix(layerState.weights);
+        this._serializeLayer = (layer) => {
+            return {
+                type: layer.constructor.name,
+                name: layer.name,
+                size: layer.size,
+                activation: serializeActivation(layer.activation),
+                weights: layer.W ? serializeParam(layer.W) : null,
+                bias: layer.b ? serializeParam(layer.b) : undefined,
+                state: layer.getState ? layer.getState() : undefined,
+                params: {
+                    rate: layer.rate,
+                    alpha: layer.alpha,
+                    filters: layer.filters,
+                    kernelSize: layer.kernelSize,
+                    poolSize: layer.poolSize,
+                    stride: layer.stride,
+                    dilation: layer.dilation,
+                    padding: layer.padding,
+                    momentum: layer.momentum,
+                    epsilon: layer.epsilon,
+                    returnSequences: layer.returnSequences,
+                    stateful: layer.stateful,
+                    bpttSteps: layer.bpttSteps,
+                    vocabSize: layer.vocabSize,
+                    maskZero: layer.maskZero,
+                    numHeads: layer.numHeads,
+                    keyDim: layer.keyDim,
+                    ffDim: layer.ffDim,
+                    causal: layer.causal,
+                    axis: layer.axis,
+                    inputShape: layer.inputShape
                 }
-                
-                this.layers.push(layer);
+            };
+        }
+
+        /**
+         * Recreates a layer from the output of _serializeLayer
+         * @private
+         * @param {Object} layerState - Serialized layer
+         * @returns {Object} The layer
+         */
+        this._deserializeLayer = (layerState) => {
+            if (layerState.type === 'Custom') {
+                throw new Error('Custom layers cannot be restored from JSON; rebuild the model and restore their parameters with setState()');
+            }
+            if (!layerFactories[layerState.type]) {
+                throw new Error(`Unknown layer type '${layerState.type}' in saved model. Known types: ${Object.keys(layerFactories).join(', ')}`);
+            }
+            let layer = layerFactories[layerState.type](layerState, createActivation(layerState.activation));
+            if (layerState.name) {
+                layer.name = layerState.name;
+            }
+            if (layerState.params.inputShape) {
+                layer.inputShape = layerState.params.inputShape;
             }
             
-            switch(state.lossFunction) {
+            if (layerState.weights) {
+                layer.W = deserializeParam(layerState.weights);
+            }
+            if (layerState.bias) {
+                layer.b = deserializeParam(layerState.bias);
+            }
+            if (layerState.state && layer.setState) {
+                layer.setState(layerState.state);
+            }
+            return layer;
+        }
+
+        /**
+         * Creates a loss function from its class name and parameters
+         * @private
+         * @param {Object} state - { type, config } as written by save()
+         * @returns {Object} The loss function
+         */
+        this._createLoss = ({ type, config = {} }) => {
+            switch(type) {
                 case 'Softmax':
-                    this.lossFunction = new Loss.Softmax();
-                    break;
+                    return new Loss.Softmax();
                 case 'SquareLoss':
-                    this.lossFunction = new Loss.SquareLoss();
-                    break;
+                    return new Loss.SquareLoss();
                 case 'CrossEntropy':
-                    this.lossFunction = new Loss.CrossEntropy();
-                    break;
+                    return new Loss.CrossEntropy();
                 case 'Hinge':
-                    this.lossFunction = new Loss.Hinge();
-                    break;
+                    return new Loss.Hinge();
                 case 'Huber':
-                    this.lossFunction = new Loss.Huber();
-                    break;
+                    return new Loss.Huber(config.delta);
+                case 'Custom':
+                    throw new Error('Custom losses cannot be restored from JSON; pass the loss function when rebuilding the model');
+                default:
+                    throw new Error(`Unknown loss function: ${type}`);
+            }
+        }
+
+        /**
+         * Restores the seed and generator state stored by save(), and hands the
+         * generator to the loaded layers
+         * @private
+         * @param {Object} state - Parsed model state
+         */
+        this._restoreRandom = (state) => {
+            if (state.seed !== undefined) {
+                this.seed = state.seed;
+                this.rng.seed(state.seed);
+                if (state.randomState) this.rng.setState(state.randomState);
+            }
+            for (let layer of this.layers) {
+                layer.rng = this.rng;
+            }
+        }
+
+        /**
+         * Serializes a loss function as its class name and parameters
+         * @private
+         * @param {Object} lossFunction - The loss function
+         * @returns {Object} { type, config }
+         */
+        this._serializeLoss = (lossFunction) => {
+            return {
+                type: lossFunction.constructor.name,
+                config: lossFunction.getLossParams ? lossFunction.getLossParams() : {}
+            };
+        }
+
+        /**
+         * Fields shared by the sequential and graph formats
+         * @private
+         * @returns {Object} Format header, optimizer, random and training state
+         */
+        this._serializeCommon = () => {
+            return {
+                format: MODEL_FORMAT,
+                version: MODEL_FORMAT_VERSION,
+                optimizer: this.optimizer && this.optimizer.getState ? this.optimizer.getState() : null,
+                seed: this.seed,
+                randomState: this.rng.getState(),
+                training: this.trainingInfo
+            };
+        }
+
+        /**
+         * Saves the model state to a JSON string: every layer's configuration, activation,
+         * parameters and non-trainable state, the loss, optimizer state and training metadata
+         * @returns {string} JSON string containing the model state
+         */
+        this.save = () => {
+            return JSON.stringify(this._serialize());
+        }
+
+        /**
+         * Builds the model state written by save() and saveTo()
+         * @private
+         * @returns {Object} JSON-serializable model state
+         */
+        this._serialize = () => {
+            return {
+                ...this._serializeCommon(),
+                inputDim: this.inputDim,
+                layers: this.layers.map(layer => this._serializeLayer(layer)),
+                loss: this._serializeLoss(this.lossFunction)
+            };
+        }
+
+        /**
+         * Saves the model to a directory: a JSON manifest (model.json) with the topology and
+         * configuration, and the weights, layer state and optimizer state as little-endian binary
+         * files with SHA-256 checksums. Restore it with Model.loadFrom(dir).
+         * @param {string} dir - Directory, created if missing
+         * @param {Object} [options]
+         * @param {string} [options.dtype=null] - 'float32' to halve the size, or 'float64'. By default
+         * float32 matrices are stored as float32 and everything else as float64
+         * @param {number} [options.shardSize=0] - Maximum bytes per weight file (0 for a single weights.bin)
+         * @returns {Object} The manifest written to model.json
+         */
+        this.saveTo = (dir, options = {}) => {
+            return writeWeights(dir, this._serialize(), options);
+        }
+
+        /**
+         * Loads a model state from a JSON string. Files written by older versions are migrated.
+         * @param {string|Object} modelState - JSON string containing the model state, or the parsed state
+         * @throws {Error} If the file is of a newer format version or contains an unknown layer type
+         */
+        this.load = (modelState) => {
+            let state = migrateModelState(typeof modelState === 'string' ? JSON.parse(modelState) : modelState);
+            if (state.graph) {
+                throw new Error('This is a GraphModel state; use GraphModel.load()');
+            }
+            this.inputDim = state.inputDim;
+            this.layers = state.layers.map(layerState => this._deserializeLayer(layerState));
+            this.lossFunction = this._createLoss(state.loss);
+            this.trainingInfo = state.training || null;
+            this._restoreRandom(state);
+
+            // Restore the optimizer so a later train() call continues with the same state
+            this.optimizer = state.optimizer ? Optimizers.fromState(state.optimizer) : null;
+        }
+
+        /**
+         * Pauses the running training loop before its next batch.
+         * Learning rate, optimizer state and the epoch/batch position are kept.
+         * @returns {boolean} Whether a running training loop was paused
+         */
+        this.pauseTraining = () => {
+            let control = this._trainingControl;
+            if (!control.isTraining || control.isPaused || control.stopRequested) {
+                return false;
+            }
+            control.isPaused = true;
+            return true;
+        }
+
+        /**
+         * Resumes a paused training loop from the batch it was paused at
+         * @returns {boolean} Whether a paused training loop was resumed
+         */
+        this.resumeTraining = () => {
+            let control = this._trainingControl;
+            if (!control.isPaused) {
+                return false;
+            }
+            control.isPaused = false;
+            this._releasePausedTraining();
+            return true;
+        }
+
+        /**
+         * Stops the running training loop before its next batch.
+         * The promise returned by train() resolves with the history recorded so far.
+         * @returns {boolean} Whether a running training loop was asked to stop
+         */
+        this.stopTraining = () => {
+            let control = this._trainingControl;
+            if (!control.isTraining) {
+                return false;
             }
+            control.stopRequested = true;
+            control.isPaused = false;
+            this._releasePausedTraining();
+            return true;
+        }
+
+        /**
+         * Wakes up a training loop waiting in _waitWhilePaused
+         * @private
+         */
+        this._releasePausedTraining = () => {
+            let resume = this._trainingControl.resume;
+            this._trainingControl.resume = null;
+            if (resume) resume();
         }
 
         /**
-         * Trains the model on the given data
-         * @param {Matrix} xTrain - Training input data
-         * @param {Matrix} yTrain - Training target data
+         * Resolves once training is no longer paused (resumed or stopped)
+         * @private
+         * @returns {Promise<void>}
+         */
+        this._waitWhilePaused = async () => {
+            let control = this._trainingControl;
+            while (control.isPaused && !control.stopRequested) {
+                await new Promise(resolve => {
+                    control.resume = resolve;
+                });
+            }
+        }
+
+        /**
+         * Trains the model on the given data, either as xTrain/yTrain or as a DataLoader: train(loader, options)
+         * @param {Matrix|DataLoader} xTrain - Training input data, or a DataLoader yielding { x, y } batches
+         * @param {Matrix|Object} yTrain - Training target data, or the options when xTrain is a DataLoader
          * @param {Object} options - Training options
-         * @param {Matrix} [options.xValidation] - Validation input data
+         * @param {Matrix|DataLoader} [options.xValidation] - Validation input data, or a DataLoader
          * @param {Matrix} [options.yValidation] - Validation target data
          * @param {number} [options.maxValidationLossIncreaseCount=1] - Maximum number of times validation loss can increase
          * @param {number} [options.lr=0.1] - Learning rate
-         * @param {number} [options.lrDecay=0.9999] - Learning rate decay factor
-         * @param {number} [options.batchSize=8] - Batch size for training
+         * @param {number} [options.lrDecay=0.9999] - Per-epoch decay factor used by the 'constant' schedule
+         * @param {number} [options.batchSize=8] - Batch size for training (a DataLoader uses its own)
          * @param {number} [options.maxEpochs=10] - Maximum number of training epochs
          * @param {number} [options.verbose=1] - Verbosity level
          * @param {number} [options.earlyStoppingPatience=5] - Number of epochs to wait before early stopping
          * @param {number} [options.earlyStoppingMinDelta=0.001] - Minimum change in validation loss to qualify as an improvement
-         * @param {string} [options.lrSchedule='constant'] - Learning rate schedule type
+         * @param {Object|string} [options.lrSchedule='constant'] - Scheduler from nn/schedulers.js, or 'constant', 'decay' or 'step'
          * @param {Object} [options.callbacks={}] - Training callbacks
          * @param {Array} [options.metrics=['loss']] - Metrics to track during training
          * @param {number} [options.checkpointFrequency=0] - Frequency of model checkpointing
          * @param {string} [options.checkpointDir='./checkpoints'] - Directory for model checkpoints
+         * @param {string} [options.checkpointFormat='binary'] - 'binary' saves each checkpoint to a directory
+         * with saveTo(), 'json' to a single file with save()
          * @param {number} [options.gradientClipping=0] - Maximum gradient norm
-         * @param {number} [options.momentum=0.9] - Momentum coefficient
-         * @param {number} [options.weightDecay=0] - L2 regularization coefficient
-         * @returns {Promise<Object>} Training history and metrics
+         * @param {Object|string} [options.optimizer] - Optimizer instance or name ('sgd', 'momentum', 'nesterov', 'adam', 'adamw', 'rmsprop', 'adagrad').
+         * Defaults to the model's current optimizer (e.g. restored by load()), otherwise 'sgd'
+         * @param {number} [options.momentum=0.9] - Momentum coefficient for optimizers created by name
+         * @param {number} [options.weightDecay=0] - Weight decay coefficient for optimizers created by name
+         * @param {number} [options.bpttSteps] - Truncates backpropagation through time in recurrent layers to chunks
+         * of this many time steps (0 for full BPTT). Defaults to each layer's own setting
+         * @param {boolean|Object} [options.parallel=false] - Runs large matrix products on GV's worker pool during
+         * training: true, or GV.configureParallel() options such as { workers, threshold }
+         * @param {number} [options.seed=null] - Reseeds the model's random generator (see setSeed) so that
+         * shuffling and dropout are reproducible; the seed in use is returned in the history
+         * @throws {ShapeError} If the data, layer, loss or target shapes do not fit together (see compile)
+         * @returns {Promise<Object>} Training history and metrics. `stoppedEarly` is null when all epochs ran,
+         * 'earlyStopping' when validation loss stopped improving, or 'stopped' when stopTraining() was called
          */
         this.train = (
             xTrain,
             yTrain,
-            options
+            options={}
         ) => {
+            if (xTrain instanceof DataLoader) {
+                options = yTrain || {};
+                yTrain = null;
+            }
+
             let {
                 xValidation=null,
                 yValidation=null,
@@ -468,16 +1098,41 @@ export class Model {
                 verbose=1,
                 earlyStoppingPatience=5,
                 earlyStoppingMinDelta=0.001,
-                lrSchedule='constant', // 'constant', 'decay', 'step'
+                lrSchedule='constant', // Scheduler instance, or 'constant', 'decay', 'step'
                 callbacks={}, // Dictionary of callback functions
                 metrics=['loss'], // Additional metrics to track
                 checkpointFrequency=0, // Save model checkpoints every N epochs (0 to disable)
                 checkpointDir='./checkpoints', // Directory to save checkpoints
+                checkpointFormat='binary', // 'binary' (saveTo) or 'json' (save)
                 gradientClipping=0, // Max gradient norm (0 to disable)
+                optimizer=this.optimizer || 'sgd', // Optimizer instance or name
                 momentum=0.9, // Momentum coefficient
-                weightDecay=0 // L2 regularization coefficient
+                weightDecay=0, // L2 regularization coefficient
+                bpttSteps=null, // Truncated BPTT length for recurrent layers
+                parallel=false, // Parallel matrix products for large batches
+                seed=null // Reseeds the model's generator for shuffling and dropout
             } = options;
 
+            if (seed !== null) {
+                this.setSeed(seed);
+            }
+
+            // Resolve the optimizer; it is kept on the model so save() can store its state
+            this.optimizer = Optimizers.get(optimizer, { momentum, weightDecay });
+
+            // Resolve the learning rate scheduler, stepped per epoch or per batch
+            const scheduler = Schedulers.get(lrSchedule, { lrDecay });
+            lr = scheduler.reset(lr);
+            let learningRates = [];
+
+            if (bpttSteps !== null) {
+                for (let layer of this.layers) {
+                    if (layer.isRecurrent) {
+                        layer.bpttSteps = bpttSteps;
+                    }
+                }
+            }
+
             // Initialize training state
             let state = {
                 epoch: 0,
@@ -494,13 +1149,16 @@ export class Model {
                 state.bestMetrics[metric] = Infinity;
             });
 
-            // Initialize momentum buffers
-            let momentumBuffers = this.layers.map(layer => ({
-                weights: null, // Initialize as null, will be set when first dW is received
-                biases: layer.b ? new Array(layer.b.length).fill(0) : null
-            }));
+            // Batches are shuffled every epoch, except for stateful recurrent layers that carry state across batches
+            const trainLoader = xTrain instanceof DataLoader ? xTrain
+                : new DataLoader(new Dataset(xTrain, yTrain), { batchSize, shuffle: !this.layers.some(layer => layer.stateful) });
+            const validationLoader = !xValidation || xValidation instanceof DataLoader ? xValidation
+                : new DataLoader(new Dataset(xValidation, yValidation), { batchSize, shuffle: false });
+
+            // Check the layer, data and loss shapes before the first batch
+            const trainData = trainLoader.dataset instanceof Dataset ? trainLoader.dataset : {};
+            this.compile({ inputShape: sampleShape(trainData.x), targetShape: sampleShape(trainData.y) });
 
-            let batchPerEpoch = Math.ceil(xTrain.length/batchSize);
             let loss = null;
             let valLoss = null;
             let trainLosses = [];
@@ -510,7 +1168,15 @@ export class Model {
             let weightHistory = [];
             let bestValLoss = Infinity;
             let patienceCounter = 0;
-            let initialLr = lr;
+            let stoppedEarly = null;
+
+            // Reset the pause/stop flags left over from a previous run
+            Object.assign(this._trainingControl, {
+                isTraining: true,
+                isPaused: false,
+                stopRequested: false,
+                resume: null
+            });
 
             // Create checkpoint directory if needed
             if (checkpointFrequency > 0) {
@@ -521,6 +1187,35 @@ export class Model {
                 }
             }
 
+            // Adds this run to the totals of earlier runs, so that save() and checkpoints store them
+            const previousTraining = this.trainingInfo || { epochs: 0, batches: 0, trainingTime: 0, loss: null, validationLoss: null };
+            const updateTrainingInfo = () => {
+                this.trainingInfo = {
+                    epochs: previousTraining.epochs + trainLosses.length,
+                    batches: previousTraining.batches + state.batches,
+                    trainingTime: previousTraining.trainingTime + (Date.now() - state.startTime) / 1000,
+                    loss: trainLosses.length ? trainLosses[trainLosses.length - 1] : previousTraining.loss,
+                    validationLoss: validationLosses.length ? validationLosses[validationLosses.length - 1] : previousTraining.validationLoss,
+                    learningRate: lr
+                };
+            };
+
+            // Saves a checkpoint and records its path in the history
+            const writeCheckpoint = (name) => {
+                let checkpointPath = `${checkpointDir}/${name}`;
+                try {
+                    if (checkpointFormat === 'json') {
+                        checkpointPath += '.json';
+                        fs.writeFileSync(checkpointPath, this.save());
+                    } else {
+                        this.saveTo(checkpointPath);
+                    }
+                    state.checkpoints.push(checkpointPath);
+                } catch (e) {
+                    console.warn('Could not save checkpoint:', e);
+                }
+            };
+
             // Training loop
             const trainEpoch = async (i) => {
                 state.epoch = i + 1;
@@ -528,47 +1223,26 @@ export class Model {
 
                 // Ensure model is in training mode at the beginning of each epoch
                 this.setTrainingMode(true);
+                this.resetStates();
 
                 if(verbose) {
                     console.log('\nEpoch', i+1);
                     console.log('Learning rate:', lr.toFixed(6));
                 }
 
-                // Learning rate scheduling
-                switch(lrSchedule) {
-                    case 'decay':
-                        // Use a much slower decay that works well with any batch size
-                        lr = initialLr / (1 + 0.0001 * i);
-                        break;
-                    case 'step':
-                        if (i > 0 && i % 10 === 0) {
-                            lr *= 0.1;
-                        }
-                        break;
-                    default:
-                        lr *= lrDecay;
-                }
-
                 // Early stopping check
-                if (xValidation) {
+                if (validationLoader) {
                     // Set model to evaluation mode
                     this.setTrainingMode(false);
                     
                     // Compute validation loss in batches like training
                     valLoss = 0;
-                    let valNumBatches = Math.ceil(xValidation.length / batchSize);
+                    let valNumBatches = 0;
                     
-                    for(let j = 0; j < valNumBatches; j++) {
-                        let startIdx = j * batchSize;
-                        let endIdx = Math.min((j + 1) * batchSize, xValidation.length);
-                        
-                        let valBatchX = new Matrix([...xValidation.rows.slice(startIdx, endIdx).map(row => row.slice())]);
-                        let valBatchY = new Matrix([...yValidation.rows.slice(startIdx, endIdx).map(row => row.slice())]);
-                        
-                        let [valLayers, _] = this._computeLayers(valBatchX, valBatchY);
-                        let valLastL = valLayers[valLayers.length-2];
+                    for await (let batch of validationLoader.batches(validationLoader.rng || this.rng)) {
                         // Simply accumulate the batch loss
-                        valLoss += this._computeLoss(valBatchY.t, valLastL);
+                        valLoss += this._evaluateBatch(batch.x, batch.y);
+                        valNumBatches++;
                     }
                     
                     // Average over number of batches
@@ -577,6 +1251,7 @@ export class Model {
                     
                     // Set model back to training mode
                     this.setTrainingMode(true);
+                    this.resetStates();
                     
                     if (valLoss < bestValLoss - earlyStoppingMinDelta) {
                         bestValLoss = valLoss;
@@ -585,18 +1260,13 @@ export class Model {
                         
                         // Save best model checkpoint
                         if (checkpointFrequency > 0) {
-                            let checkpointPath = `${checkpointDir}/best_model_epoch_${i+1}.json`;
-                            try {
-                                fs.writeFileSync(checkpointPath, this.save());
-                                state.checkpoints.push(checkpointPath);
-                            } catch (e) {
-                                console.warn('Could not save checkpoint:', e);
-                            }
+                            writeCheckpoint(`best_model_epoch_${i+1}`);
                         }
                     } else {
                         patienceCounter++;
                         if (patienceCounter >= earlyStoppingPatience) {
                             console.log('Early stopping triggered');
+                            stoppedEarly = 'earlyStopping';
                             let bestWeights = weightHistory[GV.argmin(new Vector(validationLosses))];
                             for(let j in this.layers) {
                                 this.layers[j].setWeights(bestWeights[j]);
@@ -617,53 +1287,30 @@ export class Model {
                 loss = 0;
                 let batchMetrics = {};
 
-                let indices = Array.from(Array(xTrain.length).keys());
-                GV.randomPermutation(new GV.Vector(indices)).values;
-                let [permX, permY] = [GV.fromIndices(xTrain, indices), GV.fromIndices(yTrain, indices)];
+                let numBatches = 0;
 
-                // Batch training
-                for(let j = 0; j < batchPerEpoch; j++) {
-                    state.batches++;
-                    
-                    // Get the current batch
-                    let startIdx = j * batchSize;
-                    let endIdx = Math.min((j + 1) * batchSize, permX.length);
-                    let batchX = new Matrix([...permX.rows.slice(startIdx, endIdx).map((row) => row.slice())]);
-                    let batchY = new Matrix([...permY.rows.slice(startIdx, endIdx).map((row) => row.slice())]);
-
-                    // Compute gradients for this batch
-                    let [layers, derivatives] = this._computeLayers(batchX, batchY);
-
-                    // Apply gradient clipping if enabled
-                    for(let i = 0; i < derivatives.length; i++) {
-                        if (gradientClipping > 0 && derivatives[i]) {
-                            // Ensure derivative is a Matrix object
-                            if (!derivatives[i].type || derivatives[i].type !== 'Matrix') {
-                                derivatives[i] = new Matrix(derivatives[i]);
-                            }
-                            
-                            // Calculate gradient norm
-                            let squaredGrad = pow(derivatives[i], 2);
-                            let gradNorm = Math.sqrt(sum(squaredGrad));
-                            
-                            if (gradNorm > gradientClipping) {
-                                derivatives[i] = scale(derivatives[i], gradientClipping / gradNorm);
-                            }
-                        }
+                // Batch training, in the loader's order for this epoch
+                for await (let batch of trainLoader.batches(trainLoader.rng || this.rng)) {
+                    // Honour pauseTraining()/stopTraining() between batches. Awaiting a macrotask first lets
+                    // timers and socket events that call them run; the loop otherwise only yields to microtasks.
+                    await new Promise(setImmediate);
+                    await this._waitWhilePaused();
+                    if (this._trainingControl.stopRequested) {
+                        stoppedEarly = 'stopped';
+                        return true; // Signal to stop training
                     }
 
-                    // Update weights with the batch gradients
-                    this._updateWeights(lr, layers, derivatives, batchSize, momentum, weightDecay, momentumBuffers);
+                    state.batches++;
+                    numBatches++;
 
-                    // Compute loss for this batch
-                    let lastL = layers[layers.length-2];
-                    let batchLoss = this._computeLoss(batchY.t, lastL);
+                    // Forward pass, backward pass and weight update for this batch
+                    let { loss: batchLoss, y: batchTargets, yPred: batchPred } = this._trainBatch(batch.x, batch.y, lr, trainLoader.batchSize, gradientClipping);
                     
                     if(isNaN(batchLoss)) {
                         console.error('NaN loss detected!');
                         console.log('Layer states:', this.layers);
-                        console.log('Batch Y:', batchY.t);
-                        console.log('Last layer output:', lastL);
+                        console.log('Batch Y:', batchTargets);
+                        console.log('Last layer output:', batchPred);
                         throw new Error('Training failed: NaN loss detected');
                     }
                     
@@ -673,7 +1320,7 @@ export class Model {
                     // Update metrics
                     metrics.forEach(metric => {
                         if (!batchMetrics[metric]) batchMetrics[metric] = 0;
-                        batchMetrics[metric] += this._computeMetric(metric, batchY.t, lastL);
+                        batchMetrics[metric] += this._computeMetric(metric, batchTargets, batchPred);
                     });
 
                     // Call batch end callback if provided
@@ -684,28 +1331,32 @@ export class Model {
                             learningRate: lr
                         });
                     }
+
+                    if (scheduler.interval === 'batch') {
+                        lr = scheduler.step(batchLoss);
+                    }
+                }
+
+                if (numBatches === 0) {
+                    throw new Error('Training data produced no batches');
                 }
 
                 // Average the loss over number of batches
-                loss /= batchPerEpoch;
+                loss /= numBatches;
                 trainLosses.push(loss);
+                learningRates.push(lr);
 
                 // Update epoch metrics
                 metrics.forEach(metric => {
-                    state.metrics[metric].push(batchMetrics[metric] / batchPerEpoch);
+                    state.metrics[metric].push(batchMetrics[metric] / numBatches);
                 });
 
                 weightHistory.push([...this.layers.map((i) => i.getWeights())]);
+                updateTrainingInfo();
 
                 // Regular checkpoint saving
                 if (checkpointFrequency > 0 && (i + 1) % checkpointFrequency === 0) {
-                    let checkpointPath = `${checkpointDir}/checkpoint_epoch_${i+1}.json`;
-                    try {
-                        fs.writeFileSync(checkpointPath, this.save());
-                        state.checkpoints.push(checkpointPath);
-                    } catch (e) {
-                        console.warn('Could not save checkpoint:', e);
-                    }
+                    writeCheckpoint(`checkpoint_epoch_${i+1}`);
                 }
 
                 // Enhanced logging
@@ -716,7 +1367,7 @@ export class Model {
                     console.log('\nEpoch Summary:');
                     console.log(`Time: ${epochTime.toFixed(2)}s (Total: ${totalTime.toFixed(2)}s)`);
                     console.log(`Training Loss: ${loss.toFixed(6)}`);
-                    if (xValidation) {
+                    if (validationLoader) {
                         console.log(`Validation Loss: ${valLoss.toFixed(6)}`);
                     }
                     metrics.forEach(metric => {
@@ -736,25 +1387,47 @@ export class Model {
                     });
                 }
 
+                if (scheduler.interval !== 'batch') {
+                    // Plateau detection monitors validation loss when it is available
+                    lr = scheduler.step(valLoss !== null ? valLoss : loss);
+                }
+
                 return false; // Continue training
             };
 
             // Start the training loop
             const startTraining = async () => {
-                for(let i = 0; i < maxIter; i++) {
-                    const shouldStop = await trainEpoch(i);
-                    if (shouldStop) break;
-                    
-                    // Allow the browser to render between epochs
-                    await new Promise(resolve => setTimeout(resolve, 0));
+                let parallelSettings = parallel ? GV.configureParallel({ ...(parallel === true ? {} : parallel), enabled: true }) : null;
+                try {
+                    for(let i = 0; i < maxIter; i++) {
+                        const shouldStop = await trainEpoch(i);
+                        if (shouldStop) break;
+                        
+                        // Allow the browser to render between epochs
+                        await new Promise(resolve => setTimeout(resolve, 0));
+                    }
+                } finally {
+                    if (parallelSettings) {
+                        GV.configureParallel(parallelSettings);
+                    }
+                    Object.assign(this._trainingControl, {
+                        isTraining: false,
+                        isPaused: false,
+                        resume: null
+                    });
                 }
+                updateTrainingInfo();
                 
                 return {
                     trainLosses,
                     validationLosses,
+                    learningRates,
                     metrics: state.metrics,
                     checkpoints: state.checkpoints,
-                    trainingTime: (Date.now() - state.startTime) / 1000
+                    trainingTime: (Date.now() - state.startTime) / 1000,
+                    epochs: trainLosses.length,
+                    stoppedEarly,
+                    seed: this.seed
                 };
             };
 
@@ -813,9 +1486,22 @@ export class Model {
                 layers: this.layers.map(layer => layer.getMetadata()),
                 lossFunction: {
                     type: this.lossFunction.constructor.name,
-                    params: this.lossFunction.getActivationParams ? this.lossFunction.getActivationParams() : {}
+                    params: this.lossFunction.getLossParams ? this.lossFunction.getLossParams() : {}
                 }
             };
         }
     }
+
+    /**
+     * Loads a model saved with saveTo(). Every weight file is checked against its checksum.
+     * Called on GraphModel, it restores a graph model.
+     * @param {string} dir - Directory written by saveTo()
+     * @returns {Model} The restored model
+     * @throws {Error} If a weight file is missing or corrupted
+     */
+    static loadFrom(dir) {
+        let model = new this();
+        model.load(readWeights(dir));
+        return model;
+    }
 } 
\ No newline at end of file
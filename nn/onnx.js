@@ -0,0 +1,406 @@
+/**
+ * ONNX Export
+ * Writes trained sequential and graph models as ONNX models (opset 17) for
+ * inference in other runtimes. The graph is built by walking getArchitecture()
+ * and the layer weights, and encoded with a small built-in protobuf writer.
+ *
+ * Inputs keep Dulvit's layout: [batch, features], or [batch, height, width,
+ * channels] for images, which is transposed to ONNX's NCHW around convolution
+ * and pooling nodes. Outputs are [batch, units] and include the loss's output
+ * function (softmax for Loss.Softmax, sigmoid for Loss.CrossEntropy), so they
+ * match the transpose of predict() in evaluation mode (setTrainingMode(false)):
+ * BatchNorm always uses its running statistics and Dropout becomes Identity.
+ * Weights are stored as float32.
+ *
+ * @module nn/onnx
+ */
+
+import fs from 'fs';
+import * as Loss from './loss.js';
+
+/**
+ * ONNX operator set and the IR version that goes with it
+ * @private
+ */
+const OPSET_VERSION = 17;
+const IR_VERSION = 8;
+
+// TensorProto.DataType and AttributeProto.AttributeType values
+const FLOAT = 1;
+const ATTRIBUTE_FLOAT = 1;
+const ATTRIBUTE_INT = 2;
+const ATTRIBUTE_INTS = 7;
+
+// ******************* Protobuf encoding *********************
+
+/**
+ * Encodes an integer as a protobuf varint; negative int64 values take ten bytes
+ * @private
+ */
+const varint = (value) => {
+    let v = BigInt.asUintN(64, BigInt(value));
+    let bytes = [];
+    while (v > 0x7fn) {
+        bytes.push(Number(v & 0x7fn) | 0x80);
+        v >>= 7n;
+    }
+    bytes.push(Number(v));
+    return Buffer.from(bytes);
+};
+
+const tag = (field, wireType) => varint(field * 8 + wireType);
+
+const intField = (field, value) => Buffer.concat([tag(field, 0), varint(value)]);
+
+const bytesField = (field, bytes) => Buffer.concat([tag(field, 2), varint(bytes.length), bytes]);
+
+const stringField = (field, text) => bytesField(field, Buffer.from(text, 'utf8'));
+
+const floatField = (field, value) => {
+    let bytes = Buffer.alloc(4);
+    bytes.writeFloatLE(value, 0);
+    return Buffer.concat([tag(field, 5), bytes]);
+};
+
+// An embedded message is a length-delimited field holding its encoded fields
+const messageField = (field, parts) => bytesField(field, Buffer.concat(parts));
+
+// ******************* ONNX messages *********************
+
+const attributeFloat = (name, value) => [stringField(1, name), floatField(2, value), intField(20, ATTRIBUTE_FLOAT)];
+
+const attributeInt = (name, value) => [stringField(1, name), intField(3, value), intField(20, ATTRIBUTE_INT)];
+
+const attributeInts = (name, values) => [stringField(1, name), ...values.map(v => intField(8, v)), intField(20, ATTRIBUTE_INTS)];
+
+/**
+ * Encodes a NodeProto
+ * @private
+ */
+const encodeNode = ({ op, inputs, outputs, name, attributes }) => [
+    ...inputs.map(input => stringField(1, input)),
+    ...outputs.map(output => stringField(2, output)),
+    stringField(3, name),
+    stringField(4, op),
+    ...attributes.map(attribute => messageField(5, attribute))
+];
+
+/**
+ * Encodes a float32 TensorProto
+ * @private
+ */
+const encodeTensor = ({ name, dims, values }) => {
+    let raw = Buffer.alloc(values.length * 4);
+    for (let i = 0; i < values.length; i++) {
+        raw.writeFloatLE(values[i], i * 4);
+    }
+    return [...dims.map(d => intField(1, d)), intField(2, FLOAT), stringField(8, name), bytesField(9, raw)];
+};
+
+/**
+ * Encodes a ValueInfoProto of a float tensor whose first dimension is the batch
+ * @private
+ */
+const encodeValueInfo = (name, sampleShape) => {
+    let dims = [messageField(1, [stringField(2, 'batch')]), ...sampleShape.map(d => messageField(1, [intField(1, d)]))];
+    let tensorType = [intField(1, FLOAT), messageField(2, dims)];
+    return [stringField(1, name), messageField(2, [messageField(1, tensorType)])];
+};
+
+/**
+ * Encodes a ModelProto
+ * @private
+ */
+const encodeModel = ({ nodes, initializers, inputs, outputs, name }) => {
+    let graph = [
+        ...nodes.map(node => messageField(1, encodeNode(node))),
+        stringField(2, name),
+        ...initializers.map(tensor => messageField(5, encodeTensor(tensor))),
+        ...inputs.map(({ name, shape }) => messageField(11, encodeValueInfo(name, shape))),
+        ...outputs.map(({ name, shape }) => messageField(12, encodeValueInfo(name, shape)))
+    ];
+    return Buffer.concat([
+        intField(1, IR_VERSION),
+        stringField(2, 'dulvit'),
+        messageField(7, graph),
+        messageField(8, [stringField(1, ''), intField(2, OPSET_VERSION)])
+    ]);
+};
+
+// ******************* Graph construction *********************
+
+const toShape = (size) => Array.isArray(size) ? size.slice() : [size];
+
+/**
+ * Explicit [top, left, bottom, right] padding of a convolution or pooling window,
+ * computed like GV._convGeometry (the extra row or column of 'same' goes at the end)
+ * @private
+ */
+const windowPads = (inputShape, kernel, stride, dilation, padding) => {
+    if (padding === 'valid') return [0, 0, 0, 0];
+    let before = [], after = [];
+    for (let d = 0; d < 2; d++) {
+        let effectiveKernel = (kernel[d] - 1) * dilation[d] + 1;
+        let outSize = Math.ceil(inputShape[d] / stride[d]);
+        let total = Math.max((outSize - 1) * stride[d] + effectiveKernel - inputShape[d], 0);
+        before.push(Math.floor(total / 2));
+        after.push(total - Math.floor(total / 2));
+    }
+    return [...before, ...after];
+};
+
+/**
+ * Collects the nodes and initializers of the ONNX graph. Values are { name, shape, layout }
+ * with shape the sample shape in Dulvit's layout and layout 'NCHW' once transposed for ONNX.
+ * @private
+ */
+class GraphBuilder {
+    constructor() {
+        this.nodes = [];
+        this.initializers = [];
+        this.names = new Set();
+
+        this.unique = (base) => {
+            let name = base;
+            for (let i = 1; this.names.has(name); i++) {
+                name = `${base}_${i}`;
+            }
+            this.names.add(name);
+            return name;
+        }
+
+        this.add = (op, inputs, { name = op, attributes = [], output = null } = {}) => {
+            let nodeName = this.unique(name);
+            let outputName = output || this.unique(`${nodeName}_output`);
+            this.nodes.push({ op, inputs, outputs: [outputName], name: nodeName, attributes });
+            return outputName;
+        }
+
+        this.constant = (name, dims, values) => {
+            let tensorName = this.unique(name);
+            this.initializers.push({ name: tensorName, dims, values });
+            return tensorName;
+        }
+
+        // Images are NHWC in Dulvit and NCHW in ONNX convolutions
+        this.toLayout = (value, layout, name) => {
+            if (value.shape.length !== 3 || value.layout === layout) return value;
+            let perm = layout === 'NCHW' ? [0, 3, 1, 2] : [0, 2, 3, 1];
+            let output = this.add('Transpose', [value.name], { name: `${name}_to_${layout}`, attributes: [attributeInts('perm', perm)] });
+            return { ...value, name: output, layout };
+        }
+    }
+}
+
+/**
+ * Appends the nodes of an activation
+ * @private
+ */
+const addActivation = (builder, activation, input, name) => {
+    if (!activation) return input;
+    switch(activation.constructor.name) {
+        case 'ReLU':
+            return builder.add('Relu', [input], { name: `${name}_relu` });
+        case 'Sigmoid':
+            return builder.add('Sigmoid', [input], { name: `${name}_sigmoid` });
+        case 'Tanh':
+            return builder.add('Tanh', [input], { name: `${name}_tanh` });
+        case 'LeakyReLU':
+            return builder.add('LeakyRelu', [input], { name: `${name}_leaky_relu`, attributes: [attributeFloat('alpha', activation.alpha)] });
+        case 'ELU':
+            return builder.add('Elu', [input], { name: `${name}_elu`, attributes: [attributeFloat('alpha', activation.alpha)] });
+        case 'Swish': {
+            // x * sigmoid(x); Swish is not an operator in opset 17
+            let sigmoid = builder.add('Sigmoid', [input], { name: `${name}_swish_sigmoid` });
+            return builder.add('Mul', [input, sigmoid], { name: `${name}_swish` });
+        }
+        default:
+            throw new Error(`Activation ${activation.constructor.name} of layer ${name} cannot be exported to ONNX`);
+    }
+};
+
+/**
+ * Appends the nodes of a layer
+ * @private
+ * @param {GraphBuilder} builder - The graph under construction
+ * @param {Object} metadata - The layer's entry of getArchitecture()
+ * @param {Object} layer - The layer, for its weights
+ * @param {Array<Object>} inputs - Input values
+ * @param {Array<number>} outputShape - Sample shape of the layer output
+ * @param {number} index - Position of the layer, for error messages
+ * @returns {Object} The output value
+ */
+const addLayer = (builder, metadata, layer, inputs, outputShape, index) => {
+    let name = builder.unique(metadata.name);
+    let [input] = inputs;
+    let params = metadata.params;
+    const output = (valueName, layout = 'NHWC') => ({ name: valueName, shape: outputShape, layout });
+
+    switch(metadata.type) {
+        case 'Dense': {
+            // W holds the kernel [inputs, units] with the bias as its last row
+            let units = metadata.units;
+            let fanIn = layer.W.length - 1;
+            let weights = builder.constant(`${name}_W`, [fanIn, units], layer.W.values.subarray(0, fanIn * units));
+            let bias = builder.constant(`${name}_b`, [units], layer.W.values.subarray(fanIn * units));
+            let z = builder.add('Gemm', [input.name, weights, bias], { name });
+            return output(addActivation(builder, layer.activation, z, name));
+        }
+        case 'Conv2D': {
+            input = builder.toLayout(input, 'NCHW', name);
+            let [kh, kw, inChannels, filters] = layer.W.shape;
+            // [kh, kw, in, out] -> [out, in, kh, kw]
+            let kernel = new Float64Array(layer.W.size);
+            for (let u = 0, k = 0; u < kh; u++) {
+                for (let v = 0; v < kw; v++) {
+                    for (let c = 0; c < inChannels; c++) {
+                        for (let f = 0; f < filters; f++, k++) {
+                            kernel[((f * inChannels + c) * kh + u) * kw + v] = layer.W.values[k];
+                        }
+                    }
+                }
+            }
+            let weights = builder.constant(`${name}_W`, [filters, inChannels, kh, kw], kernel);
+            let bias = builder.constant(`${name}_b`, [filters], layer.b.values);
+            let z = builder.add('Conv', [input.name, weights, bias], { name, attributes: [
+                attributeInts('kernel_shape', [kh, kw]),
+                attributeInts('strides', params.stride),
+                attributeInts('dilations', params.dilation),
+                attributeInts('pads', windowPads(input.shape, [kh, kw], params.stride, params.dilation, params.padding))
+            ] });
+            return output(addActivation(builder, layer.activation, z, name), 'NCHW');
+        }
+        case 'MaxPooling2D':
+        case 'AveragePooling2D': {
+            input = builder.toLayout(input, 'NCHW', name);
+            let attributes = [
+                attributeInts('kernel_shape', layer.poolSize),
+                attributeInts('strides', layer.stride),
+                attributeInts('pads', windowPads(input.shape, layer.poolSize, layer.stride, [1, 1], layer.padding))
+            ];
+            if (metadata.type === 'AveragePooling2D') {
+                // Padded cells do not count towards the average
+                attributes.push(attributeInt('count_include_pad', 0));
+            }
+            let op = metadata.type === 'MaxPooling2D' ? 'MaxPool' : 'AveragePool';
+            return output(builder.add(op, [input.name], { name, attributes }), 'NCHW');
+        }
+        case 'GlobalAveragePooling2D': {
+            input = builder.toLayout(input, 'NCHW', name);
+            let pooled = builder.add('GlobalAveragePool', [input.name], { name });
+            return output(builder.add('Flatten', [pooled], { name: `${name}_flatten`, attributes: [attributeInt('axis', 1)] }));
+        }
+        case 'Flatten': {
+            // Dulvit flattens images in NHWC order
+            input = builder.toLayout(input, 'NHWC', name);
+            return output(builder.add('Flatten', [input.name], { name, attributes: [attributeInt('axis', 1)] }));
+        }
+        case 'Dropout':
+            return output(builder.add('Identity', [input.name], { name }), input.layout);
+        case 'BatchNorm': {
+            // Inference uses the running statistics: x * scale + shift over the last axis
+            input = builder.toLayout(input, 'NHWC', name);
+            let features = layer.gamma.size;
+            let scale = new Float64Array(features), shift = new Float64Array(features);
+            for (let c = 0; c < features; c++) {
+                scale[c] = layer.gamma.values[c] / Math.sqrt(layer.runningVar.values[c] + layer.epsilon);
+                shift[c] = layer.beta.values[c] - layer.runningMean.values[c] * scale[c];
+            }
+            let scaled = builder.add('Mul', [input.name, builder.constant(`${name}_scale`, [features], scale)], { name: `${name}_scale` });
+            return output(builder.add('Add', [scaled, builder.constant(`${name}_shift`, [features], shift)], { name }));
+        }
+        case 'LayerNorm': {
+            input = builder.toLayout(input, 'NHWC', name);
+            let features = layer.gamma.size;
+            let gamma = builder.constant(`${name}_gamma`, [features], layer.gamma.values);
+            let beta = builder.constant(`${name}_beta`, [features], layer.beta.values);
+            return output(builder.add('LayerNormalization', [input.name, gamma, beta], { name, attributes: [
+                attributeInt('axis', -1),
+                attributeFloat('epsilon', layer.epsilon)
+            ] }));
+        }
+        case 'Add':
+        case 'Multiply':
+        case 'Concatenate': {
+            inputs = inputs.map(value => builder.toLayout(value, 'NHWC', name));
+            if (metadata.type === 'Concatenate') {
+                return output(builder.add('Concat', inputs.map(value => value.name), { name, attributes: [attributeInt('axis', -1)] }));
+            }
+            // The ONNX operators are binary
+            let op = metadata.type === 'Add' ? 'Add' : 'Mul';
+            let result = inputs[0].name;
+            for (let i = 1; i < inputs.length; i++) {
+                result = builder.add(op, [result, inputs[i].name], { name: i === inputs.length - 1 ? name : `${name}_${i}` });
+            }
+            return output(result);
+        }
+        default:
+            throw new Error(`Layer ${index} (${metadata.name}) cannot be exported to ONNX; supported layers are Dense, Conv2D, `
+                + 'MaxPooling2D, AveragePooling2D, GlobalAveragePooling2D, Flatten, Dropout, BatchNorm, LayerNorm, Add, Multiply and Concatenate');
+    }
+};
+
+/**
+ * Appends the loss's output function, so that the ONNX output matches predict()
+ * @private
+ */
+const addOutput = (builder, lossFunction, value, name) => {
+    let input = builder.toLayout(value, 'NHWC', name).name;
+    if (lossFunction instanceof Loss.Softmax) {
+        return builder.add('Softmax', [input], { name: `${name}_softmax`, attributes: [attributeInt('axis', -1)], output: name });
+    }
+    if (lossFunction instanceof Loss.CrossEntropy) {
+        return builder.add('Sigmoid', [input], { name: `${name}_sigmoid`, output: name });
+    }
+    if (lossFunction instanceof Loss.Custom) {
+        throw new Error(`The custom loss of output '${name}' cannot be exported to ONNX`);
+    }
+    return builder.add('Identity', [input], { name: `${name}_identity`, output: name });
+};
+
+/**
+ * Exports a trained Model or GraphModel to ONNX. The outputs match predict(x).t
+ * in evaluation mode (setTrainingMode(false)); train() leaves the model in training mode.
+ *
+ * @param {Model|GraphModel} model - The model; its layers must be built
+ * @param {string} [path=null] - File to write, e.g. 'model.onnx'
+ * @returns {Buffer} The encoded ONNX model
+ * @throws {Error} On layers, activations or losses that have no ONNX equivalent
+ */
+export const exportONNX = (model, path = null) => {
+    let architecture = model.getArchitecture();
+    let builder = new GraphBuilder();
+    let inputs, outputs;
+
+    if (architecture.inputs) {
+        // Graph model: layer inputs refer to 'input:<name>' or 'layer:<index>'
+        inputs = architecture.inputs.map(({ name, shape }) => ({ name, shape: toShape(shape) }));
+        let values = new Map(inputs.map(input => [`input:${input.name}`, { name: input.name, shape: input.shape, layout: 'NHWC' }]));
+        for (let name of [...model.inputNames, ...model.outputNames]) builder.names.add(name);
+        architecture.layers.forEach((metadata, i) => {
+            let layerInputs = metadata.inputs.map(source => values.get(source));
+            values.set(`layer:${i}`, addLayer(builder, metadata, model.nodes[i].layer, layerInputs, toShape(metadata.outputShape), i));
+        });
+        outputs = architecture.outputs.map(({ name, source }) => {
+            addOutput(builder, model.lossFunctions[name], values.get(source), name);
+            return { name, shape: values.get(source).shape };
+        });
+    } else {
+        let { inputShape, layers } = model.compile();
+        inputs = [{ name: 'input', shape: inputShape }];
+        builder.names.add('input');
+        builder.names.add('output');
+        let value = { name: 'input', shape: inputShape, layout: 'NHWC' };
+        architecture.layers.forEach((metadata, i) => {
+            value = addLayer(builder, metadata, model.layers[i], [value], toShape(layers[i].outputShape), i);
+        });
+        addOutput(builder, model.lossFunction, value, 'output');
+        outputs = [{ name: 'output', shape: value.shape }];
+    }
+
+    let bytes = encodeModel({ nodes: builder.nodes, initializers: builder.initializers, inputs, outputs, name: 'dulvit' });
+    if (path) {
+        fs.writeFileSync(path, bytes);
+    }
+    return bytes;
+};
\ No newline at end of file
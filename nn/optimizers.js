@@ -0,0 +1,427 @@
+/**
+ * Optimizers
+ * Gradient-based update rules used by Model.train. Each optimizer keeps its own
+ * per-parameter state (momentum buffers, moment estimates, ...) keyed by a
+ * string such as '0.W' (layer index and parameter name), so the state can be
+ * serialized with Model.save() and training can be resumed later.
+ *
+ * @module nn/optimizers
+ */
+
+import GV from '../gv.js';
+
+/**
+ * Applies fn to every element of a parameter and writes the result back in place.
+ * Slots are flat arrays in row-major order, so k indexes both the element and its slots.
+ * A sparse { type: 'SparseRows', indices, values } gradient (values being a Tensor
+ * [indices.length, rowSize]) only visits the listed rows of a Tensor parameter.
+ *
+ * @private
+ * @param {Matrix|Tensor} param - Parameter to update in place
+ * @param {Matrix|Tensor|Object} grad - Gradient with the same shape as param, or sparse rows
+ * @param {Function} fn - (w, g, k) => new value of w
+ */
+const eachElement = (param, grad, fn) => {
+    if (grad.type === 'SparseRows') {
+        let rowSize = param.size / param.shape[0];
+        let w = param.values;
+        let g = grad.values.values;
+        if (grad.values.size !== grad.indices.length * rowSize) {
+            throw new Error(`Sparse gradient shape [${grad.values.shape}] does not match rows of parameter shape [${param.shape}]`);
+        }
+        grad.indices.forEach((row, r) => {
+            for (let j = 0; j < rowSize; j++) {
+                let k = row * rowSize + j;
+                w[k] = fn(w[k], g[r * rowSize + j], k);
+            }
+        });
+        return;
+    }
+
+    if (param.type === 'Tensor') {
+        if (grad.size !== param.size) {
+            throw new Error(`Gradient shape [${grad.shape}] does not match parameter shape [${param.shape}]`);
+        }
+        let w = param.values;
+        let g = grad.values;
+        for (let k = 0; k < w.length; k++) {
+            w[k] = fn(w[k], g[k], k);
+        }
+        return;
+    }
+
+    if (!grad.type || grad.type !== 'Matrix') {
+        grad = new GV.Matrix(grad);
+    }
+    if (param.shape[0] !== grad.shape[0] || param.shape[1] !== grad.shape[1]) {
+        throw new Error(`Gradient shape [${grad.shape}] does not match parameter shape [${param.shape}]`);
+    }
+    let w = param.values;
+    let g = grad.values;
+    for (let k = 0; k < w.length; k++) {
+        w[k] = fn(w[k], g[k], k);
+    }
+};
+
+/**
+ * Optimizer prototype
+ *
+ * @type {Object}
+ */
+const OptimizerProto = {
+    /**
+     * Returns the named state slot for a parameter, creating it filled with zeros
+     * @param {string} key - Parameter key
+     * @param {string} name - Slot name
+     * @param {Matrix|Tensor} param - Parameter the slot belongs to
+     * @returns {Array<number>} The slot values, flattened in row-major order
+     */
+    getSlot(key, name, param) {
+        if (!this.state[key]) {
+            this.state[key] = { step: 0 };
+        }
+        if (!this.state[key][name]) {
+            this.state[key][name] = new Array(param.size).fill(0);
+        }
+        return this.state[key][name];
+    },
+    /**
+     * Increments and returns the step counter for a parameter
+     * @param {string} key - Parameter key
+     * @returns {number} The step number, starting at 1
+     */
+    nextStep(key) {
+        if (!this.state[key]) {
+            this.state[key] = { step: 0 };
+        }
+        return ++this.state[key].step;
+    },
+    /**
+     * Clears all accumulated state
+     */
+    reset() {
+        this.state = {};
+    },
+    /**
+     * Returns a JSON-serializable snapshot of the optimizer
+     * @returns {Object} Optimizer type, hyperparameters and per-parameter state
+     */
+    getState() {
+        return {
+            type: this.name,
+            config: this.getConfig(),
+            state: JSON.parse(JSON.stringify(this.state))
+        };
+    },
+    /**
+     * Restores per-parameter state produced by getState()
+     * @param {Object} snapshot - Output of getState()
+     */
+    setState(snapshot) {
+        this.state = snapshot && snapshot.state ? JSON.parse(JSON.stringify(snapshot.state)) : {};
+    },
+    getConfig() {
+        return {};
+    }
+};
+
+/**
+ * Plain stochastic gradient descent
+ *
+ * @class SGD
+ * @implements {OptimizerProto}
+ */
+export class SGD {
+    constructor({ weightDecay = 0 } = {}) {
+        this.name = 'SGD';
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            eachElement(param, grad, (w, g) => w - lr * (g + this.weightDecay * w));
+        }
+
+        this.getConfig = () => {
+            return {
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+/**
+ * SGD with classical (heavy ball) momentum
+ *
+ * @class Momentum
+ * @implements {OptimizerProto}
+ */
+export class Momentum {
+    constructor({ momentum = 0.9, weightDecay = 0 } = {}) {
+        this.name = 'Momentum';
+        this.momentum = momentum;
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            let velocity = this.getSlot(key, 'velocity', param);
+            this.nextStep(key);
+            eachElement(param, grad, (w, g, k) => {
+                g += this.weightDecay * w;
+                velocity[k] = this.momentum * velocity[k] + g;
+                return w - lr * velocity[k];
+            });
+        }
+
+        this.getConfig = () => {
+            return {
+                momentum: this.momentum,
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+/**
+ * SGD with Nesterov accelerated momentum
+ *
+ * @class Nesterov
+ * @implements {OptimizerProto}
+ */
+export class Nesterov {
+    constructor({ momentum = 0.9, weightDecay = 0 } = {}) {
+        this.name = 'Nesterov';
+        this.momentum = momentum;
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            let velocity = this.getSlot(key, 'velocity', param);
+            this.nextStep(key);
+            eachElement(param, grad, (w, g, k) => {
+                g += this.weightDecay * w;
+                velocity[k] = this.momentum * velocity[k] + g;
+                // Look ahead along the updated velocity
+                return w - lr * (g + this.momentum * velocity[k]);
+            });
+        }
+
+        this.getConfig = () => {
+            return {
+                momentum: this.momentum,
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+/**
+ * Adam optimizer with bias-corrected first and second moment estimates.
+ * weightDecay is applied as L2 regularization on the gradient.
+ *
+ * @class Adam
+ * @implements {OptimizerProto}
+ */
+export class Adam {
+    constructor({ beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, weightDecay = 0 } = {}) {
+        this.name = 'Adam';
+        this.beta1 = beta1;
+        this.beta2 = beta2;
+        this.epsilon = epsilon;
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            let m = this.getSlot(key, 'm', param);
+            let v = this.getSlot(key, 'v', param);
+            let t = this.nextStep(key);
+            let correction1 = 1 - Math.pow(this.beta1, t);
+            let correction2 = 1 - Math.pow(this.beta2, t);
+
+            eachElement(param, grad, (w, g, k) => {
+                g += this.weightDecay * w;
+                m[k] = this.beta1 * m[k] + (1 - this.beta1) * g;
+                v[k] = this.beta2 * v[k] + (1 - this.beta2) * g * g;
+                let mHat = m[k] / correction1;
+                let vHat = v[k] / correction2;
+                return w - lr * mHat / (Math.sqrt(vHat) + this.epsilon);
+            });
+        }
+
+        this.getConfig = () => {
+            return {
+                beta1: this.beta1,
+                beta2: this.beta2,
+                epsilon: this.epsilon,
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+/**
+ * Adam with decoupled weight decay (Loshchilov & Hutter)
+ *
+ * @class AdamW
+ * @implements {OptimizerProto}
+ */
+export class AdamW {
+    constructor({ beta1 = 0.9, beta2 = 0.999, epsilon = 1e-8, weightDecay = 0.01 } = {}) {
+        this.name = 'AdamW';
+        this.beta1 = beta1;
+        this.beta2 = beta2;
+        this.epsilon = epsilon;
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            let m = this.getSlot(key, 'm', param);
+            let v = this.getSlot(key, 'v', param);
+            let t = this.nextStep(key);
+            let correction1 = 1 - Math.pow(this.beta1, t);
+            let correction2 = 1 - Math.pow(this.beta2, t);
+
+            eachElement(param, grad, (w, g, k) => {
+                m[k] = this.beta1 * m[k] + (1 - this.beta1) * g;
+                v[k] = this.beta2 * v[k] + (1 - this.beta2) * g * g;
+                let mHat = m[k] / correction1;
+                let vHat = v[k] / correction2;
+                // Decay the weights directly instead of through the gradient
+                return w - lr * (mHat / (Math.sqrt(vHat) + this.epsilon) + this.weightDecay * w);
+            });
+        }
+
+        this.getConfig = () => {
+            return {
+                beta1: this.beta1,
+                beta2: this.beta2,
+                epsilon: this.epsilon,
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+/**
+ * RMSprop optimizer
+ *
+ * @class RMSprop
+ * @implements {OptimizerProto}
+ */
+export class RMSprop {
+    constructor({ rho = 0.9, epsilon = 1e-8, weightDecay = 0 } = {}) {
+        this.name = 'RMSprop';
+        this.rho = rho;
+        this.epsilon = epsilon;
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            let meanSquare = this.getSlot(key, 'meanSquare', param);
+            this.nextStep(key);
+            eachElement(param, grad, (w, g, k) => {
+                g += this.weightDecay * w;
+                meanSquare[k] = this.rho * meanSquare[k] + (1 - this.rho) * g * g;
+                return w - lr * g / (Math.sqrt(meanSquare[k]) + this.epsilon);
+            });
+        }
+
+        this.getConfig = () => {
+            return {
+                rho: this.rho,
+                epsilon: this.epsilon,
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+/**
+ * Adagrad optimizer
+ *
+ * @class Adagrad
+ * @implements {OptimizerProto}
+ */
+export class Adagrad {
+    constructor({ epsilon = 1e-8, initialAccumulator = 0, weightDecay = 0 } = {}) {
+        this.name = 'Adagrad';
+        this.epsilon = epsilon;
+        this.initialAccumulator = initialAccumulator;
+        this.weightDecay = weightDecay;
+        this.state = {};
+
+        this.update = (key, param, grad, lr) => {
+            let isNew = !this.state[key] || !this.state[key].sumSquares;
+            let sumSquares = this.getSlot(key, 'sumSquares', param);
+            if (isNew && this.initialAccumulator !== 0) {
+                sumSquares.fill(this.initialAccumulator);
+            }
+            this.nextStep(key);
+            eachElement(param, grad, (w, g, k) => {
+                g += this.weightDecay * w;
+                sumSquares[k] += g * g;
+                return w - lr * g / (Math.sqrt(sumSquares[k]) + this.epsilon);
+            });
+        }
+
+        this.getConfig = () => {
+            return {
+                epsilon: this.epsilon,
+                initialAccumulator: this.initialAccumulator,
+                weightDecay: this.weightDecay
+            };
+        }
+    }
+}
+
+Object.assign(SGD.prototype, OptimizerProto);
+Object.assign(Momentum.prototype, OptimizerProto);
+Object.assign(Nesterov.prototype, OptimizerProto);
+Object.assign(Adam.prototype, OptimizerProto);
+Object.assign(AdamW.prototype, OptimizerProto);
+Object.assign(RMSprop.prototype, OptimizerProto);
+Object.assign(Adagrad.prototype, OptimizerProto);
+
+/**
+ * Resolves an optimizer instance from an instance or a name
+ * @param {Object|string} optimizer - Optimizer instance or name ('sgd', 'momentum', 'nesterov', 'adam', 'adamw', 'rmsprop', 'adagrad')
+ * @param {Object} [config={}] - Hyperparameters used when creating an optimizer from a name
+ * @returns {Object} Optimizer instance
+ */
+export function get(optimizer, config = {}) {
+    if (optimizer && typeof optimizer === 'object') {
+        if (typeof optimizer.update !== 'function') {
+            throw new Error('Optimizer instances must implement update(key, param, grad, lr)');
+        }
+        return optimizer;
+    }
+
+    switch (String(optimizer).toLowerCase()) {
+        case 'sgd':
+            return new SGD(config);
+        case 'momentum':
+            return new Momentum(config);
+        case 'nesterov':
+            return new Nesterov(config);
+        case 'adam':
+            return new Adam(config);
+        case 'adamw':
+            return new AdamW(config);
+        case 'rmsprop':
+            return new RMSprop(config);
+        case 'adagrad':
+            return new Adagrad(config);
+        default:
+            throw new Error(`Unknown optimizer: ${optimizer}`);
+    }
+}
+
+/**
+ * Recreates an optimizer, including its accumulated state, from getState() output
+ * @param {Object} snapshot - Output of an optimizer's getState()
+ * @returns {Object} Optimizer instance
+ */
+export function fromState(snapshot) {
+    let optimizer = get(snapshot.type, snapshot.config);
+    optimizer.setState(snapshot);
+    return optimizer;
+}
@@ -0,0 +1,401 @@
+/**
+ * Learning Rate Schedulers
+ * Objects that compute the learning rate used by Model.train. A scheduler is
+ * stepped either once per epoch or once per batch (see `interval`) and exposes
+ * the current rate as `lr`.
+ *
+ * @module nn/schedulers
+ */
+
+/**
+ * Scheduler prototype
+ *
+ * @type {Object}
+ */
+const SchedulerProto = {
+    /**
+     * Starts the schedule from the given base learning rate
+     * @param {number} baseLr - Learning rate at step 0
+     * @returns {number} The learning rate for the first step
+     */
+    reset(baseLr) {
+        this.baseLr = baseLr;
+        this.stepCount = 0;
+        this.lr = this.getLrAt(0);
+        return this.lr;
+    },
+    /**
+     * Advances the schedule by one epoch or batch
+     * @param {number} [metric] - Monitored value (only used by ReduceLROnPlateau)
+     * @returns {number} The learning rate for the next step
+     */
+    step(metric) {
+        this.stepCount++;
+        this.lr = this.getLrAt(this.stepCount, metric);
+        return this.lr;
+    },
+    getConfig() {
+        return {};
+    }
+};
+
+/**
+ * Keeps the learning rate fixed
+ *
+ * @class Constant
+ * @implements {SchedulerProto}
+ */
+export class Constant {
+    constructor({ interval = 'epoch' } = {}) {
+        this.name = 'Constant';
+        this.interval = interval;
+
+        this.getLrAt = () => this.baseLr;
+    }
+}
+
+/**
+ * Multiplies the learning rate by gamma every step: lr = baseLr * gamma^t
+ *
+ * @class ExponentialDecay
+ * @implements {SchedulerProto}
+ */
+export class ExponentialDecay {
+    constructor({ gamma = 0.9999, interval = 'epoch' } = {}) {
+        this.name = 'ExponentialDecay';
+        this.gamma = gamma;
+        this.interval = interval;
+
+        this.getLrAt = (t) => this.baseLr * Math.pow(this.gamma, t);
+
+        this.getConfig = () => {
+            return {
+                gamma: this.gamma,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * Inverse time decay: lr = baseLr / (1 + decayRate * t)
+ *
+ * @class InverseTimeDecay
+ * @implements {SchedulerProto}
+ */
+export class InverseTimeDecay {
+    constructor({ decayRate = 0.0001, interval = 'epoch' } = {}) {
+        this.name = 'InverseTimeDecay';
+        this.decayRate = decayRate;
+        this.interval = interval;
+
+        this.getLrAt = (t) => this.baseLr / (1 + this.decayRate * t);
+
+        this.getConfig = () => {
+            return {
+                decayRate: this.decayRate,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * Multiplies the learning rate by gamma every stepSize steps
+ *
+ * @class StepDecay
+ * @implements {SchedulerProto}
+ */
+export class StepDecay {
+    constructor({ stepSize = 10, gamma = 0.1, interval = 'epoch' } = {}) {
+        this.name = 'StepDecay';
+        this.stepSize = stepSize;
+        this.gamma = gamma;
+        this.interval = interval;
+
+        this.getLrAt = (t) => this.baseLr * Math.pow(this.gamma, Math.floor(t / this.stepSize));
+
+        this.getConfig = () => {
+            return {
+                stepSize: this.stepSize,
+                gamma: this.gamma,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * Multiplies the learning rate by gamma at each milestone step
+ *
+ * @class MultiStepDecay
+ * @implements {SchedulerProto}
+ */
+export class MultiStepDecay {
+    constructor({ milestones = [], gamma = 0.1, interval = 'epoch' } = {}) {
+        this.name = 'MultiStepDecay';
+        this.milestones = milestones.slice().sort((a, b) => a - b);
+        this.gamma = gamma;
+        this.interval = interval;
+
+        this.getLrAt = (t) => {
+            let passed = this.milestones.filter(milestone => t >= milestone).length;
+            return this.baseLr * Math.pow(this.gamma, passed);
+        }
+
+        this.getConfig = () => {
+            return {
+                milestones: this.milestones,
+                gamma: this.gamma,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * Cosine annealing with warm restarts (SGDR). The first cycle lasts period steps,
+ * each following cycle is periodMult times longer.
+ *
+ * @class CosineAnnealingWarmRestarts
+ * @implements {SchedulerProto}
+ */
+export class CosineAnnealingWarmRestarts {
+    constructor({ period = 10, periodMult = 1, minLr = 0, interval = 'epoch' } = {}) {
+        if (period <= 0 || periodMult < 1) {
+            throw new Error('CosineAnnealingWarmRestarts requires period > 0 and periodMult >= 1');
+        }
+        this.name = 'CosineAnnealingWarmRestarts';
+        this.period = period;
+        this.periodMult = periodMult;
+        this.minLr = minLr;
+        this.interval = interval;
+
+        this.getLrAt = (t) => {
+            // Find the position inside the current cycle
+            let cycleLength = this.period;
+            let position = t;
+            while (position >= cycleLength) {
+                position -= cycleLength;
+                cycleLength *= this.periodMult;
+            }
+            let cosine = (1 + Math.cos(Math.PI * position / cycleLength)) / 2;
+            return this.minLr + (this.baseLr - this.minLr) * cosine;
+        }
+
+        this.getConfig = () => {
+            return {
+                period: this.period,
+                periodMult: this.periodMult,
+                minLr: this.minLr,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * Linearly ramps the learning rate from startFactor * baseLr to baseLr over
+ * warmupSteps steps, then hands over to an optional `after` scheduler. The
+ * `after` scheduler is stepped on the warmup's steps, so its interval must be
+ * the same as the warmup's (e.g. a per-batch warmup needs a per-batch `after`).
+ *
+ * @class LinearWarmup
+ * @implements {SchedulerProto}
+ */
+export class LinearWarmup {
+    constructor({ warmupSteps = 5, startFactor = 0, after = null, interval = 'batch' } = {}) {
+        // Schedulers without an interval are stepped per epoch by Model.train
+        let afterInterval = after && (after.interval || 'epoch');
+        if (after && afterInterval !== interval) {
+            throw new Error(`LinearWarmup steps its 'after' scheduler per ${interval}, but ${after.name || 'it'} has interval '${afterInterval}'; create it with interval: '${interval}'`);
+        }
+        this.name = 'LinearWarmup';
+        this.warmupSteps = warmupSteps;
+        this.startFactor = startFactor;
+        this.after = after;
+        this.interval = interval;
+
+        this.getLrAt = (t, metric) => {
+            if (t < this.warmupSteps) {
+                let factor = this.startFactor + (1 - this.startFactor) * t / this.warmupSteps;
+                return this.baseLr * factor;
+            }
+            if (!this.after) {
+                return this.baseLr;
+            }
+            if (t === this.warmupSteps) {
+                return this.after.reset(this.baseLr);
+            }
+            return this.after.step(metric);
+        }
+
+        this.getConfig = () => {
+            return {
+                warmupSteps: this.warmupSteps,
+                startFactor: this.startFactor,
+                after: this.after ? { type: this.after.name, config: this.after.getConfig() } : null,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * One-cycle policy: cosine ramp from maxLr / divFactor up to maxLr over the first
+ * pctStart of totalSteps, then cosine annealing down to maxLr / (divFactor * finalDivFactor).
+ * maxLr defaults to the learning rate passed to Model.train.
+ *
+ * @class OneCycle
+ * @implements {SchedulerProto}
+ */
+export class OneCycle {
+    constructor({ totalSteps, maxLr = null, pctStart = 0.3, divFactor = 25, finalDivFactor = 1e4, interval = 'batch' } = {}) {
+        if (!totalSteps || totalSteps <= 0) {
+            throw new Error('OneCycle requires totalSteps > 0');
+        }
+        this.name = 'OneCycle';
+        this.totalSteps = totalSteps;
+        this.maxLr = maxLr;
+        this.pctStart = pctStart;
+        this.divFactor = divFactor;
+        this.finalDivFactor = finalDivFactor;
+        this.interval = interval;
+
+        const anneal = (start, end, fraction) => end + (start - end) * (1 + Math.cos(Math.PI * fraction)) / 2;
+
+        this.getLrAt = (t) => {
+            let maxLr = this.maxLr !== null ? this.maxLr : this.baseLr;
+            let initialLr = maxLr / this.divFactor;
+            let finalLr = initialLr / this.finalDivFactor;
+            let warmupSteps = Math.max(1, Math.floor(this.pctStart * this.totalSteps));
+            t = Math.min(t, this.totalSteps);
+
+            if (t <= warmupSteps) {
+                return anneal(initialLr, maxLr, t / warmupSteps);
+            }
+            let annealSteps = Math.max(1, this.totalSteps - warmupSteps);
+            return anneal(maxLr, finalLr, (t - warmupSteps) / annealSteps);
+        }
+
+        this.getConfig = () => {
+            return {
+                totalSteps: this.totalSteps,
+                maxLr: this.maxLr,
+                pctStart: this.pctStart,
+                divFactor: this.divFactor,
+                finalDivFactor: this.finalDivFactor,
+                interval: this.interval
+            };
+        }
+    }
+}
+
+/**
+ * Multiplies the learning rate by factor when the monitored value (validation loss
+ * in Model.train, or training loss without validation data) has not improved by
+ * more than minDelta for patience steps.
+ *
+ * @class ReduceLROnPlateau
+ * @implements {SchedulerProto}
+ */
+export class ReduceLROnPlateau {
+    constructor({ factor = 0.1, patience = 10, minDelta = 1e-4, cooldown = 0, minLr = 0 } = {}) {
+        if (factor >= 1) {
+            throw new Error('ReduceLROnPlateau requires factor < 1');
+        }
+        this.name = 'ReduceLROnPlateau';
+        this.factor = factor;
+        this.patience = patience;
+        this.minDelta = minDelta;
+        this.cooldown = cooldown;
+        this.minLr = minLr;
+        this.interval = 'epoch';
+
+        this.reset = (baseLr) => {
+            this.baseLr = baseLr;
+            this.lr = baseLr;
+            this.stepCount = 0;
+            this.best = Infinity;
+            this.badSteps = 0;
+            this.cooldownCounter = 0;
+            return this.lr;
+        }
+
+        this.step = (metric) => {
+            this.stepCount++;
+            if (metric === undefined || metric === null || isNaN(metric)) {
+                return this.lr;
+            }
+
+            if (metric < this.best - this.minDelta) {
+                this.best = metric;
+                this.badSteps = 0;
+            } else {
+                this.badSteps++;
+            }
+
+            if (this.cooldownCounter > 0) {
+                this.cooldownCounter--;
+                this.badSteps = 0;
+            }
+
+            if (this.badSteps > this.patience) {
+                this.lr = Math.max(this.lr * this.factor, this.minLr);
+                this.cooldownCounter = this.cooldown;
+                this.badSteps = 0;
+            }
+            return this.lr;
+        }
+
+        this.getConfig = () => {
+            return {
+                factor: this.factor,
+                patience: this.patience,
+                minDelta: this.minDelta,
+                cooldown: this.cooldown,
+                minLr: this.minLr
+            };
+        }
+    }
+}
+
+Object.assign(Constant.prototype, SchedulerProto);
+Object.assign(ExponentialDecay.prototype, SchedulerProto);
+Object.assign(InverseTimeDecay.prototype, SchedulerProto);
+Object.assign(StepDecay.prototype, SchedulerProto);
+Object.assign(MultiStepDecay.prototype, SchedulerProto);
+Object.assign(CosineAnnealingWarmRestarts.prototype, SchedulerProto);
+Object.assign(LinearWarmup.prototype, SchedulerProto);
+Object.assign(OneCycle.prototype, SchedulerProto);
+Object.assign(ReduceLROnPlateau.prototype, SchedulerProto);
+
+/**
+ * Resolves a scheduler from an instance or one of the legacy lrSchedule names
+ * @param {Object|string} schedule - Scheduler instance, or 'constant', 'decay' or 'step'
+ * @param {Object} [options={}] - Legacy options
+ * @param {number} [options.lrDecay=0.9999] - Per-epoch decay factor used by 'constant'
+ * @returns {Object} Scheduler instance
+ */
+export function get(schedule, { lrDecay = 0.9999 } = {}) {
+    if (schedule && typeof schedule === 'object') {
+        if (typeof schedule.step !== 'function' || typeof schedule.reset !== 'function') {
+            throw new Error('Schedulers must implement reset(baseLr) and step(metric)');
+        }
+        return schedule;
+    }
+
+    switch (schedule) {
+        case 'decay':
+            return new InverseTimeDecay({ decayRate: 0.0001 });
+        case 'step':
+            return new StepDecay({ stepSize: 10, gamma: 0.1 });
+        case 'constant':
+        case undefined:
+        case null:
+            // Historically 'constant' still applied lrDecay every epoch
+            return new ExponentialDecay({ gamma: lrDecay });
+        default:
+            throw new Error(`Unknown learning rate schedule: ${schedule}`);
+    }
+}
@@ -0,0 +1,438 @@
+/**
+ * TensorFlow.js Layers Format
+ * Imports and exports sequential models in the TF.js Layers format written by
+ * tf.LayersModel.save() and tensorflowjs_converter: a model.json with the Keras
+ * topology and a weights manifest, and little-endian float32 weight shards.
+ *
+ * Supported layers are Dense, Dropout, Conv2D, MaxPooling2D, AveragePooling2D,
+ * GlobalAveragePooling2D, Flatten, BatchNormalization and LayerNormalization,
+ * plus Activation, LeakyReLU and ELU layers following a Dense or Conv2D layer.
+ * A softmax or sigmoid output becomes Loss.Softmax or Loss.CrossEntropy, which
+ * apply it in predict().
+ *
+ * @module nn/tfjs
+ */
+
+import GV from '../gv.js';
+import fs from 'fs';
+import { Model } from './model.js';
+import * as Layers from './layers.js';
+import * as Loss from './loss.js';
+import * as Activations from './activations.js';
+
+const { Matrix, Tensor, concat } = GV;
+
+/**
+ * Creates the activation for a Keras activation name; 'softmax' is only handled on the output
+ * @private
+ */
+const importActivation = (name, layerName) => {
+    switch(name) {
+        case undefined:
+        case null:
+        case 'linear':
+            return null;
+        case 'relu':
+            return new Activations.ReLU();
+        case 'sigmoid':
+            return new Activations.Sigmoid();
+        case 'tanh':
+            return new Activations.Tanh();
+        case 'elu':
+            return new Activations.ELU();
+        case 'swish':
+        case 'silu':
+            return new Activations.Swish();
+        case 'leaky_relu':
+            return new Activations.LeakyReLU(0.2);
+        default:
+            throw new Error(`Unsupported activation '${name}' in TF.js layer '${layerName}'`);
+    }
+};
+
+/**
+ * Returns the Keras name of an activation, or null when it has to be exported as a layer of its own
+ * @private
+ */
+const exportActivation = (activation) => {
+    if (!activation) return 'linear';
+    switch(activation.constructor.name) {
+        case 'ReLU':
+            return 'relu';
+        case 'Sigmoid':
+            return 'sigmoid';
+        case 'Tanh':
+            return 'tanh';
+        case 'Swish':
+            return 'swish';
+        case 'ELU':
+            return activation.alpha === 1 ? 'elu' : null;
+        case 'LeakyReLU':
+            return null;
+        default:
+            throw new Error(`Activation ${activation.constructor.name} cannot be exported to TF.js`);
+    }
+};
+
+/**
+ * Keras name of a layer's activation, read from a class name and config
+ * @private
+ */
+const activationName = (activation) => activation && typeof activation === 'object' ? activation.config.name || activation.class_name : activation;
+
+/**
+ * Returns the layer list and Sequential config of a model.json topology. The Python
+ * converter nests the topology in model_config; older Keras stores the layers as the config.
+ * @private
+ */
+const sequentialLayers = (topology) => {
+    let config = topology.model_config || topology;
+    if (config.class_name !== 'Sequential') {
+        throw new Error(`Only Sequential TF.js models can be imported, got ${config.class_name}`);
+    }
+    return Array.isArray(config.config) ? config.config : config.config.layers;
+};
+
+/**
+ * Creates a layer from a Keras layer config
+ * @private
+ */
+const layerImporters = {
+    Dense: (config) => new Layers.Dense(config.units, importActivation(activationName(config.activation), config.name)),
+    Dropout: (config) => new Layers.Dropout(config.rate),
+    Conv2D: (config) => new Layers.Conv2D(config.filters, config.kernel_size, config.strides, config.padding,
+        importActivation(activationName(config.activation), config.name), config.dilation_rate),
+    MaxPooling2D: (config) => new Layers.MaxPooling2D(config.pool_size, config.strides, config.padding),
+    AveragePooling2D: (config) => new Layers.AveragePooling2D(config.pool_size, config.strides, config.padding),
+    GlobalAveragePooling2D: () => new Layers.GlobalAveragePooling2D(),
+    Flatten: () => new Layers.Flatten(),
+    BatchNormalization: (config) => new Layers.BatchNorm(config.momentum, config.epsilon),
+    LayerNormalization: (config) => new Layers.LayerNorm(config.epsilon)
+};
+
+/**
+ * Names of the weights each layer type reads from the weights manifest, in TF.js order
+ * @private
+ */
+const weightNames = {
+    Dense: ['kernel', 'bias'],
+    Conv2D: ['kernel', 'bias'],
+    BatchNormalization: ['gamma', 'beta', 'moving_mean', 'moving_variance'],
+    LayerNormalization: ['gamma', 'beta']
+};
+
+// Layers that only apply an activation to the previous layer's output
+const activationLayers = ['Activation', 'LeakyReLU', 'ELU', 'ReLU'];
+
+/**
+ * Checks a layer config for options Dulvit does not implement
+ * @private
+ * @param {string} className - Keras class name of the layer
+ * @param {Object} config - Keras layer config
+ * @param {Array<number>} inputShape - Input shape of the layer, without the batch dimension
+ */
+const checkConfig = (className, config, inputShape) => {
+    if (config.data_format && config.data_format !== 'channels_last') {
+        throw new Error(`TF.js layer '${config.name}' uses data_format '${config.data_format}'; only channels_last is supported`);
+    }
+    if ((className === 'BatchNormalization' || className === 'LayerNormalization') && config.axis !== undefined) {
+        // Keras stores axes as built, e.g. [1] for the features of a [batch, features] input
+        let rank = inputShape.length + 1;
+        let axes = Array.isArray(config.axis) ? config.axis : [config.axis];
+        if (axes.length !== 1 || (axes[0] !== -1 && axes[0] !== rank - 1)) {
+            throw new Error(`TF.js layer '${config.name}' normalizes axis ${config.axis} of a rank ${rank} input; only the last axis (-1) is supported`);
+        }
+    }
+    if ((className === 'Dense' || className === 'Conv2D') && config.use_bias === false) {
+        throw new Error(`TF.js layer '${config.name}' has no bias; Dulvit's ${className} always has one`);
+    }
+};
+
+/**
+ * Reads the weights of a weights manifest from its concatenated shards
+ * @private
+ * @returns {Map<string, Object>} { shape, values } by weight name
+ */
+const readManifestWeights = (manifest, readShard) => {
+    let weights = new Map();
+    for (let group of manifest) {
+        let bytes = Buffer.concat(group.paths.map(readShard));
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        for (let { name, shape, dtype, quantization } of group.weights) {
+            if (quantization) {
+                throw new Error(`Weight '${name}' is quantized; export the TF.js model without quantization`);
+            }
+            if (dtype !== 'float32') {
+                throw new Error(`Weight '${name}' has dtype ${dtype}; only float32 weights are supported`);
+            }
+            let size = shape.reduce((p, d) => p * d, 1);
+            if (offset + size * 4 > bytes.length) {
+                throw new Error(`Weight shards of ${group.paths.join(', ')} end before weight '${name}'`);
+            }
+            let values = new Float64Array(size);
+            for (let i = 0; i < size; i++, offset += 4) {
+                values[i] = view.getFloat32(offset, true);
+            }
+            weights.set(name, { shape, values });
+        }
+    }
+    return weights;
+};
+
+/**
+ * Finds a layer's weight; converters may prefix the name with the model or a scope
+ * @private
+ */
+const findWeight = (weights, layerName, param) => {
+    let suffix = `${layerName}/${param}`;
+    for (let [name, weight] of weights) {
+        if (name === suffix || name.endsWith(`/${suffix}`) || (name.startsWith(`${layerName}/`) && name.endsWith(`/${param}`))) {
+            return weight;
+        }
+    }
+    throw new Error(`TF.js weights have no '${suffix}'`);
+};
+
+/**
+ * Imports a TF.js Layers model (model.json and its weight shards) as a Model
+ *
+ * @param {string} path - Path of model.json, or of the directory holding it
+ * @param {Object} [options]
+ * @param {Object} [options.lossFunction=null] - Loss of the model. By default a softmax output becomes
+ * Loss.Softmax, a sigmoid output Loss.CrossEntropy and anything else Loss.SquareLoss. When given,
+ * sigmoid outputs are kept as activation and softmax is not supported.
+ * @returns {Model} The model with the TF.js weights
+ * @throws {Error} On unsupported layers, activations or options, and on missing weights
+ */
+export const importTFJS = (path, { lossFunction = null } = {}) => {
+    let file = fs.existsSync(path) && fs.statSync(path).isDirectory() ? `${path}/model.json` : path;
+    let dir = file.includes('/') ? file.slice(0, file.lastIndexOf('/')) : '.';
+    let artifacts = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!artifacts.modelTopology) {
+        throw new Error(`${file} is not a TF.js Layers model (no modelTopology)`);
+    }
+
+    let layerConfigs = sequentialLayers(artifacts.modelTopology).map(({ class_name, config }) => ({ className: class_name, config }));
+    let weights = readManifestWeights(artifacts.weightsManifest || [], (shard) => fs.readFileSync(`${dir}/${shard}`));
+
+    // The input shape comes from an InputLayer or the first layer's batch_input_shape
+    let first = layerConfigs[0] && layerConfigs[0].config;
+    let batchShape = first && (first.batch_input_shape || first.batch_shape);
+    if (!batchShape) {
+        throw new Error('The TF.js model has no input shape; build the model with an input shape before saving it');
+    }
+    layerConfigs = layerConfigs.filter(({ className }) => className !== 'InputLayer');
+
+    // Fold a softmax or sigmoid output into the loss
+    let last = layerConfigs[layerConfigs.length - 1];
+    let outputActivation = last && (last.className === 'Activation' ? last.config.activation : activationName(last.config.activation));
+    if (!lossFunction && (outputActivation === 'softmax' || outputActivation === 'sigmoid')) {
+        lossFunction = outputActivation === 'softmax' ? new Loss.Softmax() : new Loss.CrossEntropy();
+        if (last.className === 'Activation') {
+            layerConfigs = layerConfigs.slice(0, -1);
+        } else {
+            layerConfigs[layerConfigs.length - 1] = { ...last, config: { ...last.config, activation: 'linear' } };
+        }
+    }
+
+    let inputShape = batchShape.slice(1);
+    let model = new Model(inputShape.length === 1 ? inputShape[0] : inputShape, lossFunction || new Loss.SquareLoss());
+    for (let { className, config } of layerConfigs) {
+        if (activationLayers.includes(className)) {
+            // Applies to the previous Dense or Conv2D layer, if that has no activation yet
+            let previous = model.layers[model.layers.length - 1];
+            if (!previous || previous.activation !== undefined && previous.activation !== null || !(previous instanceof Layers.Dense || previous instanceof Layers.Conv2D)) {
+                throw new Error(`TF.js layer '${config.name}' (${className}) is only supported directly after a Dense or Conv2D layer without activation`);
+            }
+            let name = className === 'Activation' ? config.activation : className === 'ReLU' ? 'relu' : null;
+            previous.activation = name !== null ? importActivation(name, config.name)
+                : className === 'LeakyReLU' ? new Activations.LeakyReLU(config.alpha !== undefined ? config.alpha : config.negative_slope)
+                : new Activations.ELU(config.alpha);
+            continue;
+        }
+        if (!layerImporters[className]) {
+            throw new Error(`Unsupported TF.js layer '${config.name}' (${className}); supported layers are ${Object.keys(layerImporters).join(', ')}`);
+        }
+        let input = model.layers.length > 0 ? model.layers[model.layers.length - 1].getSize() : model.inputDim;
+        checkConfig(className, config, Array.isArray(input) ? input : [input]);
+        let layer = layerImporters[className](config);
+        model.addLayer(layer);
+
+        let names = weightNames[className] || [];
+        let read = (param) => findWeight(weights, config.name, param);
+        if (className === 'Dense') {
+            // Dulvit keeps the bias as the last row of W
+            let kernel = read('kernel'), bias = read('bias');
+            layer.W = concat(new Matrix(kernel.values, kernel.shape), new Matrix(bias.values, [1, bias.shape[0]]), 0);
+        } else if (className === 'Conv2D') {
+            let kernel = read('kernel'), bias = read('bias');
+            layer.W = new Tensor(kernel.shape, kernel.values);
+            layer.b = new Tensor(bias.shape, bias.values);
+        } else if (names.length) {
+            // Keras leaves out gamma (scale: false) and beta (center: false)
+            let features = layer.gamma.size;
+            let state = {};
+            for (let name of names) {
+                let key = name === 'moving_mean' ? 'runningMean' : name === 'moving_variance' ? 'runningVar' : name;
+                let skipped = (name === 'gamma' && config.scale === false) || (name === 'beta' && config.center === false);
+                state[key] = skipped ? new Array(features).fill(name === 'gamma' ? 1 : 0) : Array.from(read(name).values);
+            }
+            layer.setState(state);
+        }
+        layer.name = config.name;
+    }
+    return model;
+};
+
+/**
+ * Creates the Keras configs and weights of a layer
+ * @private
+ * @returns {Array<Object>} [{ className, config, weights: [{ param, shape, values }] }]
+ */
+const exportLayer = (layer, index, name) => {
+    let layers = [];
+    let activation = null;
+    const add = (className, config, weights = []) => layers.push({ className, config: { name, trainable: true, dtype: 'float32', ...config }, weights });
+
+    switch(layer.constructor.name) {
+        case 'Dense': {
+            activation = layer.activation;
+            let inputs = layer.W.length - 1;
+            let values = layer.W.values;
+            add('Dense', { units: layer.size, activation: exportActivation(activation) || 'linear', use_bias: true }, [
+                { param: 'kernel', shape: [inputs, layer.size], values: values.subarray(0, inputs * layer.size) },
+                { param: 'bias', shape: [layer.size], values: values.subarray(inputs * layer.size) }
+            ]);
+            break;
+        }
+        case 'Conv2D':
+            activation = layer.activation;
+            add('Conv2D', {
+                filters: layer.filters,
+                kernel_size: layer.kernelSize,
+                strides: layer.stride,
+                padding: layer.padding,
+                dilation_rate: layer.dilation,
+                data_format: 'channels_last',
+                activation: exportActivation(activation) || 'linear',
+                use_bias: true
+            }, [
+                { param: 'kernel', shape: layer.W.shape, values: layer.W.values },
+                { param: 'bias', shape: layer.b.shape, values: layer.b.values }
+            ]);
+            break;
+        case 'Dropout':
+            add('Dropout', { rate: layer.rate });
+            break;
+        case 'MaxPooling2D':
+        case 'AveragePooling2D':
+            add(layer.constructor.name, { pool_size: layer.poolSize, strides: layer.stride, padding: layer.padding, data_format: 'channels_last' });
+            break;
+        case 'GlobalAveragePooling2D':
+            add('GlobalAveragePooling2D', { data_format: 'channels_last' });
+            break;
+        case 'Flatten':
+            add('Flatten', {});
+            break;
+        case 'BatchNorm':
+            add('BatchNormalization', { axis: -1, momentum: layer.momentum, epsilon: layer.epsilon, center: true, scale: true }, [
+                { param: 'gamma', shape: layer.gamma.shape, values: layer.gamma.values },
+                { param: 'beta', shape: layer.beta.shape, values: layer.beta.values },
+                { param: 'moving_mean', shape: layer.runningMean.shape, values: layer.runningMean.values },
+                { param: 'moving_variance', shape: layer.runningVar.shape, values: layer.runningVar.values }
+            ]);
+            break;
+        case 'LayerNorm':
+            add('LayerNormalization', { axis: -1, epsilon: layer.epsilon, center: true, scale: true }, [
+                { param: 'gamma', shape: layer.gamma.shape, values: layer.gamma.values },
+                { param: 'beta', shape: layer.beta.shape, values: layer.beta.values }
+            ]);
+            break;
+        default:
+            throw new Error(`Layer ${index} (${layer.name}) cannot be exported to TF.js; supported layers are Dense, Dropout, Conv2D, `
+                + 'MaxPooling2D, AveragePooling2D, GlobalAveragePooling2D, Flatten, BatchNorm and LayerNorm');
+    }
+
+    // LeakyReLU and ELU with a non-default alpha follow as layers of their own
+    if (activation && exportActivation(activation) === null) {
+        let className = activation.constructor.name;
+        layers.push({ className, config: { name: `${name}_${className.toLowerCase()}`, trainable: true, dtype: 'float32', alpha: activation.alpha }, weights: [] });
+    }
+    return layers;
+};
+
+/**
+ * Exports a sequential Model to the TF.js Layers format, loadable with tf.loadLayersModel()
+ * and convertible to Keras with tensorflowjs_converter
+ *
+ * @param {Model} model - The model; its layers must be built (e.g. by addLayer with an inputDim)
+ * @param {string} dir - Directory for model.json and the weight shards, created if missing
+ * @param {Object} [options]
+ * @param {number} [options.shardSize=4194304] - Maximum bytes per weight shard
+ * @returns {Object} The model.json content
+ * @throws {Error} On layers or activations that have no TF.js equivalent
+ */
+export const exportTFJS = (model, dir, { shardSize = 4 * 1024 * 1024 } = {}) => {
+    if (model.graph || model.nodes) {
+        throw new Error('Only sequential models can be exported to TF.js');
+    }
+    let counts = {};
+    let layers = model.layers.flatMap((layer, index) => {
+        let base = layer.constructor.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+        counts[base] = (counts[base] || 0) + 1;
+        return exportLayer(layer, index, `${base}_${counts[base]}`);
+    });
+
+    // predict() applies the loss's output function, which TF.js needs as the last activation
+    let output = model.lossFunction instanceof Loss.Softmax ? 'softmax' : model.lossFunction instanceof Loss.CrossEntropy ? 'sigmoid' : null;
+    if (output) {
+        let last = layers[layers.length - 1];
+        if (last.config.activation === 'linear') {
+            last.config.activation = output;
+        } else {
+            layers.push({ className: 'Activation', config: { name: `activation_${output}`, trainable: true, dtype: 'float32', activation: output }, weights: [] });
+        }
+    }
+
+    let inputShape = Array.isArray(model.inputDim) ? model.inputDim : [model.inputDim];
+    layers[0].config.batch_input_shape = [null, ...inputShape];
+
+    // Weights as float32, in layer order, split into shards
+    let entries = layers.flatMap(({ config, weights }) => weights.map(({ param, shape, values }) => ({ name: `${config.name}/${param}`, shape, values })));
+    let byteLength = entries.reduce((total, entry) => total + entry.values.length * 4, 0);
+    let bytes = Buffer.alloc(byteLength);
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    for (let { values } of entries) {
+        for (let v of values) {
+            view.setFloat32(offset, v, true);
+            offset += 4;
+        }
+    }
+    let count = Math.max(1, Math.ceil(byteLength / shardSize));
+    let paths = Array.from({ length: count }, (_, i) => `group1-shard${i + 1}of${count}.bin`);
+    fs.mkdirSync(dir, { recursive: true });
+    paths.forEach((path, i) => fs.writeFileSync(`${dir}/${path}`, bytes.subarray(i * shardSize, Math.min((i + 1) * shardSize, byteLength))));
+
+    let artifacts = {
+        format: 'layers-model',
+        generatedBy: 'dulvit',
+        convertedBy: null,
+        modelTopology: {
+            class_name: 'Sequential',
+            config: {
+                name: 'sequential',
+                layers: layers.map(({ className, config }) => ({ class_name: className, config }))
+            },
+            keras_version: 'tfjs-layers',
+            backend: 'tensor_flow.js'
+        },
+        weightsManifest: [{
+            paths,
+            weights: entries.map(({ name, shape }) => ({ name, shape, dtype: 'float32' }))
+        }]
+    };
+    fs.writeFileSync(`${dir}/model.json`, JSON.stringify(artifacts));
+    return artifacts;
+};
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Binary Weight Files
+ * Splits a model state (the object written by Model.save()) into a JSON
+ * manifest and little-endian Float32/Float64 weight data, optionally sharded
+ * over several files. Every array of weights, non-trainable state and optimizer
+ * state in the manifest is replaced by a { tensor } reference into the weight
+ * data, and each shard is stored with its SHA-256 checksum.
+ *
+ * @module nn/weights
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Version of the weights manifest written by writeWeights
+ * @private
+ */
+const WEIGHTS_FORMAT_VERSION = 1;
+
+/**
+ * Name of the manifest file in a model directory
+ * @type {string}
+ */
+export const MANIFEST_FILE = 'model.json';
+
+const BYTES = { float32: 4, float64: 8 };
+
+// Names of the weight files written by writeWeights
+const WEIGHT_FILE = /^weights(-\d+-of-\d+)?\.bin$/;
+
+const isNumbers = (a) => Array.isArray(a) && a.every(v => typeof v === 'number');
+
+// Matrix weights are stored as rows of equal length
+const isRows = (a) => Array.isArray(a) && a.length > 0 && a.every(isNumbers) && a.every(row => row.length === a[0].length);
+
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+/**
+ * Writes data next to file under a temporary name
+ * @private
+ * @returns {Array<string>} [temporary, file], to be renamed once everything is written
+ */
+const writeTemporary = (file, data) => {
+    let temporary = `${file}.${process.pid}.tmp`;
+    try {
+        fs.writeFileSync(temporary, data);
+    } catch (e) {
+        fs.rmSync(temporary, { force: true });
+        throw e;
+    }
+    return [temporary, file];
+};
+
+/**
+ * Replaces the numeric arrays in a part of the model state with references to
+ * entries of tensors, whose values are collected for the weight data
+ * @private
+ * @param {*} node - Part of the model state
+ * @param {string} name - Path of node in the state, for the manifest
+ * @param {string} dtype - dtype of the collected values
+ * @param {Array<Object>} tensors - Collected { name, shape, dtype, values }
+ * @returns {*} node with the arrays replaced
+ */
+const extractTensors = (node, name, dtype, tensors) => {
+    if (isRows(node) || isNumbers(node)) {
+        let shape = isRows(node) ? [node.length, node[0].length] : [node.length];
+        tensors.push({ name, shape, dtype, values: shape.length === 2 ? node.flat() : node });
+        return { tensor: tensors.length - 1 };
+    }
+    if (Array.isArray(node)) {
+        return node.map((item, i) => extractTensors(item, `${name}.${i}`, dtype, tensors));
+    }
+    if (node && typeof node === 'object') {
+        let result = {};
+        for (let key of Object.keys(node)) {
+            // The shape of a { shape, values } tensor stays in the manifest
+            let keep = key === 'shape' && isNumbers(node.values);
+            result[key] = keep ? node[key] : extractTensors(node[key], `${name}.${key}`, dtype, tensors);
+        }
+        return result;
+    }
+    return node;
+};
+
+/**
+ * Inverse of extractTensors
+ * @private
+ */
+const insertTensors = (node, read) => {
+    if (Array.isArray(node)) {
+        return node.map(item => insertTensors(item, read));
+    }
+    if (node && typeof node === 'object') {
+        if (Object.keys(node).length === 1 && Number.isInteger(node.tensor)) {
+            return read(node.tensor);
+        }
+        let result = {};
+        for (let key of Object.keys(node)) {
+            result[key] = insertTensors(node[key], read);
+        }
+        return result;
+    }
+    return node;
+};
+
+/**
+ * Returns the parts of a model state that hold weights, as [path, object, key]
+ * @private
+ */
+const weightSlots = (state) => {
+    let layers = state.graph ? state.graph.nodes.map(node => node.layer) : state.layers;
+    let prefix = state.graph ? 'graph.nodes' : 'layers';
+    let slots = [];
+    layers.forEach((layer, i) => {
+        for (let key of ['weights', 'bias', 'state']) {
+            if (layer[key]) slots.push([`${prefix}.${i}.${key}`, layer, key]);
+        }
+    });
+    if (state.optimizer && state.optimizer.state) {
+        slots.push(['optimizer.state', state.optimizer, 'state']);
+    }
+    return slots;
+};
+
+/**
+ * Writes a model state to a directory as a JSON manifest and binary weight files.
+ * Every file is written under a temporary name and then renamed into place, the
+ * manifest last, so an interrupted write never leaves a partially written file.
+ * If it stops between the renames, the previous manifest fails its checksums
+ * against the new weight files instead of loading mismatched weights. Weight
+ * files of an earlier save that the new manifest does not list are deleted.
+ *
+ * @param {string} dir - Directory, created if missing
+ * @param {Object} state - Model state as built by Model.save()
+ * @param {Object} [options]
+ * @param {string} [options.dtype=null] - 'float32' or 'float64' for all weights. By default float32
+ * matrices are stored as float32 and everything else as float64.
+ * @param {number} [options.shardSize=0] - Maximum bytes per weight file (0 for a single file)
+ * @returns {Object} The manifest
+ */
+export const writeWeights = (dir, state, { dtype = null, shardSize = 0 } = {}) => {
+    if (dtype !== null && !BYTES[dtype]) {
+        throw new Error(`Weights dtype must be 'float32' or 'float64', got '${dtype}'`);
+    }
+    if (!Number.isInteger(shardSize) || shardSize < 0) {
+        throw new Error(`shardSize must be a non-negative integer, got ${shardSize}`);
+    }
+
+    let manifest = JSON.parse(JSON.stringify(state));
+    let tensors = [];
+    for (let [name, owner, key] of weightSlots(manifest)) {
+        let value = owner[key];
+        // Float32 matrices are saved as { dtype: 'float32', rows }
+        let own = value && value.dtype === 'float32' && value.rows ? 'float32' : 'float64';
+        owner[key] = extractTensors(value, name, dtype || own, tensors);
+    }
+
+    let byteLength = tensors.reduce((total, t) => total + t.values.length * BYTES[t.dtype], 0);
+    let bytes = Buffer.alloc(byteLength);
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    let entries = tensors.map(({ name, shape, dtype, values }) => {
+        let entry = { name, shape, dtype, offset };
+        for (let v of values) {
+            if (dtype === 'float32') view.setFloat32(offset, v, true);
+            else view.setFloat64(offset, v, true);
+            offset += BYTES[dtype];
+        }
+        return entry;
+    });
+
+    let count = shardSize > 0 ? Math.max(1, Math.ceil(byteLength / shardSize)) : 1;
+    let size = shardSize > 0 ? shardSize : byteLength;
+    let digits = String(count).length;
+    let shards = [];
+    let written = [];
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+        for (let i = 0; i < count; i++) {
+            let path = count === 1 ? 'weights.bin' : `weights-${String(i + 1).padStart(digits, '0')}-of-${count}.bin`;
+            let shard = bytes.subarray(i * size, Math.min((i + 1) * size, byteLength));
+            written.push(writeTemporary(`${dir}/${path}`, shard));
+            shards.push({ path, byteLength: shard.length, sha256: sha256(shard) });
+        }
+
+        manifest.weights = { version: WEIGHTS_FORMAT_VERSION, byteOrder: 'little', byteLength, shards, tensors: entries };
+        written.push(writeTemporary(`${dir}/${MANIFEST_FILE}`, JSON.stringify(manifest, null, 2)));
+    } catch (e) {
+        for (let [temporary] of written) fs.rmSync(temporary, { force: true });
+        throw e;
+    }
+    for (let [temporary, file] of written) {
+        fs.renameSync(temporary, file);
+    }
+
+    // Remove weight files of an earlier save with another number of shards
+    let listed = new Set(shards.map(shard => shard.path));
+    for (let file of fs.readdirSync(dir)) {
+        if (WEIGHT_FILE.test(file) && !listed.has(file)) {
+            fs.rmSync(`${dir}/${file}`, { force: true });
+        }
+    }
+    return manifest;
+};
+
+/**
+ * Reads a model state written by writeWeights, checking every weight file against its checksum
+ *
+ * @param {string} dir - Directory holding the manifest and weight files
+ * @returns {Object} The model state, as accepted by Model.load()
+ * @throws {Error} If a weight file is missing, has the wrong size or fails its checksum
+ */
+export const readWeights = (dir) => {
+    let manifest = JSON.parse(fs.readFileSync(`${dir}/${MANIFEST_FILE}`, 'utf8'));
+    let weights = manifest.weights;
+    if (!weights || !Array.isArray(weights.shards)) {
+        throw new Error(`${dir}/${MANIFEST_FILE} has no weights manifest; load it with Model.load()`);
+    }
+    if (weights.version > WEIGHTS_FORMAT_VERSION) {
+        throw new Error(`Weights manifest version ${weights.version} is newer than the supported version ${WEIGHTS_FORMAT_VERSION}`);
+    }
+
+    let shards = weights.shards.map(({ path, byteLength, sha256: checksum }) => {
+        let file = `${dir}/${path}`;
+        if (!fs.existsSync(file)) {
+            throw new Error(`Weight file ${file} is missing`);
+        }
+        let shard = fs.readFileSync(file);
+        if (shard.length !== byteLength) {
+            throw new Error(`Weight file ${file} has ${shard.length} bytes, expected ${byteLength}`);
+        }
+        if (sha256(shard) !== checksum) {
+            throw new Error(`Weight file ${file} is corrupted: checksum mismatch`);
+        }
+        return shard;
+    });
+    let bytes = Buffer.concat(shards);
+    let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const read = (index) => {
+        let { shape, dtype, offset } = weights.tensors[index];
+        let size = BYTES[dtype];
+        let length = shape.reduce((p, d) => p * d, 1);
+        let values = new Array(length);
+        for (let i = 0; i < length; i++, offset += size) {
+            values[i] = dtype === 'float32' ? view.getFloat32(offset, true) : view.getFloat64(offset, true);
+        }
+        if (shape.length === 2) {
+            return Array.from({ length: shape[0] }, (_, r) => values.slice(r * shape[1], (r + 1) * shape[1]));
+        }
+        return values;
+    };
+
+    let state = { ...manifest };
+    delete state.weights;
+    for (let [, owner, key] of weightSlots(state)) {
+        owner[key] = insertTensors(owner[key], read);
+    }
+    return state;
+};
\ No newline at end of file
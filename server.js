@@ -3,7 +3,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
-import { generateDataset, createModel, getTrainingConfig, prepareData } from './config.js';
+import { generateDataset, createModel, getTrainingConfig, dataSpec } from './config.js';
+import { toMatrices } from './nn/nn.js';
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -47,23 +48,27 @@ io.on('connection', (socket) => {
     const { dataset, validationDataset } = generateDataset();
 
     // Create model using the config function
-    currentModel = createModel(config);
+    const model = createModel(config);
+    currentModel = model;
 
     // Send model architecture to client
-    socket.emit('modelArchitecture', currentModel.getArchitecture());
+    socket.emit('modelArchitecture', model.getArchitecture());
 
-    // Prepare the data for training using the config function
-    const { X, Y, XValidation, YValidation } = prepareData(dataset, validationDataset);
+    // Select features and targets as described by the data specification
+    const { x: X, y: Y, spec } = toMatrices(dataset, dataSpec);
+    const { x: XValidation, y: YValidation } = toMatrices(validationDataset, spec);
 
     // Get training configuration
     const trainingConfig = getTrainingConfig(config);
 
     // Train the model
-    currentModel.train(
+    model.train(
       X, 
       Y,
       {
         ...trainingConfig,
+        // The dashboard's optimizer dropdown takes precedence over config.js
+        optimizer: config.optimizer || trainingConfig.optimizer,
         callbacks: {
           onEpochEnd: (state, metrics) => {
             if (isPaused) return;
@@ -90,7 +95,18 @@ io.on('connection', (socket) => {
         xValidation: XValidation,
         yValidation: YValidation
       }
-    );
+    ).then((history) => {
+      console.log(`Training finished after ${history.epochs} epochs` +
+        (history.stoppedEarly ? ` (${history.stoppedEarly})` : ''));
+    }).catch((err) => {
+      console.error('Training failed:', err);
+    }).finally(() => {
+      // A stopped run finishes its last batch after Stop; by then a new run may own the flags
+      if (currentModel === model) {
+        isTraining = false;
+        isPaused = false;
+      }
+    });
   });
   
   // Handle pause training
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GV from '../gv.js';
+import { Layers, Loss, gradCheckLayer, gradCheckLoss } from '../nn/index.js';
+
+const rng = new GV.Random(7);
+const rand = (rows, cols) => GV.mapMat(GV.rand(rows, cols, rng), v => v - 0.5);
+const randTensor = (shape) => new GV.Tensor(shape, GV.randn(shape.reduce((p, d) => p * d, 1), 1, rng).values);
+const oneHot = (rows, cols) => new GV.Matrix(Array.from({ length: rows }, () => {
+    let row = new Array(cols).fill(0);
+    row[rng.int(cols)] = 1;
+    return row;
+}));
+
+// Builds a layer with weights drawn from the test's generator
+const build = (layer, inputDim) => {
+    layer.rng = rng;
+    layer.setInputDim(inputDim);
+    return layer;
+};
+
+test('layer gradients match finite differences', () => {
+    let cases = [
+        ['Dense', build(new Layers.Dense(4), 3), rand(6, 3)],
+        ['Dense tanh', build(new Layers.Dense(4, 'tanh'), 3), rand(6, 3)],
+        ['Dense sigmoid', build(new Layers.Dense(4, 'sigmoid'), 3), rand(6, 3)],
+        ['BatchNorm', build(new Layers.BatchNorm(), 6), rand(4, 6)],
+        ['LayerNorm', build(new Layers.LayerNorm(), 6), rand(4, 6)],
+        ['Conv2D', build(new Layers.Conv2D(2, 3, 1, 'same', 'tanh'), [5, 5, 2]), randTensor([2, 5, 5, 2])],
+        ['LSTM', build(new Layers.LSTM(4, true), [5, 3]), randTensor([3, 5, 3])],
+        ['GRU', build(new Layers.GRU(4), [5, 3]), randTensor([3, 5, 3])]
+    ];
+    for (let [name, layer, x] of cases) {
+        let report = gradCheckLayer(layer, x);
+        assert.ok(report.passed, `${name}: max relative error ${report.maxRelativeError}`);
+    }
+});
+
+test('loss gradients match finite differences', () => {
+    let cases = [
+        ['SquareLoss', new Loss.SquareLoss(), rand(5, 3)],
+        ['Softmax', new Loss.Softmax(), oneHot(5, 3)],
+        ['CrossEntropy', new Loss.CrossEntropy(), oneHot(5, 3)],
+        ['Huber', new Loss.Huber(0.2), rand(5, 3)]
+    ];
+    for (let [name, loss, y] of cases) {
+        let report = gradCheckLoss(loss, rand(5, 3), y);
+        assert.ok(report.passed, `${name}: max relative error ${report.maxRelativeError}`);
+    }
+});
+
+test('gradCheckLayer leaves the global generator alone and is reproducible', () => {
+    let layer = build(new Layers.Dense(3, 'tanh'), 4);
+    let x = rand(5, 4);
+    GV.random.seed(42);
+    let state = GV.random.getState();
+
+    let first = gradCheckLayer(layer, x, { seed: 3 });
+    assert.deepEqual(GV.random.getState(), state);
+    assert.equal(gradCheckLayer(layer, x, { seed: 3 }).maxRelativeError, first.maxRelativeError);
+});
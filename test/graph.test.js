@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GV from '../gv.js';
+import { Model, GraphModel, Input, Layers, Loss } from '../nn/index.js';
+
+test('GraphModel.predict uses the same [units, batch] layout as Model.predict', () => {
+    let model = new Model(3, new Loss.Softmax());
+    model.addLayer(new Layers.Dense(2));
+
+    let input = Input(3, 'x');
+    let dense = new Layers.Dense(2);
+    let graph = new GraphModel(input, dense.apply(input), new Loss.Softmax());
+    dense.W = model.layers[0].W.clone();
+
+    let x = new GV.Matrix([[1, 2, 3], [0.5, -1, 0], [2, 0, -2], [0, 0, 1]]);
+    let expected = model.predict(x);
+    assert.deepEqual(expected.shape, [2, 4]);
+    assert.deepEqual(graph.predict(x).toArray(), expected.toArray());
+});
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GV from '../gv.js';
+
+test('addMatrix and multiplyMatrix reject operands of different shapes', () => {
+    let a = new GV.Matrix([[1, 2, 3], [4, 5, 6]]);
+    let b = new GV.Matrix([[1, 1, 1]]);
+    for (let name of ['addMatrix', 'multiplyMatrix']) {
+        assert.throws(() => GV[name](a, b), /shapes \[2, 3\] and \[1, 3\] differ/);
+        assert.throws(() => GV[name](b, a), /shapes \[1, 3\] and \[2, 3\] differ/);
+        assert.throws(() => GV[name](a, b, true), /differ/);
+    }
+    assert.deepEqual(GV.addMatrix(a, a).toArray(), [[2, 4, 6], [8, 10, 12]]);
+    assert.deepEqual(GV.multiplyMatrix(a, a).toArray(), [[1, 4, 9], [16, 25, 36]]);
+});
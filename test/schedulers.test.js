@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Schedulers } from '../nn/index.js';
+
+const rates = (scheduler, steps) => {
+    let lrs = [scheduler.reset(1)];
+    for (let i = 1; i < steps; i++) {
+        lrs.push(scheduler.step(1));
+    }
+    return lrs.map(lr => Number(lr.toFixed(6)));
+};
+
+test('LinearWarmup rejects an after scheduler with another interval', () => {
+    assert.throws(() => new Schedulers.LinearWarmup({ warmupSteps: 2, after: new Schedulers.StepDecay({ stepSize: 3 }) }),
+        /per batch, but StepDecay has interval 'epoch'/);
+    assert.throws(() => new Schedulers.LinearWarmup({ warmupSteps: 2, after: new Schedulers.ReduceLROnPlateau() }),
+        /ReduceLROnPlateau has interval 'epoch'/);
+    assert.throws(() => new Schedulers.LinearWarmup({ interval: 'epoch', after: new Schedulers.OneCycle({ totalSteps: 10 }) }),
+        /per epoch, but OneCycle has interval 'batch'/);
+});
+
+test('LinearWarmup hands over to an after scheduler with the same interval', () => {
+    let epochs = new Schedulers.LinearWarmup({ warmupSteps: 2, interval: 'epoch', after: new Schedulers.StepDecay({ stepSize: 3 }) });
+    assert.deepEqual(rates(epochs, 8), [0, 0.5, 1, 1, 1, 0.1, 0.1, 0.1]);
+
+    let batches = new Schedulers.LinearWarmup({ warmupSteps: 2, after: new Schedulers.StepDecay({ stepSize: 3, interval: 'batch' }) });
+    assert.deepEqual(rates(batches, 8), [0, 0.5, 1, 1, 1, 0.1, 0.1, 0.1]);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import GV from '../gv.js';
+import { importTFJS } from '../nn/tfjs.js';
+
+// Saves a tf.LayersModel as model.json and weights.bin, like tf.io's file and download handlers
+const saveModel = async (model, editLayers = (layers) => layers) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dulvit-tfjs-'));
+    await model.save(tf.io.withSaveHandler(async (artifacts) => {
+        let topology = artifacts.modelTopology;
+        topology.config.layers = editLayers(topology.config.layers);
+        fs.writeFileSync(path.join(dir, 'weights.bin'), Buffer.from(tf.io.CompositeArrayBuffer.join(artifacts.weightData)));
+        fs.writeFileSync(path.join(dir, 'model.json'), JSON.stringify({
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            modelTopology: topology,
+            weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+        }));
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return dir;
+};
+
+// Gives the normalization layers non-trivial weights and running statistics
+const randomizeNormalization = (model) => {
+    for (let layer of model.layers) {
+        if (layer.getClassName().endsWith('Normalization')) {
+            layer.setWeights(layer.getWeights().map(w => tf.randomUniform(w.shape, 0.5, 1.5)));
+        }
+    }
+};
+
+const maxDiff = (a, b) => a.reduce((max, v, i) => Math.max(max, Math.abs(v - b[i])), 0);
+
+test('imports BatchNormalization and LayerNormalization saved by TF.js', async () => {
+    let model = tf.sequential();
+    model.add(tf.layers.dense({ units: 4, inputShape: [3], activation: 'relu' }));
+    model.add(tf.layers.batchNormalization());
+    model.add(tf.layers.layerNormalization({ axis: -1 }));
+    model.add(tf.layers.dense({ units: 2 }));
+    randomizeNormalization(model);
+
+    let dir = await saveModel(model);
+    let saved = JSON.parse(fs.readFileSync(path.join(dir, 'model.json'), 'utf8'));
+    assert.deepEqual(saved.modelTopology.config.layers[2].config.axis, [1]);
+
+    let imported = importTFJS(dir);
+    imported.setTrainingMode(false);
+    let x = [[0.5, -1, 2], [1, 0.25, -0.75]];
+    let expected = model.predict(tf.tensor2d(x)).dataSync();
+    let actual = imported.predict(new GV.Matrix(x)).t.values;
+    assert.ok(maxDiff(actual, expected) < 1e-5);
+});
+
+test('imports BatchNormalization with the positive axis written by Keras', async () => {
+    let model = tf.sequential();
+    model.add(tf.layers.conv2d({ filters: 3, kernelSize: 2, inputShape: [4, 4, 2] }));
+    model.add(tf.layers.batchNormalization());
+    model.add(tf.layers.flatten());
+    model.add(tf.layers.dense({ units: 2 }));
+    randomizeNormalization(model);
+
+    // Keras saves the axis of a [batch, height, width, channels] input as 3
+    let dir = await saveModel(model, (layers) => layers.map(layer => layer.class_name === 'BatchNormalization'
+        ? { ...layer, config: { ...layer.config, axis: 3 } } : layer));
+
+    let imported = importTFJS(dir);
+    imported.setTrainingMode(false);
+    let values = Array.from({ length: 2 * 4 * 4 * 2 }, (_, i) => Math.sin(i));
+    let expected = model.predict(tf.tensor4d(values, [2, 4, 4, 2])).dataSync();
+    let actual = imported.predict(new GV.Tensor([2, 4, 4, 2], values)).t.values;
+    assert.ok(maxDiff(actual, expected) < 1e-5);
+});
+
+test('rejects normalization over an axis other than the last', async () => {
+    let model = tf.sequential();
+    model.add(tf.layers.conv2d({ filters: 3, kernelSize: 2, inputShape: [4, 4, 2] }));
+    model.add(tf.layers.batchNormalization({ axis: 1 }));
+    model.add(tf.layers.flatten());
+    model.add(tf.layers.dense({ units: 2 }));
+
+    let dir = await saveModel(model);
+    assert.throws(() => importTFJS(dir), /normalizes axis 1 of a rank 4 input/);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GV from '../gv.js';
+import { Model, Layers, Loss } from '../nn/index.js';
+
+// One epoch of 200 single-sample batches
+const setup = () => {
+    let model = new Model(3, new Loss.SquareLoss());
+    model.addLayer(new Layers.Dense(4, 'tanh'));
+    model.addLayer(new Layers.Dense(1));
+    let rng = new GV.Random(2);
+    let x = GV.randn(200, 3, rng);
+    let y = GV.randn(200, 1, rng);
+    return { model, x, y, options: { batchSize: 1, maxEpochs: 1, verbose: 0 } };
+};
+
+test('stopTraining() from a timer ends training within the epoch', async () => {
+    let { model, x, y, options } = setup();
+    let training = model.train(x, y, options);
+    setTimeout(() => model.stopTraining(), 0);
+    let history = await training;
+    assert.equal(history.stoppedEarly, 'stopped');
+    assert.equal(history.epochs, 0);
+});
+
+test('pauseTraining() from a timer pauses within the epoch until resumed', async () => {
+    let { model, x, y, options } = setup();
+    let training = model.train(x, y, options);
+    let finished = false;
+    training.then(() => { finished = true; });
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    assert.equal(model.pauseTraining(), true);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(finished, false);
+
+    model.resumeTraining();
+    let history = await training;
+    assert.equal(history.stoppedEarly, null);
+    assert.equal(history.epochs, 1);
+});
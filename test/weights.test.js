@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import GV from '../gv.js';
+import { Model, Layers, Loss } from '../nn/index.js';
+
+const createModel = () => {
+    let model = new Model(3, new Loss.SquareLoss());
+    model.addLayer(new Layers.Dense(4, 'tanh'));
+    model.addLayer(new Layers.Dense(2));
+    return model;
+};
+
+test('an interrupted saveTo() leaves the previous save loadable', () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dulvit-weights-'));
+    let x = new GV.Matrix([[1, 2, 3], [-1, 0, 0.5]]);
+    let saved = createModel();
+    saved.saveTo(dir, { shardSize: 64 });
+
+    // Fail while writing the manifest, after the weight files
+    let writeFileSync = fs.writeFileSync;
+    fs.writeFileSync = (file, data) => {
+        if (path.basename(file).startsWith('model.json')) throw new Error('disk full');
+        return writeFileSync(file, data);
+    };
+    try {
+        assert.throws(() => createModel().saveTo(dir, { shardSize: 64 }), /disk full/);
+    } finally {
+        fs.writeFileSync = writeFileSync;
+    }
+
+    assert.deepEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+    let loaded = Model.loadFrom(dir);
+    assert.deepEqual(loaded.predict(x).toArray(), saved.predict(x).toArray());
+});
+
+test('saveTo() removes weight files of an earlier save with another shard count', () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dulvit-weights-'));
+    let x = new GV.Matrix([[1, 2, 3], [-1, 0, 0.5]]);
+    createModel().saveTo(dir, { shardSize: 64 });
+    assert.ok(fs.readdirSync(dir).filter(file => /^weights-\d+-of-\d+\.bin$/.test(file)).length > 1);
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'kept');
+
+    let model = createModel();
+    model.saveTo(dir);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['model.json', 'notes.txt', 'weights.bin']);
+
+    model.saveTo(dir, { shardSize: 100 });
+    let shards = fs.readdirSync(dir).filter(file => file.startsWith('weights'));
+    assert.ok(shards.length > 1 && shards.every(file => /^weights-\d+-of-\d+\.bin$/.test(file)));
+    assert.deepEqual(Model.loadFrom(dir).predict(x).toArray(), model.predict(x).toArray());
+});